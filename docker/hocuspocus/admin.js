@@ -0,0 +1,182 @@
+/**
+ * Administration of the documents loaded by this instance
+ *
+ * Used by the /api/admin routes for incident handling:
+ * - list loaded documents with their connections, size and last change
+ * - show who is connected to a document
+ * - force-close a document, it is stored and unloaded, the next connection loads it from persistence
+ * - disconnect a user from every document (or one)
+ */
+
+import * as Y from 'yjs'
+
+// Close events sent to the clients, reasons are kept short (WebSocket limit is 123 bytes)
+export const AdminCloseEvent = {
+  DOCUMENT_RESET: { code: 4205, reason: 'document-reset' },
+  USER_DISCONNECTED: { code: 4001, reason: 'disconnected-by-admin' },
+}
+
+const DEFAULT_UNLOAD_TIMEOUT = 5000
+
+/**
+ * Hocuspocus extension tracking when documents were loaded and last changed
+ */
+export class DocumentTracker {
+  constructor() {
+    // documentName -> { loadedAt, lastChangeAt, lastChangedBy }
+    this.documents = new Map()
+
+    // documentName -> callbacks waiting for the document to unload
+    this.unloadWaiters = new Map()
+  }
+
+  get(documentName) {
+    return this.documents.get(documentName) || null
+  }
+
+  // Resolves true once the document is unloaded, false after the timeout
+  waitForUnload(documentName, timeout = DEFAULT_UNLOAD_TIMEOUT) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        const waiters = this.unloadWaiters.get(documentName) || []
+        this.unloadWaiters.set(documentName, waiters.filter((waiter) => waiter !== done))
+        resolve(false)
+      }, timeout)
+
+      const done = () => {
+        clearTimeout(timer)
+        resolve(true)
+      }
+
+      this.unloadWaiters.set(documentName, [...(this.unloadWaiters.get(documentName) || []), done])
+    })
+  }
+
+  async afterLoadDocument({ documentName }) {
+    this.documents.set(documentName, { loadedAt: new Date().toISOString(), lastChangeAt: null, lastChangedBy: null })
+  }
+
+  async onChange({ documentName, context }) {
+    const tracked = this.documents.get(documentName)
+    if (tracked) {
+      tracked.lastChangeAt = new Date().toISOString()
+      tracked.lastChangedBy = context?.user?.id || null
+    }
+  }
+
+  async afterUnloadDocument({ documentName }) {
+    this.documents.delete(documentName)
+
+    const waiters = this.unloadWaiters.get(documentName) || []
+    this.unloadWaiters.delete(documentName)
+    waiters.forEach((done) => done())
+  }
+}
+
+/**
+ * Create the document administration on top of the Hocuspocus instance
+ * getInstance is a getter since the instance is configured with the tracker extension
+ * parseDocumentName maps a document name to { tenant, entityType, entityId }
+ */
+export const createDocumentAdmin = ({ getInstance, tracker, parseDocumentName, logger }) => {
+  const describe = (document) => {
+    const { tenant, entityType, entityId } = parseDocumentName(document.name)
+
+    return {
+      documentName: document.name,
+      tenant,
+      entityType,
+      entityId,
+      connections: document.getConnections().length,
+      directConnections: document.directConnectionsCount,
+      size: Y.encodeStateAsUpdate(document).byteLength,
+      ...(tracker.get(document.name) || { loadedAt: null, lastChangeAt: null, lastChangedBy: null }),
+    }
+  }
+
+  const describeConnection = (document, connection) => ({
+    socketId: connection.socketId,
+    userId: connection.context?.user?.id || null,
+    userName: connection.context?.user?.name || null,
+    readOnly: connection.readOnly,
+    awarenessClients: document.getClients(connection).size,
+    origin: connection.request?.headers?.origin || null,
+    ip: connection.request?.headers?.['x-real-ip']
+      || connection.request?.headers?.['x-forwarded-for']
+      || connection.request?.socket?.remoteAddress
+      || null,
+  })
+
+  return {
+    listDocuments({ tenant } = {}) {
+      return Array.from(getInstance().documents.values())
+        .map(describe)
+        .filter((document) => !tenant || document.tenant === tenant)
+        .sort((a, b) => a.documentName.localeCompare(b.documentName))
+    },
+
+    // Null when the document is not loaded on this instance
+    getDocument(documentName) {
+      const document = getInstance().documents.get(documentName)
+      if (!document) {
+        return null
+      }
+
+      return {
+        ...describe(document),
+        clients: document.getConnections().map((connection) => describeConnection(document, connection)),
+        presence: Array.from(document.awareness.getStates().values())
+          .map((state) => state.user)
+          .filter(Boolean),
+      }
+    },
+
+    // Closes every connection, the document is stored and unloaded once the last one is gone
+    async closeDocument(documentName, { user, timeout } = {}) {
+      const document = getInstance().documents.get(documentName)
+      if (!document) {
+        return null
+      }
+
+      const connections = document.getConnections()
+      const unloaded = tracker.waitForUnload(documentName, timeout)
+      connections.forEach((connection) => connection.close(AdminCloseEvent.DOCUMENT_RESET))
+
+      const result = {
+        documentName,
+        closedConnections: connections.length,
+        // HTTP requests in flight keep the document loaded until they finish
+        unloaded: await unloaded,
+      }
+
+      logger.warn('Document force-closed by admin', { ...result, userId: user?.id })
+      return result
+    },
+
+    // Closes the connections of a user, on one document when documentName is given
+    disconnectUser(userId, { documentName, user } = {}) {
+      const closed = []
+
+      getInstance().documents.forEach((document) => {
+        if (documentName && document.name !== documentName) {
+          return
+        }
+
+        document.getConnections()
+          .filter((connection) => connection.context?.user?.id === userId)
+          .forEach((connection) => {
+            closed.push({ documentName: document.name, socketId: connection.socketId })
+            connection.close(AdminCloseEvent.USER_DISCONNECTED)
+          })
+      })
+
+      logger.warn('User disconnected by admin', {
+        disconnectedUserId: userId,
+        documentName,
+        closedConnections: closed.length,
+        userId: user?.id,
+      })
+      return closed
+    },
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * Audit trail of collaborative connections and document changes
+ *
+ * Events are written to a pluggable sink:
+ * - Postgres sink: audit_events table next to the CRM schema (see docker/init.sql)
+ * - File sink: JSON lines, handy for tests and local debugging
+ */
+
+import fs from 'fs'
+import readline from 'readline'
+
+export const AuditEventType = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  CHANGE: 'change',
+}
+
+const DEFAULT_QUERY_LIMIT = 100
+const MAX_QUERY_LIMIT = 1000
+
+const clampLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT)
+
+/**
+ * Postgres sink writing to the audit_events table
+ */
+export const createPostgresAuditSink = ({ pool }) => ({
+  name: 'postgres',
+
+  async write(event) {
+    await pool.query(
+      `INSERT INTO audit_events
+        (event_type, document_name, tenant, entity_type, entity_id, user_id, user_name, origin, socket_id, changed_keys, update_size, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        event.eventType,
+        event.documentName,
+        event.tenant,
+        event.entityType,
+        event.entityId,
+        event.userId,
+        event.userName,
+        event.origin,
+        event.socketId,
+        event.changedKeys,
+        event.updateSize,
+        event.createdAt,
+      ],
+    )
+  },
+
+  async query({ tenant, entityType, entityId, userId, eventType, from, to, limit }) {
+    const conditions = []
+    const values = []
+    const addCondition = (sql, value) => {
+      values.push(value)
+      conditions.push(sql.replace('?', `$${values.length}`))
+    }
+
+    if (tenant) addCondition('tenant = ?', tenant)
+    if (entityType) addCondition('entity_type = ?', entityType)
+    if (entityId) addCondition('entity_id = ?', entityId)
+    if (userId) addCondition('user_id = ?', userId)
+    if (eventType) addCondition('event_type = ?', eventType)
+    if (from) addCondition('created_at >= ?', from)
+    if (to) addCondition('created_at <= ?', to)
+
+    values.push(clampLimit(limit))
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const { rows } = await pool.query(
+      `SELECT id, event_type, document_name, tenant, entity_type, entity_id, user_id, user_name, origin, socket_id, changed_keys, update_size, created_at
+       FROM audit_events ${where}
+       ORDER BY created_at DESC
+       LIMIT $${values.length}`,
+      values,
+    )
+
+    return rows.map((row) => ({
+      id: String(row.id),
+      eventType: row.event_type,
+      documentName: row.document_name,
+      tenant: row.tenant,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      userId: row.user_id,
+      userName: row.user_name,
+      origin: row.origin,
+      socketId: row.socket_id,
+      changedKeys: row.changed_keys,
+      updateSize: row.update_size,
+      createdAt: row.created_at.toISOString(),
+    }))
+  },
+})
+
+/**
+ * File sink appending one JSON event per line
+ * Lines that do not parse (cut by a crash, or still being appended) are skipped with a warning
+ */
+export const createFileAuditSink = ({ path, logger }) => ({
+  name: 'file',
+
+  async write(event) {
+    await fs.promises.appendFile(path, `${JSON.stringify(event)}\n`)
+  },
+
+  async query({ tenant, entityType, entityId, userId, eventType, from, to, limit }) {
+    if (!fs.existsSync(path)) {
+      return []
+    }
+
+    const fromTime = from ? new Date(from).getTime() : null
+    const toTime = to ? new Date(to).getTime() : null
+    const matches = []
+    let lineNumber = 0
+
+    const lines = readline.createInterface({ input: fs.createReadStream(path), crlfDelay: Infinity })
+    for await (const line of lines) {
+      lineNumber++
+      if (!line.trim()) continue
+
+      let event
+      try {
+        event = JSON.parse(line)
+      } catch (error) {
+        logger?.warn('Skipping malformed audit line', { path, line: lineNumber, error: error.message })
+        continue
+      }
+      const createdAt = new Date(event.createdAt).getTime()
+
+      if (tenant && event.tenant !== tenant) continue
+      if (entityType && event.entityType !== entityType) continue
+      if (entityId && event.entityId !== entityId) continue
+      if (userId && event.userId !== userId) continue
+      if (eventType && event.eventType !== eventType) continue
+      if (fromTime !== null && createdAt < fromTime) continue
+      if (toTime !== null && createdAt > toTime) continue
+
+      matches.push(event)
+    }
+
+    return matches.reverse().slice(0, clampLimit(limit))
+  },
+})
+
+/**
+ * Create the audit log on top of a sink
+ * Sink failures are logged and never interrupt collaboration
+ */
+export const createAuditLog = ({ sink, logger }) => {
+  const record = async (event) => {
+    if (!sink) return
+
+    try {
+      await sink.write({
+        ...event,
+        createdAt: new Date().toISOString(),
+      })
+    } catch (error) {
+      logger.error('Failed to write audit event', error, {
+        eventType: event.eventType,
+        documentName: event.documentName,
+        sink: sink.name,
+      })
+    }
+  }
+
+  return {
+    enabled: !!sink,
+
+    logConnectionEvent(user, { documentName, tenant, entityType, entityId, origin, socketId }, eventType) {
+      return record({
+        eventType,
+        documentName,
+        tenant,
+        entityType,
+        entityId,
+        userId: user?.id || null,
+        userName: user?.name || null,
+        origin: origin || null,
+        socketId: socketId || null,
+        changedKeys: null,
+        updateSize: null,
+      })
+    },
+
+    logChangeEvent(user, { documentName, tenant, entityType, entityId, socketId }, { changedKeys, updateSize }) {
+      return record({
+        eventType: AuditEventType.CHANGE,
+        documentName,
+        tenant,
+        entityType,
+        entityId,
+        userId: user?.id || null,
+        userName: user?.name || null,
+        origin: null,
+        socketId: socketId || null,
+        changedKeys,
+        updateSize,
+      })
+    },
+
+    query(filters = {}) {
+      if (!sink) {
+        return []
+      }
+      return sink.query(filters)
+    },
+  }
+}
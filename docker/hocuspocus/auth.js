@@ -0,0 +1,112 @@
+/**
+ * Token authentication for the Hocuspocus server
+ * Verifies signed JWTs and maps their claims onto the connection context
+ *
+ * Supported keys:
+ * - Shared HMAC secret (HS256/HS384/HS512)
+ * - Public key in PEM format (RS*, PS*, ES*)
+ */
+
+import fs from 'fs'
+import jwt from 'jsonwebtoken'
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512']
+const PUBLIC_KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']
+
+// Permissions a token only gets through an explicit `permissions` claim
+export const CLAIM_ONLY_PERMISSIONS = ['write', 'admin', 'audit']
+
+// Authentication error carrying the reason sent back to the client
+export class AuthenticationError extends Error {
+  constructor(message, reason = 'permission-denied') {
+    super(message)
+    this.name = 'AuthenticationError'
+    this.reason = reason
+  }
+}
+
+// Resolve the verification key from inline PEM, a PEM file or the shared secret
+const resolveVerificationKey = ({ secret, publicKey, publicKeyFile }) => {
+  if (publicKeyFile) {
+    return { key: fs.readFileSync(publicKeyFile, 'utf8'), algorithms: PUBLIC_KEY_ALGORITHMS }
+  }
+
+  if (publicKey) {
+    // Allow PEM keys passed through env vars with escaped newlines
+    return { key: publicKey.replace(/\\n/g, '\n'), algorithms: PUBLIC_KEY_ALGORITHMS }
+  }
+
+  if (secret) {
+    return { key: secret, algorithms: HMAC_ALGORITHMS }
+  }
+
+  return null
+}
+
+// Map verified claims to the user object stored in the connection context
+const userFromClaims = (claims, defaultPermissions) => {
+  const id = claims.sub || claims.id || claims.user_id
+
+  if (!id) {
+    throw new AuthenticationError('Token is missing a subject claim', 'invalid-token')
+  }
+
+  return {
+    id: String(id),
+    name: claims.name || claims.display_name || claims.email || String(id),
+    email: claims.email || null,
+    permissions: Array.isArray(claims.permissions) ? claims.permissions : defaultPermissions,
+    team: claims.team || null,
+    tenant: claims.tenant || null,
+    roles: claims.roles || null,
+  }
+}
+
+/**
+ * Create a token verifier from the auth configuration
+ * Returns null when no key is configured
+ */
+export const createTokenVerifier = (options = {}) => {
+  const verificationKey = resolveVerificationKey(options)
+
+  if (!verificationKey) {
+    return null
+  }
+
+  // Tokens without a claim never get more than read access
+  const defaultPermissions = (options.defaultPermissions || ['read'])
+    .map(permission => permission.trim())
+    .filter(permission => permission && !CLAIM_ONLY_PERMISSIONS.includes(permission))
+
+  const verifyOptions = {
+    algorithms: options.algorithms?.length ? options.algorithms : verificationKey.algorithms,
+    issuer: options.issuer || undefined,
+    audience: options.audience || undefined,
+    clockTolerance: options.clockTolerance || 0,
+  }
+
+  return {
+    algorithms: verifyOptions.algorithms,
+
+    verify(token) {
+      if (!token) {
+        throw new AuthenticationError('Authentication token is required', 'token-required')
+      }
+
+      let claims
+      try {
+        claims = jwt.verify(token, verificationKey.key, verifyOptions)
+      } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+          throw new AuthenticationError(`Token expired at ${error.expiredAt.toISOString()}`, 'token-expired')
+        }
+        throw new AuthenticationError(`Invalid token: ${error.message}`, 'invalid-token')
+      }
+
+      return {
+        user: userFromClaims(claims, defaultPermissions),
+        expiresAt: claims.exp ? claims.exp * 1000 : null,
+      }
+    },
+  }
+}
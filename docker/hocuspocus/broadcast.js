@@ -0,0 +1,117 @@
+/**
+ * Stateless messages broadcast to everyone viewing a document
+ *
+ * Transient events (a deal was closed, refresh because the schema changed, typing indicators)
+ * are sent as Hocuspocus stateless messages, they are never written into the document.
+ * With the Redis extension they reach the clients connected to any instance.
+ *
+ * Clients receive a JSON envelope:
+ * { id, type, data, sender: { id, name } | null, source: 'server' | 'http' | 'client', sentAt }
+ */
+
+import crypto from 'crypto'
+
+export const BroadcastSource = {
+  SERVER: 'server',
+  HTTP: 'http',
+  CLIENT: 'client',
+}
+
+const TYPE_PATTERN = /^[a-z][a-z0-9_.-]{0,63}$/i
+
+/**
+ * Check a message before it is broadcast, returns an error message or null
+ */
+export const validateBroadcast = ({ type, data }, maxSize) => {
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    return 'type must be 1-64 letters, digits, dots, dashes or underscores, starting with a letter'
+  }
+
+  if (data !== undefined && Buffer.byteLength(JSON.stringify(data)) > maxSize) {
+    return `data must be at most ${maxSize} bytes once serialized`
+  }
+
+  return null
+}
+
+/**
+ * Create the broadcaster
+ * getInstance returns the Hocuspocus instance, documents not loaded here are
+ * only published to the other instances (beforeBroadcastStateless hook of the Redis extension)
+ */
+export const createBroadcaster = ({ getInstance, logger }) => ({
+  async broadcast(documentName, { type, data = null, sender = null, source = BroadcastSource.SERVER }, { except } = {}) {
+    const envelope = {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      sender: sender ? { id: sender.id, name: sender.name || null } : null,
+      source,
+      sentAt: new Date().toISOString(),
+    }
+    const payload = JSON.stringify(envelope)
+
+    const instance = getInstance()
+    const document = instance.documents.get(documentName)
+
+    if (document) {
+      document.broadcastStateless(payload, except ? (connection) => connection !== except : undefined)
+    } else {
+      await instance.hooks('beforeBroadcastStateless', { document: null, documentName, payload })
+    }
+
+    logger.debug('Stateless message broadcast', {
+      documentName,
+      messageId: envelope.id,
+      type,
+      source,
+      senderId: sender?.id,
+      localConnections: document ? document.getConnections().length : 0,
+    })
+    return envelope
+  },
+})
+
+/**
+ * Hocuspocus extension relaying stateless messages sent by clients
+ * Only the allowed types are relayed, stamped with the connection's user, and never back to the sender.
+ * Read-only connections cannot send messages.
+ */
+export class StatelessMessages {
+  constructor({ broadcaster, clientTypes, maxSize, logger }) {
+    this.broadcaster = broadcaster
+    this.clientTypes = clientTypes
+    this.maxSize = maxSize
+    this.logger = logger
+  }
+
+  async onStateless({ connection, documentName, payload }) {
+    const { user, correlationId } = connection.context || {}
+    let message
+
+    try {
+      message = JSON.parse(payload)
+    } catch (error) {
+      this.logger.warn('Stateless message dropped', { correlationId, documentName, userId: user?.id, reason: 'invalid-json' })
+      return
+    }
+
+    const reason = connection.readOnly
+      ? 'read-only'
+      : !this.clientTypes.includes(message?.type)
+        ? 'type-not-allowed'
+        : validateBroadcast(message, this.maxSize)
+
+    if (reason) {
+      this.logger.warn('Stateless message dropped', { correlationId, documentName, userId: user?.id, type: message?.type, reason })
+      return
+    }
+
+    await this.broadcaster.broadcast(documentName, {
+      type: message.type,
+      data: message.data,
+      sender: user,
+      source: BroadcastSource.CLIENT,
+    }, { except: connection })
+  }
+}
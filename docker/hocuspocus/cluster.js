@@ -0,0 +1,129 @@
+/**
+ * Multi-instance support for the Hocuspocus server
+ *
+ * Document updates and awareness travel between instances through the Redis
+ * extension (pub/sub per document). This module adds what it does not cover:
+ * - a registry of live instances, refreshed by a heartbeat
+ * - throttle bans shared by every instance
+ */
+
+import { Throttle } from '@hocuspocus/extension-throttle'
+
+/**
+ * Registry of live instances in the Redis hash <prefix>:instances
+ * getStats returns the numbers published with each heartbeat
+ */
+export const createInstanceRegistry = ({ redis, prefix, instanceId, heartbeatInterval = 10000, getStats, logger }) => {
+  const key = `${prefix}:instances`
+  const startedAt = new Date().toISOString()
+  let timer = null
+
+  const heartbeat = async () => {
+    try {
+      await redis.hset(key, instanceId, JSON.stringify({
+        id: instanceId,
+        startedAt,
+        lastSeen: new Date().toISOString(),
+        ...getStats(),
+      }))
+    } catch (error) {
+      logger.error('Instance heartbeat failed', error, { instanceId })
+    }
+  }
+
+  return {
+    instanceId,
+
+    start() {
+      heartbeat()
+      timer = setInterval(heartbeat, heartbeatInterval)
+      timer.unref()
+    },
+
+    // Instances without a heartbeat for three intervals are dropped from the registry
+    async list() {
+      const entries = await redis.hgetall(key)
+      const staleBefore = Date.now() - heartbeatInterval * 3
+      const instances = []
+      const stale = []
+
+      Object.entries(entries).forEach(([id, value]) => {
+        const instance = JSON.parse(value)
+        if (new Date(instance.lastSeen).getTime() < staleBefore) {
+          stale.push(id)
+        } else {
+          instances.push({ ...instance, self: id === instanceId })
+        }
+      })
+
+      if (stale.length > 0) {
+        await redis.hdel(key, ...stale)
+      }
+
+      return instances.sort((a, b) => a.id.localeCompare(b.id))
+    },
+
+    async stop() {
+      clearInterval(timer)
+      try {
+        await redis.hdel(key, instanceId)
+      } catch (error) {
+        logger.error('Failed to unregister instance', error, { instanceId })
+      }
+    },
+  }
+}
+
+/**
+ * Throttle extension sharing its bans through Redis keys <prefix>:throttle:ban:<ip>
+ * Connection counting stays per instance, a ban started by one instance applies to all of them.
+ * While Redis is unavailable only local bans apply.
+ */
+export class SharedThrottle extends Throttle {
+  constructor({ redis, prefix, onBan = () => {}, logger, ...configuration }) {
+    super(configuration)
+    this.redis = redis
+    this.prefix = prefix
+    this.onBan = onBan
+    this.logger = logger
+  }
+
+  banKey(ip) {
+    return `${this.prefix}:throttle:ban:${ip}`
+  }
+
+  throttle(ip) {
+    const wasBanned = this.isBanned(ip)
+    const banned = super.throttle(ip)
+
+    if (banned && !wasBanned) {
+      this.onBan(ip)
+
+      if (this.redis?.status === 'ready') {
+        this.redis.set(this.banKey(ip), new Date().toISOString(), 'PX', this.configuration.banTime * 60 * 1000)
+          .catch((error) => this.logger.error('Failed to share throttle ban', error, { ip }))
+      }
+    }
+
+    return banned
+  }
+
+  async onConnect(data) {
+    const { request } = data
+    const ip = request.headers['x-real-ip']
+      || request.headers['x-forwarded-for']
+      || request.socket.remoteAddress
+      || ''
+
+    let sharedBan = false
+    if (this.configuration.throttle && this.redis?.status === 'ready') {
+      try {
+        sharedBan = (await this.redis.exists(this.banKey(ip))) > 0
+      } catch (error) {
+        this.logger.error('Failed to read shared throttle bans', error, { ip })
+      }
+    }
+
+    return sharedBan ? Promise.reject() : super.onConnect(data)
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Compaction and garbage collection of stored documents
+ *
+ * Stored document state only grows: states written without garbage collection (other writers,
+ * imports, older servers) keep deleted content, and the documents of deleted CRM rows are never
+ * removed. The job runs in the background
+ * (one instance at a time, through a Redis lock) or on demand through the admin route:
+ * - compact: reload each stored state into a fresh Y.Doc with garbage collection and
+ *   write it back as a single update when it got smaller
+ * - expire: remove the state and snapshots of documents whose CRM row was deleted
+ *
+ * The Redis extension only relays updates between instances, document state lives in
+ * yjs_documents (see persistence.js) and snapshots in their configured store.
+ */
+
+import * as Y from 'yjs'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// A run crashing with the lock held blocks the others for this long at most
+const LOCK_TTL = 60 * 60 * 1000
+
+// Merge a stored state into one update, garbage collecting deleted content
+export const compactState = (state) => {
+  const doc = new Y.Doc({ gc: true })
+  Y.applyUpdate(doc, state)
+  const compacted = Y.encodeStateAsUpdate(doc)
+  doc.destroy()
+  return compacted
+}
+
+/**
+ * Create the compaction job
+ * isLoaded tells whether a document is loaded on this instance, its next store rewrites it anyway
+ * tables maps an entity type to the CRM table checked for deleted rows, for the documents of tenant
+ * snapshotStore (optional) is pruned of the snapshots of expired documents
+ */
+export const createCompactionJob = ({
+  pool,
+  redis,
+  prefix,
+  instanceId,
+  tables = {},
+  tenant = 'crm',
+  snapshotStore = null,
+  isLoaded,
+  batchSize = 100,
+  expireAfter = 24 * 60 * 60 * 1000,
+  onReclaimed = () => {},
+  logger,
+}) => {
+  const lockKey = `${prefix}:compaction:lock`
+  let running = null
+  let lastReport = null
+
+  const compactDocuments = async (report) => {
+    let after = ''
+
+    for (;;) {
+      const { rows } = await pool.query(
+        `SELECT document_name, state, updated_at::text AS version FROM yjs_documents
+         WHERE document_name > $1 ORDER BY document_name LIMIT $2`,
+        [after, batchSize],
+      )
+      if (rows.length === 0) {
+        return
+      }
+
+      for (const row of rows) {
+        report.scanned++
+        if (isLoaded(row.document_name)) {
+          report.skipped++
+          continue
+        }
+
+        try {
+          const compacted = compactState(new Uint8Array(row.state))
+          if (compacted.byteLength >= row.state.length) {
+            continue
+          }
+
+          // Only replaces the state read above, a store in between wins. The timestamp is compared
+          // as text: a JS Date drops the microseconds Postgres keeps and would never match
+          const { rowCount } = await pool.query(
+            'UPDATE yjs_documents SET state = $2 WHERE document_name = $1 AND updated_at::text = $3',
+            [row.document_name, Buffer.from(compacted), row.version],
+          )
+          if (rowCount > 0) {
+            const reclaimed = row.state.length - compacted.byteLength
+            report.compacted++
+            report.bytesReclaimed.compacted += reclaimed
+            onReclaimed('compacted', reclaimed)
+          }
+        } catch (error) {
+          report.failed++
+          logger.error('Failed to compact document', error, { documentName: row.document_name })
+        }
+      }
+
+      after = rows[rows.length - 1].document_name
+    }
+  }
+
+  const expireDocuments = async (report) => {
+    for (const [entityType, table] of Object.entries(tables)) {
+      // Table names come from the entity types configuration, never from input
+      const { rows } = await pool.query(
+        `SELECT d.document_name, d.entity_id, octet_length(d.state) AS size FROM yjs_documents d
+         WHERE d.entity_type = $1 AND d.updated_at < $2 AND d.tenant = $3
+           AND NOT EXISTS (SELECT 1 FROM ${table} t WHERE t.id::text = d.entity_id)`,
+        [entityType, new Date(Date.now() - expireAfter), tenant],
+      )
+
+      for (const row of rows) {
+        // Documents not named after a row ID were never tied to one
+        if (!UUID_PATTERN.test(row.entity_id) || isLoaded(row.document_name)) {
+          continue
+        }
+
+        try {
+          let snapshotBytes = 0
+          if (snapshotStore) {
+            const snapshots = await snapshotStore.list(row.document_name, Number.MAX_SAFE_INTEGER)
+            snapshotBytes = snapshots.reduce((total, snapshot) => total + (snapshot.size || 0), 0)
+            await snapshotStore.prune(row.document_name, 0)
+          }
+
+          await pool.query('DELETE FROM yjs_documents WHERE document_name = $1', [row.document_name])
+
+          const reclaimed = Number(row.size) + snapshotBytes
+          report.expired++
+          report.bytesReclaimed.expired += reclaimed
+          onReclaimed('expired', reclaimed)
+        } catch (error) {
+          report.failed++
+          logger.error('Failed to expire document', error, { documentName: row.document_name })
+        }
+      }
+    }
+  }
+
+  const run = async (trigger) => {
+    if ((await redis.set(lockKey, instanceId, 'PX', LOCK_TTL, 'NX')) !== 'OK') {
+      return { status: 'skipped', reason: 'running-elsewhere', holder: await redis.get(lockKey) }
+    }
+
+    const report = {
+      status: 'completed',
+      trigger,
+      instanceId,
+      startedAt: new Date().toISOString(),
+      scanned: 0,
+      skipped: 0,
+      compacted: 0,
+      expired: 0,
+      failed: 0,
+      bytesReclaimed: { compacted: 0, expired: 0 },
+    }
+
+    try {
+      // Expires first: the updated_at trigger bumps the documents compacted, which would put
+      // off the expiry of those whose row was deleted
+      await expireDocuments(report)
+      await compactDocuments(report)
+    } catch (error) {
+      report.status = 'failed'
+      report.error = error.message
+      logger.error('Compaction failed', error, { trigger })
+    } finally {
+      report.finishedAt = new Date().toISOString()
+      // Releases the lock only if it is still ours
+      if ((await redis.get(lockKey)) === instanceId) {
+        await redis.del(lockKey)
+      }
+    }
+
+    logger.info('Compaction finished', report)
+    lastReport = report
+    return report
+  }
+
+  return {
+    enabled: !!pool,
+
+    lastReport() {
+      return lastReport
+    },
+
+    isRunning() {
+      return running !== null
+    },
+
+    // Concurrent calls share the run in progress
+    run(trigger = 'manual') {
+      if (!running) {
+        running = run(trigger).finally(() => {
+          running = null
+        })
+      }
+      return running
+    },
+  }
+}
+
+/**
+ * Call run every interval, the first run waits one interval after start
+ */
+export const scheduleCompaction = (run, interval, logger) => {
+  const timer = setInterval(() => {
+    run('scheduled').catch((error) => logger.error('Scheduled compaction failed', error))
+  }, interval)
+  timer.unref()
+  return () => clearInterval(timer)
+}
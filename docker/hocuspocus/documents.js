@@ -0,0 +1,244 @@
+/**
+ * Y.js document helpers shared by the server extensions
+ */
+
+import crypto from 'crypto'
+import * as Y from 'yjs'
+
+// Walk up nested types to the top-level key they live under
+const rootKeyOfType = (type) => {
+  let current = type
+  while (current?._item) {
+    current = current._item.parent
+  }
+
+  for (const [key, value] of current?.doc?.share || []) {
+    if (value === current) {
+      return key
+    }
+  }
+  return null
+}
+
+// Top-level key of an item already integrated in the document
+const rootKeyOfId = (document, id) => {
+  try {
+    const item = Y.getItem(document.store, id)
+    return item?.parent ? rootKeyOfType(item.parent) : null
+  } catch (error) {
+    // Item was garbage collected or is not part of this document
+    return null
+  }
+}
+
+/**
+ * List the top-level shared keys (e.g. deal, notes, activity) an update touched
+ * The update must already be applied to the document
+ */
+export const getTouchedKeys = (document, update) => {
+  const { structs, ds } = Y.decodeUpdate(update)
+  const keys = new Set()
+
+  structs.forEach((struct) => {
+    if (typeof struct.parent === 'string') {
+      keys.add(struct.parent)
+    } else if (struct.parent || struct.origin || struct.rightOrigin) {
+      keys.add(rootKeyOfId(document, struct.id))
+    }
+  })
+
+  ds.clients.forEach((deleteItems, client) => {
+    deleteItems.forEach(({ clock }) => {
+      keys.add(rootKeyOfId(document, Y.createID(client, clock)))
+    })
+  })
+
+  keys.delete(null)
+  return [...keys]
+}
+
+/**
+ * Top-level keys an update will touch, resolved before it is applied
+ * Deletions are left out, the set contains null when an item's parent cannot be resolved yet
+ */
+export const getPendingUpdateKeys = (document, update) => {
+  const { structs } = Y.decodeUpdate(update)
+  const keys = new Set()
+
+  structs.forEach((struct) => {
+    if (!(struct instanceof Y.Item)) {
+      return
+    }
+
+    if (typeof struct.parent === 'string') {
+      keys.add(struct.parent)
+      return
+    }
+
+    // parent is the ID of the item holding a nested type, or the parent comes from a neighbour
+    const reference = struct.parent || struct.origin || struct.rightOrigin
+    keys.add(reference ? rootKeyOfId(document, reference) : null)
+  })
+
+  return keys
+}
+
+/**
+ * JSON view of a document: the Y.Map named after the entity type,
+ * the Y.Text `notes` and the Y.Array `activity`
+ */
+export const serializeDocument = (document, entityType) => ({
+  [entityType]: document.getMap(entityType).toJSON(),
+  notes: document.getText('notes').toString(),
+  activity: document.getArray('activity').toJSON(),
+})
+
+/**
+ * Check a REST patch before it is applied
+ * Returns a list of error messages, empty when the patch is valid
+ */
+export const validateDocumentPatch = (patch, entityType) => {
+  const errors = []
+
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return ['Patch body must be a JSON object']
+  }
+
+  Object.keys(patch).forEach((key) => {
+    if (![entityType, 'notes', 'activity'].includes(key)) {
+      errors.push(`Unknown patch key: ${key}`)
+    }
+  })
+
+  const fields = patch[entityType]
+  if (fields !== undefined && (!fields || typeof fields !== 'object' || Array.isArray(fields))) {
+    errors.push(`${entityType} must be an object of field values`)
+  }
+
+  if (patch.notes !== undefined && typeof patch.notes !== 'string') {
+    errors.push('notes must be a string')
+  }
+
+  if (patch.activity !== undefined) {
+    if (!Array.isArray(patch.activity)) {
+      errors.push('activity must be an array of entries to append')
+    } else if (patch.activity.some((entry) => !entry || typeof entry !== 'object' || typeof entry.type !== 'string')) {
+      errors.push('activity entries must be objects with a string type')
+    }
+  }
+
+  return errors
+}
+
+// Replace the content of a Y.Text, only touching the range that differs
+// so concurrent cursors outside of it keep their position
+const replaceText = (text, value) => {
+  const current = text.toString()
+  if (current === value) return
+
+  let start = 0
+  while (start < current.length && start < value.length && current[start] === value[start]) {
+    start++
+  }
+
+  let end = 0
+  while (
+    end < current.length - start &&
+    end < value.length - start &&
+    current[current.length - 1 - end] === value[value.length - 1 - end]
+  ) {
+    end++
+  }
+
+  text.delete(start, current.length - start - end)
+  text.insert(start, value.slice(start, value.length - end))
+}
+
+/**
+ * Apply a validated REST patch inside a single Y.js transaction
+ * - entity fields are set on the Y.Map (null is stored as null)
+ * - notes replaces the Y.Text content
+ * - activity entries are appended, stamped with the user and time, and get an id when they have none
+ */
+export const applyDocumentPatch = (document, entityType, patch, user) => {
+  document.transact(() => {
+    const fields = patch[entityType]
+    if (fields) {
+      const map = document.getMap(entityType)
+      Object.entries(fields).forEach(([field, value]) => {
+        map.set(field, value)
+      })
+    }
+
+    if (patch.notes !== undefined) {
+      replaceText(document.getText('notes'), patch.notes)
+    }
+
+    if (patch.activity?.length) {
+      document.getArray('activity').push(patch.activity.map((entry) => ({
+        ...entry,
+        id: typeof entry.id === 'string' ? entry.id : crypto.randomUUID(),
+        userId: user.id,
+        timestamp: Date.now(),
+      })))
+    }
+  })
+}
+
+/**
+ * Difference between two serialized views of the same document
+ * activity is an append log, so only the entries added or removed are listed
+ */
+export const diffDocuments = (before, after, entityType) => {
+  const fields = {}
+  const beforeFields = before[entityType] || {}
+  const afterFields = after[entityType] || {}
+
+  new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]).forEach((field) => {
+    if (JSON.stringify(beforeFields[field]) !== JSON.stringify(afterFields[field])) {
+      fields[field] = { from: beforeFields[field] ?? null, to: afterFields[field] ?? null }
+    }
+  })
+
+  const beforeEntries = before.activity.map((entry) => JSON.stringify(entry))
+  const afterEntries = after.activity.map((entry) => JSON.stringify(entry))
+
+  return {
+    [entityType]: fields,
+    notes: before.notes === after.notes ? null : { from: before.notes, to: after.notes },
+    activity: {
+      added: after.activity.filter((entry, index) => !beforeEntries.includes(afterEntries[index])),
+      removed: before.activity.filter((entry, index) => !afterEntries.includes(beforeEntries[index])),
+    },
+  }
+}
+
+/**
+ * Bring a live document back to a serialized view as new changes,
+ * so connected clients receive the restore like any other edit
+ */
+export const restoreDocument = (document, entityType, view) => {
+  document.transact(() => {
+    const map = document.getMap(entityType)
+    const fields = view[entityType] || {}
+
+    Array.from(map.keys()).forEach((field) => {
+      if (!(field in fields)) {
+        map.delete(field)
+      }
+    })
+    Object.entries(fields).forEach(([field, value]) => {
+      if (JSON.stringify(map.get(field)) !== JSON.stringify(value)) {
+        map.set(field, value)
+      }
+    })
+
+    replaceText(document.getText('notes'), view.notes)
+
+    const activity = document.getArray('activity')
+    if (JSON.stringify(activity.toJSON()) !== JSON.stringify(view.activity)) {
+      activity.delete(0, activity.length)
+      activity.push(view.activity)
+    }
+  })
+}
@@ -0,0 +1,98 @@
+/**
+ * Drain mode for rolling deployments
+ *
+ * Once draining:
+ * - /health reports `draining` and new WebSocket connections are refused
+ * - after a grace delay (load balancers stop routing to the instance), pending debounced stores are flushed
+ * - clients are closed with a reconnect hint and reconnect to another instance
+ * - documents are stored and unloaded as their last connection closes
+ */
+
+// Close event telling clients to reconnect elsewhere right away
+export const DrainCloseEvent = { code: 4503, reason: 'server-draining' }
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Create the drain controller
+ * getInstance returns the Hocuspocus instance, delay and timeout are in ms
+ */
+export const createDrainController = ({ getInstance, delay = 5000, timeout = 30000, logger }) => {
+  let startedAt = null
+
+  // Run the debounced onStoreDocument of every document now instead of waiting for the debounce
+  const flushStores = async () => {
+    const instance = getInstance()
+    const stores = Array.from(instance.documents.keys())
+      .map((documentName) => `onStoreDocument-${documentName}`)
+      .filter((id) => instance.debouncer.isDebounced(id))
+      .map((id) => instance.debouncer.executeNow(id))
+
+    const results = await Promise.allSettled(stores)
+    const failed = results.filter(({ status }) => status === 'rejected')
+    failed.forEach(({ reason }) => logger.error('Failed to flush document store', reason))
+
+    return { flushed: stores.length, failed: failed.length }
+  }
+
+  // Resolves true once every document is unloaded, false when the deadline passes first
+  const waitForUnload = async (deadline) => {
+    while (getInstance().getDocumentsCount() > 0) {
+      if (Date.now() >= deadline) {
+        return false
+      }
+      await sleep(100)
+    }
+    return true
+  }
+
+  return {
+    isDraining() {
+      return startedAt !== null
+    },
+
+    status() {
+      return { draining: startedAt !== null, drainingSince: startedAt ? new Date(startedAt).toISOString() : null }
+    },
+
+    async drain() {
+      if (startedAt !== null) {
+        return
+      }
+
+      startedAt = Date.now()
+      const deadline = startedAt + timeout
+      const instance = getInstance()
+
+      logger.info('Draining server', {
+        delay,
+        timeout,
+        connections: instance.getConnectionsCount(),
+        documents: instance.getDocumentsCount(),
+      })
+
+      await sleep(Math.min(delay, timeout))
+
+      const { flushed, failed } = await flushStores()
+
+      let closedConnections = 0
+      instance.documents.forEach((document) => {
+        document.getConnections().forEach((connection) => {
+          connection.close(DrainCloseEvent)
+          closedConnections++
+        })
+      })
+
+      const unloaded = await waitForUnload(deadline)
+
+      logger.info('Server drained', {
+        flushedStores: flushed,
+        failedStores: failed,
+        closedConnections,
+        remainingDocuments: instance.getDocumentsCount(),
+        unloaded,
+        duration: Date.now() - startedAt,
+      })
+    },
+  }
+}
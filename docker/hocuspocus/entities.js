@@ -0,0 +1,285 @@
+/**
+ * Entity types of the collaborative documents (the entity_type of tenant:entity_type:entity_id)
+ *
+ * The defaults below are extended by a JSON object keyed by entity type, read from
+ * ENTITY_TYPES_FILE then ENTITY_TYPES. A declared type replaces the keys it sets on a
+ * default type, `null` removes a default type:
+ *
+ * {
+ *   "ticket": {
+ *     "description": "Support tickets",
+ *     "idPattern": "^[0-9a-f-]{36}$",
+ *     "table": "tickets",
+ *     "schema": { "fields": { "title": { "type": "string", "maxLength": 255, "nullable": false } } },
+ *     "persistence": { "columns": { "title": "title", "due": { "column": "due_date", "type": "date" } } },
+ *     "permissions": { "ownership": { "ownerColumn": "assignee_id" }, "maxAccess": "write" }
+ *   },
+ *   "email": null
+ * }
+ *
+ * - idPattern: regular expression the entity IDs must match
+ * - table: CRM table of the rows (UUID ids), used by persistence, ownership rules and compaction.
+ *   The CRM tables are not per tenant: documents of these types only exist in the CRM tenant
+ * - schema: schema of the entity Y.Map (see schemas.js) or the name of a built-in one
+ * - persistence: Y.Map key -> column of the table, or the name of a built-in mapping
+ * - permissions: ownership rule on the table, nonMemberAccess and maxAccess levels
+ */
+
+import fs from 'fs'
+import { AccessLevel } from './permissions.js'
+import { COLUMN_TYPES, DEAL_FIELD_COLUMNS } from './persistence.js'
+import { DEAL_SCHEMA, FIELD_TYPES } from './schemas.js'
+
+const NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/
+const SQL_IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/
+
+// IDs accepted by the document name format
+const DEFAULT_ID_PATTERN = '^[a-zA-Z0-9_-]+$'
+
+// Built-in schemas follow SCHEMA_ALLOW_UNKNOWN_KEYS like the schemas that do not set additionalKeys
+const BUILTIN_SCHEMAS = {
+  deal: { fields: DEAL_SCHEMA.fields },
+}
+
+const BUILTIN_PERSISTENCE = {
+  deal: { columns: DEAL_FIELD_COLUMNS, notesColumn: 'description', updatedByColumn: 'updated_by', activityColumn: 'deal_id' },
+}
+
+export const DEFAULT_ENTITY_TYPES = {
+  deal: {
+    description: 'CRM deals/opportunities',
+    table: 'deals',
+    schema: 'deal',
+    persistence: 'deal',
+    permissions: { ownership: { ownerColumn: 'owner_id', teamColumn: 'team' } },
+  },
+  contact: { description: 'Contact records', table: 'contacts' },
+  company: { description: 'Company records', table: 'companies' },
+  note: { description: 'Notes and comments' },
+  task: { description: 'Tasks and to-dos' },
+  email: { description: 'Email records' },
+}
+
+const invalid = (name, message) => new Error(`Invalid entity type ${name}: ${message}`)
+
+const checkIdentifier = (name, key, value) => {
+  if (typeof value !== 'string' || !SQL_IDENTIFIER_PATTERN.test(value)) {
+    throw invalid(name, `${key} must be a lowercase SQL identifier`)
+  }
+  return value
+}
+
+const compilePattern = (name, key, source) => {
+  try {
+    return new RegExp(source)
+  } catch (error) {
+    throw invalid(name, `${key} is not a valid regular expression (${error.message})`)
+  }
+}
+
+const normalizeSchema = (name, schema, allowUnknownKeys) => {
+  if (!schema) {
+    return null
+  }
+  if (typeof schema === 'string') {
+    if (!BUILTIN_SCHEMAS[schema]) {
+      throw invalid(name, `unknown built-in schema ${schema}`)
+    }
+    return { additionalKeys: allowUnknownKeys, ...BUILTIN_SCHEMAS[schema] }
+  }
+  if (typeof schema.fields !== 'object' || schema.fields === null) {
+    throw invalid(name, 'schema.fields must be an object of field rules')
+  }
+
+  const fields = Object.fromEntries(Object.entries(schema.fields).map(([field, rule]) => {
+    if (!FIELD_TYPES.includes(rule?.type)) {
+      throw invalid(name, `schema field ${field} must have a type among ${FIELD_TYPES.join(', ')}`)
+    }
+    if (rule.items && !FIELD_TYPES.includes(rule.items)) {
+      throw invalid(name, `schema field ${field} items must be among ${FIELD_TYPES.join(', ')}`)
+    }
+    return [field, rule.pattern ? { ...rule, pattern: compilePattern(name, `schema field ${field} pattern`, rule.pattern) } : rule]
+  }))
+
+  return { additionalKeys: schema.additionalKeys ?? allowUnknownKeys, fields }
+}
+
+const normalizePersistence = (name, persistence, table) => {
+  if (!persistence) {
+    return null
+  }
+  if (!table) {
+    throw invalid(name, 'persistence needs a table')
+  }
+
+  const mapping = typeof persistence === 'string' ? BUILTIN_PERSISTENCE[persistence] : persistence
+  if (!mapping) {
+    throw invalid(name, `unknown built-in persistence ${persistence}`)
+  }
+  if (typeof mapping.columns !== 'object' || mapping.columns === null) {
+    throw invalid(name, 'persistence.columns must map Y.Map keys to columns')
+  }
+
+  const columns = Object.fromEntries(Object.entries(mapping.columns).map(([field, column]) => {
+    const { column: columnName, type = 'text' } = typeof column === 'string' ? { column } : column
+    if (!COLUMN_TYPES[type]) {
+      throw invalid(name, `column type of ${field} must be among ${Object.keys(COLUMN_TYPES).join(', ')}`)
+    }
+    return [field, { column: checkIdentifier(name, `column of ${field}`, columnName), type }]
+  }))
+
+  return {
+    table,
+    columns,
+    notesColumn: mapping.notesColumn ? checkIdentifier(name, 'persistence.notesColumn', mapping.notesColumn) : null,
+    updatedByColumn: mapping.updatedByColumn
+      ? checkIdentifier(name, 'persistence.updatedByColumn', mapping.updatedByColumn)
+      : null,
+    activityColumn: mapping.activityColumn
+      ? checkIdentifier(name, 'persistence.activityColumn', mapping.activityColumn)
+      : null,
+  }
+}
+
+const normalizePermissions = (name, permissions = {}, table) => {
+  const levels = Object.values(AccessLevel)
+  for (const key of ['nonMemberAccess', 'maxAccess']) {
+    if (permissions[key] !== undefined && !levels.includes(permissions[key])) {
+      throw invalid(name, `permissions.${key} must be one of ${levels.join(', ')}`)
+    }
+  }
+
+  let ownership = null
+  if (permissions.ownership) {
+    if (!table) {
+      throw invalid(name, 'permissions.ownership needs a table')
+    }
+    const { ownerColumn = 'owner_id', teamColumn = 'team' } = permissions.ownership
+    ownership = {
+      table,
+      ownerColumn: checkIdentifier(name, 'permissions.ownership.ownerColumn', ownerColumn),
+      teamColumn: checkIdentifier(name, 'permissions.ownership.teamColumn', teamColumn),
+    }
+  }
+
+  return {
+    ownership,
+    nonMemberAccess: permissions.nonMemberAccess || null,
+    maxAccess: permissions.maxAccess || null,
+  }
+}
+
+const normalizeEntityType = (name, definition, allowUnknownKeys) => {
+  if (!NAME_PATTERN.test(name)) {
+    throw invalid(name, 'names are letters, digits and underscores, starting with a letter or underscore')
+  }
+  const table = definition.table ? checkIdentifier(name, 'table', definition.table) : null
+
+  return {
+    name,
+    description: definition.description || '',
+    idPattern: compilePattern(name, 'idPattern', definition.idPattern || DEFAULT_ID_PATTERN),
+    table,
+    schema: normalizeSchema(name, definition.schema, allowUnknownKeys),
+    persistence: normalizePersistence(name, definition.persistence, table),
+    permissions: normalizePermissions(name, definition.permissions, table),
+  }
+}
+
+/**
+ * Load the entity types, throws on an invalid declaration so a bad config fails at startup
+ * allowUnknownKeys is the additionalKeys of the schemas that do not set it
+ * Returns a Map of entity type -> { name, description, idPattern, table, schema, persistence, permissions }
+ */
+export const loadEntityTypes = ({ file, json, allowUnknownKeys = false } = {}) => {
+  const declarations = [DEFAULT_ENTITY_TYPES]
+  if (file) {
+    declarations.push(JSON.parse(fs.readFileSync(file, 'utf8')))
+  }
+  if (json) {
+    declarations.push(JSON.parse(json))
+  }
+
+  const definitions = new Map()
+  declarations.forEach((declaration) => {
+    Object.entries(declaration).forEach(([name, definition]) => {
+      if (definition === null) {
+        definitions.delete(name)
+      } else if (typeof definition !== 'object' || Array.isArray(definition)) {
+        // Checked before merging, spreading a string or an array would make it an object
+        throw invalid(name, 'the definition must be an object or null')
+      } else {
+        definitions.set(name, { ...definitions.get(name), ...definition })
+      }
+    })
+  })
+
+  if (definitions.size === 0) {
+    throw new Error('At least one entity type must be declared')
+  }
+
+  return new Map(Array.from(definitions, ([name, definition]) => [name, normalizeEntityType(name, definition, allowUnknownKeys)]))
+}
+
+// Expected format: tenant:entity_type:entity_id (e.g., crm:deal:123, acme:contact:456)
+const DOCUMENT_NAME_PATTERN = /^[a-zA-Z0-9_-]+:[a-zA-Z_][a-zA-Z0-9_]*:[a-zA-Z0-9_-]+$/
+
+/**
+ * Create the document name parser, returning { tenant, entityType, entityId, documentName } or throwing
+ * allowedTenants (empty accepts any) restricts the tenants of every type. The CRM tables have no tenant
+ * column: types with a table only accept crmTenant, so two tenants never read, write or authorize
+ * against the same row
+ */
+export const createDocumentNameParser = ({ entityTypes, allowedTenants = [], crmTenant = 'crm' }) => (documentName) => {
+  if (typeof documentName !== 'string' || !DOCUMENT_NAME_PATTERN.test(documentName)) {
+    throw new Error(`Invalid document name format: ${documentName}. Expected format: tenant:entity_type:entity_id`)
+  }
+
+  const [tenant, entityType, entityId] = documentName.split(':')
+
+  if (allowedTenants.length > 0 && !allowedTenants.includes(tenant)) {
+    throw new Error(`Invalid tenant: ${tenant}`)
+  }
+
+  const definition = entityTypes.get(entityType)
+  if (!definition) {
+    throw new Error(`Invalid entity type: ${entityType}. Allowed types: ${Array.from(entityTypes.keys()).join(', ')}`)
+  }
+
+  if (definition.table && tenant !== crmTenant) {
+    throw new Error(`Invalid tenant: ${tenant}. ${entityType} documents are rows of ${crmTenant}`)
+  }
+
+  if (!definition.idPattern.test(entityId)) {
+    throw new Error(`Invalid ${entityType} id: ${entityId}`)
+  }
+
+  return { tenant, entityType, entityId, documentName }
+}
+
+// entity type -> its value of key (schema, table, persistence), for the types that set one
+export const pickEntityTypes = (entityTypes, key) => Object.fromEntries(
+  Array.from(entityTypes.values()).filter((definition) => definition[key]).map((definition) => [definition.name, definition[key]]),
+)
+
+/**
+ * Public description of the entity types for /api/info, table and column names are not published
+ */
+export const describeEntityTypes = (entityTypes) => Object.fromEntries(
+  Array.from(entityTypes.values(), ({ name, description, idPattern, schema, persistence, permissions }) => [name, {
+    description,
+    idPattern: idPattern.source,
+    schema: schema && {
+      additionalKeys: schema.additionalKeys,
+      fields: Object.fromEntries(Object.entries(schema.fields).map(([field, rule]) => [
+        field,
+        rule.pattern ? { ...rule, pattern: rule.pattern.source } : rule,
+      ])),
+    },
+    persistedFields: persistence ? Object.keys(persistence.columns) : [],
+    permissions: {
+      ownership: permissions.ownership !== null,
+      maxAccess: permissions.maxAccess || AccessLevel.WRITE,
+    },
+  }]),
+)
@@ -0,0 +1,130 @@
+/**
+ * Liveness and readiness probes
+ *
+ * - liveness: the process answers HTTP, dependencies are not checked so an outage does not restart every instance
+ * - readiness: every dependency check passes and documents are persisted within the allowed lag
+ */
+
+const REDIS_ORIGIN = '__hocuspocus__redis__origin__'
+
+export const CheckStatus = {
+  UP: 'up',
+  DOWN: 'down',
+}
+
+/**
+ * Hocuspocus extension measuring how long changes wait to be stored
+ * Changes relayed from other instances are stored by the instance that received them
+ */
+export class PersistenceTracker {
+  constructor() {
+    // documentName -> { since, lastChangeAt, storeStartedAt } of changes not stored yet
+    this.pending = new Map()
+  }
+
+  async onChange({ documentName, transactionOrigin }) {
+    if (transactionOrigin === REDIS_ORIGIN) {
+      return
+    }
+
+    const now = Date.now()
+    const pending = this.pending.get(documentName)
+    if (pending) {
+      pending.lastChangeAt = now
+    } else {
+      this.pending.set(documentName, { since: now, lastChangeAt: now, storeStartedAt: null })
+    }
+  }
+
+  async onStoreDocument({ documentName }) {
+    const pending = this.pending.get(documentName)
+    if (pending) {
+      pending.storeStartedAt = Date.now()
+    }
+  }
+
+  // Only runs once every onStoreDocument hook succeeded
+  async afterStoreDocument({ documentName }) {
+    const pending = this.pending.get(documentName)
+    if (!pending || pending.storeStartedAt === null) {
+      return
+    }
+
+    if (pending.lastChangeAt <= pending.storeStartedAt) {
+      this.pending.delete(documentName)
+    } else {
+      // Changed while storing, the next store picks it up
+      pending.since = pending.storeStartedAt
+      pending.storeStartedAt = null
+    }
+  }
+
+  async afterUnloadDocument({ documentName }) {
+    this.pending.delete(documentName)
+  }
+
+  // Age in ms of the oldest change not stored yet, 0 when everything is stored
+  lag() {
+    const now = Date.now()
+    let oldest = now
+    this.pending.forEach(({ since }) => {
+      oldest = Math.min(oldest, since)
+    })
+    return now - oldest
+  }
+
+  pendingDocuments() {
+    return this.pending.size
+  }
+}
+
+// Reject when a check takes longer than the timeout
+const withTimeout = (promise, timeout) => {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout)
+    }),
+  ]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Create the readiness probe
+ * checks maps a dependency name to an async function that throws when it is down
+ * isDraining reports drain mode, a draining instance is not ready
+ */
+export const createReadinessProbe = ({ checks, persistence, maxPersistenceLag, timeout = 2000, isDraining = () => false }) => {
+  const runCheck = async (name, check) => {
+    const startedAt = Date.now()
+    try {
+      await withTimeout(check(), timeout)
+      return [name, { status: CheckStatus.UP, latency: Date.now() - startedAt }]
+    } catch (error) {
+      return [name, { status: CheckStatus.DOWN, latency: Date.now() - startedAt, error: error.message }]
+    }
+  }
+
+  return async () => {
+    const results = Object.fromEntries(
+      await Promise.all(Object.entries(checks).map(([name, check]) => runCheck(name, check))),
+    )
+
+    const lag = persistence.lag()
+    results.persistence = {
+      status: maxPersistenceLag && lag > maxPersistenceLag ? CheckStatus.DOWN : CheckStatus.UP,
+      lag,
+      maxLag: maxPersistenceLag || null,
+      pendingDocuments: persistence.pendingDocuments(),
+    }
+
+    const draining = isDraining()
+    const ready = !draining && Object.values(results).every(({ status }) => status === CheckStatus.UP)
+
+    return {
+      status: draining ? 'draining' : ready ? 'ready' : 'not_ready',
+      ready,
+      checks: results,
+    }
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Rate limits and size quotas for document updates
+ *
+ * The Throttle extension limits connection attempts per IP, this extension
+ * limits what an authenticated user sends to a document:
+ * - updates per minute for each user and document
+ * - size of a single update message
+ * - size of the whole document
+ *
+ * Limits are resolved per entity type, a connection breaking one is closed
+ * with a close code and reason the client can act on.
+ */
+
+import * as Y from 'yjs'
+import { IncomingMessage } from '@hocuspocus/server'
+
+// Hocuspocus message types carrying document updates
+const MESSAGE_TYPE_SYNC = 0
+const SYNC_STEP_2 = 1
+const SYNC_UPDATE = 2
+
+const WINDOW_MS = 60 * 1000
+
+// Close events sent to the client, reasons are kept short (WebSocket limit is 123 bytes)
+export const LimitExceeded = {
+  UPDATE_TOO_LARGE: { code: 1009, reason: 'update-too-large' },
+  DOCUMENT_TOO_LARGE: { code: 4413, reason: 'document-too-large' },
+  RATE_LIMITED: { code: 4429, reason: 'rate-limited' },
+}
+
+/**
+ * Resolve the limits of an entity type, falling back to the defaults
+ * A limit of 0 disables it
+ */
+export const createLimitResolver = ({ defaults, entityTypes = {} }) => (entityType) => ({
+  ...defaults,
+  ...(entityTypes[entityType] || {}),
+})
+
+// Only sync step 2 and update messages change the document
+const isDocumentUpdate = (data) => {
+  try {
+    const message = new IncomingMessage(data)
+    message.readVarString()
+    if (message.readVarUint() !== MESSAGE_TYPE_SYNC) {
+      return false
+    }
+
+    const syncType = message.readVarUint()
+    return syncType === SYNC_STEP_2 || syncType === SYNC_UPDATE
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Hocuspocus extension enforcing the limits in beforeHandleMessage
+ * parseDocumentName maps a document name to { entityType }
+ */
+export class RateLimits {
+  constructor({ resolveLimits, parseDocumentName, onReject = () => {}, logger }) {
+    this.resolveLimits = resolveLimits
+    this.parseDocumentName = parseDocumentName
+    this.onReject = onReject
+    this.logger = logger
+
+    // `${userId}\n${documentName}` -> { windowStart, count }
+    this.windows = new Map()
+
+    // documentName -> estimated encoded size in bytes
+    this.documentSizes = new Map()
+
+    this.cleanupInterval = setInterval(() => this.clearWindows(), WINDOW_MS)
+    this.cleanupInterval.unref()
+  }
+
+  clearWindows() {
+    const now = Date.now()
+    this.windows.forEach((window, key) => {
+      if (now - window.windowStart >= WINDOW_MS) {
+        this.windows.delete(key)
+      }
+    })
+  }
+
+  reject(limit, { documentName, entityType, userId, correlationId, details }) {
+    this.onReject(limit.reason, entityType)
+    this.logger.warn('Document update rejected by limits', {
+      correlationId,
+      documentName,
+      entityType,
+      userId,
+      reason: limit.reason,
+      ...details,
+    })
+
+    const error = new Error(`Update rejected: ${limit.reason}`)
+    error.code = limit.code
+    error.reason = limit.reason
+    throw error
+  }
+
+  // Counts the update in the current window, returns false once the limit is reached
+  consumeUpdate(key, updatesPerMinute) {
+    const now = Date.now()
+    const window = this.windows.get(key)
+
+    if (!window || now - window.windowStart >= WINDOW_MS) {
+      this.windows.set(key, { windowStart: now, count: 1 })
+      return true
+    }
+
+    window.count++
+    return window.count <= updatesPerMinute
+  }
+
+  // Sizes grow by the update size until they near the quota, then they are measured again
+  exceedsDocumentSize(documentName, document, updateSize, maxDocumentSize) {
+    let size = this.documentSizes.get(documentName)
+    if (size === undefined || size + updateSize > maxDocumentSize) {
+      size = Y.encodeStateAsUpdate(document).byteLength
+    }
+
+    if (size + updateSize > maxDocumentSize) {
+      this.documentSizes.set(documentName, size)
+      return true
+    }
+
+    this.documentSizes.set(documentName, size + updateSize)
+    return false
+  }
+
+  async beforeHandleMessage({ documentName, document, context, update }) {
+    if (!isDocumentUpdate(update)) {
+      return
+    }
+
+    const { entityType } = this.parseDocumentName(documentName)
+    const limits = this.resolveLimits(entityType)
+    const userId = context?.user?.id || 'anonymous'
+    const rejection = { documentName, entityType, userId, correlationId: context?.correlationId }
+
+    if (limits.maxUpdateSize && update.byteLength > limits.maxUpdateSize) {
+      this.reject(LimitExceeded.UPDATE_TOO_LARGE, {
+        ...rejection,
+        details: { updateSize: update.byteLength, maxUpdateSize: limits.maxUpdateSize },
+      })
+    }
+
+    if (limits.updatesPerMinute && !this.consumeUpdate(`${userId}\n${documentName}`, limits.updatesPerMinute)) {
+      this.reject(LimitExceeded.RATE_LIMITED, {
+        ...rejection,
+        details: { updatesPerMinute: limits.updatesPerMinute },
+      })
+    }
+
+    if (limits.maxDocumentSize && this.exceedsDocumentSize(documentName, document, update.byteLength, limits.maxDocumentSize)) {
+      this.reject(LimitExceeded.DOCUMENT_TOO_LARGE, {
+        ...rejection,
+        details: { documentSize: this.documentSizes.get(documentName), maxDocumentSize: limits.maxDocumentSize },
+      })
+    }
+  }
+
+  async afterUnloadDocument({ documentName }) {
+    this.documentSizes.delete(documentName)
+  }
+
+  async onDestroy() {
+    clearInterval(this.cleanupInterval)
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Structured JSON logger
+ *
+ * - entries below the configured level are dropped (debug, info, warn, error, silent)
+ * - child() binds fields to every entry, e.g. the correlationId of a WebSocket connection
+ * - entries written while handling an HTTP request (runWithCorrelation) carry its correlationId
+ * - tokens, secrets and emails are redacted from messages and fields
+ * - sampled() keeps a share of the entries of high-volume logs such as document changes
+ */
+
+import crypto from 'crypto'
+import { AsyncLocalStorage } from 'async_hooks'
+
+export const LogLevel = {
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+  SILENT: 'silent',
+}
+
+const LEVEL_RANK = {
+  [LogLevel.DEBUG]: 10,
+  [LogLevel.INFO]: 20,
+  [LogLevel.WARN]: 30,
+  [LogLevel.ERROR]: 40,
+  [LogLevel.SILENT]: Infinity,
+}
+
+const CONSOLE_METHODS = {
+  [LogLevel.DEBUG]: console.debug,
+  [LogLevel.INFO]: console.log,
+  [LogLevel.WARN]: console.warn,
+  [LogLevel.ERROR]: console.error,
+}
+
+const REDACTED = '[REDACTED]'
+
+// String fields under these keys are replaced whole (hasToken and other flags are kept)
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authorization|cookie|api[-_]?key/i
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+const TOKEN_PARAMETER_PATTERN = /([?&](?:access_)?token=)[^&\s]+/gi
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g
+
+// Nested objects deeper than this are logged as is
+const MAX_REDACT_DEPTH = 8
+
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/
+
+const correlationStorage = new AsyncLocalStorage()
+
+/**
+ * Keep a well-formed correlation ID sent by the client, so both sides log the same one, else create one
+ */
+export const resolveCorrelationId = (candidate) => (
+  typeof candidate === 'string' && CORRELATION_ID_PATTERN.test(candidate) ? candidate : crypto.randomUUID()
+)
+
+/**
+ * Run fn with a correlation ID added to every entry it logs, including from awaited calls
+ */
+export const runWithCorrelation = (correlationId, fn) => correlationStorage.run({ correlationId }, fn)
+
+const redactString = (value) => value
+  .replace(JWT_PATTERN, REDACTED)
+  .replace(TOKEN_PARAMETER_PATTERN, `$1${REDACTED}`)
+  .replace(EMAIL_PATTERN, '$1***@$2')
+
+export const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value)
+  }
+  if (value === null || typeof value !== 'object' || depth >= MAX_REDACT_DEPTH) {
+    return value
+  }
+  if (ArrayBuffer.isView(value)) {
+    return `<${value.byteLength} bytes>`
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1))
+  }
+  if (value instanceof Date) {
+    return value
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    typeof item === 'string' && SENSITIVE_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1),
+  ]))
+}
+
+const serializeError = (error) => {
+  if (!error) {
+    return null
+  }
+  if (!(error instanceof Error)) {
+    return { message: String(error) }
+  }
+  return {
+    message: error.message,
+    stack: error.stack,
+    name: error.name,
+  }
+}
+
+/**
+ * Create a logger, with info/warn/debug(message, data) and error(message, error, data)
+ */
+export const createLogger = ({
+  level = LogLevel.INFO,
+  service,
+  redaction = true,
+  bindings = {},
+  sampleRate = 1,
+}) => {
+  if (!(level in LEVEL_RANK)) {
+    throw new Error(`Invalid log level: ${level}. Expected one of ${Object.keys(LEVEL_RANK).join(', ')}`)
+  }
+
+  const threshold = LEVEL_RANK[level]
+
+  const write = (entryLevel, message, data, error) => {
+    if (LEVEL_RANK[entryLevel] < threshold) {
+      return
+    }
+    if (sampleRate < 1 && Math.random() >= sampleRate) {
+      return
+    }
+
+    const entry = {
+      level: entryLevel,
+      timestamp: new Date().toISOString(),
+      message,
+      service,
+      ...bindings,
+      ...(entryLevel === LogLevel.ERROR ? { error: serializeError(error) } : {}),
+      ...data,
+      // Hooks run by an HTTP request (direct connections) log an undefined context.correlationId
+      correlationId: data.correlationId ?? bindings.correlationId ?? correlationStorage.getStore()?.correlationId,
+    }
+
+    CONSOLE_METHODS[entryLevel](JSON.stringify(redaction ? redact(entry) : entry))
+  }
+
+  return {
+    level,
+
+    isLevelEnabled(entryLevel) {
+      return LEVEL_RANK[entryLevel] >= threshold
+    },
+
+    debug: (message, data = {}) => write(LogLevel.DEBUG, message, data),
+    info: (message, data = {}) => write(LogLevel.INFO, message, data),
+    warn: (message, data = {}) => write(LogLevel.WARN, message, data),
+    error: (message, error = null, data = {}) => write(LogLevel.ERROR, message, data, error),
+
+    // Logger adding fields to every entry
+    child(extra) {
+      return createLogger({ level, service, redaction, sampleRate, bindings: { ...bindings, ...extra } })
+    },
+
+    // Logger keeping about rate (0-1) of the entries, they carry the rate to scale counts back
+    sampled(rate) {
+      if (rate >= 1) {
+        return this
+      }
+      return createLogger({ level, service, redaction, sampleRate: rate, bindings: { ...bindings, sampleRate: rate } })
+    },
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Prometheus metrics for the Hocuspocus server
+ * Served in text exposition format on /metrics
+ */
+
+import client from 'prom-client'
+
+/**
+ * Create the metrics registry
+ * getTenantStats returns { [tenant]: { documents, connections } } at scrape time
+ */
+export const createMetrics = ({ getTenantStats }) => {
+  const register = new client.Registry()
+  register.setDefaultLabels({ service: 'hocuspocus-server' })
+  client.collectDefaultMetrics({ register, prefix: 'hocuspocus_process_' })
+
+  const connectsTotal = new client.Counter({
+    name: 'hocuspocus_connects_total',
+    help: 'Authenticated WebSocket connections to a document',
+    labelNames: ['tenant', 'entity_type'],
+    registers: [register],
+  })
+
+  const disconnectsTotal = new client.Counter({
+    name: 'hocuspocus_disconnects_total',
+    help: 'Disconnections from a document',
+    labelNames: ['tenant', 'entity_type'],
+    registers: [register],
+  })
+
+  const authFailuresTotal = new client.Counter({
+    name: 'hocuspocus_auth_failures_total',
+    help: 'Rejected authentication attempts',
+    labelNames: ['reason'],
+    registers: [register],
+  })
+
+  const throttleBansTotal = new client.Counter({
+    name: 'hocuspocus_throttle_bans_total',
+    help: 'IP addresses banned by connection throttling',
+    registers: [register],
+  })
+
+  const documentLoadsTotal = new client.Counter({
+    name: 'hocuspocus_document_loads_total',
+    help: 'Documents loaded into memory',
+    labelNames: ['tenant', 'entity_type'],
+    registers: [register],
+  })
+
+  const limitRejectionsTotal = new client.Counter({
+    name: 'hocuspocus_limit_rejections_total',
+    help: 'Connections closed for breaking an update rate or size limit',
+    labelNames: ['reason', 'entity_type'],
+    registers: [register],
+  })
+
+  const schemaRejectionsTotal = new client.Counter({
+    name: 'hocuspocus_schema_rejections_total',
+    help: 'Connections closed for sending an update that breaks the entity schema',
+    labelNames: ['entity_type'],
+    registers: [register],
+  })
+
+  const webhookDeliveriesTotal = new client.Counter({
+    name: 'hocuspocus_webhook_deliveries_total',
+    help: 'Webhook delivery attempts by outcome (success, retry, dead_letter)',
+    labelNames: ['result'],
+    registers: [register],
+  })
+
+  const compactionReclaimedBytesTotal = new client.Counter({
+    name: 'hocuspocus_compaction_reclaimed_bytes_total',
+    help: 'Bytes of stored document state reclaimed by compaction (compacted, expired)',
+    labelNames: ['reason'],
+    registers: [register],
+  })
+
+  const compactionRunsTotal = new client.Counter({
+    name: 'hocuspocus_compaction_runs_total',
+    help: 'Compaction runs by outcome (completed, failed, skipped)',
+    labelNames: ['status'],
+    registers: [register],
+  })
+
+  const changeDuration = new client.Histogram({
+    name: 'hocuspocus_change_duration_seconds',
+    help: 'Time spent handling onChange',
+    labelNames: ['entity_type'],
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+    registers: [register],
+  })
+
+  const documentSize = new client.Histogram({
+    name: 'hocuspocus_document_size_bytes',
+    help: 'Encoded Y.js document size when stored',
+    labelNames: ['entity_type'],
+    buckets: [1024, 10 * 1024, 100 * 1024, 512 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024],
+    registers: [register],
+  })
+
+  // Gauges are read from the live server when scraped
+  new client.Gauge({
+    name: 'hocuspocus_connections',
+    help: 'Open connections per tenant',
+    labelNames: ['tenant'],
+    registers: [register],
+    collect() {
+      this.reset()
+      Object.entries(getTenantStats()).forEach(([tenant, stats]) => this.set({ tenant }, stats.connections))
+    },
+  })
+
+  new client.Gauge({
+    name: 'hocuspocus_documents',
+    help: 'Loaded documents per tenant',
+    labelNames: ['tenant'],
+    registers: [register],
+    collect() {
+      this.reset()
+      Object.entries(getTenantStats()).forEach(([tenant, stats]) => this.set({ tenant }, stats.documents))
+    },
+  })
+
+  return {
+    register,
+    contentType: register.contentType,
+    connectsTotal,
+    disconnectsTotal,
+    authFailuresTotal,
+    throttleBansTotal,
+    documentLoadsTotal,
+    limitRejectionsTotal,
+    schemaRejectionsTotal,
+    webhookDeliveriesTotal,
+    compactionReclaimedBytesTotal,
+    compactionRunsTotal,
+    changeDuration,
+    documentSize,
+  }
+}
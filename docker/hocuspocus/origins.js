@@ -0,0 +1,79 @@
+/**
+ * Origin policy shared by the HTTP routes (CORS) and WebSocket upgrades
+ *
+ * Allowed origin entries:
+ * - `*` allows every origin, without credentials
+ * - `https://app.example.com` allows that exact origin
+ * - `https://*.example.com` allows any subdomain of example.com over https, not example.com itself
+ * - `*.example.com` allows any subdomain of example.com over any scheme
+ * `*` anywhere else (https://*example.com, https://app*.example.com) is a configuration error
+ */
+
+// Lowercase and drop a trailing slash, browsers never send one but configs often have it
+const normalizeOrigin = (origin) => origin.trim().toLowerCase().replace(/\/$/, '')
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// A wildcard entry: optional scheme, then `*.` and a domain without other wildcards
+const WILDCARD_ENTRY_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/)?\*\.[^*]+$/
+
+// Compile an entry to a matcher, `*.` only stands for one or more subdomain labels
+const compileEntry = (entry) => {
+  const normalized = normalizeOrigin(entry)
+
+  if (!normalized.includes('*')) {
+    return (origin) => origin === normalized
+  }
+
+  if (!WILDCARD_ENTRY_PATTERN.test(normalized)) {
+    throw new Error(`Invalid origin entry ${entry}: * only stands for subdomains, as a leading *.`)
+  }
+
+  const hasScheme = normalized.includes('://')
+  const source = escapeRegExp(normalized).replace('\\*\\.', '([a-z0-9-]+\\.)+')
+  const pattern = new RegExp(`^${hasScheme ? '' : '[a-z][a-z0-9+.-]*://'}${source}(:\\d+)?$`)
+
+  return (origin) => pattern.test(origin)
+}
+
+/**
+ * Create the origin policy from the configured list, throws on an invalid entry
+ * allowMissing accepts requests without an Origin header (server-to-server and CLI clients)
+ */
+export const createOriginPolicy = ({ allowed, allowMissing = true }) => {
+  const entries = allowed.map((entry) => entry.trim()).filter(Boolean)
+  const allowsAny = entries.includes('*')
+  const matchers = entries.filter((entry) => entry !== '*').map(compileEntry)
+
+  return {
+    allowed: entries,
+
+    // Returns null when the origin is allowed, otherwise the reason it is not
+    check(origin) {
+      if (!origin) {
+        return allowMissing ? null : 'missing-origin'
+      }
+
+      if (origin === 'null') {
+        return 'opaque-origin'
+      }
+
+      if (allowsAny) {
+        return null
+      }
+
+      const normalized = normalizeOrigin(origin)
+      return matchers.some((matches) => matches(normalized)) ? null : 'origin-not-allowed'
+    },
+
+    isAllowed(origin) {
+      return this.check(origin) === null
+    },
+
+    // Whether CORS responses to origin may allow credentials: only origins listed explicitly,
+    // `*` would hand the user's cookies and tokens to any site
+    allowsCredentials(origin) {
+      return !!origin && origin !== 'null' && matchers.some((matches) => matches(normalizeOrigin(origin)))
+    },
+  }
+}
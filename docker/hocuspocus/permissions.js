@@ -0,0 +1,120 @@
+/**
+ * Per-entity authorization for collaborative documents
+ * Decides whether a user gets write, read-only or no access to an entity document
+ *
+ * Resolvers are registered per entity type and return one of the access levels.
+ * The result is always capped by the permissions carried in the user's token,
+ * and by the maxAccess of the entity type, admins included.
+ */
+
+export const AccessLevel = {
+  NONE: 'none',
+  READ: 'read',
+  WRITE: 'write',
+}
+
+const ACCESS_RANK = {
+  [AccessLevel.NONE]: 0,
+  [AccessLevel.READ]: 1,
+  [AccessLevel.WRITE]: 2,
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Lowest of two access levels
+const minAccess = (a, b) => (ACCESS_RANK[a] <= ACCESS_RANK[b] ? a : b)
+
+// Highest access the token permissions allow
+const accessFromPermissions = (user) => {
+  const permissions = user?.permissions || []
+
+  if (permissions.includes('admin') || permissions.includes('write')) {
+    return AccessLevel.WRITE
+  }
+  if (permissions.includes('read')) {
+    return AccessLevel.READ
+  }
+  return AccessLevel.NONE
+}
+
+/**
+ * Ownership rule based on the owner and team columns of an entity table (owner_id and team of deals)
+ * - owner and team members can write
+ * - everyone else gets nonMemberAccess
+ * - unknown rows are not accessible
+ * Table and column names come from the server configuration, never from input
+ */
+export const createOwnershipResolver = ({
+  pool,
+  table,
+  ownerColumn = 'owner_id',
+  teamColumn = 'team',
+  nonMemberAccess = AccessLevel.READ,
+}) => {
+  return async (user, entityId) => {
+    if (!UUID_PATTERN.test(entityId)) {
+      return AccessLevel.NONE
+    }
+
+    const { rows } = await pool.query(
+      `SELECT ${ownerColumn} AS owner_id, ${teamColumn} AS team FROM ${table} WHERE id = $1`,
+      [entityId],
+    )
+
+    if (rows.length === 0) {
+      return AccessLevel.NONE
+    }
+
+    const { owner_id: ownerId, team } = rows[0]
+
+    if (ownerId && ownerId === user.id) {
+      return AccessLevel.WRITE
+    }
+    if (team && team === user.team) {
+      return AccessLevel.WRITE
+    }
+
+    return nonMemberAccess
+  }
+}
+
+/**
+ * Create the entity authorizer
+ * Entity types without a registered resolver only use the token permissions
+ * register(entityType, resolver, { maxAccess }): resolver (optional) narrows regular users,
+ * maxAccess caps everyone
+ */
+export const createEntityAuthorizer = ({ logger } = {}) => {
+  const resolvers = new Map()
+
+  return {
+    register(entityType, resolver, { maxAccess = AccessLevel.WRITE } = {}) {
+      resolvers.set(entityType, { resolver, maxAccess })
+      return this
+    },
+
+    async authorize(user, entityType, entityId) {
+      const { resolver = null, maxAccess = AccessLevel.WRITE } = resolvers.get(entityType) || {}
+      const tokenAccess = minAccess(accessFromPermissions(user), maxAccess)
+
+      // Entity rules only narrow access for regular users
+      if (tokenAccess === AccessLevel.NONE || !resolver || user.permissions?.includes('admin')) {
+        return tokenAccess
+      }
+
+      const entityAccess = await resolver(user, entityId)
+      const access = minAccess(tokenAccess, entityAccess || AccessLevel.NONE)
+
+      logger?.debug('Entity access resolved', {
+        userId: user.id,
+        entityType,
+        entityId,
+        tokenAccess,
+        entityAccess,
+        access,
+      })
+
+      return access
+    },
+  }
+}
@@ -0,0 +1,313 @@
+/**
+ * Postgres persistence for collaborative documents
+ * Configuration for the Hocuspocus Database extension
+ *
+ * - The full binary Y.js state of every document is kept in yjs_documents
+ * - entity types with a column mapping (deal by default) also write their Y.Map fields
+ *   onto the columns of their table and the Y.Text `notes` onto its notes column,
+ *   so NocoDB sees live edits
+ * - a document of a mapped type without stored state is seeded from its row
+ * - entries of the Y.Array `activity` become rows of the activities table when the
+ *   mapping sets an activityColumn, in the same transaction as the state
+ */
+
+import crypto from 'crypto'
+import * as Y from 'yjs'
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Column coercion by column type, returns undefined for values that cannot be stored
+const toText = (value) => (value === null ? null : typeof value === 'string' ? value : undefined)
+const toNumber = (value) => (value === null ? null : Number.isFinite(Number(value)) ? Number(value) : undefined)
+const toInteger = (value) => (value === null ? null : Number.isInteger(Number(value)) ? Number(value) : undefined)
+const toDate = (value) => {
+  if (value === null) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString().slice(0, 10)
+}
+const toTextArray = (value) => (Array.isArray(value) ? value.map(String) : value === null ? null : undefined)
+
+export const COLUMN_TYPES = {
+  text: toText,
+  number: toNumber,
+  integer: toInteger,
+  date: toDate,
+  textArray: toTextArray,
+}
+
+// Y.Map `deal` key -> deals column
+export const DEAL_FIELD_COLUMNS = {
+  title: { column: 'title', type: 'text' },
+  value: { column: 'value', type: 'number' },
+  currency: { column: 'currency', type: 'text' },
+  stage: { column: 'stage', type: 'text' },
+  pipeline: { column: 'pipeline', type: 'text' },
+  probability: { column: 'probability', type: 'integer' },
+  expected_close_date: { column: 'expected_close_date', type: 'date' },
+  actual_close_date: { column: 'actual_close_date', type: 'date' },
+  deal_type: { column: 'deal_type', type: 'text' },
+  priority: { column: 'priority', type: 'text' },
+  source: { column: 'source', type: 'text' },
+  owner_id: { column: 'owner_id', type: 'text' },
+  team: { column: 'team', type: 'text' },
+  status: { column: 'status', type: 'text' },
+  loss_reason: { column: 'loss_reason', type: 'text' },
+  tags: { column: 'tags', type: 'textArray' },
+}
+
+// Values accepted by the CHECK constraints of the activities table
+export const ACTIVITY_TYPES = ['call', 'email', 'meeting', 'task', 'note', 'demo', 'proposal_sent', 'contract_sent']
+export const ACTIVITY_STATUSES = ['planned', 'in_progress', 'completed', 'cancelled']
+
+// Entries mirroring an activities row written through NocoDB (activity_created, ...)
+const MIRROR_ENTRY_PATTERN = /^activity_/
+
+const toTimestamp = (value) => {
+  if (value === undefined || value === null) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+// Stable row id of an entry: its own UUID, else a UUID derived from the document and the entry,
+// so older entries without an id are not inserted twice either
+const activityRowId = (documentName, entry) => {
+  if (typeof entry.id === 'string' && UUID_PATTERN.test(entry.id)) {
+    return entry.id.toLowerCase()
+  }
+
+  const hash = crypto.createHash('sha1').update(`${documentName}\n${JSON.stringify(entry)}`).digest('hex')
+  return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-8${hash.slice(17, 20)}-${hash.slice(20, 32)}`
+}
+
+/**
+ * Map a Y.Array `activity` entry to an activities row, null for entries that are not stored
+ * Realtime events (status_update, position_update, ...) are kept as completed notes,
+ * entries with a type of the table keep their own fields
+ */
+export const activityRow = (documentName, entry) => {
+  if (!entry || typeof entry !== 'object' || typeof entry.type !== 'string' || MIRROR_ENTRY_PATTERN.test(entry.type)) {
+    return null
+  }
+
+  const isActivity = ACTIVITY_TYPES.includes(entry.type)
+  const details = entry.data === undefined ? null : JSON.stringify(entry.data)
+
+  return {
+    id: activityRowId(documentName, entry),
+    type: isActivity ? entry.type : 'note',
+    subject: String(typeof entry.subject === 'string' && entry.subject ? entry.subject : entry.type.replace(/_/g, ' ')).slice(0, 255),
+    description: typeof entry.description === 'string' ? entry.description : details,
+    status: ACTIVITY_STATUSES.includes(entry.status) ? entry.status : 'completed',
+    outcome: typeof entry.outcome === 'string' ? entry.outcome.slice(0, 100) : null,
+    scheduledAt: toTimestamp(entry.scheduled_at),
+    completedAt: toTimestamp(entry.completed_at) || toTimestamp(entry.timestamp),
+    createdBy: entry.userId ? String(entry.userId).slice(0, 100) : null,
+    customFields: { source: 'yjs', document: documentName, entryType: entry.type },
+  }
+}
+
+// Row value -> Y.Map value
+const fromColumn = (type, value) => {
+  if (value === null || value === undefined) return null
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  // numeric columns come back as strings
+  if (type === 'number' || type === 'integer') return Number(value)
+  return value
+}
+
+// Build the initial document of an entity from its row
+const seedDocument = (entityType, mapping, row) => {
+  const doc = new Y.Doc()
+  const entityMap = doc.getMap(entityType)
+
+  doc.transact(() => {
+    Object.entries(mapping.columns).forEach(([field, { column, type }]) => {
+      const value = fromColumn(type, row[column])
+      if (value !== null) {
+        entityMap.set(field, value)
+      }
+    })
+
+    if (mapping.notesColumn && row[mapping.notesColumn]) {
+      doc.getText('notes').insert(0, row[mapping.notesColumn])
+    }
+  })
+
+  return Y.encodeStateAsUpdate(doc)
+}
+
+/**
+ * Create fetch/store handlers for the Database extension
+ * parseDocumentName maps a document name to { tenant, entityType, entityId }
+ * mappings maps an entity type to { table, columns, notesColumn, updatedByColumn, activityColumn },
+ * column and table names come from the server configuration, never from input
+ */
+export const createPostgresPersistence = ({ pool, parseDocumentName, mappings = {}, logger }) => {
+  // Row ids already stored for each loaded document, so a save only inserts the new entries
+  const storedActivities = new WeakMap()
+
+  // Write the entity Y.Map fields and notes onto the entity row
+  const storeEntityColumns = async (client, entityType, mapping, entityId, document, context) => {
+    if (!UUID_PATTERN.test(entityId)) {
+      return
+    }
+
+    const entityMap = document.getMap(entityType)
+    const assignments = []
+    const values = []
+
+    entityMap.forEach((rawValue, field) => {
+      const column = mapping.columns[field]
+      if (!column) return
+
+      const value = COLUMN_TYPES[column.type](rawValue)
+      if (value === undefined) {
+        logger.warn('Skipping entity field with unsupported value', { entityType, entityId, field, value: rawValue })
+        return
+      }
+
+      values.push(value)
+      assignments.push(`${column.column} = $${values.length}`)
+    })
+
+    if (mapping.notesColumn && document.share.has('notes')) {
+      values.push(document.getText('notes').toString())
+      assignments.push(`${mapping.notesColumn} = $${values.length}`)
+    }
+
+    if (assignments.length === 0) {
+      return
+    }
+
+    if (mapping.updatedByColumn) {
+      values.push(context?.user?.id || null)
+      assignments.push(`${mapping.updatedByColumn} = COALESCE($${values.length}, ${mapping.updatedByColumn})`)
+    }
+
+    values.push(entityId)
+    await client.query(`UPDATE ${mapping.table} SET ${assignments.join(', ')} WHERE id = $${values.length}`, values)
+  }
+
+  // Insert the activity entries not stored yet, ON CONFLICT keeps replays and restores idempotent
+  // Returns the ids to remember once the transaction is committed
+  const storeActivities = async (client, mapping, documentName, entityId, document) => {
+    if (!UUID_PATTERN.test(entityId) || !document.share.has('activity')) {
+      return []
+    }
+
+    const stored = storedActivities.get(document) || new Set()
+    const rows = document.getArray('activity').toJSON()
+      .map((entry) => activityRow(documentName, entry))
+      .filter((row) => row && !stored.has(row.id))
+
+    if (rows.length === 0) {
+      return []
+    }
+
+    const values = []
+    const tuples = rows.map((row) => {
+      values.push(
+        row.id, entityId, row.type, row.subject, row.description, row.status, row.outcome,
+        row.scheduledAt, row.completedAt, row.createdBy, JSON.stringify(row.customFields),
+      )
+      const offset = values.length - 11
+      return `(${Array.from({ length: 11 }, (_, index) => `$${offset + index + 1}`).join(', ')})`
+    })
+
+    await client.query(
+      `INSERT INTO activities (id, ${mapping.activityColumn}, type, subject, description, status, outcome,
+         scheduled_at, completed_at, created_by, custom_fields)
+       VALUES ${tuples.join(', ')}
+       ON CONFLICT (id) DO NOTHING`,
+      values,
+    )
+
+    return rows.map((row) => row.id)
+  }
+
+  // Run a step inside a savepoint, a failing step is logged and rolled back alone
+  const withSavepoint = async (client, name, step, onError) => {
+    await client.query(`SAVEPOINT ${name}`)
+    try {
+      const result = await step()
+      await client.query(`RELEASE SAVEPOINT ${name}`)
+      return result
+    } catch (error) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${name}`)
+      onError(error)
+      return null
+    }
+  }
+
+  return {
+    async fetch({ documentName }) {
+      const { entityType, entityId } = parseDocumentName(documentName)
+
+      const { rows } = await pool.query('SELECT state FROM yjs_documents WHERE document_name = $1', [documentName])
+      if (rows.length > 0) {
+        return new Uint8Array(rows[0].state)
+      }
+
+      const mapping = mappings[entityType]
+      if (mapping && UUID_PATTERN.test(entityId)) {
+        const { rows: entityRows } = await pool.query(`SELECT * FROM ${mapping.table} WHERE id = $1`, [entityId])
+        if (entityRows.length > 0) {
+          logger.info(`Seeding document from ${mapping.table} row`, { documentName })
+          return seedDocument(entityType, mapping, entityRows[0])
+        }
+      }
+
+      return null
+    },
+
+    async store({ documentName, document, state, context }) {
+      const { tenant, entityType, entityId } = parseDocumentName(documentName)
+      const notes = document.share.has('notes') ? document.getText('notes').toString() : null
+      const mapping = mappings[entityType]
+
+      const client = await pool.connect()
+      let activityIds = null
+      try {
+        await client.query('BEGIN')
+        await client.query(
+          `INSERT INTO yjs_documents (document_name, tenant, entity_type, entity_id, state, notes)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (document_name) DO UPDATE SET state = EXCLUDED.state, notes = EXCLUDED.notes`,
+          [documentName, tenant, entityType, entityId, state, notes],
+        )
+
+        // Column and activity failures (e.g. a CHECK constraint) must not lose the binary state above
+        if (mapping) {
+          await withSavepoint(
+            client,
+            'entity_columns',
+            () => storeEntityColumns(client, entityType, mapping, entityId, document, context),
+            (error) => logger.error(`Failed to write ${mapping.table} columns`, error, { documentName }),
+          )
+        }
+
+        if (mapping?.activityColumn) {
+          activityIds = await withSavepoint(
+            client,
+            'activities',
+            () => storeActivities(client, mapping, documentName, entityId, document),
+            (error) => logger.error('Failed to write activities', error, { documentName }),
+          )
+        }
+
+        await client.query('COMMIT')
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {})
+        throw error
+      } finally {
+        client.release()
+      }
+
+      if (activityIds?.length) {
+        const stored = storedActivities.get(document) || new Set()
+        activityIds.forEach((id) => stored.add(id))
+        storedActivities.set(document, stored)
+      }
+    },
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Schemas of the entity Y.Maps (e.g. the `deal` map of crm:deal:123)
+ *
+ * The extension checks incoming updates before they are applied, only the
+ * fields an update adds or changes are validated so older data never blocks
+ * unrelated edits. Deleting a key is always allowed.
+ */
+
+import * as Y from 'yjs'
+import { IncomingMessage } from '@hocuspocus/server'
+import { getPendingUpdateKeys } from './documents.js'
+
+// Hocuspocus message types carrying document updates
+const MESSAGE_TYPE_SYNC = 0
+const SYNC_STEP_2 = 1
+const SYNC_UPDATE = 2
+
+export const SchemaViolation = { code: 4422, reason: 'schema-violation' }
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/
+
+/**
+ * Deal fields, aligned with the deals table CHECK constraints in docker/init.sql
+ * plus the keys CRMRealtimeManager writes (position, statusUpdatedAt, statusUpdatedBy)
+ */
+export const DEAL_SCHEMA = {
+  additionalKeys: false,
+  fields: {
+    id: { type: 'string' },
+    title: { type: 'string', maxLength: 255, nullable: false },
+    value: { type: 'number', min: 0, nullable: false },
+    currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+    stage: {
+      type: 'string',
+      nullable: false,
+      enum: ['prospecting', 'qualification', 'needs_analysis', 'proposal', 'negotiation', 'closed_won', 'closed_lost', 'on_hold'],
+    },
+    pipeline: { type: 'string', maxLength: 100 },
+    probability: { type: 'integer', min: 0, max: 100 },
+    expected_close_date: { type: 'date' },
+    actual_close_date: { type: 'date' },
+    deal_type: { type: 'string', enum: ['new_business', 'existing_business', 'renewal', 'upsell'] },
+    priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+    source: { type: 'string', maxLength: 100 },
+    owner_id: { type: 'string', maxLength: 100 },
+    team: { type: 'string', maxLength: 100 },
+    status: { type: 'string', enum: ['open', 'won', 'lost', 'on_hold', 'archived'] },
+    loss_reason: { type: 'string' },
+    tags: { type: 'array', items: 'string' },
+    custom_fields: { type: 'object' },
+    company_id: { type: 'string' },
+    primary_contact_id: { type: 'string' },
+    created_at: { type: 'date' },
+    updated_at: { type: 'date' },
+    created_by: { type: 'string', maxLength: 100 },
+    updated_by: { type: 'string', maxLength: 100 },
+    position: { type: 'object' },
+    statusUpdatedAt: { type: 'number' },
+    statusUpdatedBy: { type: 'string' },
+  },
+}
+
+// Check a value against its JavaScript type
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: (value) => typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime()),
+  array: (value) => Array.isArray(value),
+  object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+}
+
+export const FIELD_TYPES = Object.keys(TYPE_CHECKS)
+
+/**
+ * Validate one field value, returns an error message or null
+ */
+export const validateField = (schema, field, value) => {
+  const rule = schema.fields[field]
+
+  if (!rule) {
+    return schema.additionalKeys === false ? `unknown field ${field}` : null
+  }
+
+  if (value === null || value === undefined) {
+    return rule.nullable === false ? `${field} cannot be null` : null
+  }
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    return `${field} must be of type ${rule.type}`
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of ${rule.enum.join(', ')}`
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return `${field} must be >= ${rule.min}`
+  }
+
+  if (rule.max !== undefined && value > rule.max) {
+    return `${field} must be <= ${rule.max}`
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${field} must be at most ${rule.maxLength} characters`
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `${field} has an invalid format`
+  }
+
+  if (rule.items && !value.every((item) => TYPE_CHECKS[rule.items](item))) {
+    return `${field} items must be of type ${rule.items}`
+  }
+
+  return null
+}
+
+/**
+ * Validate a set of field values, returns [{ field, message }]
+ */
+export const validateFields = (schema, fields) => Object.entries(fields)
+  .map(([field, value]) => ({ field, message: validateField(schema, field, value) }))
+  .filter(({ message }) => message !== null)
+
+// Read the update carried by a sync step 2 or update message, null for other messages
+const readSyncUpdate = (data) => {
+  try {
+    const message = new IncomingMessage(data)
+    message.readVarString()
+    if (message.readVarUint() !== MESSAGE_TYPE_SYNC) {
+      return null
+    }
+
+    const syncType = message.readVarUint()
+    return syncType === SYNC_STEP_2 || syncType === SYNC_UPDATE ? message.readVarUint8Array() : null
+  } catch (error) {
+    return null
+  }
+}
+
+// Fields of the map that the update would add or change
+const getChangedFields = (document, mapName, update) => {
+  const preview = new Y.Doc()
+  Y.applyUpdate(preview, Y.encodeStateAsUpdate(document))
+  Y.applyUpdate(preview, update)
+
+  const current = document.getMap(mapName).toJSON()
+  const next = preview.getMap(mapName).toJSON()
+  preview.destroy()
+
+  return Object.fromEntries(
+    Object.entries(next).filter(([field, value]) => JSON.stringify(current[field]) !== JSON.stringify(value)),
+  )
+}
+
+/**
+ * Hocuspocus extension rejecting updates that break the schema of their entity map
+ * schemas maps an entity type to its schema, entity types without one are not checked
+ */
+export class SchemaValidation {
+  constructor({ schemas, parseDocumentName, onReject = () => {}, logger }) {
+    this.schemas = schemas
+    this.parseDocumentName = parseDocumentName
+    this.onReject = onReject
+    this.logger = logger
+  }
+
+  async beforeHandleMessage({ documentName, document, context, update: data }) {
+    const { entityType } = this.parseDocumentName(documentName)
+    const schema = this.schemas[entityType]
+    if (!schema) return
+
+    const update = readSyncUpdate(data)
+    if (!update) return
+
+    // Most updates only touch notes or activity, the preview is built when the map may change
+    const keys = getPendingUpdateKeys(document, update)
+    if (!keys.has(entityType) && !keys.has(null)) return
+
+    const violations = validateFields(schema, getChangedFields(document, entityType, update))
+    if (violations.length === 0) return
+
+    this.onReject(entityType)
+    this.logger.warn('Document update rejected by schema', {
+      correlationId: context?.correlationId,
+      documentName,
+      entityType,
+      userId: context?.user?.id,
+      userName: context?.user?.name,
+      violations,
+    })
+
+    const error = new Error(`Update rejected: ${violations.map(({ message }) => message).join('; ')}`)
+    error.code = SchemaViolation.code
+    error.reason = SchemaViolation.reason
+    throw error
+  }
+}
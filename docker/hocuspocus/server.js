@@ -7,10 +7,19 @@
  * Features:
  * - Real-time collaboration using Y.js/Hocuspocus
  * - Redis persistence for document storage
- * - Structured logging for debugging
- * - Health check endpoint
+ * - Structured logging with levels, correlation IDs and redaction
+ * - Health check, liveness and readiness endpoints
+ * - REST API to read and patch live documents
+ * - Signed webhooks for document changes
+ * - Document snapshots and version history
+ * - Multi-instance mode over Redis (shared presence and throttle bans)
+ * - Update rate limits and document size quotas per entity type
+ * - Admin routes to inspect and evict live documents
+ * - Drain mode for rolling deployments
+ * - Stateless broadcast messages to everyone viewing a document
+ * - Prometheus metrics endpoint
  * - CORS configuration for frontend
- * - Document namespacing by entity type
+ * - Document namespacing by configurable entity types
  * - Error handling and graceful shutdown
  */
 
@@ -18,13 +27,42 @@ import { Server } from '@hocuspocus/server'
 import { Logger } from '@hocuspocus/extension-logger'
 import { Redis } from '@hocuspocus/extension-redis'
 import { Database } from '@hocuspocus/extension-database'
-import { Throttle } from '@hocuspocus/extension-throttle'
 import http from 'http'
+import os from 'os'
 import { URL } from 'url'
+import pg from 'pg'
+import RedisClient from 'ioredis'
+import * as Y from 'yjs'
+import { AuthenticationError, createTokenVerifier } from './auth.js'
+import { AccessLevel, createEntityAuthorizer, createOwnershipResolver } from './permissions.js'
+import { AuditEventType, createAuditLog, createFileAuditSink, createPostgresAuditSink } from './audit.js'
+import { applyDocumentPatch, diffDocuments, getTouchedKeys, restoreDocument, serializeDocument, validateDocumentPatch } from './documents.js'
+import { createPostgresPersistence } from './persistence.js'
+import { createMetrics } from './metrics.js'
+import { createRedisDeadLetterStore, createWebhookDispatcher, Webhooks } from './webhooks.js'
+import { createInstanceRegistry, SharedThrottle } from './cluster.js'
+import { createOriginPolicy } from './origins.js'
+import { createLimitResolver, RateLimits } from './limits.js'
+import { SchemaValidation, validateFields } from './schemas.js'
+import { createDocumentNameParser, describeEntityTypes, loadEntityTypes, pickEntityTypes } from './entities.js'
+import { createDocumentAdmin, DocumentTracker } from './admin.js'
+import { createDrainController } from './drain.js'
+import { createReadinessProbe, PersistenceTracker } from './health.js'
+import { BroadcastSource, createBroadcaster, StatelessMessages, validateBroadcast } from './broadcast.js'
+import { createCompactionJob, scheduleCompaction } from './compaction.js'
+import { createLogger, resolveCorrelationId, runWithCorrelation } from './logger.js'
+import { createPostgresSnapshotStore, createRedisSnapshotStore, createSnapshotService, SnapshotReason, Snapshots } from './snapshots.js'
 
 // Environment configuration with defaults
 const config = {
-  port: process.env.HOCUSPOCUS_PORT || 3001,
+  port: parseInt(process.env.HOCUSPOCUS_PORT || '3001'),
+  logging: {
+    // debug, info, warn, error or silent
+    level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+    redaction: process.env.LOG_REDACT !== 'false',
+    // Share of the document change entries written (0-1)
+    changeSampleRate: parseFloat(process.env.LOG_CHANGE_SAMPLE_RATE || '1'),
+  },
   redis: {
     host: process.env.REDIS_HOST || '127.0.0.1',
     port: parseInt(process.env.REDIS_PORT || '6379'),
@@ -32,6 +70,12 @@ const config = {
     database: parseInt(process.env.REDIS_DATABASE || '0'),
     keyPrefix: process.env.REDIS_KEY_PREFIX || 'hocuspocus:',
   },
+  tenants: {
+    // Empty list accepts any tenant
+    allowed: process.env.ALLOWED_TENANTS ? process.env.ALLOWED_TENANTS.split(',') : [],
+    // Only tenant of the entity types stored in the CRM tables (deal, contact, company)
+    crm: process.env.CRM_TENANT || 'crm',
+  },
   server: {
     name: process.env.HOCUSPOCUS_NAME || 'nocodb-crm-hocuspocus',
     timeout: parseInt(process.env.HOCUSPOCUS_TIMEOUT || '30000'),
@@ -40,94 +84,1137 @@ const config = {
     quiet: process.env.NODE_ENV === 'production',
   },
   cors: {
+    // Exact origins, `*` or wildcard subdomains such as https://*.example.com
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
     credentials: true,
+    // Requests without an Origin header come from servers and CLI tools, not browsers
+    allowNoOrigin: process.env.CORS_ALLOW_NO_ORIGIN !== 'false',
   },
   throttle: {
     enabled: process.env.THROTTLE_ENABLED !== 'false',
     limit: parseInt(process.env.THROTTLE_LIMIT || '15'),
     banTime: parseInt(process.env.THROTTLE_BAN_TIME || '5'),
+    // Share bans between instances through Redis
+    shared: process.env.THROTTLE_SHARED !== 'false',
+  },
+  limits: {
+    // Defaults for every entity type, 0 disables a limit
+    defaults: {
+      updatesPerMinute: parseInt(process.env.LIMIT_UPDATES_PER_MINUTE || '1200'),
+      maxUpdateSize: parseInt(process.env.LIMIT_MAX_UPDATE_SIZE || String(512 * 1024)),
+      maxDocumentSize: parseInt(process.env.LIMIT_MAX_DOCUMENT_SIZE || String(10 * 1024 * 1024)),
+    },
+    // Per entity type overrides, e.g. {"note":{"maxDocumentSize":20971520}}
+    entityTypes: process.env.LIMIT_ENTITY_TYPES ? JSON.parse(process.env.LIMIT_ENTITY_TYPES) : {},
+  },
+  entityTypes: {
+    // JSON declarations merged over the default entity types (see entities.js)
+    file: process.env.ENTITY_TYPES_FILE || undefined,
+    json: process.env.ENTITY_TYPES || undefined,
+  },
+  schemas: {
+    enabled: process.env.SCHEMA_VALIDATION !== 'false',
+    // Accept entity map keys the schema does not list
+    allowUnknownKeys: process.env.SCHEMA_ALLOW_UNKNOWN_KEYS === 'true',
+  },
+  drain: {
+    // Time /health reports draining before clients are closed, so load balancers stop routing here
+    delay: parseInt(process.env.DRAIN_DELAY || '5000'),
+    // Max time for the whole drain before the server is destroyed
+    timeout: parseInt(process.env.DRAIN_TIMEOUT || '30000'),
+  },
+  broadcast: {
+    // Message types clients may send to the other viewers of a document
+    clientTypes: (process.env.BROADCAST_CLIENT_TYPES || 'typing').split(',').filter(Boolean),
+    maxSize: parseInt(process.env.BROADCAST_MAX_SIZE || '4096'),
+  },
+  compaction: {
+    // Time between background compactions, 0 only runs them from the admin route
+    interval: parseInt(process.env.COMPACTION_INTERVAL || String(6 * 60 * 60 * 1000)),
+    batchSize: parseInt(process.env.COMPACTION_BATCH_SIZE || '100'),
+    // Documents of deleted rows are only expired once untouched for this long
+    expireAfter: parseInt(process.env.COMPACTION_EXPIRE_AFTER || String(24 * 60 * 60 * 1000)),
+  },
+  health: {
+    // Max time for one dependency check of /health/ready
+    checkTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT || '2000'),
+    // Oldest unsaved change before /health/ready fails, 0 only reports the lag
+    maxPersistenceLag: parseInt(process.env.HEALTH_MAX_PERSISTENCE_LAG || '60000'),
+  },
+  cluster: {
+    // Unique per process, also the identifier of the Redis extension
+    instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    heartbeatInterval: parseInt(process.env.INSTANCE_HEARTBEAT_INTERVAL || '10000'),
+  },
+  auth: {
+    secret: process.env.AUTH_JWT_SECRET || undefined,
+    publicKey: process.env.AUTH_JWT_PUBLIC_KEY || undefined,
+    publicKeyFile: process.env.AUTH_JWT_PUBLIC_KEY_FILE || undefined,
+    algorithms: process.env.AUTH_JWT_ALGORITHMS ? process.env.AUTH_JWT_ALGORITHMS.split(',') : [],
+    issuer: process.env.AUTH_JWT_ISSUER || undefined,
+    audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+    clockTolerance: parseInt(process.env.AUTH_JWT_CLOCK_TOLERANCE || '30'),
+    defaultPermissions: (process.env.AUTH_DEFAULT_PERMISSIONS || 'read').split(','),
+  },
+  postgres: {
+    enabled: !!(process.env.DATABASE_URL || process.env.POSTGRES_HOST),
+    connectionString: process.env.DATABASE_URL || undefined,
+    host: process.env.POSTGRES_HOST || '127.0.0.1',
+    port: parseInt(process.env.POSTGRES_PORT || '5432'),
+    database: process.env.POSTGRES_DB || 'crm_db',
+    user: process.env.POSTGRES_USER || 'crm_user',
+    password: process.env.POSTGRES_PASSWORD || undefined,
+    max: parseInt(process.env.DB_POOL_MAX || '10'),
+  },
+  authorization: {
+    nonMemberAccess: process.env.AUTHZ_NON_MEMBER_ACCESS || 'read',
+  },
+  persistence: {
+    enabled: process.env.PERSISTENCE_ENABLED !== 'false',
+  },
+  audit: {
+    // postgres, file or none (defaults to postgres when a database is configured)
+    sink: process.env.AUDIT_SINK || (process.env.DATABASE_URL || process.env.POSTGRES_HOST ? 'postgres' : 'none'),
+    filePath: process.env.AUDIT_FILE_PATH || './audit.log',
+  },
+  webhooks: {
+    urls: process.env.WEBHOOK_URLS ? process.env.WEBHOOK_URLS.split(',') : [],
+    // Empty list subscribes to every event
+    events: process.env.WEBHOOK_EVENTS ? process.env.WEBHOOK_EVENTS.split(',') : null,
+    secret: process.env.WEBHOOK_SECRET || undefined,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5'),
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY || '1000'),
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000'),
+    deadLetterSize: parseInt(process.env.WEBHOOK_DEAD_LETTER_SIZE || '1000'),
+  },
+  snapshots: {
+    // postgres, redis or none (defaults to postgres when a database is configured)
+    store: process.env.SNAPSHOT_STORE || (process.env.DATABASE_URL || process.env.POSTGRES_HOST ? 'postgres' : 'redis'),
+    interval: parseInt(process.env.SNAPSHOT_INTERVAL || '600000'),
+    maxPerDocument: parseInt(process.env.SNAPSHOT_MAX_PER_DOCUMENT || '100'),
   },
 }
 
 // Structured logger
-const logger = {
-  info: (message, data = {}) => {
-    console.log(JSON.stringify({
-      level: 'info',
-      timestamp: new Date().toISOString(),
-      message,
-      service: 'hocuspocus-server',
-      ...data,
-    }))
-  },
-  error: (message, error = null, data = {}) => {
-    console.error(JSON.stringify({
-      level: 'error',
-      timestamp: new Date().toISOString(),
-      message,
-      service: 'hocuspocus-server',
-      error: error ? {
-        message: error.message,
-        stack: error.stack,
-        name: error.name,
-      } : null,
-      ...data,
-    }))
-  },
-  warn: (message, data = {}) => {
-    console.warn(JSON.stringify({
-      level: 'warn',
-      timestamp: new Date().toISOString(),
-      message,
-      service: 'hocuspocus-server',
-      ...data,
-    }))
-  },
-  debug: (message, data = {}) => {
-    if (process.env.NODE_ENV !== 'production') {
-      console.debug(JSON.stringify({
-        level: 'debug',
-        timestamp: new Date().toISOString(),
-        message,
-        service: 'hocuspocus-server',
-        ...data,
-      }))
-    }
-  },
+const logger = createLogger({
+  level: config.logging.level,
+  service: 'hocuspocus-server',
+  redaction: config.logging.redaction,
+})
+
+// Document changes are the most frequent entries
+const changeLogger = logger.sampled(config.logging.changeSampleRate)
+
+// Entity types with their ID pattern, schema, persistence mapping and permissions
+const entityTypes = loadEntityTypes({ ...config.entityTypes, allowUnknownKeys: config.schemas.allowUnknownKeys })
+
+// Correlation ID of a WebSocket connection, sent by CRMRealtimeManager so the client reports it with its errors
+// onConnect and onAuthenticate run concurrently, both resolve it on the connection state they share
+const getConnectionCorrelationId = (connection, requestParameters) => {
+  connection.correlationId ??= resolveCorrelationId(requestParameters.get('correlationId'))
+  return connection.correlationId
 }
 
 // Document name validation and namespacing
-const validateDocumentName = (documentName) => {
-  // Expected format: entity_type:entity_id (e.g., deal:123, contact:456)
-  const pattern = /^[a-zA-Z_][a-zA-Z0-9_]*:[a-zA-Z0-9_-]+$/
+const validateDocumentName = createDocumentNameParser({
+  entityTypes,
+  allowedTenants: config.tenants.allowed,
+  crmTenant: config.tenants.crm,
+})
+
+// Schemas of the entity maps, checked for WebSocket updates and REST patches
+const entitySchemas = config.schemas.enabled
+  ? pickEntityTypes(entityTypes, 'schema')
+  : {}
+
+// Token verifier (null when no JWT secret or public key is configured)
+const tokenVerifier = createTokenVerifier(config.auth)
+
+if (!tokenVerifier && process.env.NODE_ENV !== 'development') {
+  logger.warn('No AUTH_JWT_SECRET or AUTH_JWT_PUBLIC_KEY configured, all connections will be rejected')
+}
+
+// Postgres pool for CRM table lookups (only when a database is configured)
+const pgPool = config.postgres.enabled
+  ? new pg.Pool({
+    connectionString: config.postgres.connectionString,
+    host: config.postgres.host,
+    port: config.postgres.port,
+    database: config.postgres.database,
+    user: config.postgres.user,
+    password: config.postgres.password,
+    max: config.postgres.max,
+  })
+  : null
+
+pgPool?.on('error', (error) => {
+  logger.error('Postgres pool error', error)
+})
+
+// Entity authorizer, ownership rules (deal owner_id/team by default) need the CRM database
+const entityAuthorizer = createEntityAuthorizer({ logger })
+
+entityTypes.forEach(({ name, permissions }) => {
+  const ownership = pgPool && permissions.ownership
+    ? createOwnershipResolver({
+      pool: pgPool,
+      ...permissions.ownership,
+      nonMemberAccess: permissions.nonMemberAccess || config.authorization.nonMemberAccess,
+    })
+    : null
+  
+  if (ownership || permissions.maxAccess) {
+    entityAuthorizer.register(name, ownership, { maxAccess: permissions.maxAccess || AccessLevel.WRITE })
+  }
+})
+
+// Audit log of connections and changes
+const createAuditSink = () => {
+  switch (config.audit.sink) {
+    case 'postgres':
+      if (!pgPool) {
+        logger.warn('AUDIT_SINK=postgres needs a database, audit trail disabled')
+        return null
+      }
+      return createPostgresAuditSink({ pool: pgPool })
+    case 'file':
+      return createFileAuditSink({ path: config.audit.filePath, logger })
+    default:
+      return null
+  }
+}
+
+const auditLog = createAuditLog({ sink: createAuditSink(), logger })
+
+// Redis client for server features, the Redis extension keeps its own connections
+const redisClient = new RedisClient({
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+  db: config.redis.database,
+  connectTimeout: 10000,
+  lazyConnect: true,
+  maxRetriesPerRequest: 3,
+})
+
+redisClient.on('error', (error) => {
+  logger.error('Redis client error', error)
+})
+
+// Document snapshots and version history
+const createSnapshotStore = () => {
+  switch (config.snapshots.store) {
+    case 'postgres':
+      if (!pgPool) {
+        logger.warn('SNAPSHOT_STORE=postgres needs a database, snapshots disabled')
+        return null
+      }
+      return createPostgresSnapshotStore({ pool: pgPool })
+    case 'redis':
+      return createRedisSnapshotStore({ redis: redisClient, prefix: config.redis.keyPrefix.replace(/:$/, '') })
+    default:
+      return null
+  }
+}
+
+// Live instances sharing the Redis pub/sub channels
+const instanceRegistry = createInstanceRegistry({
+  redis: redisClient,
+  prefix: config.redis.keyPrefix.replace(/:$/, ''),
+  instanceId: config.cluster.instanceId,
+  heartbeatInterval: config.cluster.heartbeatInterval,
+  getStats: () => ({
+    hostname: os.hostname(),
+    pid: process.pid,
+    connections: hocuspocusServer.getConnectionsCount(),
+    documents: hocuspocusServer.getDocumentsCount(),
+  }),
+  logger,
+})
+
+const snapshotStore = createSnapshotStore()
+
+const snapshotService = createSnapshotService({
+  store: snapshotStore,
+  parseDocumentName: validateDocumentName,
+  maxPerDocument: config.snapshots.maxPerDocument,
+  logger,
+})
+
+// Compacts yjs_documents and expires the documents of deleted rows, needs the Postgres persistence
+const compactionJob = createCompactionJob({
+  pool: pgPool && config.persistence.enabled ? pgPool : null,
+  redis: redisClient,
+  prefix: config.redis.keyPrefix.replace(/:$/, ''),
+  instanceId: config.cluster.instanceId,
+  tables: pickEntityTypes(entityTypes, 'table'),
+  tenant: config.tenants.crm,
+  snapshotStore,
+  isLoaded: (documentName) => hocuspocusServer.documents.has(documentName),
+  batchSize: config.compaction.batchSize,
+  expireAfter: config.compaction.expireAfter,
+  onReclaimed: (reason, bytes) => metrics.compactionReclaimedBytesTotal.inc({ reason }, bytes),
+  logger,
+})
+
+const runCompaction = async (trigger) => {
+  const report = await compactionJob.run(trigger)
+  metrics.compactionRunsTotal.inc({ status: report.status })
+  return report
+}
+
+let stopCompaction = null
+
+// Authenticate HTTP requests with a Bearer token
+const authenticateRequest = (request, url) => {
+  if (!tokenVerifier && process.env.NODE_ENV === 'development') {
+    return { id: 'dev-user', name: 'Development User', permissions: ['read', 'write', 'admin'] }
+  }
+  
+  if (!tokenVerifier) {
+    throw new AuthenticationError('Token authentication is not configured', 'auth-not-configured')
+  }
   
-  if (!pattern.test(documentName)) {
-    throw new Error(`Invalid document name format: ${documentName}. Expected format: entity_type:entity_id`)
+  const header = request.headers.authorization || ''
+  const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token')
+  
+  return tokenVerifier.verify(token).user
+}
+
+// Resolve the access level of a user on a document, shared by the WebSocket and HTTP paths
+const authorizeDocument = async (user, { documentName, tenant, entityType, entityId }) => {
+  // Tokens bound to a tenant cannot open another tenant's documents
+  if (user.tenant && user.tenant !== tenant) {
+    throw new AuthenticationError(`User ${user.id} does not belong to tenant ${tenant}`, 'forbidden')
   }
   
-  const [entityType, entityId] = documentName.split(':')
+  const access = await entityAuthorizer.authorize(user, entityType, entityId)
   
-  // Validate entity types
-  const allowedEntityTypes = ['deal', 'contact', 'company', 'note', 'task', 'email']
-  if (!allowedEntityTypes.includes(entityType)) {
-    throw new Error(`Invalid entity type: ${entityType}. Allowed types: ${allowedEntityTypes.join(', ')}`)
+  if (access === AccessLevel.NONE) {
+    throw new AuthenticationError(`User ${user.id} has no access to ${documentName}`, 'forbidden')
   }
   
-  return { entityType, entityId, documentName }
+  return access
+}
+
+// Loaded documents and connections per tenant
+const getTenantStats = () => {
+  const tenants = {}
+  
+  hocuspocusServer.documents.forEach((document, documentName) => {
+    const [tenant] = documentName.split(':')
+    tenants[tenant] = tenants[tenant] || { documents: 0, connections: 0 }
+    tenants[tenant].documents++
+    tenants[tenant].connections += document.getConnectionsCount()
+  })
+  
+  return tenants
+}
+
+// Load and change times of the documents, read by the admin routes
+const documentTracker = new DocumentTracker()
+
+const documentAdmin = createDocumentAdmin({
+  getInstance: () => hocuspocusServer,
+  tracker: documentTracker,
+  parseDocumentName: validateDocumentName,
+  logger,
+})
+
+// Drain mode, started by SIGTERM/SIGINT before the server is destroyed
+const drainController = createDrainController({
+  getInstance: () => hocuspocusServer,
+  delay: config.drain.delay,
+  timeout: config.drain.timeout,
+  logger,
+})
+
+// Stateless messages to everyone viewing a document, e.g.
+// broadcaster.broadcast('crm:deal:123', { type: 'deal.closed', data: { by: 'Alice' } })
+const broadcaster = createBroadcaster({
+  getInstance: () => hocuspocusServer,
+  logger,
+})
+
+// Age of the changes waiting for onStoreDocument, reported by /health/ready
+const persistenceTracker = new PersistenceTracker()
+
+const checkReadiness = createReadinessProbe({
+  checks: {
+    redis: () => redisClient.ping(),
+    ...(pgPool ? { postgres: () => pgPool.query('SELECT 1') } : {}),
+  },
+  persistence: persistenceTracker,
+  maxPersistenceLag: config.health.maxPersistenceLag,
+  timeout: config.health.checkTimeout,
+  isDraining: () => drainController.isDraining(),
+})
+
+// Prometheus metrics (gauges read the live tenant stats when scraped)
+const metrics = createMetrics({ getTenantStats })
+
+// Webhook delivery queue (disabled without WEBHOOK_URLS)
+const webhookDispatcher = createWebhookDispatcher({
+  endpoints: config.webhooks.urls.map((url) => ({ url: url.trim(), events: config.webhooks.events })),
+  secret: config.webhooks.secret,
+  maxAttempts: config.webhooks.maxAttempts,
+  retryBaseDelay: config.webhooks.retryBaseDelay,
+  timeout: config.webhooks.timeout,
+  deadLetterStore: createRedisDeadLetterStore({
+    redis: redisClient,
+    prefix: config.redis.keyPrefix.replace(/:$/, ''),
+    size: config.webhooks.deadLetterSize,
+  }),
+  onDelivery: (result) => metrics.webhookDeliveriesTotal.inc({ result }),
+  logger,
+})
+
+if (webhookDispatcher.enabled && !config.webhooks.secret) {
+  logger.warn('WEBHOOK_SECRET is not set, webhook deliveries are not signed')
 }
 
-// CORS headers helper
+// JSON response helper
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' })
+  response.end(JSON.stringify(body, null, 2))
+}
+
+// Read a JSON request body, rejecting bodies over maxBytes
+const readJsonBody = (request, maxBytes = 1024 * 1024) => new Promise((resolve, reject) => {
+  const chunks = []
+  let size = 0
+  
+  request.on('data', (chunk) => {
+    size += chunk.length
+    if (size > maxBytes) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }))
+      request.destroy()
+      return
+    }
+    chunks.push(chunk)
+  })
+  
+  request.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'))
+    } catch (error) {
+      reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }))
+    }
+  })
+  
+  request.on('error', reject)
+})
+
+// Origin policy applied to HTTP routes and WebSocket upgrades
+const originPolicy = createOriginPolicy({
+  allowed: config.cors.origin,
+  allowMissing: config.cors.allowNoOrigin,
+})
+
+// CORS headers helper, only allowed origins get CORS headers
 const setCorsHeaders = (response, origin) => {
-  const allowedOrigins = Array.isArray(config.cors.origin) ? config.cors.origin : [config.cors.origin]
+  response.setHeader('Vary', 'Origin')
+  
+  if (!origin || !originPolicy.isAllowed(origin)) {
+    return
+  }
+  
+  response.setHeader('Access-Control-Allow-Origin', origin)
+  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS')
+  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Request-Id')
+  response.setHeader('Access-Control-Expose-Headers', 'X-Request-Id')
+  
+  if (config.cors.credentials && originPolicy.allowsCredentials(origin)) {
+    response.setHeader('Access-Control-Allow-Credentials', 'true')
+  }
+}
+
+// Authenticate and authorize an HTTP request on a document
+// Returns { user, access, document } or null once an error response is sent
+const authorizeHttpDocument = async (request, response, url, documentName) => {
+  let document
+  try {
+    document = validateDocumentName(documentName)
+  } catch (error) {
+    sendJson(response, 400, { error: 'Bad Request', message: error.message })
+    return null
+  }
+  
+  let user
+  try {
+    user = authenticateRequest(request, url)
+  } catch (error) {
+    sendJson(response, 401, { error: 'Unauthorized', reason: error.reason })
+    return null
+  }
+  
+  try {
+    const access = await authorizeDocument(user, document)
+    return { user, access, document }
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) throw error
+    sendJson(response, 403, { error: 'Forbidden', reason: error.reason })
+    return null
+  }
+}
+
+// Authenticate an admin HTTP request
+// Returns the user or null once an error response is sent
+const authenticateAdmin = (request, response, url) => {
+  let user
+  try {
+    user = authenticateRequest(request, url)
+  } catch (error) {
+    sendJson(response, 401, { error: 'Unauthorized', reason: error.reason })
+    return null
+  }
+  
+  if (!user.permissions.includes('admin')) {
+    sendJson(response, 403, { error: 'Forbidden' })
+    return null
+  }
+  
+  return user
+}
+
+// /api/admin/..., inspect and evict the documents loaded by this instance
+const handleAdminRequest = async (request, response, url, path) => {
+  const user = authenticateAdmin(request, response, url)
+  if (!user) return
+  
+  const [resource, id, action, ...rest] = path.split('/').map(decodeURIComponent)
+  
+  // GET /api/admin/documents?tenant=
+  if (resource === 'documents' && !id && request.method === 'GET') {
+    const documents = documentAdmin.listDocuments({ tenant: url.searchParams.get('tenant') })
+    sendJson(response, 200, { instanceId: config.cluster.instanceId, count: documents.length, documents })
+    return
+  }
+  
+  // GET /api/admin/documents/:name, DELETE to force-close it
+  if (resource === 'documents' && id && !action) {
+    if (request.method === 'GET') {
+      const document = documentAdmin.getDocument(id)
+      if (!document) {
+        sendJson(response, 404, { error: 'Not Found', reason: 'document-not-loaded', instanceId: config.cluster.instanceId })
+        return
+      }
+      
+      sendJson(response, 200, { instanceId: config.cluster.instanceId, ...document })
+      return
+    }
+    
+    if (request.method === 'DELETE') {
+      const result = await documentAdmin.closeDocument(id, { user })
+      if (!result) {
+        sendJson(response, 404, { error: 'Not Found', reason: 'document-not-loaded', instanceId: config.cluster.instanceId })
+        return
+      }
+      
+      sendJson(response, 200, { instanceId: config.cluster.instanceId, ...result })
+      return
+    }
+    
+    sendJson(response, 405, { error: 'Method Not Allowed' })
+    return
+  }
+  
+  // GET /api/admin/compaction for the last report, POST to run it now
+  if (resource === 'compaction' && !id) {
+    if (!compactionJob.enabled) {
+      sendJson(response, 404, { error: 'Not Found', reason: 'compaction-disabled' })
+      return
+    }
+    
+    if (request.method === 'GET') {
+      sendJson(response, 200, {
+        instanceId: config.cluster.instanceId,
+        running: compactionJob.isRunning(),
+        interval: config.compaction.interval,
+        lastReport: compactionJob.lastReport(),
+      })
+      return
+    }
+    
+    if (request.method === 'POST') {
+      logger.info('Compaction requested', { userId: user.id })
+      const report = await runCompaction('manual')
+      sendJson(response, report.status === 'skipped' ? 409 : 200, report)
+      return
+    }
+    
+    sendJson(response, 405, { error: 'Method Not Allowed' })
+    return
+  }
+  
+  // DELETE /api/admin/users/:id/connections?document=
+  if (resource === 'users' && id && action === 'connections' && rest.length === 0) {
+    if (request.method !== 'DELETE') {
+      sendJson(response, 405, { error: 'Method Not Allowed' })
+      return
+    }
+    
+    const closed = documentAdmin.disconnectUser(id, { documentName: url.searchParams.get('document'), user })
+    sendJson(response, 200, { instanceId: config.cluster.instanceId, userId: id, count: closed.length, connections: closed })
+    return
+  }
+  
+  sendJson(response, 404, { error: 'Not Found' })
+}
+
+// Apply a change to a live document through a direct connection and audit it
+// Connected clients receive the change at once
+const changeDocument = async (connection, user, { documentName, tenant, entityType, entityId }, change) => {
+  let update = null
+  const captureUpdate = (next) => {
+    update = update ? Y.mergeUpdates([update, next]) : next
+  }
+  
+  await connection.transact((doc) => {
+    doc.on('update', captureUpdate)
+    try {
+      change(doc)
+    } finally {
+      doc.off('update', captureUpdate)
+    }
+  })
+  
+  // Direct connection updates carry no connection context, so they are audited here
+  if (update && auditLog.enabled) {
+    await auditLog.logChangeEvent(user, {
+      documentName,
+      tenant,
+      entityType,
+      entityId,
+      socketId: 'http',
+    }, {
+      changedKeys: getTouchedKeys(connection.document, update),
+      updateSize: update.byteLength,
+    })
+  }
+}
+
+// GET/PATCH /api/documents/:name, read or change a live document
+const handleDocumentRequest = async (request, response, url, documentName) => {
+  if (!['GET', 'PATCH'].includes(request.method)) {
+    sendJson(response, 405, { error: 'Method Not Allowed' })
+    return
+  }
+  
+  const authorized = await authorizeHttpDocument(request, response, url, documentName)
+  if (!authorized) return
+  
+  const { user, access, document } = authorized
+  const { tenant, entityType, entityId } = document
+  
+  let patch
+  if (request.method === 'PATCH') {
+    if (access !== AccessLevel.WRITE) {
+      sendJson(response, 403, { error: 'Forbidden', reason: 'read-only' })
+      return
+    }
+    
+    try {
+      patch = await readJsonBody(request)
+    } catch (error) {
+      sendJson(response, error.status || 400, { error: error.message })
+      return
+    }
+    
+    const errors = validateDocumentPatch(patch, entityType)
+    if (errors.length === 0 && patch[entityType] && entitySchemas[entityType]) {
+      errors.push(...validateFields(entitySchemas[entityType], patch[entityType]).map(({ message }) => message))
+    }
+    
+    if (errors.length > 0) {
+      sendJson(response, 400, { error: 'Bad Request', errors })
+      return
+    }
+  }
+  
+  // Loads the document like a WebSocket client would
+  const connection = await hocuspocusServer.openDirectConnection(documentName, { user, access, tenant, entityType, entityId })
+  
+  try {
+    if (patch) {
+      await changeDocument(connection, user, document, (doc) => applyDocumentPatch(doc, entityType, patch, user))
+      
+      logger.info('Document patched over HTTP', {
+        documentName,
+        userId: user.id,
+        keys: Object.keys(patch),
+      })
+    }
+    
+    sendJson(response, 200, {
+      documentName,
+      tenant,
+      entityType,
+      entityId,
+      access,
+      ...serializeDocument(connection.document, entityType),
+      // Awareness is relayed between instances, so this lists users connected to any of them
+      presence: Array.from(connection.document.awareness.getStates().values())
+        .map((state) => state.user)
+        .filter(Boolean),
+    })
+  } finally {
+    await connection.disconnect()
+  }
+}
+
+// POST /api/documents/:name/messages, broadcast a stateless message to the document's viewers
+const handleMessageRequest = async (request, response, url, documentName) => {
+  if (request.method !== 'POST') {
+    sendJson(response, 405, { error: 'Method Not Allowed' })
+    return
+  }
+  
+  const authorized = await authorizeHttpDocument(request, response, url, documentName)
+  if (!authorized) return
+  
+  const { user, access } = authorized
+  if (access !== AccessLevel.WRITE) {
+    sendJson(response, 403, { error: 'Forbidden', reason: 'read-only' })
+    return
+  }
+  
+  let message
+  try {
+    message = await readJsonBody(request)
+  } catch (error) {
+    sendJson(response, error.status || 400, { error: error.message })
+    return
+  }
   
-  if (allowedOrigins.includes(origin) || allowedOrigins.includes('*')) {
-    response.setHeader('Access-Control-Allow-Origin', origin)
+  const error = validateBroadcast(message || {}, config.broadcast.maxSize)
+  if (error) {
+    sendJson(response, 400, { error: 'Bad Request', errors: [error] })
+    return
   }
   
-  response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
-  response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With')
-  response.setHeader('Access-Control-Allow-Credentials', 'true')
+  const envelope = await broadcaster.broadcast(documentName, {
+    type: message.type,
+    data: message.data,
+    sender: user,
+    source: BroadcastSource.HTTP,
+  })
+  
+  sendJson(response, 202, envelope)
+}
+
+// Version history routes under /api/documents/:name/versions
+// - GET    versions                 list snapshots, newest first
+// - POST   versions                 take a manual snapshot
+// - GET    versions/:id             snapshot content
+// - GET    versions/:id/diff?to=    diff to another snapshot or the current state
+// - POST   versions/:id/restore     restore a snapshot as a new change
+const handleVersionRequest = async (request, response, url, documentName, versionPath) => {
+  const [versionId, action] = versionPath
+  
+  if (!snapshotService.enabled) {
+    sendJson(response, 404, { error: 'Not Found', message: 'Document snapshots are disabled' })
+    return
+  }
+  
+  const authorized = await authorizeHttpDocument(request, response, url, documentName)
+  if (!authorized) return
+  
+  const { user, access, document } = authorized
+  const { tenant, entityType, entityId } = document
+  const context = { user, access, tenant, entityType, entityId }
+  const isWrite = request.method === 'POST'
+  
+  if (isWrite && access !== AccessLevel.WRITE) {
+    sendJson(response, 403, { error: 'Forbidden', reason: 'read-only' })
+    return
+  }
+  
+  if (!versionId && request.method === 'GET') {
+    const versions = await snapshotService.list(documentName, url.searchParams.get('limit'))
+    sendJson(response, 200, { documentName, count: versions.length, versions })
+    return
+  }
+  
+  if (!versionId && isWrite) {
+    const connection = await hocuspocusServer.openDirectConnection(documentName, context)
+    try {
+      const version = await snapshotService.capture(documentName, connection.document, { reason: SnapshotReason.MANUAL, user })
+      sendJson(response, 201, version)
+    } finally {
+      await connection.disconnect()
+    }
+    return
+  }
+  
+  if (!versionId || (action && !['diff', 'restore'].includes(action)) || (action === 'restore') !== isWrite) {
+    sendJson(response, 404, { error: 'Not Found' })
+    return
+  }
+  
+  const version = await snapshotService.load(documentName, versionId)
+  if (!version) {
+    sendJson(response, 404, { error: 'Not Found', message: `Unknown version: ${versionId}` })
+    return
+  }
+  
+  if (!action) {
+    sendJson(response, 200, { documentName, versionId, ...version })
+    return
+  }
+  
+  if (action === 'diff') {
+    const to = url.searchParams.get('to') || 'current'
+    let target
+    
+    if (to === 'current') {
+      const connection = await hocuspocusServer.openDirectConnection(documentName, context)
+      try {
+        target = serializeDocument(connection.document, entityType)
+      } finally {
+        await connection.disconnect()
+      }
+    } else {
+      target = await snapshotService.load(documentName, to)
+    }
+    
+    if (!target) {
+      sendJson(response, 404, { error: 'Not Found', message: `Unknown version: ${to}` })
+      return
+    }
+    
+    sendJson(response, 200, { documentName, from: versionId, to, diff: diffDocuments(version, target, entityType) })
+    return
+  }
+  
+  // Restore: keep the current state first so the restore can be undone
+  const connection = await hocuspocusServer.openDirectConnection(documentName, context)
+  try {
+    const previous = await snapshotService.capture(documentName, connection.document, { reason: SnapshotReason.PRE_RESTORE, user })
+    await changeDocument(connection, user, document, (doc) => restoreDocument(doc, entityType, version))
+    
+    logger.info('Document version restored', {
+      documentName,
+      versionId,
+      previousVersionId: previous.id,
+      userId: user.id,
+    })
+    
+    sendJson(response, 200, {
+      documentName,
+      restoredVersionId: versionId,
+      previousVersionId: previous.id,
+      ...serializeDocument(connection.document, entityType),
+    })
+  } finally {
+    await connection.disconnect()
+  }
+}
+
+// HTTP routes served next to the WebSocket endpoint
+const handleHttpRequest = async (request, response) => {
+  try {
+    const url = new URL(request.url, `http://${request.headers.host}`)
+    const origin = request.headers.origin
+    
+    // Browsers on other origins are refused, like their WebSocket upgrades
+    const originRejection = originPolicy.check(origin)
+    if (originRejection) {
+      logger.warn('HTTP request rejected by origin policy', {
+        origin,
+        reason: originRejection,
+        method: request.method,
+        path: url.pathname,
+      })
+      sendJson(response, 403, { error: 'Forbidden', reason: originRejection })
+      return
+    }
+    
+    // Handle preflight requests
+    if (request.method === 'OPTIONS') {
+      setCorsHeaders(response, origin)
+      response.writeHead(200)
+      response.end()
+      return
+    }
+    
+    // Liveness probe, the process answers without checking dependencies
+    if (url.pathname === '/health/live') {
+      setCorsHeaders(response, origin)
+      sendJson(response, 200, {
+        status: 'alive',
+        timestamp: new Date().toISOString(),
+        instanceId: config.cluster.instanceId,
+        uptime: process.uptime(),
+      })
+      return
+    }
+    
+    // Readiness probe, 503 when a dependency is down, persistence lags or the server drains
+    if (url.pathname === '/health/ready') {
+      setCorsHeaders(response, origin)
+      
+      const readiness = await checkReadiness()
+      if (!readiness.ready) {
+        logger.warn('Readiness check failed', { status: readiness.status, checks: readiness.checks })
+      }
+      
+      sendJson(response, readiness.ready ? 200 : 503, {
+        ...readiness,
+        timestamp: new Date().toISOString(),
+        instanceId: config.cluster.instanceId,
+      })
+      return
+    }
+    
+    // Health check endpoint
+    if (url.pathname === '/health') {
+      setCorsHeaders(response, origin)
+      
+      const draining = drainController.isDraining()
+      const health = {
+        status: draining ? 'draining' : 'healthy',
+        ...drainController.status(),
+        timestamp: new Date().toISOString(),
+        service: 'hocuspocus-server',
+        instanceId: config.cluster.instanceId,
+        version: process.env.npm_package_version || '1.0.0',
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        connections: hocuspocusServer.getConnectionsCount(),
+        documents: hocuspocusServer.getDocumentsCount(),
+      }
+      
+      // Load balancers stop routing to a draining instance
+      response.writeHead(draining ? 503 : 200, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(health, null, 2))
+      return
+    }
+    
+    // Metrics endpoint (Prometheus text format, JSON snapshot with ?format=json)
+    if (url.pathname === '/metrics') {
+      setCorsHeaders(response, origin)
+      
+      if (url.searchParams.get('format') !== 'json') {
+        response.writeHead(200, { 'Content-Type': metrics.contentType })
+        response.end(await metrics.register.metrics())
+        return
+      }
+      
+      const snapshot = {
+        connections: hocuspocusServer.getConnectionsCount(),
+        documents: hocuspocusServer.getDocumentsCount(),
+        tenants: getTenantStats(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        timestamp: new Date().toISOString(),
+      }
+      
+      response.writeHead(200, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(snapshot, null, 2))
+      return
+    }
+    
+    // Audit log endpoint
+    if (url.pathname === '/api/audit' && request.method === 'GET') {
+      setCorsHeaders(response, origin)
+      
+      let user
+      try {
+        user = authenticateRequest(request, url)
+      } catch (error) {
+        sendJson(response, 401, { error: 'Unauthorized', reason: error.reason })
+        return
+      }
+      
+      if (!user.permissions.includes('admin') && !user.permissions.includes('audit')) {
+        sendJson(response, 403, { error: 'Forbidden' })
+        return
+      }
+      
+      // Unparseable bounds would otherwise reach the sink as invalid timestamps
+      const range = {}
+      for (const bound of ['from', 'to']) {
+        const value = url.searchParams.get(bound)
+        if (!value) continue
+        
+        const date = new Date(value)
+        if (Number.isNaN(date.getTime())) {
+          sendJson(response, 400, { error: 'Bad Request', message: `Invalid ${bound} date: ${value}` })
+          return
+        }
+        range[bound] = date.toISOString()
+      }
+      
+      // entity=deal:123 is a shortcut for entityType + entityId
+      const [entityType, entityId] = (url.searchParams.get('entity') || '').split(':')
+      
+      const events = await auditLog.query({
+        // Tenant-bound tokens only ever see their own tenant
+        tenant: user.tenant || url.searchParams.get('tenant'),
+        entityType: entityType || url.searchParams.get('entityType'),
+        entityId: entityId || url.searchParams.get('entityId'),
+        userId: url.searchParams.get('user'),
+        eventType: url.searchParams.get('eventType'),
+        from: range.from,
+        to: range.to,
+        limit: url.searchParams.get('limit'),
+      })
+      
+      sendJson(response, 200, { enabled: auditLog.enabled, count: events.length, events })
+      return
+    }
+    
+    // Document REST API and version history
+    if (url.pathname.startsWith('/api/documents/')) {
+      setCorsHeaders(response, origin)
+      
+      // Direct connections would load documents again while they are being unloaded
+      if (drainController.isDraining()) {
+        sendJson(response, 503, { error: 'Service Unavailable', reason: 'server-draining' })
+        return
+      }
+      
+      const [documentName, section, ...versionPath] = url.pathname.slice('/api/documents/'.length).split('/').map(decodeURIComponent)
+      
+      if (!section) {
+        await handleDocumentRequest(request, response, url, documentName)
+      } else if (section === 'messages' && versionPath.length === 0) {
+        await handleMessageRequest(request, response, url, documentName)
+      } else if (section === 'versions' && versionPath.length <= 2) {
+        await handleVersionRequest(request, response, url, documentName, versionPath)
+      } else {
+        sendJson(response, 404, { error: 'Not Found' })
+      }
+      return
+    }
+    
+    // Document administration of this instance
+    if (url.pathname.startsWith('/api/admin/')) {
+      setCorsHeaders(response, origin)
+      await handleAdminRequest(request, response, url, url.pathname.slice('/api/admin/'.length))
+      return
+    }
+    
+    // Live instances of the cluster
+    if (url.pathname === '/api/cluster' && request.method === 'GET') {
+      setCorsHeaders(response, origin)
+      
+      let user
+      try {
+        user = authenticateRequest(request, url)
+      } catch (error) {
+        sendJson(response, 401, { error: 'Unauthorized', reason: error.reason })
+        return
+      }
+      
+      if (!user.permissions.includes('admin')) {
+        sendJson(response, 403, { error: 'Forbidden' })
+        return
+      }
+      
+      const instances = await instanceRegistry.list()
+      sendJson(response, 200, { instanceId: config.cluster.instanceId, count: instances.length, instances })
+      return
+    }
+    
+    // Webhook dead-letter list: GET to list, POST /:id/retry to send again
+    if (url.pathname.startsWith('/api/webhooks/dead-letters')) {
+      setCorsHeaders(response, origin)
+      
+      let user
+      try {
+        user = authenticateRequest(request, url)
+      } catch (error) {
+        sendJson(response, 401, { error: 'Unauthorized', reason: error.reason })
+        return
+      }
+      
+      if (!user.permissions.includes('admin')) {
+        sendJson(response, 403, { error: 'Forbidden' })
+        return
+      }
+      
+      if (url.pathname === '/api/webhooks/dead-letters' && request.method === 'GET') {
+        const deliveries = await webhookDispatcher.listDeadLetters()
+        sendJson(response, 200, { enabled: webhookDispatcher.enabled, count: deliveries.length, deliveries })
+        return
+      }
+      
+      const retryMatch = url.pathname.match(/^\/api\/webhooks\/dead-letters\/([^/]+)\/retry$/)
+      if (retryMatch && request.method === 'POST') {
+        if (!(await webhookDispatcher.retryDeadLetter(retryMatch[1]))) {
+          sendJson(response, 404, { error: 'Not Found' })
+          return
+        }
+        
+        logger.info('Webhook dead letter retried', { deliveryId: retryMatch[1], userId: user.id })
+        sendJson(response, 202, { retried: retryMatch[1] })
+        return
+      }
+      
+      sendJson(response, 404, { error: 'Not Found' })
+      return
+    }
+    
+    // API info endpoint
+    if (url.pathname === '/api/info') {
+      setCorsHeaders(response, origin)
+      
+      const info = {
+        name: config.server.name,
+        version: process.env.npm_package_version || '1.0.0',
+        environment: process.env.NODE_ENV || 'development',
+        features: {
+          redis: true,
+          throttling: config.throttle.enabled,
+          authentication: true,
+          webhooks: webhookDispatcher.enabled,
+          snapshots: snapshotService.enabled,
+          cors: true,
+        },
+        endpoints: {
+          websocket: 'ws://localhost:' + config.port,
+          health: '/health',
+          liveness: '/health/live',
+          readiness: '/health/ready',
+          metrics: '/metrics',
+          info: '/api/info',
+          audit: '/api/audit',
+          documents: '/api/documents/:name',
+          webhookDeadLetters: '/api/webhooks/dead-letters',
+          cluster: '/api/cluster',
+          adminDocuments: '/api/admin/documents',
+          adminUserConnections: '/api/admin/users/:id/connections',
+          adminCompaction: '/api/admin/compaction',
+          versions: '/api/documents/:name/versions',
+          messages: '/api/documents/:name/messages',
+        },
+        documentNameFormat: 'tenant:entity_type:entity_id',
+        allowedTenants: config.tenants.allowed.length > 0 ? config.tenants.allowed : '*',
+        allowedEntityTypes: Array.from(entityTypes.keys()),
+        entityTypes: describeEntityTypes(entityTypes),
+      }
+      
+      response.writeHead(200, { 'Content-Type': 'application/json' })
+      response.end(JSON.stringify(info, null, 2))
+      return
+    }
+    
+    // 404 for other routes
+    setCorsHeaders(response, origin)
+    response.writeHead(404, { 'Content-Type': 'application/json' })
+    response.end(JSON.stringify({ error: 'Not Found' }))
+    
+  } catch (error) {
+    logger.error('Request handling error', error, {
+      url: request.url,
+      method: request.method,
+    })
+    
+    response.writeHead(500, { 'Content-Type': 'application/json' })
+    response.end(JSON.stringify({ error: 'Internal Server Error' }))
+  }
 }
 
 // Create extensions array
@@ -146,54 +1233,125 @@ const extensions = [
   }),
   
   // Redis extension for persistence and scaling
+  // Keys and channels are <prefix>:<tenant>:<entity_type>:<entity_id>, so tenants never share them
   new Redis({
     host: config.redis.host,
     port: config.redis.port,
-    password: config.redis.password,
-    db: config.redis.database,
-    keyPrefix: config.redis.keyPrefix,
-    
-    // Redis connection options
-    connectTimeout: 10000,
-    lazyConnect: true,
-    retryDelayOnFailover: 100,
-    maxRetriesPerRequest: 3,
-    
-    // Additional Redis options for production
-    ...(process.env.NODE_ENV === 'production' && {
-      enableOfflineQueue: false,
+    prefix: config.redis.keyPrefix.replace(/:$/, ''),
+    // Messages published by this instance are ignored when they come back
+    identifier: config.cluster.instanceId,
+    
+    // Redis connection options (passed to ioredis)
+    options: {
+      password: config.redis.password,
+      db: config.redis.database,
+      connectTimeout: 10000,
+      lazyConnect: true,
       retryDelayOnFailover: 100,
       maxRetriesPerRequest: 3,
-    }),
+    },
   }),
 ]
 
+// Before the Database extension, so a store is timed from its start
+extensions.push(persistenceTracker)
+
+// Persist documents into the CRM tables (saves are debounced by HOCUSPOCUS_DEBOUNCE/MAX_DEBOUNCE)
+if (pgPool && config.persistence.enabled) {
+  extensions.push(new Database(createPostgresPersistence({
+    pool: pgPool,
+    parseDocumentName: validateDocumentName,
+    mappings: pickEntityTypes(entityTypes, 'persistence'),
+    logger,
+  })))
+}
+
+// Update rate and size limits per user, document and entity type
+extensions.push(new RateLimits({
+  resolveLimits: createLimitResolver(config.limits),
+  parseDocumentName: validateDocumentName,
+  onReject: (reason, entityType) => metrics.limitRejectionsTotal.inc({ reason, entity_type: entityType }),
+  logger,
+}))
+
+// Load and change times for the admin routes
+extensions.push(documentTracker)
+
+// Relay the stateless messages clients send to the other viewers
+extensions.push(new StatelessMessages({
+  broadcaster,
+  clientTypes: config.broadcast.clientTypes,
+  maxSize: config.broadcast.maxSize,
+  logger,
+}))
+
+// Reject updates breaking the schema of the entity map
+if (config.schemas.enabled) {
+  extensions.push(new SchemaValidation({
+    schemas: entitySchemas,
+    parseDocumentName: validateDocumentName,
+    onReject: (entityType) => metrics.schemaRejectionsTotal.inc({ entity_type: entityType }),
+    logger,
+  }))
+}
+
+// Send document changes to the configured webhooks
+if (webhookDispatcher.enabled) {
+  extensions.push(new Webhooks({
+    dispatcher: webhookDispatcher,
+    parseDocumentName: validateDocumentName,
+    logger,
+  }))
+}
+
+// Periodic document snapshots
+if (snapshotService.enabled) {
+  extensions.push(new Snapshots({
+    service: snapshotService,
+    interval: config.snapshots.interval,
+    logger,
+  }))
+}
+
 // Add throttle extension if enabled
 if (config.throttle.enabled) {
-  extensions.push(new Throttle({
+  extensions.push(new SharedThrottle({
     throttle: config.throttle.limit,
     banTime: config.throttle.banTime,
+    redis: config.throttle.shared ? redisClient : null,
+    prefix: config.redis.keyPrefix.replace(/:$/, ''),
+    onBan: (ip) => {
+      metrics.throttleBansTotal.inc()
+      logger.warn('IP banned by throttling', { ip, banTime: config.throttle.banTime })
+    },
+    logger,
   }))
 }
 
 // Create Hocuspocus server
-const hocuspocusServer = new Server({
+const hocuspocusServer = Server.configure({
   name: config.server.name,
   timeout: config.server.timeout,
   debounce: config.server.debounce,
   maxDebounce: config.server.maxDebounce,
   quiet: config.server.quiet,
+  // Signals are handled by gracefulShutdown, which drains before destroying
+  stopOnSignals: false,
   
   extensions,
   
   // Authentication hook
   async onAuthenticate({ token, documentName, requestHeaders, requestParameters, connection }) {
+    const correlationId = getConnectionCorrelationId(connection, requestParameters)
+    const log = logger.child({ correlationId })
+    
     try {
       // Validate document name format
-      const { entityType, entityId } = validateDocumentName(documentName)
+      const { tenant, entityType, entityId } = validateDocumentName(documentName)
       
-      logger.debug('Authentication request', {
+      log.debug('Authentication request', {
         documentName,
+        tenant,
         entityType,
         entityId,
         hasToken: !!token,
@@ -201,41 +1359,51 @@ const hocuspocusServer = new Server({
         origin: requestHeaders.origin,
       })
       
-      // TODO: Implement actual authentication logic here
-      // For now, we'll allow all connections in development
-      if (process.env.NODE_ENV === 'development') {
-        return {
-          user: {
-            id: 'dev-user',
-            name: 'Development User',
-            permissions: ['read', 'write'],
-          },
-          entityType,
-          entityId,
+      // Without a configured key, development keeps its anonymous user
+      let user
+      if (!tokenVerifier && process.env.NODE_ENV === 'development') {
+        user = {
+          id: 'dev-user',
+          name: 'Development User',
+          permissions: ['read', 'write'],
+        }
+      } else {
+        if (!tokenVerifier) {
+          throw new AuthenticationError('Token authentication is not configured', 'auth-not-configured')
         }
+        
+        const verified = tokenVerifier.verify(token)
+        user = verified.user
+        
+        log.debug('Token verified', {
+          documentName,
+          userId: user.id,
+          expiresAt: verified.expiresAt ? new Date(verified.expiresAt).toISOString() : null,
+        })
       }
       
-      // In production, validate token against your auth system
-      if (!token) {
-        throw new Error('Authentication token is required')
-      }
+      // Check user permissions for this entity
+      const access = await authorizeDocument(user, { documentName, tenant, entityType, entityId })
       
-      // TODO: Validate token with your authentication service
-      // const user = await validateTokenWithAuthService(token)
+      // Read-only connections still receive live updates, their own updates are rejected
+      if (access === AccessLevel.READ) {
+        connection.readOnly = true
+      }
       
       return {
-        user: {
-          id: 'authenticated-user',
-          name: 'Authenticated User',
-          permissions: ['read', 'write'],
-        },
+        user,
+        access,
+        tenant,
         entityType,
         entityId,
+        correlationId,
       }
     } catch (error) {
-      logger.error('Authentication failed', error, {
+      metrics.authFailuresTotal.inc({ reason: error.reason || 'error' })
+      log.error('Authentication failed', error, {
         documentName,
         hasToken: !!token,
+        reason: error.reason,
       })
       throw error
     }
@@ -243,11 +1411,15 @@ const hocuspocusServer = new Server({
   
   // Connection hook
   async onConnect({ documentName, requestHeaders, requestParameters, context, connection }) {
+    const correlationId = getConnectionCorrelationId(connection, requestParameters)
+    
     try {
-      const { entityType, entityId } = validateDocumentName(documentName)
+      const { tenant, entityType, entityId } = validateDocumentName(documentName)
       
       logger.info('Client connected', {
+        correlationId,
         documentName,
+        tenant,
         entityType,
         entityId,
         userAgent: requestHeaders['user-agent'],
@@ -255,177 +1427,186 @@ const hocuspocusServer = new Server({
         contextUser: context?.user?.id,
       })
       
-      // TODO: Log connection to audit trail
-      // await logConnectionEvent(context.user, entityType, entityId, 'connect')
-      
+      // Merged into the context of the connection, so every later hook can log it
+      return { correlationId }
     } catch (error) {
-      logger.error('Connection error', error, { documentName })
+      logger.error('Connection error', error, { correlationId, documentName })
       throw error
     }
   },
   
+  // Authenticated connection hook (context.user is only known from here on)
+  async connected({ documentName, requestHeaders, context, socketId }) {
+    try {
+      const { tenant, entityType, entityId } = validateDocumentName(documentName)
+      
+      metrics.connectsTotal.inc({ tenant, entity_type: entityType })
+      
+      await auditLog.logConnectionEvent(context.user, {
+        documentName,
+        tenant,
+        entityType,
+        entityId,
+        origin: requestHeaders.origin,
+        socketId,
+      }, AuditEventType.CONNECT)
+    } catch (error) {
+      logger.error('Connected hook error', error, { correlationId: context?.correlationId, documentName })
+    }
+  },
+  
   // Disconnection hook
-  async onDisconnect({ documentName, context, connection }) {
+  async onDisconnect({ documentName, requestHeaders, context, socketId }) {
     try {
-      const { entityType, entityId } = validateDocumentName(documentName)
+      const { tenant, entityType, entityId } = validateDocumentName(documentName)
       
       logger.info('Client disconnected', {
+        correlationId: context?.correlationId,
         documentName,
+        tenant,
         entityType,
         entityId,
         contextUser: context?.user?.id,
       })
       
-      // TODO: Log disconnection to audit trail
-      // await logConnectionEvent(context.user, entityType, entityId, 'disconnect')
+      metrics.disconnectsTotal.inc({ tenant, entity_type: entityType })
+      
+      await auditLog.logConnectionEvent(context?.user, {
+        documentName,
+        tenant,
+        entityType,
+        entityId,
+        origin: requestHeaders.origin,
+        socketId,
+      }, AuditEventType.DISCONNECT)
       
     } catch (error) {
-      logger.error('Disconnection error', error, { documentName })
+      logger.error('Disconnection error', error, { correlationId: context?.correlationId, documentName })
     }
   },
   
   // Document load hook
   async onLoadDocument({ documentName, context }) {
     try {
-      const { entityType, entityId } = validateDocumentName(documentName)
+      const { tenant, entityType, entityId } = validateDocumentName(documentName)
       
       logger.debug('Document loaded', {
+        correlationId: context?.correlationId,
         documentName,
+        tenant,
         entityType,
         entityId,
         contextUser: context?.user?.id,
       })
       
-      // TODO: Check user permissions for this entity
-      // await checkEntityPermissions(context.user, entityType, entityId)
+      metrics.documentLoadsTotal.inc({ tenant, entity_type: entityType })
       
     } catch (error) {
-      logger.error('Document load error', error, { documentName })
+      logger.error('Document load error', error, { correlationId: context?.correlationId, documentName })
       throw error
     }
   },
   
   // Document change hook
-  async onChange({ documentName, context, document }) {
+  async onChange({ documentName, context, document, update, socketId }) {
+    const endTimer = metrics.changeDuration.startTimer()
+    let entityTypeLabel = 'unknown'
+    
     try {
-      const { entityType, entityId } = validateDocumentName(documentName)
+      const { tenant, entityType, entityId } = validateDocumentName(documentName)
+      entityTypeLabel = entityType
       
-      logger.debug('Document changed', {
+      changeLogger.debug('Document changed', {
+        correlationId: context?.correlationId,
         documentName,
+        tenant,
         entityType,
         entityId,
         contextUser: context?.user?.id,
         documentSize: document.share.size,
       })
       
-      // TODO: Log change to audit trail
-      // await logChangeEvent(context.user, entityType, entityId, document)
+      // Updates relayed from other instances carry no user, they are audited where they originated
+      if (auditLog.enabled && context?.user) {
+        await auditLog.logChangeEvent(context.user, {
+          documentName,
+          tenant,
+          entityType,
+          entityId,
+          socketId,
+        }, {
+          changedKeys: getTouchedKeys(document, update),
+          updateSize: update.byteLength,
+        })
+      }
       
     } catch (error) {
-      logger.error('Document change error', error, { documentName })
+      logger.error('Document change error', error, { correlationId: context?.correlationId, documentName })
+    } finally {
+      endTimer({ entity_type: entityTypeLabel })
     }
   },
   
-  // HTTP request hook for custom routes
-  async onRequest({ request, response }) {
+  // Document store hook (debounced), records the encoded document size
+  async onStoreDocument({ documentName, document }) {
     try {
-      const url = new URL(request.url, `http://${request.headers.host}`)
-      const origin = request.headers.origin
-      
-      // Handle preflight requests
-      if (request.method === 'OPTIONS') {
-        setCorsHeaders(response, origin)
-        response.writeHead(200)
-        response.end()
-        return
-      }
-      
-      // Health check endpoint
-      if (url.pathname === '/health') {
-        setCorsHeaders(response, origin)
-        
-        const health = {
-          status: 'healthy',
-          timestamp: new Date().toISOString(),
-          service: 'hocuspocus-server',
-          version: process.env.npm_package_version || '1.0.0',
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-          connections: hocuspocusServer.getConnectionsCount(),
-          documents: hocuspocusServer.getDocumentsCount(),
-        }
-        
-        response.writeHead(200, { 'Content-Type': 'application/json' })
-        response.end(JSON.stringify(health, null, 2))
-        return
-      }
-      
-      // Metrics endpoint
-      if (url.pathname === '/metrics') {
-        setCorsHeaders(response, origin)
-        
-        const metrics = {
-          connections: hocuspocusServer.getConnectionsCount(),
-          documents: hocuspocusServer.getDocumentsCount(),
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-          timestamp: new Date().toISOString(),
-        }
-        
-        response.writeHead(200, { 'Content-Type': 'application/json' })
-        response.end(JSON.stringify(metrics, null, 2))
-        return
-      }
-      
-      // API info endpoint
-      if (url.pathname === '/api/info') {
-        setCorsHeaders(response, origin)
-        
-        const info = {
-          name: config.server.name,
-          version: process.env.npm_package_version || '1.0.0',
-          environment: process.env.NODE_ENV || 'development',
-          features: {
-            redis: true,
-            throttling: config.throttle.enabled,
-            authentication: true,
-            cors: true,
-          },
-          endpoints: {
-            websocket: 'ws://localhost:' + config.port,
-            health: '/health',
-            metrics: '/metrics',
-            info: '/api/info',
-          },
-          documentNameFormat: 'entity_type:entity_id',
-          allowedEntityTypes: ['deal', 'contact', 'company', 'note', 'task', 'email'],
-        }
-        
-        response.writeHead(200, { 'Content-Type': 'application/json' })
-        response.end(JSON.stringify(info, null, 2))
-        return
-      }
-      
-      // 404 for other routes
-      setCorsHeaders(response, origin)
-      response.writeHead(404, { 'Content-Type': 'application/json' })
-      response.end(JSON.stringify({ error: 'Not Found' }))
-      
+      const { entityType } = validateDocumentName(documentName)
+      metrics.documentSize.observe({ entity_type: entityType }, Y.encodeStateAsUpdate(document).byteLength)
     } catch (error) {
-      logger.error('Request handling error', error, {
+      logger.error('Document size metric error', error, { documentName })
+    }
+  },
+  
+  // WebSocket upgrade hook, enforces the origin policy before the handshake
+  async onUpgrade({ request, socket }) {
+    // Clients retry and reach another instance
+    if (drainController.isDraining()) {
+      socket.write('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\nRetry-After: 1\r\nContent-Type: text/plain\r\n\r\nServer draining')
+      socket.destroy()
+      throw null
+    }
+    
+    const origin = request.headers.origin
+    const reason = originPolicy.check(origin)
+    
+    if (reason) {
+      logger.warn('WebSocket upgrade rejected by origin policy', {
+        origin,
+        reason,
         url: request.url,
-        method: request.method,
+        remoteAddress: request.headers['x-forwarded-for'] || request.socket.remoteAddress,
       })
       
-      response.writeHead(500, { 'Content-Type': 'application/json' })
-      response.end(JSON.stringify({ error: 'Internal Server Error' }))
+      socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Type: text/plain\r\n\r\nOrigin not allowed')
+      socket.destroy()
+      
+      // Rejecting without an error stops Hocuspocus from completing the upgrade
+      throw null
     }
   },
   
+  // HTTP request hook for custom routes
+  async onRequest({ request, response }) {
+    // Callers may send their own X-Request-Id, it is echoed back and logged with every entry of the request
+    const correlationId = resolveCorrelationId(request.headers['x-request-id'])
+    response.setHeader('X-Request-Id', correlationId)
+    await runWithCorrelation(correlationId, () => handleHttpRequest(request, response))
+    
+    // The response is sent, reject without an error so Hocuspocus skips its default reply
+    throw null
+  },
+  
   // Listen hook
   async onListen({ port }) {
+    instanceRegistry.start()
+    
+    if (compactionJob.enabled && config.compaction.interval > 0) {
+      stopCompaction = scheduleCompaction(runCompaction, config.compaction.interval, logger)
+    }
+    
     logger.info('Hocuspocus server started', {
       port,
+      instanceId: config.cluster.instanceId,
       environment: process.env.NODE_ENV || 'development',
       redis: {
         host: config.redis.host,
@@ -443,7 +1624,7 @@ const hocuspocusServer = new Server({
 🚀 NocoDB CRM Hocuspocus Server
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-✅ Server listening on port ${port}
+✅ Server listening on port ${port} (instance ${config.cluster.instanceId})
 ✅ Redis connected to ${config.redis.host}:${config.redis.port}
 ✅ CORS enabled for: ${config.cors.origin.join(', ')}
 ✅ Throttling: ${config.throttle.enabled ? 'enabled' : 'disabled'}
@@ -453,19 +1634,22 @@ const hocuspocusServer = new Server({
 📊 Metrics: http://localhost:${port}/metrics
 ℹ️  API info: http://localhost:${port}/api/info
 
-📝 Document format: entity_type:entity_id
-📋 Allowed entities: deal, contact, company, note, task, email
+📝 Document format: tenant:entity_type:entity_id
+📋 Allowed entities: ${Array.from(entityTypes.keys()).join(', ')}
 
 Examples:
-• deal:123 (Deal with ID 123)
-• contact:456 (Contact with ID 456)
-• note:789 (Note with ID 789)
+• crm:deal:123 (Deal with ID 123 in the crm workspace)
+• crm:contact:456 (Contact with ID 456 in the crm workspace)
+• acme:note:789 (Note with ID 789 in the acme workspace)
     `)
   },
   
   // Destroy hook
   async onDestroy() {
     logger.info('Hocuspocus server shutting down')
+    stopCompaction?.()
+    await instanceRegistry.stop()
+    redisClient.disconnect()
   },
 })
 
@@ -480,11 +1664,17 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1)
 })
 
-// Graceful shutdown
+// Graceful shutdown, a second signal exits without waiting for the drain
 const gracefulShutdown = async (signal) => {
+  if (drainController.isDraining()) {
+    logger.warn('Received second shutdown signal, exiting now', { signal })
+    process.exit(1)
+  }
+  
   logger.info('Received shutdown signal', { signal })
   
   try {
+    await drainController.drain()
     await hocuspocusServer.destroy()
     logger.info('Server shutdown complete')
     process.exit(0)
@@ -0,0 +1,268 @@
+/**
+ * Snapshots and version history of collaborative documents
+ *
+ * Snapshots hold the full binary Y.js state and are written to a pluggable store:
+ * - Postgres store: document_snapshots table (see docker/init.sql)
+ * - Redis store: a sorted set of snapshot IDs per document and one hash per snapshot
+ *
+ * The extension takes periodic snapshots when a document is loaded and stored,
+ * manual and pre-restore snapshots are taken through the service
+ */
+
+import crypto from 'crypto'
+import * as Y from 'yjs'
+import { serializeDocument } from './documents.js'
+
+export const SnapshotReason = {
+  PERIODIC: 'periodic',
+  MANUAL: 'manual',
+  PRE_RESTORE: 'pre-restore',
+}
+
+const DEFAULT_LIST_LIMIT = 50
+const MAX_LIST_LIMIT = 500
+
+const clampLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT)
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+/**
+ * Postgres store writing to the document_snapshots table
+ */
+export const createPostgresSnapshotStore = ({ pool }) => ({
+  name: 'postgres',
+
+  async save(snapshot, state) {
+    await pool.query(
+      `INSERT INTO document_snapshots
+        (id, document_name, tenant, entity_type, entity_id, state, size, reason, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        snapshot.id,
+        snapshot.documentName,
+        snapshot.tenant,
+        snapshot.entityType,
+        snapshot.entityId,
+        Buffer.from(state),
+        snapshot.size,
+        snapshot.reason,
+        snapshot.createdBy,
+        snapshot.createdAt,
+      ],
+    )
+  },
+
+  async list(documentName, limit) {
+    const { rows } = await pool.query(
+      `SELECT id, document_name, tenant, entity_type, entity_id, size, reason, created_by, created_at
+       FROM document_snapshots
+       WHERE document_name = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [documentName, limit],
+    )
+
+    return rows.map((row) => ({
+      id: row.id,
+      documentName: row.document_name,
+      tenant: row.tenant,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      size: row.size,
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at.toISOString(),
+    }))
+  },
+
+  async getState(documentName, id) {
+    if (!UUID_PATTERN.test(id)) {
+      return null
+    }
+
+    const { rows } = await pool.query(
+      'SELECT state FROM document_snapshots WHERE document_name = $1 AND id = $2',
+      [documentName, id],
+    )
+    return rows.length > 0 ? new Uint8Array(rows[0].state) : null
+  },
+
+  async prune(documentName, keep) {
+    await pool.query(
+      `DELETE FROM document_snapshots
+       WHERE document_name = $1 AND id NOT IN (
+         SELECT id FROM document_snapshots WHERE document_name = $1 ORDER BY created_at DESC LIMIT $2
+       )`,
+      [documentName, keep],
+    )
+  },
+})
+
+/**
+ * Redis store, keys are <prefix>:snapshots:<document> and <prefix>:snapshot:<id>
+ */
+export const createRedisSnapshotStore = ({ redis, prefix }) => {
+  const indexKey = (documentName) => `${prefix}:snapshots:${documentName}`
+  const snapshotKey = (id) => `${prefix}:snapshot:${id}`
+
+  return {
+    name: 'redis',
+
+    async save(snapshot, state) {
+      await redis.multi()
+        .hset(snapshotKey(snapshot.id), 'meta', JSON.stringify(snapshot), 'state', Buffer.from(state))
+        .zadd(indexKey(snapshot.documentName), new Date(snapshot.createdAt).getTime(), snapshot.id)
+        .exec()
+    },
+
+    async list(documentName, limit) {
+      const ids = await redis.zrevrange(indexKey(documentName), 0, limit - 1)
+      if (ids.length === 0) {
+        return []
+      }
+
+      const metas = await Promise.all(ids.map((id) => redis.hget(snapshotKey(id), 'meta')))
+      return metas.filter(Boolean).map((meta) => JSON.parse(meta))
+    },
+
+    async getState(documentName, id) {
+      // The index guards against reading another document's snapshot by ID
+      if ((await redis.zscore(indexKey(documentName), id)) === null) {
+        return null
+      }
+
+      const state = await redis.hgetBuffer(snapshotKey(id), 'state')
+      return state ? new Uint8Array(state) : null
+    },
+
+    async prune(documentName, keep) {
+      const ids = await redis.zrevrange(indexKey(documentName), keep, -1)
+      if (ids.length === 0) {
+        return
+      }
+
+      await redis.multi()
+        .del(...ids.map(snapshotKey))
+        .zrem(indexKey(documentName), ...ids)
+        .exec()
+    },
+  }
+}
+
+/**
+ * Create the snapshot service on top of a store
+ * parseDocumentName maps a document name to { tenant, entityType, entityId }
+ */
+export const createSnapshotService = ({ store, parseDocumentName, maxPerDocument = 100, logger }) => ({
+  enabled: !!store,
+
+  async capture(documentName, document, { reason, user }) {
+    const { tenant, entityType, entityId } = parseDocumentName(documentName)
+    const state = Y.encodeStateAsUpdate(document)
+
+    const snapshot = {
+      id: crypto.randomUUID(),
+      documentName,
+      tenant,
+      entityType,
+      entityId,
+      size: state.byteLength,
+      reason,
+      createdBy: user?.id || null,
+      createdAt: new Date().toISOString(),
+    }
+
+    await store.save(snapshot, state)
+    await store.prune(documentName, maxPerDocument)
+
+    logger.info('Document snapshot taken', {
+      documentName,
+      snapshotId: snapshot.id,
+      reason,
+      size: snapshot.size,
+    })
+    return snapshot
+  },
+
+  list(documentName, limit) {
+    return store.list(documentName, clampLimit(limit))
+  },
+
+  // Serialized view of a snapshot, null when it does not exist
+  async load(documentName, id) {
+    const state = await store.getState(documentName, id)
+    if (!state) {
+      return null
+    }
+
+    const { entityType } = parseDocumentName(documentName)
+    const doc = new Y.Doc()
+    Y.applyUpdate(doc, state)
+
+    const view = serializeDocument(doc, entityType)
+    doc.destroy()
+    return view
+  },
+})
+
+/**
+ * Hocuspocus extension taking periodic snapshots
+ * - when a non-empty document is loaded and its last snapshot is older than the interval
+ * - when a document is stored, at most once per interval and only if it changed
+ */
+export class Snapshots {
+  constructor({ service, interval, logger }) {
+    this.service = service
+    this.interval = interval
+    this.logger = logger
+
+    // documentName -> { at, stateVector } of the last snapshot taken or found
+    this.lastSnapshots = new Map()
+  }
+
+  async capture(documentName, document) {
+    try {
+      await this.service.capture(documentName, document, { reason: SnapshotReason.PERIODIC })
+      this.lastSnapshots.set(documentName, { at: Date.now(), stateVector: Y.encodeStateVector(document) })
+    } catch (error) {
+      this.logger.error('Failed to take document snapshot', error, { documentName })
+    }
+  }
+
+  async afterLoadDocument({ documentName, document }) {
+    if (document.store.clients.size === 0) {
+      return
+    }
+
+    try {
+      const [latest] = await this.service.list(documentName, 1)
+      if (latest && Date.now() - new Date(latest.createdAt).getTime() < this.interval) {
+        this.lastSnapshots.set(documentName, { at: new Date(latest.createdAt).getTime(), stateVector: null })
+        return
+      }
+    } catch (error) {
+      this.logger.error('Failed to list document snapshots', error, { documentName })
+      return
+    }
+
+    // Keeps the state the editing session started from
+    await this.capture(documentName, document)
+  }
+
+  async onStoreDocument({ documentName, document }) {
+    const last = this.lastSnapshots.get(documentName)
+    if (last && Date.now() - last.at < this.interval) {
+      return
+    }
+
+    if (last?.stateVector && Buffer.compare(last.stateVector, Y.encodeStateVector(document)) === 0) {
+      return
+    }
+
+    await this.capture(documentName, document)
+  }
+
+  async afterUnloadDocument({ documentName }) {
+    this.lastSnapshots.delete(documentName)
+  }
+}
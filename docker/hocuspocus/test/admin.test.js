@@ -0,0 +1,119 @@
+/**
+ * Document tracker and the /api/admin document routes
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import jwt from 'jsonwebtoken'
+import { DocumentTracker } from '../admin.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+describe('DocumentTracker', () => {
+  test('records loads and the last change of a document', async () => {
+    const tracker = new DocumentTracker()
+
+    await tracker.afterLoadDocument({ documentName: 'crm:deal:d1' })
+    assert.equal(tracker.get('crm:deal:d1').lastChangeAt, null)
+
+    await tracker.onChange({ documentName: 'crm:deal:d1', context: { user: { id: 'u1' } } })
+    assert.equal(tracker.get('crm:deal:d1').lastChangedBy, 'u1')
+
+    await tracker.afterUnloadDocument({ documentName: 'crm:deal:d1' })
+    assert.equal(tracker.get('crm:deal:d1'), null)
+  })
+
+  test('resolves unload waiters on unload, or false after the timeout', async () => {
+    const tracker = new DocumentTracker()
+    const unloaded = tracker.waitForUnload('crm:deal:d1', 1000)
+    const timedOut = tracker.waitForUnload('crm:deal:d2', 10)
+
+    await tracker.afterUnloadDocument({ documentName: 'crm:deal:d1' })
+
+    assert.equal(await unloaded, true)
+    assert.equal(await timedOut, false)
+    assert.deepEqual(tracker.unloadWaiters.get('crm:deal:d2'), [])
+  })
+})
+
+describe('/api/admin', () => {
+  const SECRET = 'admin-test-secret-of-some-length'
+  const providers = []
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('admin', redis, `test-${crypto.randomUUID()}:`, { AUTH_JWT_SECRET: SECRET })
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const sign = (sub, permissions) => jwt.sign({ sub, name: sub, permissions }, SECRET)
+  const admin = sign('admin', ['admin'])
+
+  const request = async (method, path, token = admin) => {
+    const response = await fetch(`${instance.httpUrl}/api/admin/${path}`, { method, headers: { Authorization: `Bearer ${token}` } })
+    return { status: response.status, body: await response.json() }
+  }
+
+  const open = async (documentName, sub) => {
+    const provider = await connect(instance, documentName, sign(sub, ['write']))
+    providers.push(provider)
+    return provider
+  }
+
+  test('needs an admin token', async () => {
+    assert.equal((await fetch(`${instance.httpUrl}/api/admin/documents`)).status, 401)
+    assert.equal((await request('GET', 'documents', sign('writer', ['write']))).status, 403)
+  })
+
+  test('lists loaded documents and who is connected to one', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const provider = await open(documentName, 'ada')
+    provider.document.getMap('deal').set('title', 'Renewal')
+
+    await waitFor(async () => (await request('GET', `documents/${documentName}`)).body.lastChangedBy === 'ada', 5000, 'The change was not tracked')
+
+    const { body: list } = await request('GET', 'documents?tenant=crm')
+    const listed = list.documents.find((document) => document.documentName === documentName)
+    assert.equal(listed.connections, 1)
+    assert.equal(listed.entityType, 'deal')
+    assert.ok(listed.size > 0)
+    assert.equal((await request('GET', 'documents?tenant=other')).body.count, 0)
+
+    const { body } = await request('GET', `documents/${documentName}`)
+    assert.deepEqual(body.clients.map(({ userId, readOnly }) => [userId, readOnly]), [['ada', false]])
+
+    assert.equal((await request('GET', `documents/crm:deal:${crypto.randomUUID()}`)).status, 404)
+  })
+
+  test('force-closes a document so it reloads', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const provider = await open(documentName, 'ada')
+
+    const { status, body } = await request('DELETE', `documents/${documentName}`)
+
+    assert.equal(status, 200)
+    assert.equal(body.closedConnections, 1)
+    assert.equal(body.unloaded, true)
+    await waitFor(() => provider.closes.some(({ code, reason }) => code === 4205 && reason === 'document-reset'), 5000, 'The client was not closed')
+  })
+
+  test('disconnects one user and keeps the others', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const ada = await open(documentName, 'ada')
+    const bob = await open(documentName, 'bob')
+
+    const { body } = await request('DELETE', `users/ada/connections?document=${encodeURIComponent(documentName)}`)
+
+    assert.equal(body.count, 1)
+    await waitFor(() => ada.closes.some(({ code }) => code === 4001), 5000, 'The user was not disconnected')
+    assert.deepEqual(bob.closes, [])
+  })
+})
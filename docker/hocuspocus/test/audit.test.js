@@ -0,0 +1,181 @@
+/**
+ * Audit trail sinks and the /api/audit route
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, describe, test } from 'node:test'
+import jwt from 'jsonwebtoken'
+import { AuditEventType, createAuditLog, createFileAuditSink, createPostgresAuditSink } from '../audit.js'
+import { startInstance } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const createLogger = () => {
+  const entries = []
+  const record = (level) => (message, ...args) => entries.push({ level, message, args })
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+}
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-')), 'audit.log')
+
+const event = (overrides) => ({
+  eventType: AuditEventType.CONNECT,
+  documentName: 'crm:deal:d1',
+  tenant: 'crm',
+  entityType: 'deal',
+  entityId: 'd1',
+  userId: 'u1',
+  createdAt: '2024-03-01T10:00:00.000Z',
+  ...overrides,
+})
+
+describe('file sink', () => {
+  test('returns the matching events, newest first, up to the limit', async () => {
+    const sink = createFileAuditSink({ path: tempFile() })
+    await sink.write(event({ createdAt: '2024-03-01T10:00:00.000Z' }))
+    await sink.write(event({ eventType: AuditEventType.CHANGE, createdAt: '2024-03-02T10:00:00.000Z' }))
+    await sink.write(event({ tenant: 'other', createdAt: '2024-03-03T10:00:00.000Z' }))
+    await sink.write(event({ userId: 'u2', entityId: 'd2', createdAt: '2024-03-04T10:00:00.000Z' }))
+
+    const dates = (events) => events.map(({ createdAt }) => createdAt.slice(0, 10))
+
+    assert.deepEqual(dates(await sink.query({ tenant: 'crm' })), ['2024-03-04', '2024-03-02', '2024-03-01'])
+    assert.deepEqual(dates(await sink.query({ tenant: 'crm', limit: 1 })), ['2024-03-04'])
+    assert.deepEqual(dates(await sink.query({ eventType: 'change' })), ['2024-03-02'])
+    assert.deepEqual(dates(await sink.query({ userId: 'u2' })), ['2024-03-04'])
+    assert.deepEqual(dates(await sink.query({ entityType: 'deal', entityId: 'd1', from: '2024-03-02T00:00:00Z', to: '2024-03-03T23:00:00Z' })), ['2024-03-03', '2024-03-02'])
+  })
+
+  test('returns nothing before the first event', async () => {
+    assert.deepEqual(await createFileAuditSink({ path: tempFile() }).query({}), [])
+  })
+
+  test('skips malformed lines with a warning', async () => {
+    const file = tempFile()
+    const logger = createLogger()
+    const sink = createFileAuditSink({ path: file, logger })
+    await sink.write(event({ createdAt: '2024-03-01T10:00:00.000Z' }))
+    // A line cut by a crash, then one still being appended
+    fs.appendFileSync(file, '{"eventType":"connect","docu\n')
+    await sink.write(event({ createdAt: '2024-03-02T10:00:00.000Z' }))
+    fs.appendFileSync(file, '{"eventType":"disc')
+
+    const events = await sink.query({})
+
+    assert.equal(events.length, 2)
+    assert.deepEqual(logger.entries.map(({ level, args }) => [level, args[0].line]), [['warn', 2], ['warn', 4]])
+  })
+})
+
+describe('postgres sink', () => {
+  test('filters with numbered parameters and maps the rows', async () => {
+    const queries = []
+    const pool = {
+      async query(sql, values) {
+        queries.push({ sql, values })
+        return {
+          rows: [{ id: 7, event_type: 'change', document_name: 'crm:deal:d1', tenant: 'crm', entity_type: 'deal', entity_id: 'd1', user_id: 'u1', user_name: 'Ada', origin: null, socket_id: 's1', changed_keys: ['stage'], update_size: 42, created_at: new Date('2024-03-01T10:00:00Z') }],
+        }
+      },
+    }
+
+    const [row] = await createPostgresAuditSink({ pool }).query({ tenant: 'crm', userId: 'u1', from: '2024-03-01T00:00:00.000Z', limit: '5000' })
+
+    assert.match(queries[0].sql, /WHERE tenant = \$1 AND user_id = \$2 AND created_at >= \$3\s+ORDER BY created_at DESC\s+LIMIT \$4/)
+    assert.deepEqual(queries[0].values, ['crm', 'u1', '2024-03-01T00:00:00.000Z', 1000])
+    assert.equal(row.id, '7')
+    assert.equal(row.eventType, 'change')
+    assert.deepEqual(row.changedKeys, ['stage'])
+    assert.equal(row.createdAt, '2024-03-01T10:00:00.000Z')
+  })
+})
+
+describe('createAuditLog', () => {
+  test('records connection and change events with their time', async () => {
+    const written = []
+    const log = createAuditLog({ sink: { name: 'memory', write: async (entry) => written.push(entry) }, logger: createLogger() })
+    const context = { documentName: 'crm:deal:d1', tenant: 'crm', entityType: 'deal', entityId: 'd1', origin: 'https://crm.example.com', socketId: 's1' }
+
+    await log.logConnectionEvent({ id: 'u1', name: 'Ada' }, context, AuditEventType.CONNECT)
+    await log.logChangeEvent({ id: 'u1', name: 'Ada' }, context, { changedKeys: ['stage'], updateSize: 42 })
+
+    assert.deepEqual(written.map(({ eventType, userId, changedKeys }) => [eventType, userId, changedKeys]), [['connect', 'u1', null], ['change', 'u1', ['stage']]])
+    assert.equal(written[0].origin, 'https://crm.example.com')
+    assert.ok(!Number.isNaN(Date.parse(written[1].createdAt)))
+  })
+
+  test('logs sink failures without throwing', async () => {
+    const logger = createLogger()
+    const log = createAuditLog({ sink: { name: 'broken', write: async () => { throw new Error('disk full') } }, logger })
+
+    await log.logConnectionEvent(null, { documentName: 'crm:deal:d1' }, AuditEventType.DISCONNECT)
+
+    assert.equal(logger.entries[0].level, 'error')
+    assert.equal(logger.entries[0].args[0].message, 'disk full')
+  })
+
+  test('is disabled without a sink', async () => {
+    const log = createAuditLog({ sink: null, logger: createLogger() })
+
+    assert.equal(log.enabled, false)
+    assert.deepEqual(await log.query({}), [])
+  })
+})
+
+describe('/api/audit', () => {
+  const SECRET = 'audit-test-secret-of-some-length'
+  const file = tempFile()
+  let redis
+  let instance
+
+  before(async () => {
+    fs.writeFileSync(file, [
+      JSON.stringify(event({ tenant: 'crm', createdAt: '2024-03-01T10:00:00.000Z' })),
+      JSON.stringify(event({ tenant: 'other', createdAt: '2024-03-02T10:00:00.000Z' })),
+      '{"eventType":"conn',
+      '',
+    ].join('\n'))
+    redis = await startRedisServer()
+    instance = await startInstance('audit', redis, `test-${crypto.randomUUID()}:`, {
+      AUTH_JWT_SECRET: SECRET,
+      AUDIT_SINK: 'file',
+      AUDIT_FILE_PATH: file,
+    })
+  })
+
+  after(async () => {
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const get = async (query, claims) => {
+    const headers = claims ? { Authorization: `Bearer ${jwt.sign(claims, SECRET)}` } : {}
+    const response = await fetch(`${instance.httpUrl}/api/audit${query}`, { headers })
+    return { status: response.status, body: await response.json() }
+  }
+
+  test('needs the audit or admin permission', async () => {
+    assert.equal((await get('')).status, 401)
+    assert.equal((await get('', { sub: 'u1', permissions: ['write'] })).status, 403)
+  })
+
+  test('keeps tenant-bound tokens to their tenant and skips malformed lines', async () => {
+    const { status, body } = await get('?tenant=other', { sub: 'u1', permissions: ['audit'], tenant: 'crm' })
+
+    assert.equal(status, 200)
+    assert.deepEqual(body.events.map(({ tenant }) => tenant), ['crm'])
+
+    const unbound = await get('?tenant=other', { sub: 'u1', permissions: ['admin'] })
+    assert.deepEqual(unbound.body.events.map(({ tenant }) => tenant), ['other'])
+  })
+
+  test('rejects invalid dates', async () => {
+    const { status, body } = await get('?from=yesterday', { sub: 'u1', permissions: ['audit'] })
+
+    assert.equal(status, 400)
+    assert.match(body.message, /Invalid from date/)
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * JWT verification of the onAuthenticate hook
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { describe, test } from 'node:test'
+import jwt from 'jsonwebtoken'
+import { AuthenticationError, createTokenVerifier } from '../auth.js'
+
+const SECRET = 'test-secret-long-enough-for-hs256'
+
+const rejects = (verify, reason) => assert.throws(verify, (error) => {
+  assert.ok(error instanceof AuthenticationError)
+  assert.equal(error.reason, reason)
+  return true
+})
+
+describe('createTokenVerifier', () => {
+  test('is disabled without a key', () => {
+    assert.equal(createTokenVerifier({}), null)
+  })
+
+  test('maps the claims of a valid token to the user', () => {
+    const verifier = createTokenVerifier({ secret: SECRET })
+    const token = jwt.sign(
+      { sub: 'u1', name: 'Ada', email: 'ada@example.com', permissions: ['read', 'write'], team: 'sales', tenant: 'crm' },
+      SECRET,
+      { expiresIn: 60 },
+    )
+
+    const { user, expiresAt } = verifier.verify(token)
+
+    assert.deepEqual(user, {
+      id: 'u1',
+      name: 'Ada',
+      email: 'ada@example.com',
+      permissions: ['read', 'write'],
+      team: 'sales',
+      tenant: 'crm',
+      roles: null,
+    })
+    assert.ok(Math.abs(expiresAt - (Date.now() + 60000)) < 2000)
+  })
+
+  test('rejects missing, expired, forged and subject-less tokens', () => {
+    const verifier = createTokenVerifier({ secret: SECRET })
+
+    rejects(() => verifier.verify(''), 'token-required')
+    rejects(() => verifier.verify(jwt.sign({ sub: 'u1', exp: Math.floor(Date.now() / 1000) - 10 }, SECRET)), 'token-expired')
+    rejects(() => verifier.verify(jwt.sign({ sub: 'u1' }, 'another-secret-of-the-same-size')), 'invalid-token')
+    rejects(() => verifier.verify('not.a.jwt'), 'invalid-token')
+    rejects(() => verifier.verify(jwt.sign({ name: 'Nobody' }, SECRET)), 'invalid-token')
+  })
+
+  test('rejects a token tampered with after signing', () => {
+    const verifier = createTokenVerifier({ secret: SECRET })
+    const [header, , signature] = jwt.sign({ sub: 'u1', permissions: ['read'] }, SECRET).split('.')
+    const payload = Buffer.from(JSON.stringify({ sub: 'u1', permissions: ['admin'] })).toString('base64url')
+
+    rejects(() => verifier.verify(`${header}.${payload}.${signature}`), 'invalid-token')
+  })
+
+  test('rejects unsigned tokens and algorithms outside the key type', () => {
+    const verifier = createTokenVerifier({ secret: SECRET })
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+
+    rejects(() => verifier.verify(jwt.sign({ sub: 'u1' }, null, { algorithm: 'none' })), 'invalid-token')
+    rejects(() => verifier.verify(jwt.sign({ sub: 'u1' }, privateKey, { algorithm: 'RS256' })), 'invalid-token')
+  })
+
+  test('verifies public key tokens, from a PEM string or file', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    const pem = publicKey.export({ type: 'spki', format: 'pem' })
+    const token = jwt.sign({ sub: 'u2' }, privateKey, { algorithm: 'ES256' })
+
+    // Escaped newlines as passed through an env var
+    const inline = createTokenVerifier({ publicKey: pem.replace(/\n/g, '\\n') })
+    assert.equal(inline.verify(token).user.id, 'u2')
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-')), 'public.pem')
+    fs.writeFileSync(file, pem)
+    assert.equal(createTokenVerifier({ publicKeyFile: file }).verify(token).user.id, 'u2')
+
+    // The shared secret cannot be used as a public key: HMAC tokens are refused
+    rejects(() => inline.verify(jwt.sign({ sub: 'u2' }, pem, { algorithm: 'HS256' })), 'invalid-token')
+  })
+
+  test('checks the issuer and audience when configured', () => {
+    const verifier = createTokenVerifier({ secret: SECRET, issuer: 'crm', audience: 'hocuspocus' })
+
+    assert.equal(verifier.verify(jwt.sign({ sub: 'u1' }, SECRET, { issuer: 'crm', audience: 'hocuspocus' })).user.id, 'u1')
+    rejects(() => verifier.verify(jwt.sign({ sub: 'u1' }, SECRET, { issuer: 'other', audience: 'hocuspocus' })), 'invalid-token')
+    rejects(() => verifier.verify(jwt.sign({ sub: 'u1' }, SECRET, { issuer: 'crm' })), 'invalid-token')
+  })
+
+  test('never grants write, admin or audit without a permissions claim', () => {
+    const verifier = createTokenVerifier({ secret: SECRET, defaultPermissions: ['read', ' write', 'admin', 'audit'] })
+
+    assert.deepEqual(verifier.verify(jwt.sign({ sub: 'u1' }, SECRET)).user.permissions, ['read'])
+    assert.deepEqual(verifier.verify(jwt.sign({ sub: 'u1', permissions: ['admin'] }, SECRET)).user.permissions, ['admin'])
+    assert.deepEqual(createTokenVerifier({ secret: SECRET }).verify(jwt.sign({ sub: 'u1' }, SECRET)).user.permissions, ['read'])
+  })
+})
@@ -0,0 +1,181 @@
+/**
+ * Stateless broadcasts to the viewers of a document
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import jwt from 'jsonwebtoken'
+import { BroadcastSource, createBroadcaster, StatelessMessages, validateBroadcast } from '../broadcast.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const createLogger = () => {
+  const entries = []
+  const record = (level) => (message, ...args) => entries.push({ level, message, args })
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+}
+
+// Hocuspocus instance with crm:deal:d1 loaded and two connections on it
+const createInstance = () => {
+  const connections = [{ id: 'c1' }, { id: 'c2' }]
+  const delivered = []
+  const published = []
+
+  const document = {
+    getConnections: () => connections,
+    broadcastStateless(payload, filter = () => true) {
+      connections.filter(filter).forEach(({ id }) => delivered.push({ connection: id, envelope: JSON.parse(payload) }))
+    },
+  }
+
+  return {
+    connections,
+    delivered,
+    published,
+    documents: new Map([['crm:deal:d1', document]]),
+    async hooks(name, { documentName, payload }) {
+      published.push({ name, documentName, envelope: JSON.parse(payload) })
+    },
+  }
+}
+
+describe('validateBroadcast', () => {
+  test('checks the type and the serialized size of data', () => {
+    assert.equal(validateBroadcast({ type: 'deal.closed', data: { by: 'Ada' } }, 100), null)
+    assert.equal(validateBroadcast({ type: 'typing' }, 100), null)
+    assert.match(validateBroadcast({ type: '1st' }, 100), /^type must be/)
+    assert.match(validateBroadcast({ type: 'x'.repeat(65) }, 100), /^type must be/)
+    assert.match(validateBroadcast({ data: {} }, 100), /^type must be/)
+    assert.equal(validateBroadcast({ type: 'note', data: 'x'.repeat(100) }, 100), 'data must be at most 100 bytes once serialized')
+  })
+})
+
+describe('createBroadcaster', () => {
+  test('sends an envelope to the local viewers, except the sender', async () => {
+    const instance = createInstance()
+    const broadcaster = createBroadcaster({ getInstance: () => instance, logger: createLogger() })
+
+    const envelope = await broadcaster.broadcast('crm:deal:d1', { type: 'typing', sender: { id: 'u1', name: 'Ada', permissions: ['write'] }, source: BroadcastSource.CLIENT }, { except: instance.connections[0] })
+
+    assert.deepEqual(instance.delivered.map(({ connection }) => connection), ['c2'])
+    assert.deepEqual(instance.delivered[0].envelope, envelope)
+    assert.deepEqual(envelope.sender, { id: 'u1', name: 'Ada' })
+    assert.equal(envelope.data, null)
+  })
+
+  test('only publishes to the other instances when the document is not loaded here', async () => {
+    const instance = createInstance()
+    const broadcaster = createBroadcaster({ getInstance: () => instance, logger: createLogger() })
+
+    await broadcaster.broadcast('crm:deal:d2', { type: 'refresh' })
+
+    assert.deepEqual(instance.delivered, [])
+    assert.equal(instance.published[0].name, 'beforeBroadcastStateless')
+    assert.equal(instance.published[0].envelope.source, 'server')
+  })
+})
+
+describe('StatelessMessages', () => {
+  const createRelay = () => {
+    const instance = createInstance()
+    const logger = createLogger()
+    const relay = new StatelessMessages({
+      broadcaster: createBroadcaster({ getInstance: () => instance, logger }),
+      clientTypes: ['typing'],
+      maxSize: 50,
+      logger,
+    })
+    return { instance, relay, logger }
+  }
+
+  const send = (relay, connection, payload) => relay.onStateless({
+    connection: { ...connection, context: { user: { id: 'u1', name: 'Ada' } } },
+    documentName: 'crm:deal:d1',
+    payload,
+  })
+
+  test('relays allowed types stamped with the sender', async () => {
+    const { instance, relay } = createRelay()
+
+    await send(relay, instance.connections[0], JSON.stringify({ type: 'typing', data: { field: 'notes' }, sender: { id: 'forged' } }))
+
+    assert.equal(instance.delivered.length, 2)
+    assert.deepEqual(instance.delivered[0].envelope.sender, { id: 'u1', name: 'Ada' })
+    assert.equal(instance.delivered[0].envelope.source, 'client')
+  })
+
+  test('drops invalid, read-only, unknown and oversized messages with a warning', async () => {
+    const { instance, relay, logger } = createRelay()
+
+    await send(relay, instance.connections[0], 'not json')
+    await send(relay, { ...instance.connections[0], readOnly: true }, JSON.stringify({ type: 'typing' }))
+    await send(relay, instance.connections[0], JSON.stringify({ type: 'deal.closed' }))
+    await send(relay, instance.connections[0], JSON.stringify({ type: 'typing', data: 'x'.repeat(60) }))
+
+    assert.deepEqual(instance.delivered, [])
+    assert.deepEqual(logger.entries.map(({ level, args }) => [level, args[0].reason]), [
+      ['warn', 'invalid-json'],
+      ['warn', 'read-only'],
+      ['warn', 'type-not-allowed'],
+      ['warn', 'data must be at most 50 bytes once serialized'],
+    ])
+  })
+})
+
+describe('/api/documents/:name/messages', () => {
+  const SECRET = 'broadcast-test-secret-of-some-length'
+  const providers = []
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('broadcast', redis, `test-${crypto.randomUUID()}:`, { AUTH_JWT_SECRET: SECRET })
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const sign = (sub, permissions) => jwt.sign({ sub, name: sub, permissions }, SECRET)
+
+  const post = async (documentName, token, body) => {
+    const response = await fetch(`${instance.httpUrl}/api/documents/${documentName}/messages`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  test('delivers a message to the viewers of the document', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const viewer = await connect(instance, documentName, sign('viewer', ['read']))
+    providers.push(viewer)
+    const received = []
+    viewer.on('stateless', ({ payload }) => received.push(JSON.parse(payload)))
+
+    const { status, body } = await post(documentName, sign('ada', ['write']), { type: 'deal.closed', data: { stage: 'closed_won' } })
+
+    assert.equal(status, 202)
+    await waitFor(() => received.length === 1, 5000, 'The viewer did not receive the message')
+    assert.deepEqual(received[0], body)
+    assert.deepEqual(received[0].sender, { id: 'ada', name: 'ada' })
+    assert.equal(received[0].source, 'http')
+  })
+
+  test('rejects invalid messages and read-only tokens', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+
+    const invalid = await post(documentName, sign('ada', ['write']), { type: '!' })
+    assert.equal(invalid.status, 400)
+    assert.match(invalid.body.errors[0], /^type must be/)
+
+    const readOnly = await post(documentName, sign('viewer', ['read']), { type: 'refresh' })
+    assert.equal(readOnly.status, 403)
+    assert.equal(readOnly.body.reason, 'read-only')
+  })
+})
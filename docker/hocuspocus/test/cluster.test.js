@@ -0,0 +1,58 @@
+/**
+ * Two server instances sharing one Redis
+ * Uses TEST_REDIS_HOST/TEST_REDIS_PORT when set, else the RESP stub of helpers/redis-server.js
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+describe('two instances sharing Redis', () => {
+  let redis
+  const instances = []
+  const providers = []
+
+  before(async () => {
+    redis = process.env.TEST_REDIS_HOST
+      ? { host: process.env.TEST_REDIS_HOST, port: parseInt(process.env.TEST_REDIS_PORT || '6379'), close: async () => {} }
+      : await startRedisServer()
+
+    // Both instances use the same key prefix to share channels, unique per run for a real Redis
+    const prefix = `test-${crypto.randomUUID()}:`
+    instances.push(await startInstance('instance-a', redis, prefix), await startInstance('instance-b', redis, prefix))
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await Promise.all(instances.map((instance) => instance.stop()))
+    await redis.close()
+  })
+
+  test('an update on one instance reaches a client of the other', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const [a, b] = [await connect(instances[0], documentName), await connect(instances[1], documentName)]
+    providers.push(a, b)
+
+    a.document.transact(() => {
+      a.document.getMap('deal').set('title', 'Renewal 2025')
+      a.document.getText('notes').insert(0, 'Call the buyer on Monday')
+    })
+
+    await waitFor(
+      () => b.document.getMap('deal').get('title') === 'Renewal 2025',
+      5000,
+      'The deal field did not reach the other instance',
+    )
+    assert.equal(b.document.getText('notes').toString(), 'Call the buyer on Monday')
+
+    // And back the other way
+    b.document.getMap('deal').set('stage', 'negotiation')
+    await waitFor(
+      () => a.document.getMap('deal').get('stage') === 'negotiation',
+      5000,
+      'The reply did not reach the first instance',
+    )
+  })
+})
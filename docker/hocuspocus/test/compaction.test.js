@@ -0,0 +1,202 @@
+/**
+ * Compaction of the stored document states
+ */
+
+import assert from 'node:assert/strict'
+import { afterEach, describe, test } from 'node:test'
+import RedisMock from 'ioredis-mock'
+import * as Y from 'yjs'
+import { compactState, createCompactionJob } from '../compaction.js'
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} }
+
+// State written without garbage collection, full of deleted notes
+const createBloatedState = () => {
+  const doc = new Y.Doc({ gc: false })
+  const notes = doc.getText('notes')
+  for (let index = 0; index < 50; index++) {
+    notes.insert(0, `Draft ${index} of the proposal. `)
+    notes.delete(0, notes.length)
+  }
+  notes.insert(0, 'Final proposal sent')
+  doc.getMap('deal').set('stage', 'proposal')
+  return Y.encodeStateAsUpdate(doc)
+}
+
+const readState = (state) => {
+  const doc = new Y.Doc()
+  Y.applyUpdate(doc, state)
+  return { notes: doc.getText('notes').toString(), deal: doc.getMap('deal').toJSON() }
+}
+
+// updated_at::text as Postgres prints it, with the microseconds a JS Date drops
+const timestamp = (date, micros = '123') => `${date.toISOString().slice(0, 23).replace('T', ' ')}${micros}+00`
+const timestampTime = (text) => Date.parse(`${text.slice(0, 23).replace(' ', 'T')}Z`)
+
+// Pool answering the queries of the job from an in-memory yjs_documents table, updated_at is kept as
+// text and bumped by every UPDATE like the update_yjs_documents_updated_at trigger
+const createPool = (rows, { deletedEntities = [], storedMeanwhile = [] } = {}) => {
+  const queries = []
+
+  return {
+    queries,
+    rows,
+    async query(sql, params) {
+      queries.push(sql)
+
+      if (sql.startsWith('SELECT document_name, state, updated_at::text AS version FROM yjs_documents')) {
+        const [after, limit] = params
+        const page = rows.filter((row) => row.document_name > after).slice(0, limit)
+        const result = page.map(({ document_name, state, updated_at }) => ({ document_name, state, version: updated_at }))
+        // A store landing between the read and the compacted write
+        for (const row of page.filter((row) => storedMeanwhile.includes(row.document_name))) {
+          row.updated_at = timestamp(new Date(), '456')
+        }
+        return { rows: result }
+      }
+
+      if (sql.startsWith('UPDATE yjs_documents')) {
+        assert.match(sql, /AND updated_at::text = \$3/)
+        const [documentName, state, version] = params
+        const row = rows.find((row) => row.document_name === documentName && row.updated_at === version)
+        if (!row) {
+          return { rowCount: 0 }
+        }
+        row.state = state
+        row.updated_at = timestamp(new Date(), '789')
+        return { rowCount: 1 }
+      }
+
+      if (sql.startsWith('SELECT d.document_name')) {
+        const [, before, tenant] = params
+        return {
+          rows: rows
+            .filter((row) => deletedEntities.includes(row.document_name) && timestampTime(row.updated_at) < before.getTime())
+            .filter((row) => row.document_name.startsWith(`${tenant}:`))
+            .map((row) => ({ document_name: row.document_name, entity_id: row.document_name.split(':')[2], size: row.state.length })),
+        }
+      }
+
+      if (sql.startsWith('DELETE FROM yjs_documents')) {
+        rows.splice(rows.findIndex((row) => row.document_name === params[0]), 1)
+        return { rowCount: 1 }
+      }
+
+      throw new Error(`Unexpected query: ${sql}`)
+    },
+  }
+}
+
+const DEAL_A = 'crm:deal:0d7c3c5e-1111-4222-8333-444455556666'
+const DEAL_B = 'crm:deal:9a1e2f3b-1111-4222-8333-444455556666'
+
+describe('compactState', () => {
+  test('drops deleted content and keeps the current document', () => {
+    const state = createBloatedState()
+    const compacted = compactState(state)
+
+    assert.ok(compacted.byteLength < state.byteLength, `${compacted.byteLength} >= ${state.byteLength}`)
+    assert.deepEqual(readState(compacted), readState(state))
+    assert.deepEqual(readState(compacted), { notes: 'Final proposal sent', deal: { stage: 'proposal' } })
+  })
+
+  test('is stable on an already compacted state', () => {
+    const compacted = compactState(createBloatedState())
+    assert.equal(compactState(compacted).byteLength, compacted.byteLength)
+  })
+})
+
+describe('compaction job', () => {
+  const redis = new RedisMock()
+
+  afterEach(() => redis.flushall())
+
+  const createJob = (pool, options = {}) => createCompactionJob({
+    pool,
+    redis,
+    prefix: 'test',
+    instanceId: 'instance-a',
+    isLoaded: () => false,
+    batchSize: 1,
+    logger,
+    ...options,
+  })
+
+  test('rewrites smaller states and reports the bytes reclaimed', async () => {
+    const bloated = createBloatedState()
+    const pool = createPool([
+      { document_name: DEAL_A, state: Buffer.from(bloated), updated_at: timestamp(new Date()) },
+      { document_name: DEAL_B, state: Buffer.from(compactState(bloated)), updated_at: timestamp(new Date()) },
+    ])
+    const reclaimed = []
+    const job = createJob(pool, { onReclaimed: (reason, bytes) => reclaimed.push([reason, bytes]) })
+
+    const report = await job.run('manual')
+
+    assert.equal(report.status, 'completed')
+    assert.equal(report.scanned, 2)
+    assert.equal(report.compacted, 1)
+    assert.equal(report.bytesReclaimed.compacted, bloated.byteLength - pool.rows[0].state.length)
+    assert.deepEqual(reclaimed, [['compacted', report.bytesReclaimed.compacted]])
+    assert.deepEqual(readState(new Uint8Array(pool.rows[0].state)), readState(bloated))
+    assert.equal(await redis.get('test:compaction:lock'), null)
+  })
+
+  test('skips loaded documents and states stored meanwhile', async () => {
+    const pool = createPool([
+      { document_name: DEAL_A, state: Buffer.from(createBloatedState()), updated_at: timestamp(new Date()) },
+      { document_name: DEAL_B, state: Buffer.from(createBloatedState()), updated_at: timestamp(new Date()) },
+    ], { storedMeanwhile: [DEAL_B] })
+    const job = createJob(pool, { isLoaded: (documentName) => documentName === DEAL_A })
+
+    const report = await job.run('manual')
+
+    assert.equal(report.skipped, 1)
+    assert.equal(report.compacted, 0)
+    assert.equal(pool.queries.filter((sql) => sql.startsWith('UPDATE')).length, 1)
+  })
+
+  test('expires a deleted row\'s document before compaction touches it', async () => {
+    const bloated = Buffer.from(createBloatedState())
+    const pool = createPool([
+      { document_name: DEAL_A, state: bloated, updated_at: timestamp(new Date(0)) },
+    ], { deletedEntities: [DEAL_A] })
+    const job = createJob(pool, { tables: { deal: 'deals' } })
+
+    const report = await job.run('scheduled')
+
+    assert.equal(report.expired, 1)
+    assert.equal(report.compacted, 0)
+    assert.equal(report.bytesReclaimed.expired, bloated.length)
+    assert.equal(pool.rows.length, 0)
+  })
+
+  test('expires the documents of deleted rows with their snapshots', async () => {
+    const pool = createPool([
+      { document_name: DEAL_A, state: Buffer.from(compactState(createBloatedState())), updated_at: timestamp(new Date(0)) },
+    ], { deletedEntities: [DEAL_A] })
+    const pruned = []
+    const snapshotStore = {
+      list: async () => [{ size: 100 }, { size: 50 }],
+      prune: async (documentName, keep) => pruned.push([documentName, keep]),
+    }
+    const job = createJob(pool, { tables: { deal: 'deals' }, snapshotStore })
+
+    const report = await job.run('scheduled')
+
+    assert.equal(report.expired, 1)
+    assert.ok(report.bytesReclaimed.expired > 150)
+    assert.deepEqual(pruned, [[DEAL_A, 0]])
+    assert.equal(pool.rows.length, 0)
+  })
+
+  test('does not run while another instance holds the lock', async () => {
+    await redis.set('test:compaction:lock', 'instance-b')
+    const pool = createPool([])
+
+    const report = await createJob(pool).run('manual')
+
+    assert.deepEqual(report, { status: 'skipped', reason: 'running-elsewhere', holder: 'instance-b' })
+    assert.equal(pool.queries.length, 0)
+  })
+})
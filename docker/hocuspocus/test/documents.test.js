@@ -0,0 +1,142 @@
+/**
+ * Document helpers and the /api/documents REST routes
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import jwt from 'jsonwebtoken'
+import * as Y from 'yjs'
+import { applyDocumentPatch, diffDocuments, getTouchedKeys, serializeDocument, validateDocumentPatch } from '../documents.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+describe('validateDocumentPatch', () => {
+  test('accepts entity fields, notes and activity entries', () => {
+    assert.deepEqual(validateDocumentPatch({ deal: { title: 'Renewal' }, notes: 'Call back', activity: [{ type: 'call' }] }, 'deal'), [])
+  })
+
+  test('lists every problem of the patch', () => {
+    assert.deepEqual(validateDocumentPatch([], 'deal'), ['Patch body must be a JSON object'])
+    assert.deepEqual(validateDocumentPatch({ contact: {}, deal: [], notes: 1, activity: [{ kind: 'call' }] }, 'deal'), [
+      'Unknown patch key: contact',
+      'deal must be an object of field values',
+      'notes must be a string',
+      'activity entries must be objects with a string type',
+    ])
+  })
+})
+
+describe('applyDocumentPatch', () => {
+  test('sets fields, replaces notes and appends stamped activity in one transaction', () => {
+    const document = new Y.Doc()
+    document.getText('notes').insert(0, 'First call went well')
+    const updates = []
+    document.on('update', (update) => updates.push(update))
+
+    applyDocumentPatch(document, 'deal', {
+      deal: { title: 'Renewal', amount: null },
+      notes: 'First call went badly',
+      activity: [{ type: 'call', id: 'a1' }, { type: 'email' }],
+    }, { id: 'u1' })
+
+    const view = serializeDocument(document, 'deal')
+    assert.equal(updates.length, 1)
+    assert.deepEqual(view.deal, { title: 'Renewal', amount: null })
+    assert.equal(view.notes, 'First call went badly')
+    assert.equal(view.activity[0].id, 'a1')
+    assert.match(view.activity[1].id, /^[0-9a-f-]{36}$/)
+    assert.ok(view.activity.every(({ userId, timestamp }) => userId === 'u1' && typeof timestamp === 'number'))
+    assert.deepEqual(getTouchedKeys(document, updates[0]).sort(), ['activity', 'deal', 'notes'])
+  })
+})
+
+describe('diffDocuments', () => {
+  test('lists changed fields, notes and activity entries', () => {
+    const before = { deal: { title: 'Renewal', stage: 'proposal' }, notes: 'a', activity: [{ id: '1' }] }
+    const after = { deal: { title: 'Renewal', amount: 10 }, notes: 'a', activity: [{ id: '1' }, { id: '2' }] }
+
+    assert.deepEqual(diffDocuments(before, after, 'deal'), {
+      deal: { stage: { from: 'proposal', to: null }, amount: { from: null, to: 10 } },
+      notes: null,
+      activity: { added: [{ id: '2' }], removed: [] },
+    })
+  })
+})
+
+describe('/api/documents/:name', () => {
+  const SECRET = 'documents-test-secret-of-some-length'
+  const providers = []
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('documents', redis, `test-${crypto.randomUUID()}:`, { AUTH_JWT_SECRET: SECRET })
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const sign = (sub, permissions) => jwt.sign({ sub, permissions }, SECRET)
+
+  const request = async (method, documentName, token, body) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {}
+    const response = await fetch(`${instance.httpUrl}/api/documents/${encodeURIComponent(documentName)}`, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    })
+    return { status: response.status, body: await response.json() }
+  }
+
+  test('applies a patch that connected clients receive at once', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const provider = await connect(instance, documentName, sign('viewer', ['read']))
+    providers.push(provider)
+
+    const patched = await request('PATCH', documentName, sign('writer', ['write']), { deal: { title: 'Renewal', stage: 'proposal' }, notes: 'Send the quote' })
+
+    assert.equal(patched.status, 200)
+    assert.deepEqual(patched.body.deal, { title: 'Renewal', stage: 'proposal' })
+    await waitFor(() => provider.document.getMap('deal').get('stage') === 'proposal', 5000, 'The client did not receive the patch')
+    assert.equal(provider.document.getText('notes').toString(), 'Send the quote')
+
+    const read = await request('GET', documentName, sign('reader', ['read']))
+    assert.equal(read.status, 200)
+    assert.equal(read.body.access, 'read')
+    assert.equal(read.body.notes, 'Send the quote')
+  })
+
+  test('rejects invalid patches and values outside the schema', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+
+    const unknown = await request('PATCH', documentName, sign('writer', ['write']), { contact: {} })
+    assert.equal(unknown.status, 400)
+    assert.deepEqual(unknown.body.errors, ['Unknown patch key: contact'])
+
+    const invalid = await request('PATCH', documentName, sign('writer', ['write']), { deal: { stage: 'won' } })
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.errors.length, 1)
+
+    const { body } = await request('GET', documentName, sign('reader', ['read']))
+    assert.deepEqual(body.deal, {})
+  })
+
+  test('needs a token, write access to patch and a valid document name', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+
+    assert.equal((await request('GET', documentName)).status, 401)
+    assert.equal((await request('GET', documentName, sign('nobody', []))).status, 403)
+
+    const readOnly = await request('PATCH', documentName, sign('reader', ['read']), { notes: 'x' })
+    assert.equal(readOnly.status, 403)
+    assert.equal(readOnly.body.reason, 'read-only')
+
+    assert.equal((await request('GET', 'crm:unknown:1', sign('reader', ['read']))).status, 400)
+    assert.equal((await request('DELETE', documentName, sign('writer', ['write']))).status, 405)
+  })
+})
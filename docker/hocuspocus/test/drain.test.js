@@ -0,0 +1,137 @@
+/**
+ * Drain mode before shutdown
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { once } from 'node:events'
+import { after, before, describe, test } from 'node:test'
+import WebSocket from 'ws'
+import { createDrainController, DrainCloseEvent } from '../drain.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const createLogger = () => {
+  const entries = []
+  const record = (level) => (message, ...args) => entries.push({ level, message, args })
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+}
+
+// Hocuspocus instance whose documents unload once their connections are closed
+const createInstance = ({ connections, debounced = [], failing = [], keepLoaded = false }) => {
+  const documents = new Map()
+  const closes = []
+  const executed = []
+
+  Object.entries(connections).forEach(([documentName, count]) => {
+    const open = Array.from({ length: count }, () => ({
+      close(event) {
+        closes.push({ documentName, ...event })
+        open.splice(open.indexOf(this), 1)
+        if (open.length === 0 && !keepLoaded) documents.delete(documentName)
+      },
+    }))
+    documents.set(documentName, { getConnections: () => [...open] })
+  })
+
+  return {
+    documents,
+    closes,
+    executed,
+    getConnectionsCount: () => Array.from(documents.values()).reduce((count, document) => count + document.getConnections().length, 0),
+    getDocumentsCount: () => documents.size,
+    debouncer: {
+      isDebounced: (id) => debounced.some((documentName) => id === `onStoreDocument-${documentName}`),
+      async executeNow(id) {
+        executed.push(id)
+        if (failing.some((documentName) => id === `onStoreDocument-${documentName}`)) {
+          throw new Error('database down')
+        }
+      },
+    },
+  }
+}
+
+describe('createDrainController', () => {
+  test('flushes pending stores, then closes clients with the reconnect hint', async () => {
+    const instance = createInstance({ connections: { 'crm:deal:d1': 2, 'crm:deal:d2': 1 }, debounced: ['crm:deal:d1'] })
+    const logger = createLogger()
+    const controller = createDrainController({ getInstance: () => instance, delay: 0, timeout: 1000, logger })
+
+    assert.deepEqual(controller.status(), { draining: false, drainingSince: null })
+    await controller.drain()
+
+    assert.equal(controller.isDraining(), true)
+    assert.deepEqual(instance.executed, ['onStoreDocument-crm:deal:d1'])
+    assert.equal(instance.closes.length, 3)
+    assert.ok(instance.closes.every(({ code, reason }) => code === DrainCloseEvent.code && reason === 'server-draining'))
+
+    const drained = logger.entries.find(({ message }) => message === 'Server drained').args[0]
+    assert.equal(drained.unloaded, true)
+    assert.equal(drained.closedConnections, 3)
+  })
+
+  test('reports failed stores and documents left after the timeout', async () => {
+    const instance = createInstance({ connections: { 'crm:deal:d1': 1 }, debounced: ['crm:deal:d1'], failing: ['crm:deal:d1'], keepLoaded: true })
+    const logger = createLogger()
+    const controller = createDrainController({ getInstance: () => instance, delay: 0, timeout: 150, logger })
+
+    await controller.drain()
+
+    assert.equal(logger.entries.find(({ level }) => level === 'error').args[0].message, 'database down')
+    const drained = logger.entries.find(({ message }) => message === 'Server drained').args[0]
+    assert.equal(drained.failedStores, 1)
+    assert.equal(drained.unloaded, false)
+    assert.equal(drained.remainingDocuments, 1)
+  })
+
+  test('reports draining during the delay and drains once', async () => {
+    const instance = createInstance({ connections: { 'crm:deal:d1': 1 } })
+    const controller = createDrainController({ getInstance: () => instance, delay: 100, timeout: 1000, logger: createLogger() })
+
+    const draining = controller.drain()
+    assert.equal(controller.status().draining, true)
+    assert.equal(instance.closes.length, 0)
+
+    await Promise.all([draining, controller.drain()])
+    assert.equal(instance.closes.length, 1)
+  })
+})
+
+describe('drain on SIGTERM', () => {
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('drain', redis, `test-${crypto.randomUUID()}:`, { DRAIN_DELAY: '1000' })
+  })
+
+  after(async () => {
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  test('reports draining, refuses new connections, then closes clients with 4503', async () => {
+    const provider = await connect(instance, `crm:deal:${crypto.randomUUID()}`)
+    const exited = once(instance.child, 'exit')
+
+    try {
+      instance.child.kill('SIGTERM')
+      await waitFor(async () => (await fetch(`${instance.httpUrl}/health`)).status === 503, 1000, '/health did not report draining')
+      assert.equal((await (await fetch(`${instance.httpUrl}/health`)).json()).status, 'draining')
+
+      const refused = new WebSocket(instance.url)
+      const [error] = await once(refused, 'error')
+      assert.match(error.message, /503/)
+
+      await waitFor(() => provider.closes.some(({ code }) => code === 4503), 5000, 'The client was not closed with the reconnect hint')
+      assert.equal(provider.closes.find(({ code }) => code === 4503).reason, 'server-draining')
+    } finally {
+      disconnect(provider)
+    }
+
+    const [code] = await exited
+    assert.equal(code, 0)
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Entity type declarations and the document names built on them
+ */
+
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { createDocumentNameParser, describeEntityTypes, loadEntityTypes, pickEntityTypes } from '../entities.js'
+
+const DEAL_ID = '0d7c3c5e-1111-4222-8333-444455556666'
+
+describe('loadEntityTypes', () => {
+  test('loads the defaults with their built-in schema, persistence and ownership', () => {
+    const entityTypes = loadEntityTypes()
+    const deal = entityTypes.get('deal')
+
+    assert.deepEqual(Array.from(entityTypes.keys()), ['deal', 'contact', 'company', 'note', 'task', 'email'])
+    assert.equal(deal.schema.additionalKeys, false)
+    assert.equal(deal.schema.fields.stage.nullable, false)
+    assert.equal(deal.persistence.table, 'deals')
+    assert.equal(deal.persistence.notesColumn, 'description')
+    assert.deepEqual(deal.permissions.ownership, { table: 'deals', ownerColumn: 'owner_id', teamColumn: 'team' })
+    assert.equal(entityTypes.get('note').schema, null)
+  })
+
+  test('adds types, merges keys into defaults and removes types set to null', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'entities-test-')), 'entity-types.json')
+    fs.writeFileSync(file, JSON.stringify({
+      ticket: {
+        idPattern: '^T-[0-9]+$',
+        table: 'tickets',
+        schema: { fields: { title: { type: 'string' }, code: { type: 'string', pattern: '^[A-Z]+$' } } },
+        persistence: { columns: { title: 'title', due: { column: 'due_date', type: 'date' } } },
+      },
+      email: null,
+    }))
+
+    const entityTypes = loadEntityTypes({
+      file,
+      json: JSON.stringify({ note: { permissions: { maxAccess: 'read' } }, ticket: { description: 'Support tickets' } }),
+      allowUnknownKeys: true,
+    })
+    const ticket = entityTypes.get('ticket')
+
+    assert.equal(entityTypes.has('email'), false)
+    assert.equal(entityTypes.get('note').permissions.maxAccess, 'read')
+    assert.equal(entityTypes.get('note').description, 'Notes and comments')
+    assert.equal(ticket.description, 'Support tickets')
+    assert.ok(ticket.idPattern.test('T-12'))
+    assert.equal(ticket.schema.additionalKeys, true)
+    assert.ok(ticket.schema.fields.code.pattern instanceof RegExp)
+    assert.deepEqual(ticket.persistence.columns.due, { column: 'due_date', type: 'date' })
+    assert.deepEqual(Object.keys(pickEntityTypes(entityTypes, 'persistence')), ['deal', 'ticket'])
+  })
+
+  test('rejects invalid declarations at load time', () => {
+    const rejects = (declaration, message) => assert.throws(() => loadEntityTypes({ json: JSON.stringify(declaration) }), message)
+
+    rejects({ 'bad-name': {} }, /Invalid entity type bad-name: names are/)
+    rejects({ ticket: 'tickets' }, /Invalid entity type ticket: the definition must be an object/)
+    rejects({ note: ['Notes'] }, /Invalid entity type note: the definition must be an object/)
+    rejects({ ticket: { idPattern: '[' } }, /idPattern is not a valid regular expression/)
+    rejects({ ticket: { table: 'Tickets; DROP TABLE deals' } }, /table must be a lowercase SQL identifier/)
+    rejects({ ticket: { schema: 'ticket' } }, /unknown built-in schema ticket/)
+    rejects({ ticket: { schema: { fields: { title: { type: 'text' } } } } }, /schema field title must have a type among/)
+    rejects({ ticket: { persistence: { columns: { title: 'title' } } } }, /persistence needs a table/)
+    rejects({ ticket: { table: 'tickets', persistence: { columns: { due: { column: 'due', type: 'json' } } } } }, /column type of due must be among/)
+    rejects({ ticket: { table: 'tickets', persistence: { columns: { title: 'Title' } } } }, /column of title must be a lowercase SQL identifier/)
+    rejects({ ticket: { permissions: { ownership: {} } } }, /permissions.ownership needs a table/)
+    rejects({ ticket: { permissions: { maxAccess: 'admin' } } }, /permissions.maxAccess must be one of/)
+    rejects({ deal: null, contact: null, company: null, note: null, task: null, email: null }, /At least one entity type must be declared/)
+  })
+})
+
+describe('describeEntityTypes', () => {
+  test('publishes patterns and fields without table or column names', () => {
+    const { deal, note } = describeEntityTypes(loadEntityTypes())
+
+    assert.equal(deal.schema.fields.currency.pattern, '^[A-Z]{3}$')
+    assert.ok(deal.persistedFields.includes('stage'))
+    assert.deepEqual(deal.permissions, { ownership: true, maxAccess: 'write' })
+    assert.equal(note.schema, null)
+    assert.equal(deal.table, undefined)
+    assert.equal(deal.persistence, undefined)
+  })
+})
+
+describe('createDocumentNameParser', () => {
+  const parse = createDocumentNameParser({ entityTypes: loadEntityTypes() })
+
+  test('splits tenant:entity_type:entity_id', () => {
+    assert.deepEqual(parse(`crm:deal:${DEAL_ID}`), {
+      tenant: 'crm',
+      entityType: 'deal',
+      entityId: DEAL_ID,
+      documentName: `crm:deal:${DEAL_ID}`,
+    })
+    assert.equal(parse('acme:note:meeting_2024-03').entityId, 'meeting_2024-03')
+  })
+
+  test('rejects malformed names', () => {
+    for (const name of ['crm:deal', 'crm:deal:1:2', 'crm::1', 'crm:deal:a b', 'crm:9deal:1', 'crm/x:deal:1', '', null]) {
+      assert.throws(() => parse(name), /Invalid document name format/, String(name))
+    }
+  })
+
+  test('rejects unknown entity types and IDs outside their pattern', () => {
+    assert.throws(() => parse('crm:invoice:1'), /Invalid entity type: invoice\. Allowed types: deal, contact/)
+
+    const strict = createDocumentNameParser({
+      entityTypes: loadEntityTypes({ json: JSON.stringify({ ticket: { idPattern: '^T-[0-9]+$' } }) }),
+    })
+    assert.equal(strict('crm:ticket:T-42').entityId, 'T-42')
+    assert.throws(() => strict('crm:ticket:42'), /Invalid ticket id: 42/)
+  })
+
+  test('restricts tenants to the allowed ones', () => {
+    const restricted = createDocumentNameParser({ entityTypes: loadEntityTypes(), allowedTenants: ['crm', 'acme'] })
+
+    assert.equal(restricted('acme:note:n1').tenant, 'acme')
+    assert.throws(() => restricted('other:note:n1'), /Invalid tenant: other/)
+  })
+
+  test('keeps the entity types stored in a CRM table to the CRM tenant', () => {
+    assert.throws(() => parse(`acme:deal:${DEAL_ID}`), /Invalid tenant: acme\. deal documents are rows of crm/)
+    assert.throws(() => parse(`acme:contact:${DEAL_ID}`), /Invalid tenant: acme/)
+    assert.equal(parse('acme:task:t1').tenant, 'acme')
+
+    const workspace = createDocumentNameParser({ entityTypes: loadEntityTypes(), crmTenant: 'acme' })
+    assert.equal(workspace(`acme:deal:${DEAL_ID}`).tenant, 'acme')
+    assert.throws(() => workspace(`crm:deal:${DEAL_ID}`), /Invalid tenant: crm/)
+  })
+})
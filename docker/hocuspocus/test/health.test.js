@@ -0,0 +1,127 @@
+/**
+ * Persistence lag tracking and the readiness probe
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import { CheckStatus, createReadinessProbe, PersistenceTracker } from '../health.js'
+import { startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const storedPersistence = { lag: () => 0, pendingDocuments: () => 0 }
+
+describe('PersistenceTracker', () => {
+  test('reports the age of the oldest change not stored yet', async () => {
+    const tracker = new PersistenceTracker()
+
+    await tracker.onChange({ documentName: 'crm:deal:d1' })
+    await sleep(30)
+    await tracker.onChange({ documentName: 'crm:deal:d2' })
+
+    assert.ok(tracker.lag() >= 30)
+    assert.equal(tracker.pendingDocuments(), 2)
+
+    await tracker.onStoreDocument({ documentName: 'crm:deal:d1' })
+    await tracker.afterStoreDocument({ documentName: 'crm:deal:d1' })
+    assert.equal(tracker.pendingDocuments(), 1)
+    assert.ok(tracker.lag() < 30)
+  })
+
+  test('keeps changes made while storing and ignores changes relayed by Redis', async () => {
+    const tracker = new PersistenceTracker()
+
+    await tracker.onChange({ documentName: 'crm:deal:d1', transactionOrigin: '__hocuspocus__redis__origin__' })
+    assert.equal(tracker.pendingDocuments(), 0)
+
+    await tracker.onChange({ documentName: 'crm:deal:d1' })
+    await tracker.onStoreDocument({ documentName: 'crm:deal:d1' })
+    await sleep(5)
+    await tracker.onChange({ documentName: 'crm:deal:d1' })
+    await tracker.afterStoreDocument({ documentName: 'crm:deal:d1' })
+    assert.equal(tracker.pendingDocuments(), 1)
+
+    // Only a store started after the change clears it
+    await tracker.afterStoreDocument({ documentName: 'crm:deal:d1' })
+    assert.equal(tracker.pendingDocuments(), 1)
+
+    await tracker.afterUnloadDocument({ documentName: 'crm:deal:d1' })
+    assert.equal(tracker.lag(), 0)
+  })
+})
+
+describe('createReadinessProbe', () => {
+  test('is ready when every check passes', async () => {
+    const probe = createReadinessProbe({ checks: { redis: async () => 'PONG' }, persistence: storedPersistence, maxPersistenceLag: 1000 })
+
+    const { status, ready, checks } = await probe()
+
+    assert.equal(status, 'ready')
+    assert.equal(ready, true)
+    assert.equal(checks.redis.status, CheckStatus.UP)
+    assert.deepEqual(checks.persistence, { status: CheckStatus.UP, lag: 0, maxLag: 1000, pendingDocuments: 0 })
+  })
+
+  test('marks a hanging check down after the timeout', async () => {
+    const probe = createReadinessProbe({
+      checks: { redis: () => new Promise(() => {}), postgres: async () => {} },
+      persistence: storedPersistence,
+      timeout: 50,
+    })
+
+    const startedAt = Date.now()
+    const { status, ready, checks } = await probe()
+
+    assert.ok(Date.now() - startedAt < 1000)
+    assert.equal(status, 'not_ready')
+    assert.equal(ready, false)
+    assert.equal(checks.redis.status, CheckStatus.DOWN)
+    assert.equal(checks.redis.error, 'Timed out after 50ms')
+    assert.equal(checks.postgres.status, CheckStatus.UP)
+  })
+
+  test('fails on a failed check, a persistence lag above the limit or a drain', async () => {
+    const failing = createReadinessProbe({ checks: { redis: async () => { throw new Error('ECONNREFUSED') } }, persistence: storedPersistence })
+    assert.equal((await failing()).checks.redis.error, 'ECONNREFUSED')
+
+    const lagging = createReadinessProbe({ checks: {}, persistence: { lag: () => 5000, pendingDocuments: () => 1 }, maxPersistenceLag: 1000 })
+    assert.equal((await lagging()).checks.persistence.status, CheckStatus.DOWN)
+
+    const reportOnly = createReadinessProbe({ checks: {}, persistence: { lag: () => 5000, pendingDocuments: () => 1 }, maxPersistenceLag: 0 })
+    assert.equal((await reportOnly()).ready, true)
+
+    const draining = createReadinessProbe({ checks: {}, persistence: storedPersistence, isDraining: () => true })
+    assert.deepEqual(await draining(), { status: 'draining', ready: false, checks: { persistence: { status: 'up', lag: 0, maxLag: null, pendingDocuments: 0 } } })
+  })
+})
+
+describe('/health/ready', () => {
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('health', redis, `test-${crypto.randomUUID()}:`, { HEALTH_CHECK_TIMEOUT: '300' })
+  })
+
+  after(async () => {
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  test('answers 503 once Redis is gone while the process stays live', async () => {
+    const ready = await fetch(`${instance.httpUrl}/health/ready`)
+    assert.equal(ready.status, 200)
+    assert.equal((await ready.json()).checks.redis.status, 'up')
+
+    await redis.close()
+    redis = null
+
+    await waitFor(async () => (await fetch(`${instance.httpUrl}/health/ready`)).status === 503, 5000, '/health/ready did not fail')
+    const { checks } = await (await fetch(`${instance.httpUrl}/health/ready`)).json()
+    assert.equal(checks.redis.status, 'down')
+    assert.equal((await fetch(`${instance.httpUrl}/health/live`)).status, 200)
+  })
+})
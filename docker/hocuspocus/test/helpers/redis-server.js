@@ -0,0 +1,221 @@
+/**
+ * Minimal Redis server for tests, speaking RESP2 over TCP
+ *
+ * Pub/sub, MULTI/EXEC and the connection commands are handled here, every other
+ * command runs against one shared ioredis-mock instance, so several server processes
+ * see the same data. Values are passed as latin1 strings to keep binary values intact.
+ */
+
+import net from 'node:net'
+import RedisMock from 'ioredis-mock'
+
+const CRLF = '\r\n'
+
+class ReplyError {
+  constructor(message) {
+    this.message = /^[A-Z]+ /.test(message) ? message : `ERR ${message}`
+  }
+}
+
+const encode = (value) => {
+  if (value instanceof ReplyError) {
+    return Buffer.from(`-${value.message}${CRLF}`)
+  }
+  if (value === null || value === undefined) {
+    return Buffer.from(`$-1${CRLF}`)
+  }
+  if (typeof value === 'number') {
+    return Buffer.from(`:${Math.trunc(value)}${CRLF}`)
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from(`*${value.length}${CRLF}`), ...value.map(encode)])
+  }
+
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'latin1')
+  return Buffer.concat([Buffer.from(`$${data.length}${CRLF}`), data, Buffer.from(CRLF)])
+}
+
+// Parse the complete commands (arrays of bulk strings) at the start of buffer
+const parseCommands = (buffer) => {
+  const commands = []
+  let offset = 0
+
+  while (offset < buffer.length) {
+    const start = offset
+    const readLine = () => {
+      const end = buffer.indexOf(CRLF, offset)
+      if (end === -1) return null
+      const line = buffer.toString('latin1', offset, end)
+      offset = end + 2
+      return line
+    }
+
+    const header = readLine()
+    if (header === null) return { commands, rest: buffer.subarray(start) }
+
+    const args = []
+    let complete = true
+    for (let index = 0; index < Number(header.slice(1)); index++) {
+      const length = readLine()
+      if (length === null || offset + Number(length.slice(1)) + 2 > buffer.length) {
+        complete = false
+        break
+      }
+      args.push(buffer.subarray(offset, offset + Number(length.slice(1))))
+      offset += Number(length.slice(1)) + 2
+    }
+
+    if (!complete) return { commands, rest: buffer.subarray(start) }
+    commands.push(args)
+  }
+
+  return { commands, rest: Buffer.alloc(0) }
+}
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`)
+
+/**
+ * Start the server on a random local port
+ * Returns { host, port, close }
+ */
+export const startRedisServer = async () => {
+  const store = new RedisMock()
+  const clients = new Set()
+
+  const subscriptionCount = (client) => client.channels.size + client.patterns.size
+
+  const publish = (channel, message) => {
+    let receivers = 0
+    clients.forEach((client) => {
+      if (client.channels.has(channel)) {
+        client.socket.write(encode(['message', channel, message]))
+        receivers++
+      }
+      client.patterns.forEach((pattern, source) => {
+        if (pattern.test(channel)) {
+          client.socket.write(encode(['pmessage', source, channel, message]))
+          receivers++
+        }
+      })
+    })
+    return receivers
+  }
+
+  // Commands forwarded to ioredis-mock
+  const runStored = async (name, args) => {
+    if (typeof store[name] !== 'function') {
+      return new ReplyError(`unknown command '${name}'`)
+    }
+    try {
+      return await store[name](...args.map((arg) => arg.toString('latin1')))
+    } catch (error) {
+      return new ReplyError(error.message)
+    }
+  }
+
+  const run = async (client, [command, ...args]) => {
+    const name = command.toString().toLowerCase()
+
+    if (client.queue && !['exec', 'discard', 'multi'].includes(name)) {
+      client.queue.push([name, args])
+      return 'QUEUED'
+    }
+
+    switch (name) {
+      case 'ping':
+        return subscriptionCount(client) > 0 ? ['pong', ''] : 'PONG'
+      case 'select':
+      case 'client':
+      case 'auth':
+        return 'OK'
+      case 'info':
+        return `# Server${CRLF}redis_version:6.2.0${CRLF}# Persistence${CRLF}loading:0${CRLF}`
+      case 'quit':
+        client.socket.end(encode('OK'))
+        return undefined
+      case 'multi':
+        client.queue = []
+        return 'OK'
+      case 'discard':
+        client.queue = null
+        return 'OK'
+      case 'exec': {
+        const queue = client.queue || []
+        client.queue = null
+        const results = []
+        for (const [queuedName, queuedArgs] of queue) {
+          results.push(await runStored(queuedName, queuedArgs))
+        }
+        return results
+      }
+      case 'publish':
+        return publish(args[0].toString('latin1'), args[1])
+      case 'subscribe':
+      case 'psubscribe': {
+        const target = name === 'subscribe' ? client.channels : client.patterns
+        return args.map((arg) => {
+          const channel = arg.toString('latin1')
+          target.set(channel, name === 'subscribe' ? true : globToRegExp(channel))
+          return [name, channel, subscriptionCount(client)]
+        })
+      }
+      case 'unsubscribe':
+      case 'punsubscribe': {
+        const target = name === 'unsubscribe' ? client.channels : client.patterns
+        const channels = args.length > 0 ? args.map((arg) => arg.toString('latin1')) : [...target.keys()]
+        if (channels.length === 0) {
+          return [[name, null, subscriptionCount(client)]]
+        }
+        return channels.map((channel) => {
+          target.delete(channel)
+          return [name, channel, subscriptionCount(client)]
+        })
+      }
+      default:
+        return runStored(name, args)
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    const client = { socket, channels: new Map(), patterns: new Map(), queue: null }
+    let pending = Buffer.alloc(0)
+    let processing = Promise.resolve()
+
+    clients.add(client)
+    socket.on('close', () => clients.delete(client))
+    socket.on('error', () => clients.delete(client))
+
+    socket.on('data', (chunk) => {
+      const { commands, rest } = parseCommands(Buffer.concat([pending, chunk]))
+      pending = rest
+
+      // Replies keep the order of the commands
+      processing = processing.then(async () => {
+        for (const command of commands) {
+          const reply = await run(client, command)
+          if (reply === undefined || socket.destroyed) continue
+
+          // (p)subscribe and (p)unsubscribe answer once per channel
+          if (/^p?(un)?subscribe$/.test(command[0].toString().toLowerCase())) {
+            reply.forEach((message) => socket.write(encode(message)))
+          } else {
+            socket.write(encode(reply))
+          }
+        }
+      })
+    })
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    close: () => new Promise((resolve) => {
+      clients.forEach(({ socket }) => socket.destroy())
+      server.close(() => resolve())
+      store.disconnect()
+    }),
+  }
+}
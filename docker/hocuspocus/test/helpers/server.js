@@ -0,0 +1,129 @@
+/**
+ * Run server.js in a child process for end-to-end tests
+ */
+
+import { spawn } from 'node:child_process'
+import { once } from 'node:events'
+import net from 'node:net'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { HocuspocusProvider, HocuspocusProviderWebsocket } from '@hocuspocus/provider'
+import WebSocket from 'ws'
+
+const SERVER_PATH = fileURLToPath(new URL('../../server.js', import.meta.url))
+const START_TIMEOUT = 20000
+
+export const findFreePort = async () => {
+  const server = net.createServer()
+  server.listen(0, '127.0.0.1')
+  await once(server, 'listening')
+  const { port } = server.address()
+  server.close()
+  await once(server, 'close')
+  return port
+}
+
+export const waitFor = async (check, timeout, message) => {
+  const deadline = Date.now() + timeout
+  while (Date.now() < deadline) {
+    if (await check()) return
+    await new Promise((resolve) => setTimeout(resolve, 50))
+  }
+  throw new Error(message)
+}
+
+/**
+ * Start server.js without Postgres and wait until it is ready
+ * Development mode without AUTH_JWT_SECRET in env gives the anonymous user
+ */
+export const startInstance = async (name, redis, prefix, env = {}) => {
+  const port = await findFreePort()
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: path.dirname(SERVER_PATH),
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      HOCUSPOCUS_PORT: String(port),
+      INSTANCE_ID: name,
+      REDIS_HOST: redis.host,
+      REDIS_PORT: String(redis.port),
+      REDIS_KEY_PREFIX: prefix,
+      DATABASE_URL: '',
+      POSTGRES_HOST: '',
+      AUTH_JWT_SECRET: '',
+      AUTH_JWT_PUBLIC_KEY: '',
+      AUTH_JWT_PUBLIC_KEY_FILE: '',
+      WEBHOOK_URLS: '',
+      SNAPSHOT_STORE: 'none',
+      LOG_LEVEL: 'silent',
+      LOG_REQUEST: 'false',
+      LOG_UPGRADE: 'false',
+      LOG_LISTEN: 'false',
+      HOCUSPOCUS_DEBOUNCE: '100',
+      DRAIN_DELAY: '0',
+      DRAIN_TIMEOUT: '2000',
+      // Refused clients reconnect in a loop, the IP ban would refuse the next tests too
+      THROTTLE_ENABLED: 'false',
+      ...env,
+    },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  })
+
+  let stderr = ''
+  child.stderr.on('data', (chunk) => { stderr += chunk })
+
+  const isReady = async () => {
+    if (child.exitCode !== null) {
+      throw new Error(`Instance ${name} exited with ${child.exitCode}: ${stderr}`)
+    }
+    try {
+      const response = await fetch(`http://127.0.0.1:${port}/health/ready`)
+      return response.ok
+    } catch {
+      return false
+    }
+  }
+
+  await waitFor(isReady, START_TIMEOUT, `Instance ${name} was not ready after ${START_TIMEOUT}ms: ${stderr}`)
+
+  return {
+    url: `ws://127.0.0.1:${port}`,
+    httpUrl: `http://127.0.0.1:${port}`,
+    child,
+    async stop() {
+      if (child.exitCode !== null) return
+      const exited = once(child, 'exit')
+      child.kill('SIGTERM')
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000)
+      await exited
+      clearTimeout(timer)
+    },
+  }
+}
+
+/**
+ * Open a provider on a document, resolves once synced
+ * Closes and authentication failures are recorded in provider.closes and provider.authFailures
+ */
+export const connect = async (instance, name, token = 'unused-in-development', { synced = true } = {}) => {
+  const closes = []
+  const authFailures = []
+  const provider = new HocuspocusProvider({
+    websocketProvider: new HocuspocusProviderWebsocket({ url: instance.url, WebSocketPolyfill: WebSocket }),
+    name,
+    token,
+    onClose: ({ event }) => closes.push({ code: event.code, reason: event.reason }),
+    onAuthenticationFailed: ({ reason }) => authFailures.push(reason),
+  })
+  provider.closes = closes
+  provider.authFailures = authFailures
+  if (synced) {
+    await waitFor(() => provider.isSynced, 5000, `Provider on ${instance.url} did not sync`)
+  }
+  return provider
+}
+
+export const disconnect = (provider) => {
+  provider.destroy()
+  provider.configuration.websocketProvider.destroy()
+}
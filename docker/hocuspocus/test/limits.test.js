@@ -0,0 +1,148 @@
+/**
+ * Update rate limits and size quotas
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import { OutgoingMessage } from '@hocuspocus/server'
+import * as Y from 'yjs'
+import { createLimitResolver, LimitExceeded, RateLimits } from '../limits.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const createLogger = () => {
+  const entries = []
+  const record = (level) => (message, ...args) => entries.push({ level, message, args })
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+}
+
+const parseDocumentName = (documentName) => ({ entityType: documentName.split(':')[1] })
+
+// Sync update message carrying text inserted into the notes of a fresh document
+const updateMessage = (documentName, text) => {
+  const source = new Y.Doc()
+  source.getText('notes').insert(0, text)
+  return new OutgoingMessage(documentName).createSyncMessage().writeUpdate(Y.encodeStateAsUpdate(source)).toUint8Array()
+}
+
+const createLimits = (defaults, entityTypes = {}) => {
+  const rejections = []
+  const logger = createLogger()
+  const limits = new RateLimits({
+    resolveLimits: createLimitResolver({ defaults, entityTypes }),
+    parseDocumentName,
+    onReject: (reason, entityType) => rejections.push([reason, entityType]),
+    logger,
+  })
+  return { limits, rejections, logger }
+}
+
+const handle = (limits, documentName, update, user = { id: 'u1' }, document = new Y.Doc()) => (
+  limits.beforeHandleMessage({ documentName, document, context: { user }, update })
+)
+
+describe('RateLimits', () => {
+  const instances = []
+  const track = (created) => {
+    instances.push(created.limits)
+    return created
+  }
+
+  after(() => Promise.all(instances.map((limits) => limits.onDestroy())))
+
+  test('closes with update-too-large above maxUpdateSize', async () => {
+    const { limits, rejections, logger } = track(createLimits({ maxUpdateSize: 100 }))
+
+    await handle(limits, 'crm:deal:d1', updateMessage('crm:deal:d1', 'short'))
+    await assert.rejects(handle(limits, 'crm:deal:d1', updateMessage('crm:deal:d1', 'x'.repeat(200))), {
+      code: LimitExceeded.UPDATE_TOO_LARGE.code,
+      reason: 'update-too-large',
+    })
+
+    assert.deepEqual(rejections, [['update-too-large', 'deal']])
+    assert.equal(logger.entries[0].args[0].userId, 'u1')
+  })
+
+  test('closes with rate-limited past updatesPerMinute for one user and document', async () => {
+    const { limits } = track(createLimits({ updatesPerMinute: 2 }))
+    const update = updateMessage('crm:deal:d1', 'a')
+
+    await handle(limits, 'crm:deal:d1', update)
+    await handle(limits, 'crm:deal:d1', update)
+    await assert.rejects(handle(limits, 'crm:deal:d1', update), { code: 4429, reason: 'rate-limited' })
+
+    // Other users and documents have their own window
+    await handle(limits, 'crm:deal:d1', update, { id: 'u2' })
+    await handle(limits, 'crm:deal:d2', updateMessage('crm:deal:d2', 'a'))
+  })
+
+  test('closes with document-too-large once the document would pass maxDocumentSize', async () => {
+    const { limits } = track(createLimits({ maxDocumentSize: 400 }))
+    const document = new Y.Doc()
+    document.getText('notes').insert(0, 'y'.repeat(250))
+
+    await handle(limits, 'crm:deal:d1', updateMessage('crm:deal:d1', 'small'), undefined, document)
+    await assert.rejects(handle(limits, 'crm:deal:d1', updateMessage('crm:deal:d1', 'z'.repeat(100)), undefined, document), {
+      code: 4413,
+      reason: 'document-too-large',
+    })
+  })
+
+  test('ignores messages that do not change the document and resolves limits per entity type', async () => {
+    const { limits } = track(createLimits({ maxUpdateSize: 100 }, { note: { maxUpdateSize: 0 } }))
+    const awareness = new OutgoingMessage('crm:deal:d1').writeQueryAwareness().toUint8Array()
+
+    await handle(limits, 'crm:deal:d1', awareness)
+    await handle(limits, 'crm:note:n1', updateMessage('crm:note:n1', 'x'.repeat(200)))
+  })
+})
+
+describe('limit closes', () => {
+  const providers = []
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('limits', redis, `test-${crypto.randomUUID()}:`, {
+      LIMIT_MAX_UPDATE_SIZE: '2048',
+      LIMIT_ENTITY_TYPES: JSON.stringify({ note: { maxUpdateSize: 0, updatesPerMinute: 3 } }),
+    })
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const open = async (documentName) => {
+    const provider = await connect(instance, documentName)
+    providers.push(provider)
+    return provider
+  }
+
+  test('closes a connection sending an oversized update and drops it', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const sender = await open(documentName)
+
+    sender.document.getText('notes').insert(0, 'x'.repeat(4096))
+    await waitFor(() => sender.closes.some(({ reason }) => reason === 'update-too-large'), 5000, 'The connection was not closed')
+    assert.equal(sender.closes.find(({ reason }) => reason === 'update-too-large').code, 1009)
+
+    const observer = await open(documentName)
+    assert.equal(observer.document.getText('notes').toString(), '')
+  })
+
+  test('closes a connection sending too many updates', async () => {
+    const sender = await open(`crm:note:${crypto.randomUUID()}`)
+
+    for (let index = 0; index < 6; index++) {
+      sender.document.getText('notes').insert(0, String(index))
+      await new Promise((resolve) => setTimeout(resolve, 20))
+    }
+
+    await waitFor(() => sender.closes.some(({ code, reason }) => code === 4429 && reason === 'rate-limited'), 5000, 'The connection was not rate limited')
+  })
+})
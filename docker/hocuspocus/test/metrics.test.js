@@ -0,0 +1,98 @@
+/**
+ * Prometheus registry and the /metrics route
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import { createMetrics } from '../metrics.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+// Value of a sample line, e.g. hocuspocus_connections{tenant="crm",service="..."} 2
+const sample = (text, name, labels) => {
+  const line = text.split('\n').find((candidate) => (
+    candidate.startsWith(`${name}{`) && Object.entries(labels).every(([key, value]) => candidate.includes(`${key}="${value}"`))
+  ))
+  return line === undefined ? undefined : Number(line.split(' ').pop())
+}
+
+describe('createMetrics', () => {
+  test('exposes the counters with the service label', async () => {
+    const metrics = createMetrics({ getTenantStats: () => ({}) })
+    metrics.connectsTotal.inc({ tenant: 'crm', entity_type: 'deal' })
+    metrics.connectsTotal.inc({ tenant: 'crm', entity_type: 'deal' })
+    metrics.limitRejectionsTotal.inc({ reason: 'rate', entity_type: 'note' })
+
+    const text = await metrics.register.metrics()
+
+    assert.equal(sample(text, 'hocuspocus_connects_total', { tenant: 'crm', entity_type: 'deal', service: 'hocuspocus-server' }), 2)
+    assert.equal(sample(text, 'hocuspocus_limit_rejections_total', { reason: 'rate', entity_type: 'note' }), 1)
+    assert.match(text, /^hocuspocus_process_/m)
+    assert.match(metrics.contentType, /^text\/plain/)
+  })
+
+  test('reads the gauges from the tenant stats at scrape time', async () => {
+    let stats = { crm: { documents: 2, connections: 3 } }
+    const metrics = createMetrics({ getTenantStats: () => stats })
+
+    const first = await metrics.register.metrics()
+    assert.equal(sample(first, 'hocuspocus_connections', { tenant: 'crm' }), 3)
+    assert.equal(sample(first, 'hocuspocus_documents', { tenant: 'crm' }), 2)
+
+    stats = { acme: { documents: 1, connections: 1 } }
+    const second = await metrics.register.metrics()
+    assert.equal(sample(second, 'hocuspocus_connections', { tenant: 'crm' }), undefined)
+    assert.equal(sample(second, 'hocuspocus_connections', { tenant: 'acme' }), 1)
+  })
+
+  test('keeps separate registries apart', async () => {
+    const first = createMetrics({ getTenantStats: () => ({}) })
+    const second = createMetrics({ getTenantStats: () => ({}) })
+    first.throttleBansTotal.inc()
+
+    assert.equal(sample(await first.register.metrics(), 'hocuspocus_throttle_bans_total', {}), 1)
+    assert.equal(sample(await second.register.metrics(), 'hocuspocus_throttle_bans_total', {}), 0)
+  })
+})
+
+describe('/metrics', () => {
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('metrics', redis, `test-${crypto.randomUUID()}:`)
+  })
+
+  after(async () => {
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const scrape = async () => (await fetch(`${instance.httpUrl}/metrics`)).text()
+
+  test('counts connections and loaded documents', async () => {
+    const provider = await connect(instance, `crm:deal:${crypto.randomUUID()}`)
+
+    try {
+      const text = await scrape()
+      assert.equal(sample(text, 'hocuspocus_connects_total', { tenant: 'crm', entity_type: 'deal' }), 1)
+      assert.equal(sample(text, 'hocuspocus_document_loads_total', { tenant: 'crm', entity_type: 'deal' }), 1)
+      assert.equal(sample(text, 'hocuspocus_connections', { tenant: 'crm' }), 1)
+    } finally {
+      disconnect(provider)
+    }
+
+    await waitFor(async () => sample(await scrape(), 'hocuspocus_disconnects_total', { tenant: 'crm' }) === 1, 5000, 'Disconnect was not counted')
+  })
+
+  test('serves a JSON snapshot with format=json', async () => {
+    const response = await fetch(`${instance.httpUrl}/metrics?format=json`)
+    const body = await response.json()
+
+    assert.equal(response.status, 200)
+    assert.equal(typeof body.connections, 'number')
+    assert.equal(typeof body.tenants, 'object')
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * Origin policy matching
+ */
+
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import { createOriginPolicy } from '../origins.js'
+
+describe('origin policy', () => {
+  test('allows exact origins, ignoring case and a trailing slash in the config', () => {
+    const policy = createOriginPolicy({ allowed: ['https://app.example.com/', ' http://localhost:3000 '] })
+
+    assert.equal(policy.check('https://app.example.com'), null)
+    assert.equal(policy.check('HTTPS://APP.EXAMPLE.COM'), null)
+    assert.equal(policy.check('http://localhost:3000'), null)
+    assert.deepEqual(policy.allowed, ['https://app.example.com/', 'http://localhost:3000'])
+  })
+
+  test('rejects origins that only differ by scheme, port or subdomain from an exact entry', () => {
+    const policy = createOriginPolicy({ allowed: ['https://app.example.com'] })
+
+    assert.equal(policy.check('http://app.example.com'), 'origin-not-allowed')
+    assert.equal(policy.check('https://app.example.com:8443'), 'origin-not-allowed')
+    assert.equal(policy.check('https://eu.app.example.com'), 'origin-not-allowed')
+    assert.equal(policy.check('https://app.example.com.evil.test'), 'origin-not-allowed')
+    assert.equal(policy.isAllowed('https://example.com'), false)
+  })
+
+  test('allows subdomains of a wildcard entry with a scheme', () => {
+    const policy = createOriginPolicy({ allowed: ['https://*.example.com'] })
+
+    assert.equal(policy.check('https://app.example.com'), null)
+    assert.equal(policy.check('https://eu.app.example.com'), null)
+    assert.equal(policy.check('https://app.example.com:8443'), null)
+
+    assert.equal(policy.check('https://example.com'), 'origin-not-allowed')
+    assert.equal(policy.check('http://app.example.com'), 'origin-not-allowed')
+    assert.equal(policy.check('https://app.example.com.evil.test'), 'origin-not-allowed')
+    assert.equal(policy.check('https://appexample.com'), 'origin-not-allowed')
+    assert.equal(policy.check('https://evil.test/.example.com'), 'origin-not-allowed')
+  })
+
+  test('allows subdomains over any scheme for a wildcard entry without one', () => {
+    const policy = createOriginPolicy({ allowed: ['*.example.com'] })
+
+    assert.equal(policy.check('https://app.example.com'), null)
+    assert.equal(policy.check('http://app.example.com'), null)
+    assert.equal(policy.check('capacitor://app.example.com'), null)
+    assert.equal(policy.check('https://example.com'), 'origin-not-allowed')
+  })
+
+  test('treats dots in entries literally', () => {
+    const policy = createOriginPolicy({ allowed: ['https://*.example.com'] })
+
+    assert.equal(policy.check('https://app.examplexcom'), 'origin-not-allowed')
+    assert.equal(policy.check('https://app.example.co'), 'origin-not-allowed')
+  })
+
+  test('accepts a missing Origin header unless allowMissing is false', () => {
+    assert.equal(createOriginPolicy({ allowed: ['https://app.example.com'] }).check(undefined), null)
+    assert.equal(createOriginPolicy({ allowed: ['https://app.example.com'] }).check(''), null)
+
+    const strict = createOriginPolicy({ allowed: ['https://app.example.com'], allowMissing: false })
+    assert.equal(strict.check(undefined), 'missing-origin')
+    assert.equal(strict.isAllowed(''), false)
+  })
+
+  test('allows every origin with *, but never the opaque null origin', () => {
+    const policy = createOriginPolicy({ allowed: ['*'] })
+
+    assert.equal(policy.check('https://anything.test'), null)
+    assert.equal(policy.check('null'), 'opaque-origin')
+    assert.equal(createOriginPolicy({ allowed: ['https://app.example.com'] }).check('null'), 'opaque-origin')
+  })
+
+  test('rejects entries with * anywhere but a leading *.', () => {
+    for (const entry of ['https://*example.com', 'https://app*.example.com', 'https://*.example.*', '*example.com']) {
+      assert.throws(() => createOriginPolicy({ allowed: [entry] }), /Invalid origin entry/, entry)
+    }
+  })
+
+  test('allows credentials only for listed origins, not through *', () => {
+    const policy = createOriginPolicy({ allowed: ['*', 'https://app.example.com', 'https://*.example.org'] })
+
+    assert.equal(policy.check('https://evil.test'), null)
+    assert.equal(policy.allowsCredentials('https://evil.test'), false)
+    assert.equal(policy.allowsCredentials('https://app.example.com/'), true)
+    assert.equal(policy.allowsCredentials('https://crm.example.org'), true)
+    assert.equal(policy.allowsCredentials('null'), false)
+    assert.equal(policy.allowsCredentials(undefined), false)
+  })
+
+  test('rejects every origin with an empty list', () => {
+    const policy = createOriginPolicy({ allowed: ['', ' '] })
+
+    assert.deepEqual(policy.allowed, [])
+    assert.equal(policy.check('http://localhost:3000'), 'origin-not-allowed')
+  })
+})
@@ -0,0 +1,172 @@
+/**
+ * Per-entity authorization, and the read-only connections it gives
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import jwt from 'jsonwebtoken'
+import { AccessLevel, createEntityAuthorizer, createOwnershipResolver } from '../permissions.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const DEAL_ID = '0d7c3c5e-1111-4222-8333-444455556666'
+
+const user = (permissions, extra = {}) => ({ id: 'u1', team: 'sales', permissions, ...extra })
+
+// Pool answering the ownership query from { id: { owner_id, team } }
+const createPool = (rows) => {
+  const queries = []
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params })
+      return { rows: rows[params[0]] ? [rows[params[0]]] : [] }
+    },
+  }
+}
+
+describe('createEntityAuthorizer', () => {
+  test('gives the access of the token permissions without entity rules', async () => {
+    const authorizer = createEntityAuthorizer()
+
+    assert.equal(await authorizer.authorize(user([]), 'deal', DEAL_ID), AccessLevel.NONE)
+    assert.equal(await authorizer.authorize(user(['read']), 'deal', DEAL_ID), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['write']), 'deal', DEAL_ID), AccessLevel.WRITE)
+    assert.equal(await authorizer.authorize(user(['admin']), 'deal', DEAL_ID), AccessLevel.WRITE)
+    assert.equal(await authorizer.authorize(user(['audit']), 'deal', DEAL_ID), AccessLevel.NONE)
+  })
+
+  test('lets the resolver narrow the token access, never widen it', async () => {
+    const authorizer = createEntityAuthorizer()
+      .register('deal', async (_, entityId) => (entityId === DEAL_ID ? AccessLevel.WRITE : AccessLevel.READ))
+      .register('contact', async () => null)
+
+    assert.equal(await authorizer.authorize(user(['write']), 'deal', DEAL_ID), AccessLevel.WRITE)
+    assert.equal(await authorizer.authorize(user(['write']), 'deal', 'other'), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['read']), 'deal', DEAL_ID), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['write']), 'contact', DEAL_ID), AccessLevel.NONE)
+  })
+
+  test('does not call the resolver for users without access or admins', async () => {
+    const calls = []
+    const authorizer = createEntityAuthorizer().register('deal', async (caller) => {
+      calls.push(caller.permissions)
+      return AccessLevel.NONE
+    })
+
+    assert.equal(await authorizer.authorize(user([]), 'deal', DEAL_ID), AccessLevel.NONE)
+    assert.equal(await authorizer.authorize(user(['admin']), 'deal', DEAL_ID), AccessLevel.WRITE)
+    assert.deepEqual(calls, [])
+  })
+
+  test('caps every user, admins included, at the maxAccess of the entity type', async () => {
+    const authorizer = createEntityAuthorizer()
+      .register('email', null, { maxAccess: AccessLevel.READ })
+      .register('deal', async () => AccessLevel.WRITE, { maxAccess: AccessLevel.READ })
+      .register('archive', null, { maxAccess: AccessLevel.NONE })
+
+    assert.equal(await authorizer.authorize(user(['admin']), 'email', DEAL_ID), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['write']), 'email', DEAL_ID), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['admin']), 'deal', DEAL_ID), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['write']), 'deal', DEAL_ID), AccessLevel.READ)
+    assert.equal(await authorizer.authorize(user(['admin']), 'archive', DEAL_ID), AccessLevel.NONE)
+  })
+})
+
+describe('createOwnershipResolver', () => {
+  const pool = createPool({
+    [DEAL_ID]: { owner_id: 'u1', team: 'enterprise' },
+    '9a1e2f3b-1111-4222-8333-444455556666': { owner_id: 'u2', team: 'sales' },
+    '5b6c7d8e-1111-4222-8333-444455556666': { owner_id: 'u2', team: null },
+  })
+
+  test('lets the owner and the team members write', async () => {
+    const resolve = createOwnershipResolver({ pool, table: 'deals' })
+
+    assert.equal(await resolve(user(['write']), DEAL_ID), AccessLevel.WRITE)
+    assert.equal(await resolve(user(['write']), '9a1e2f3b-1111-4222-8333-444455556666'), AccessLevel.WRITE)
+    assert.match(pool.queries[0].sql, /SELECT owner_id AS owner_id, team AS team FROM deals WHERE id = \$1/)
+  })
+
+  test('gives the others nonMemberAccess and unknown rows no access', async () => {
+    const readers = createOwnershipResolver({ pool, table: 'deals' })
+    const strangers = createOwnershipResolver({ pool, table: 'deals', nonMemberAccess: AccessLevel.NONE })
+    const queried = pool.queries.length
+
+    assert.equal(await readers(user(['write']), '5b6c7d8e-1111-4222-8333-444455556666'), AccessLevel.READ)
+    assert.equal(await strangers(user(['write']), '5b6c7d8e-1111-4222-8333-444455556666'), AccessLevel.NONE)
+    assert.equal(await readers(user(['write']), '7f000000-1111-4222-8333-444455556666'), AccessLevel.NONE)
+    assert.equal(await readers(user(['write'], { team: null }), '5b6c7d8e-1111-4222-8333-444455556666'), AccessLevel.READ)
+
+    // Not a row ID: no query
+    assert.equal(await readers(user(['write']), 'pipeline'), AccessLevel.NONE)
+    assert.equal(pool.queries.length, queried + 4)
+  })
+})
+
+describe('connections', () => {
+  const SECRET = 'permissions-test-secret-of-some-length'
+  const sign = (sub, permissions) => jwt.sign({ sub, permissions }, SECRET, { expiresIn: 300 })
+
+  let redis
+  let instance
+  const providers = []
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('permissions', redis, `test-${crypto.randomUUID()}:`, {
+      AUTH_JWT_SECRET: SECRET,
+      ENTITY_TYPES: JSON.stringify({ email: { permissions: { maxAccess: 'read' } } }),
+    })
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const open = async (...args) => {
+    const provider = await connect(instance, ...args)
+    providers.push(provider)
+    return provider
+  }
+
+  test('relays live changes to a read-only connection and drops its own', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const writer = await open(documentName, sign('writer', ['write']))
+    const reader = await open(documentName, sign('reader', ['read']))
+
+    reader.document.getMap('deal').set('stage', 'negotiation')
+    writer.document.getMap('deal').set('title', 'Renewal 2025')
+
+    await waitFor(() => reader.document.getMap('deal').get('title') === 'Renewal 2025', 5000, 'The reader did not receive the change')
+
+    // A third client sees what the server kept
+    const observer = await open(documentName, sign('observer', ['read']))
+    assert.equal(observer.document.getMap('deal').get('title'), 'Renewal 2025')
+    assert.equal(observer.document.getMap('deal').get('stage'), undefined)
+    assert.equal(writer.document.getMap('deal').get('stage'), undefined)
+  })
+
+  test('opens documents of a read-only entity type read-only, for admins too', async () => {
+    const documentName = `crm:email:${crypto.randomUUID()}`
+    const admin = await open(documentName, sign('admin', ['admin']))
+
+    admin.document.getMap('email').set('subject', 'Overwritten')
+    await new Promise((resolve) => setTimeout(resolve, 300))
+
+    const observer = await open(documentName, sign('observer', ['read']))
+    assert.equal(observer.document.getMap('email').get('subject'), undefined)
+  })
+
+  test('refuses tokens without access and forged tokens', async () => {
+    const none = await open(`crm:deal:${crypto.randomUUID()}`, sign('nobody', []), { synced: false })
+    const forged = await open(`crm:deal:${crypto.randomUUID()}`, jwt.sign({ sub: 'x', permissions: ['admin'] }, 'wrong-secret'), { synced: false })
+
+    await waitFor(() => none.authFailures.length > 0 && forged.authFailures.length > 0, 5000, 'The connections were not refused')
+    assert.equal(none.isSynced, false)
+    assert.equal(forged.isSynced, false)
+  })
+})
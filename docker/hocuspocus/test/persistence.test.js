@@ -0,0 +1,259 @@
+/**
+ * Postgres persistence: stored state, CRM column write-back and activities
+ */
+
+import assert from 'node:assert/strict'
+import { describe, test } from 'node:test'
+import * as Y from 'yjs'
+import { createDocumentNameParser, loadEntityTypes, pickEntityTypes } from '../entities.js'
+import { activityRow, createPostgresPersistence } from '../persistence.js'
+
+const DEAL_ID = '0d7c3c5e-1111-4222-8333-444455556666'
+const DOCUMENT_NAME = `crm:deal:${DEAL_ID}`
+const ENTRY_ID = '5f0c8a52-6a3e-4b8c-9d1e-2f3a4b5c6d7e'
+
+const createLogger = () => {
+  const entries = []
+  const record = (level) => (message, ...args) => entries.push({ level, message, args })
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+}
+
+// Pool recording the queries of pool.query and of its clients, fail(sql) makes a query throw
+const createPool = ({ stored = {}, rows = {}, fail = () => false } = {}) => {
+  const queries = []
+  const query = async (sql, params = []) => {
+    queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params })
+    if (fail(sql)) {
+      throw new Error(`check constraint violated: ${sql.slice(0, 20)}`)
+    }
+    if (sql.startsWith('SELECT state FROM yjs_documents')) {
+      return { rows: stored[params[0]] ? [{ state: stored[params[0]] }] : [] }
+    }
+    if (sql.startsWith('SELECT * FROM')) {
+      return { rows: rows[params[0]] ? [rows[params[0]]] : [] }
+    }
+    return { rows: [], rowCount: 1 }
+  }
+
+  return {
+    queries,
+    query,
+    released: 0,
+    async connect() {
+      return { query, release: () => { this.released++ } }
+    },
+    sql: () => queries.map(({ sql }) => sql.split(' ').slice(0, 3).join(' ')),
+  }
+}
+
+const createPersistence = (pool, logger = createLogger()) => {
+  const entityTypes = loadEntityTypes()
+  return createPostgresPersistence({
+    pool,
+    parseDocumentName: createDocumentNameParser({ entityTypes }),
+    mappings: pickEntityTypes(entityTypes, 'persistence'),
+    logger,
+  })
+}
+
+const createDealDocument = () => {
+  const document = new Y.Doc()
+  document.transact(() => {
+    const deal = document.getMap('deal')
+    deal.set('title', 'Renewal 2025')
+    deal.set('value', '12000.50')
+    deal.set('probability', 40)
+    deal.set('expected_close_date', '2025-06-30T12:00:00Z')
+    deal.set('tags', ['vip', 'eu'])
+    deal.set('untracked', 'not a column')
+    document.getText('notes').insert(0, 'Call the buyer')
+    document.getArray('activity').push([
+      { id: ENTRY_ID, type: 'call', subject: 'Discovery call', status: 'completed', userId: 'u1', timestamp: 1717171717000 },
+      { type: 'status_update', userId: 'u1', timestamp: 1717171718000, data: { from: 'proposal', to: 'negotiation' } },
+      { type: 'activity_created', userId: 'u1', data: { id: 'mirror' } },
+    ])
+  })
+  return document
+}
+
+const store = (persistence, document, documentName = DOCUMENT_NAME) => persistence.store({
+  documentName,
+  document,
+  state: Buffer.from(Y.encodeStateAsUpdate(document)),
+  context: { user: { id: 'u1' } },
+})
+
+describe('activityRow', () => {
+  test('keeps activity entries and turns realtime events into completed notes', () => {
+    const call = activityRow(DOCUMENT_NAME, { id: ENTRY_ID.toUpperCase(), type: 'call', subject: 'Discovery call', status: 'planned', scheduled_at: '2025-01-02T10:00:00Z' })
+    assert.deepEqual(
+      { id: call.id, type: call.type, subject: call.subject, status: call.status, scheduledAt: call.scheduledAt },
+      { id: ENTRY_ID, type: 'call', subject: 'Discovery call', status: 'planned', scheduledAt: '2025-01-02T10:00:00.000Z' },
+    )
+
+    const event = { type: 'position_update', userId: 'u1', timestamp: 0, data: { x: 1 } }
+    const note = activityRow(DOCUMENT_NAME, event)
+    assert.deepEqual(
+      { type: note.type, subject: note.subject, status: note.status, description: note.description, completedAt: note.completedAt },
+      { type: 'note', subject: 'position update', status: 'completed', description: '{"x":1}', completedAt: '1970-01-01T00:00:00.000Z' },
+    )
+    assert.deepEqual(note.customFields, { source: 'yjs', document: DOCUMENT_NAME, entryType: 'position_update' })
+  })
+
+  test('derives a stable id for entries without one', () => {
+    const entry = { type: 'status_update', timestamp: 1 }
+
+    assert.equal(activityRow(DOCUMENT_NAME, entry).id, activityRow(DOCUMENT_NAME, { ...entry }).id)
+    assert.notEqual(activityRow(DOCUMENT_NAME, entry).id, activityRow(`crm:deal:${ENTRY_ID}`, entry).id)
+    assert.match(activityRow(DOCUMENT_NAME, entry).id, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-8[0-9a-f]{3}-[0-9a-f]{12}$/)
+  })
+
+  test('skips mirror entries and malformed ones', () => {
+    assert.equal(activityRow(DOCUMENT_NAME, { type: 'activity_updated' }), null)
+    assert.equal(activityRow(DOCUMENT_NAME, { data: {} }), null)
+    assert.equal(activityRow(DOCUMENT_NAME, null), null)
+  })
+})
+
+describe('fetch', () => {
+  test('returns the stored state', async () => {
+    const state = Y.encodeStateAsUpdate(createDealDocument())
+    const pool = createPool({ stored: { [DOCUMENT_NAME]: Buffer.from(state) } })
+
+    assert.deepEqual(await createPersistence(pool).fetch({ documentName: DOCUMENT_NAME }), state)
+    assert.equal(pool.queries.length, 1)
+  })
+
+  test('seeds a deal document from its row', async () => {
+    const pool = createPool({
+      rows: {
+        [DEAL_ID]: { title: 'From NocoDB', value: '5000.00', probability: 20, expected_close_date: new Date('2025-03-31T00:00:00Z'), tags: ['eu'], stage: null, description: 'Seeded notes' },
+      },
+    })
+
+    const state = await createPersistence(pool).fetch({ documentName: DOCUMENT_NAME })
+
+    const document = new Y.Doc()
+    Y.applyUpdate(document, state)
+    assert.deepEqual(document.getMap('deal').toJSON(), { title: 'From NocoDB', value: 5000, probability: 20, expected_close_date: '2025-03-31', tags: ['eu'] })
+    assert.equal(document.getText('notes').toString(), 'Seeded notes')
+    assert.equal(pool.queries[1].sql, 'SELECT * FROM deals WHERE id = $1')
+  })
+
+  test('returns null for new documents and never seeds types without a mapping', async () => {
+    const pool = createPool()
+    const persistence = createPersistence(pool)
+
+    assert.equal(await persistence.fetch({ documentName: DOCUMENT_NAME }), null)
+    assert.equal(await persistence.fetch({ documentName: 'crm:note:n1' }), null)
+    assert.equal(pool.queries.filter(({ sql }) => sql.startsWith('SELECT *')).length, 1)
+  })
+})
+
+describe('store', () => {
+  test('writes the state, the deal columns and the activities in one transaction', async () => {
+    const pool = createPool()
+    const logger = createLogger()
+
+    await store(createPersistence(pool, logger), createDealDocument())
+
+    assert.deepEqual(pool.sql(), [
+      'BEGIN',
+      'INSERT INTO yjs_documents',
+      'SAVEPOINT entity_columns',
+      'UPDATE deals SET',
+      'RELEASE SAVEPOINT entity_columns',
+      'SAVEPOINT activities',
+      'INSERT INTO activities',
+      'RELEASE SAVEPOINT activities',
+      'COMMIT',
+    ])
+    assert.equal(pool.released, 1)
+
+    const [, upsert, , update, , , insert] = pool.queries
+    assert.deepEqual(upsert.params.slice(0, 4), [DOCUMENT_NAME, 'crm', 'deal', DEAL_ID])
+    assert.equal(upsert.params[5], 'Call the buyer')
+
+    assert.equal(
+      update.sql,
+      'UPDATE deals SET title = $1, value = $2, probability = $3, expected_close_date = $4, tags = $5, description = $6, updated_by = COALESCE($7, updated_by) WHERE id = $8',
+    )
+    assert.deepEqual(update.params, ['Renewal 2025', 12000.5, 40, '2025-06-30', ['vip', 'eu'], 'Call the buyer', 'u1', DEAL_ID])
+
+    // The call and the status event, not the activity_created mirror
+    assert.match(insert.sql, /^INSERT INTO activities \(id, deal_id, type, .*ON CONFLICT \(id\) DO NOTHING$/)
+    assert.equal(insert.params.length, 22)
+    assert.deepEqual([insert.params[0], insert.params[1], insert.params[2]], [ENTRY_ID, DEAL_ID, 'call'])
+    assert.deepEqual([insert.params[12], insert.params[13]], [DEAL_ID, 'note'])
+  })
+
+  test('only inserts the activities added since the last store', async () => {
+    const pool = createPool()
+    const persistence = createPersistence(pool)
+    const document = createDealDocument()
+
+    await store(persistence, document)
+    document.getArray('activity').push([{ type: 'meeting', subject: 'Demo', userId: 'u1' }])
+    await store(persistence, document)
+    await store(persistence, document)
+
+    const inserts = pool.queries.filter(({ sql }) => sql.startsWith('INSERT INTO activities'))
+    assert.equal(inserts.length, 2)
+    assert.equal(inserts[1].params.length, 11)
+    assert.equal(inserts[1].params[2], 'meeting')
+  })
+
+  test('skips values a column cannot store', async () => {
+    const pool = createPool()
+    const logger = createLogger()
+    const document = new Y.Doc()
+    document.getMap('deal').set('value', 'a lot')
+    document.getMap('deal').set('stage', 'proposal')
+
+    await store(createPersistence(pool, logger), document)
+
+    const update = pool.queries.find(({ sql }) => sql.startsWith('UPDATE deals'))
+    assert.deepEqual(update.params, ['proposal', 'u1', DEAL_ID])
+    assert.equal(logger.entries[0].level, 'warn')
+    assert.equal(logger.entries[0].args[0].field, 'value')
+  })
+
+  test('keeps the state when the CRM columns or activities are rejected', async () => {
+    const pool = createPool({ fail: (sql) => sql.startsWith('UPDATE deals') || sql.startsWith('INSERT INTO activities') })
+    const logger = createLogger()
+    const persistence = createPersistence(pool, logger)
+    const document = createDealDocument()
+
+    await store(persistence, document)
+
+    assert.ok(pool.sql().includes('ROLLBACK TO SAVEPOINT'))
+    assert.equal(pool.sql().at(-1), 'COMMIT')
+    assert.deepEqual(logger.entries.map(({ level, message }) => [level, message]), [
+      ['error', 'Failed to write deals columns'],
+      ['error', 'Failed to write activities'],
+    ])
+
+    // Rejected activities are tried again on the next store
+    await store(persistence, document)
+    assert.equal(pool.queries.filter(({ sql }) => sql.startsWith('INSERT INTO activities')).length, 2)
+  })
+
+  test('rolls back and throws when the state cannot be written', async () => {
+    const pool = createPool({ fail: (sql) => sql.startsWith('INSERT INTO yjs_documents') })
+
+    await assert.rejects(store(createPersistence(pool), createDealDocument()), /check constraint/)
+    assert.equal(pool.sql().at(-1), 'ROLLBACK')
+    assert.equal(pool.released, 1)
+  })
+
+  test('only writes the state of documents without a row', async () => {
+    const pool = createPool()
+    const document = new Y.Doc()
+    document.getMap('deal').set('title', 'Pipeline draft')
+
+    await store(createPersistence(pool), document, 'crm:deal:draft')
+    await store(createPersistence(pool), document, 'crm:note:n1')
+
+    assert.equal(pool.queries.filter(({ sql }) => sql.startsWith('UPDATE') || sql.startsWith('INSERT INTO activities')).length, 0)
+  })
+})
@@ -0,0 +1,135 @@
+/**
+ * Entity schemas and the schema validation extension
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import { OutgoingMessage } from '@hocuspocus/server'
+import * as Y from 'yjs'
+import { DEAL_SCHEMA, SchemaValidation, validateField, validateFields } from '../schemas.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const createLogger = () => {
+  const entries = []
+  const record = (level) => (message, ...args) => entries.push({ level, message, args })
+  return { entries, debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+}
+
+const parseDocumentName = (documentName) => ({ entityType: documentName.split(':')[1] })
+
+// Sync update message for the change made by edit on a copy of the document
+const editMessage = (documentName, document, edit) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(document))
+  const before = Y.encodeStateVector(copy)
+  edit(copy)
+  return new OutgoingMessage(documentName).createSyncMessage().writeUpdate(Y.encodeStateAsUpdate(copy, before)).toUint8Array()
+}
+
+describe('validateField', () => {
+  test('checks types, enums, ranges, lengths and formats', () => {
+    assert.equal(validateField(DEAL_SCHEMA, 'stage', 'proposal'), null)
+    assert.equal(validateField(DEAL_SCHEMA, 'stage', 'won'), `stage must be one of ${DEAL_SCHEMA.fields.stage.enum.join(', ')}`)
+    assert.equal(validateField(DEAL_SCHEMA, 'stage', null), 'stage cannot be null')
+    assert.equal(validateField(DEAL_SCHEMA, 'probability', 50.5), 'probability must be of type integer')
+    assert.equal(validateField(DEAL_SCHEMA, 'probability', 101), 'probability must be <= 100')
+    assert.equal(validateField(DEAL_SCHEMA, 'value', -1), 'value must be >= 0')
+    assert.equal(validateField(DEAL_SCHEMA, 'title', 'x'.repeat(256)), 'title must be at most 255 characters')
+    assert.equal(validateField(DEAL_SCHEMA, 'currency', 'eur'), 'currency has an invalid format')
+    assert.equal(validateField(DEAL_SCHEMA, 'expected_close_date', '2024-02-30x'), 'expected_close_date must be of type date')
+    assert.equal(validateField(DEAL_SCHEMA, 'tags', ['a', 1]), 'tags items must be of type string')
+    assert.equal(validateField(DEAL_SCHEMA, 'color', 'red'), 'unknown field color')
+    assert.equal(validateField({ fields: {} }, 'color', 'red'), null)
+  })
+
+  test('lists the violations of a set of fields', () => {
+    assert.deepEqual(validateFields(DEAL_SCHEMA, { title: 'Renewal', stage: 'won', probability: 101 }).map(({ field }) => field), ['stage', 'probability'])
+  })
+})
+
+describe('SchemaValidation', () => {
+  const createValidation = () => {
+    const rejections = []
+    const logger = createLogger()
+    const validation = new SchemaValidation({
+      schemas: { deal: DEAL_SCHEMA },
+      parseDocumentName,
+      onReject: (entityType) => rejections.push(entityType),
+      logger,
+    })
+    return { validation, rejections, logger }
+  }
+
+  const handle = (validation, documentName, document, update) => validation.beforeHandleMessage({
+    documentName,
+    document,
+    context: { user: { id: 'u1', name: 'Ada' }, correlationId: 'c1' },
+    update,
+  })
+
+  test('closes with 4422 schema-violation and logs the offending user', async () => {
+    const { validation, rejections, logger } = createValidation()
+    const document = new Y.Doc()
+
+    await assert.rejects(handle(validation, 'crm:deal:d1', document, editMessage('crm:deal:d1', document, (doc) => doc.getMap('deal').set('stage', 'won'))), {
+      code: 4422,
+      reason: 'schema-violation',
+    })
+
+    assert.deepEqual(rejections, ['deal'])
+    assert.equal(logger.entries[0].level, 'warn')
+    assert.equal(logger.entries[0].args[0].userId, 'u1')
+    assert.equal(logger.entries[0].args[0].violations[0].field, 'stage')
+  })
+
+  test('only checks the fields an update adds or changes', async () => {
+    const { validation } = createValidation()
+    const document = new Y.Doc()
+    // Data written before the schema existed
+    document.getMap('deal').set('stage', 'won')
+
+    await handle(validation, 'crm:deal:d1', document, editMessage('crm:deal:d1', document, (doc) => doc.getMap('deal').set('title', 'Renewal')))
+    await handle(validation, 'crm:deal:d1', document, editMessage('crm:deal:d1', document, (doc) => doc.getMap('deal').delete('stage')))
+    await handle(validation, 'crm:deal:d1', document, editMessage('crm:deal:d1', document, (doc) => doc.getText('notes').insert(0, 'stage: won')))
+  })
+
+  test('skips entity types without a schema', async () => {
+    const { validation } = createValidation()
+    const document = new Y.Doc()
+
+    await handle(validation, 'crm:note:n1', document, editMessage('crm:note:n1', document, (doc) => doc.getMap('note').set('stage', 'won')))
+  })
+})
+
+describe('schema closes', () => {
+  const providers = []
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('schemas', redis, `test-${crypto.randomUUID()}:`)
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  test('closes a connection writing an invalid stage and drops the update', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const sender = await connect(instance, documentName)
+    providers.push(sender)
+
+    sender.document.getMap('deal').set('stage', 'won')
+    await waitFor(() => sender.closes.some(({ code }) => code === 4422), 5000, 'The connection was not closed')
+    assert.equal(sender.closes.find(({ code }) => code === 4422).reason, 'schema-violation')
+
+    const observer = await connect(instance, documentName)
+    providers.push(observer)
+    assert.equal(observer.document.getMap('deal').get('stage'), undefined)
+  })
+})
@@ -0,0 +1,137 @@
+/**
+ * Snapshot stores, the snapshot service and restores through /api/documents/:name/versions
+ */
+
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import { after, before, describe, test } from 'node:test'
+import RedisMock from 'ioredis-mock'
+import jwt from 'jsonwebtoken'
+import * as Y from 'yjs'
+import { restoreDocument, serializeDocument } from '../documents.js'
+import { createRedisSnapshotStore, createSnapshotService, SnapshotReason } from '../snapshots.js'
+import { connect, disconnect, startInstance, waitFor } from './helpers/server.js'
+import { startRedisServer } from './helpers/redis-server.js'
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} }
+
+const parseDocumentName = (documentName) => {
+  const [tenant, entityType, entityId] = documentName.split(':')
+  return { tenant, entityType, entityId }
+}
+
+const dealDocument = (fields, notes = '') => {
+  const document = new Y.Doc()
+  Object.entries(fields).forEach(([field, value]) => document.getMap('deal').set(field, value))
+  document.getText('notes').insert(0, notes)
+  return document
+}
+
+describe('snapshot service on the Redis store', () => {
+  const createService = (maxPerDocument = 100) => createSnapshotService({
+    store: createRedisSnapshotStore({ redis: new RedisMock(), prefix: `test-${crypto.randomUUID()}` }),
+    parseDocumentName,
+    maxPerDocument,
+    logger: silentLogger,
+  })
+
+  test('loads the view a snapshot was taken of', async () => {
+    const service = createService()
+    const snapshot = await service.capture('crm:deal:d1', dealDocument({ title: 'Renewal' }, 'Call back'), { reason: SnapshotReason.MANUAL, user: { id: 'u1' } })
+
+    assert.equal(snapshot.reason, 'manual')
+    assert.equal(snapshot.createdBy, 'u1')
+    assert.deepEqual(await service.load('crm:deal:d1', snapshot.id), { deal: { title: 'Renewal' }, notes: 'Call back', activity: [] })
+  })
+
+  test('keeps the newest snapshots and refuses the ID of another document', async () => {
+    const service = createService(2)
+    const ids = []
+    for (const title of ['One', 'Two', 'Three']) {
+      ids.push((await service.capture('crm:deal:d1', dealDocument({ title }), { reason: SnapshotReason.PERIODIC })).id)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+    }
+
+    assert.deepEqual((await service.list('crm:deal:d1')).map(({ id }) => id), [ids[2], ids[1]])
+    assert.equal(await service.load('crm:deal:d1', ids[0]), null)
+    assert.equal(await service.load('crm:deal:d2', ids[2]), null)
+  })
+})
+
+describe('restoreDocument', () => {
+  test('brings fields, notes and activity back as new changes', () => {
+    const document = dealDocument({ title: 'Renewal', stage: 'proposal' }, 'Wiped')
+    document.getArray('activity').push([{ id: 'a2' }])
+    const updates = []
+    document.on('update', (update) => updates.push(update))
+
+    restoreDocument(document, 'deal', { deal: { title: 'Renewal', amount: 10 }, notes: 'Original notes', activity: [{ id: 'a1' }] })
+
+    assert.deepEqual(serializeDocument(document, 'deal'), { deal: { title: 'Renewal', amount: 10 }, notes: 'Original notes', activity: [{ id: 'a1' }] })
+    assert.equal(updates.length, 1)
+  })
+})
+
+describe('/api/documents/:name/versions', () => {
+  const SECRET = 'snapshots-test-secret-of-some-length'
+  const providers = []
+  let redis
+  let instance
+
+  before(async () => {
+    redis = await startRedisServer()
+    instance = await startInstance('snapshots', redis, `test-${crypto.randomUUID()}:`, { AUTH_JWT_SECRET: SECRET, SNAPSHOT_STORE: 'redis' })
+  })
+
+  after(async () => {
+    providers.forEach(disconnect)
+    await instance?.stop()
+    await redis?.close()
+  })
+
+  const sign = (sub, permissions) => jwt.sign({ sub, permissions }, SECRET)
+
+  const request = async (method, path, token) => {
+    const response = await fetch(`${instance.httpUrl}/api/documents/${path}`, { method, headers: { Authorization: `Bearer ${token}` } })
+    return { status: response.status, body: await response.json() }
+  }
+
+  test('restores a snapshot to connected clients and keeps the replaced state', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+    const writer = sign('writer', ['write'])
+    const provider = await connect(instance, documentName, writer)
+    providers.push(provider)
+
+    provider.document.getText('notes').insert(0, 'Original notes')
+    await waitFor(async () => (await request('GET', documentName, writer)).body.notes === 'Original notes', 5000, 'The notes did not reach the server')
+
+    const taken = await request('POST', `${documentName}/versions`, writer)
+    assert.equal(taken.status, 201)
+
+    const notes = provider.document.getText('notes')
+    notes.delete(0, notes.length)
+    await waitFor(async () => (await request('GET', documentName, writer)).body.notes === '', 5000, 'The wipe did not reach the server')
+
+    assert.equal((await request('POST', `${documentName}/versions/${taken.body.id}/restore`, sign('reader', ['read']))).status, 403)
+
+    const restored = await request('POST', `${documentName}/versions/${taken.body.id}/restore`, writer)
+    assert.equal(restored.status, 200)
+    assert.equal(restored.body.notes, 'Original notes')
+    await waitFor(() => notes.toString() === 'Original notes', 5000, 'The client did not receive the restore')
+
+    const { body } = await request('GET', `${documentName}/versions`, writer)
+    // Stores of the document also take periodic snapshots in between
+    assert.equal(body.versions[0].reason, 'pre-restore')
+    assert.ok(body.versions.some(({ id, reason }) => id === taken.body.id && reason === 'manual'))
+
+    const diff = await request('GET', `${documentName}/versions/${restored.body.previousVersionId}/diff?to=${taken.body.id}`, writer)
+    assert.deepEqual(diff.body.diff.notes, { from: '', to: 'Original notes' })
+  })
+
+  test('answers 404 for unknown versions', async () => {
+    const documentName = `crm:deal:${crypto.randomUUID()}`
+
+    assert.equal((await request('GET', `${documentName}/versions/${crypto.randomUUID()}`, sign('reader', ['read']))).status, 404)
+    assert.equal((await request('POST', `${documentName}/versions/${crypto.randomUUID()}/restore`, sign('writer', ['write']))).status, 404)
+  })
+})
@@ -0,0 +1,203 @@
+/**
+ * Webhook deliveries against a local HTTP stub server
+ */
+
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { after, before, beforeEach, describe, test } from 'node:test'
+import RedisMock from 'ioredis-mock'
+import { createRedisDeadLetterStore, createWebhookDispatcher, signPayload } from '../webhooks.js'
+
+const SECRET = 'test-secret'
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} }
+
+// Stub receiver answering with the next queued status (200 once the queue is empty)
+const createStubServer = () => {
+  const requests = []
+  const statuses = []
+
+  const server = http.createServer((request, response) => {
+    let body = ''
+    request.on('data', (chunk) => { body += chunk })
+    request.on('end', () => {
+      requests.push({ headers: request.headers, body, receivedAt: Date.now() })
+      response.writeHead(statuses.shift() ?? 200)
+      response.end()
+    })
+  })
+
+  return {
+    requests,
+    statuses,
+    listen: () => new Promise((resolve) => server.listen(0, '127.0.0.1', resolve)),
+    close: () => new Promise((resolve) => server.close(resolve)),
+    get url() {
+      return `http://127.0.0.1:${server.address().port}/hook`
+    },
+  }
+}
+
+const createEvent = (type = 'deal.updated') => ({
+  id: `event-${Math.random().toString(36).slice(2)}`,
+  type,
+  createdAt: new Date().toISOString(),
+  data: { changes: { stage: { from: 'lead', to: 'won' } } },
+})
+
+// Dispatcher resolving `settled` with the delivery results once a success or dead letter ends it
+const createDispatcher = (stub, options = {}) => {
+  const results = []
+  let settle
+  const settled = new Promise((resolve) => { settle = resolve })
+
+  const dispatcher = createWebhookDispatcher({
+    endpoints: [{ url: stub.url, events: null }],
+    secret: SECRET,
+    retryBaseDelay: 50,
+    timeout: 1000,
+    logger,
+    onDelivery: (result) => {
+      results.push(result)
+      if (result === 'success' || result === 'dead_letter') {
+        settle(results)
+      }
+    },
+    ...options,
+  })
+
+  return { dispatcher, settled }
+}
+
+describe('webhook dispatcher', () => {
+  const stub = createStubServer()
+
+  before(() => stub.listen())
+  after(() => stub.close())
+
+  beforeEach(() => {
+    stub.requests.length = 0
+    stub.statuses.length = 0
+  })
+
+  test('signs the raw body with the timestamp header', async () => {
+    const { dispatcher, settled } = createDispatcher(stub)
+    const event = createEvent()
+
+    dispatcher.dispatch(event)
+    assert.deepEqual(await settled, ['success'])
+
+    const [{ headers, body }] = stub.requests
+    assert.equal(body, JSON.stringify(event))
+    assert.equal(headers['x-webhook-id'], event.id)
+    assert.equal(headers['x-webhook-event'], 'deal.updated')
+    assert.equal(headers['x-webhook-attempt'], '1')
+    assert.match(headers['x-webhook-timestamp'], /^\d+$/)
+    assert.equal(headers['x-webhook-signature'], signPayload(SECRET, headers['x-webhook-timestamp'], body))
+    assert.notEqual(headers['x-webhook-signature'], signPayload('other-secret', headers['x-webhook-timestamp'], body))
+  })
+
+  test('sends unsigned deliveries without a secret', async () => {
+    const { dispatcher, settled } = createDispatcher(stub, { secret: undefined })
+
+    dispatcher.dispatch(createEvent())
+    await settled
+
+    assert.equal(stub.requests[0].headers['x-webhook-signature'], undefined)
+  })
+
+  test('retries server errors with exponential backoff', async () => {
+    stub.statuses.push(500, 503, 429)
+    const { dispatcher, settled } = createDispatcher(stub)
+
+    dispatcher.dispatch(createEvent())
+    assert.deepEqual(await settled, ['retry', 'retry', 'retry', 'success'])
+
+    assert.deepEqual(stub.requests.map(({ headers }) => headers['x-webhook-attempt']), ['1', '2', '3', '4'])
+
+    // 50ms, 100ms then 200ms, each with up to 20% jitter
+    const gaps = stub.requests.slice(1).map(({ receivedAt }, index) => receivedAt - stub.requests[index].receivedAt)
+    ;[50, 100, 200].forEach((delay, index) => {
+      assert.ok(gaps[index] >= delay - 5, `retry ${index + 1} came after ${gaps[index]}ms, expected ${delay}ms`)
+    })
+    assert.ok(gaps[2] > gaps[0], 'the backoff grows between attempts')
+  })
+
+  test('dead-letters a delivery on a final client error', async () => {
+    stub.statuses.push(400)
+    const { dispatcher, settled } = createDispatcher(stub)
+
+    dispatcher.dispatch(createEvent())
+    assert.deepEqual(await settled, ['dead_letter'])
+    assert.equal(stub.requests.length, 1)
+
+    const [deadLetter] = await dispatcher.listDeadLetters()
+    assert.equal(deadLetter.lastError, 'HTTP 400')
+    assert.equal(deadLetter.attempts, 1)
+  })
+
+  test('dead-letters a delivery once every attempt failed', async () => {
+    stub.statuses.push(500, 500, 500)
+    const { dispatcher, settled } = createDispatcher(stub, { maxAttempts: 3 })
+
+    dispatcher.dispatch(createEvent())
+    assert.deepEqual(await settled, ['retry', 'retry', 'dead_letter'])
+    assert.equal(stub.requests.length, 3)
+
+    const [deadLetter] = await dispatcher.listDeadLetters()
+    assert.equal(deadLetter.lastError, 'HTTP 500')
+    assert.equal(deadLetter.attempts, 3)
+  })
+})
+
+describe('Redis dead-letter store', () => {
+  const stub = createStubServer()
+  const redis = new RedisMock()
+
+  before(() => stub.listen())
+  after(async () => {
+    await stub.close()
+    redis.disconnect()
+  })
+
+  beforeEach(async () => {
+    stub.requests.length = 0
+    stub.statuses.length = 0
+    await redis.flushall()
+  })
+
+  test('keeps dead letters for the next dispatcher and retries them once', async () => {
+    stub.statuses.push(410)
+    const first = createDispatcher(stub, { deadLetterStore: createRedisDeadLetterStore({ redis, prefix: 'test' }) })
+    const event = createEvent()
+
+    first.dispatcher.dispatch(event)
+    await first.settled
+    first.dispatcher.destroy()
+
+    // A restarted instance reads the same list
+    const second = createDispatcher(stub, { deadLetterStore: createRedisDeadLetterStore({ redis, prefix: 'test' }) })
+    const [deadLetter] = await second.dispatcher.listDeadLetters()
+    assert.equal(deadLetter.event.id, event.id)
+    assert.equal(deadLetter.lastError, 'HTTP 410')
+
+    assert.equal(await second.dispatcher.retryDeadLetter(deadLetter.id), true)
+    assert.equal(await second.dispatcher.retryDeadLetter(deadLetter.id), false)
+    assert.deepEqual(await second.settled, ['success'])
+
+    assert.equal(stub.requests.length, 2)
+    assert.equal(stub.requests[1].headers['x-webhook-attempt'], '1')
+    assert.deepEqual(await second.dispatcher.listDeadLetters(), [])
+  })
+
+  test('drops the oldest dead letters beyond the size', async () => {
+    const store = createRedisDeadLetterStore({ redis, prefix: 'test', size: 2 })
+
+    for (const [index, id] of ['a', 'b', 'c'].entries()) {
+      await store.add({ id, failedAt: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString() })
+    }
+
+    assert.deepEqual((await store.list()).map(({ id }) => id), ['b', 'c'])
+    assert.equal(await redis.hexists('test:webhooks:dead-letter', 'a'), 0)
+  })
+})
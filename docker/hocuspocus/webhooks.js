@@ -0,0 +1,369 @@
+/**
+ * Webhooks for collaborative document changes
+ *
+ * - The extension diffs the entity Y.Map (e.g. `deal`) and the Y.Text `notes`
+ *   on every change and sends the accumulated events once Hocuspocus stores
+ *   the document, i.e. after the HOCUSPOCUS_DEBOUNCE window
+ * - Changes relayed from other instances through Redis are not sent again
+ * - Deliveries are signed POSTs, retried with exponential backoff and moved
+ *   to a dead-letter list once every attempt failed
+ * - The dead-letter list lives in a pluggable store: Redis, shared by the instances
+ *   and kept across restarts, or memory
+ */
+
+import crypto from 'crypto'
+import { getTouchedKeys } from './documents.js'
+
+const REDIS_ORIGIN = '__hocuspocus__redis__origin__'
+
+// Fields with their own event on top of `<entity>.updated`
+const TRANSITION_FIELDS = ['stage', 'status']
+
+// Statuses worth another attempt, other 4xx answers are final
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * HMAC signature sent in X-Webhook-Signature
+ * Receivers recompute it over `${timestamp}.${rawBody}` with the shared secret
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+
+/**
+ * In-memory dead-letter store, lost on restart
+ */
+export const createMemoryDeadLetterStore = ({ size = 1000 } = {}) => {
+  const deadLetters = []
+
+  return {
+    name: 'memory',
+
+    async add(delivery) {
+      deadLetters.push(delivery)
+      if (deadLetters.length > size) {
+        deadLetters.shift()
+      }
+    },
+
+    async list() {
+      return [...deadLetters]
+    },
+
+    async take(id) {
+      const index = deadLetters.findIndex((delivery) => delivery.id === id)
+      return index === -1 ? null : deadLetters.splice(index, 1)[0]
+    },
+  }
+}
+
+/**
+ * Redis dead-letter store: a sorted set of delivery IDs by failure time and one hash of deliveries
+ * The oldest deliveries are dropped beyond size
+ */
+export const createRedisDeadLetterStore = ({ redis, prefix, size = 1000 }) => {
+  const indexKey = `${prefix}:webhooks:dead-letters`
+  const deliveriesKey = `${prefix}:webhooks:dead-letter`
+
+  return {
+    name: 'redis',
+
+    async add(delivery) {
+      await redis.multi()
+        .hset(deliveriesKey, delivery.id, JSON.stringify(delivery))
+        .zadd(indexKey, new Date(delivery.failedAt).getTime(), delivery.id)
+        .exec()
+
+      const dropped = await redis.zrange(indexKey, 0, -(size + 1))
+      if (dropped.length > 0) {
+        await redis.multi().zrem(indexKey, ...dropped).hdel(deliveriesKey, ...dropped).exec()
+      }
+    },
+
+    async list() {
+      const ids = await redis.zrange(indexKey, 0, -1)
+      if (ids.length === 0) {
+        return []
+      }
+
+      const deliveries = await redis.hmget(deliveriesKey, ...ids)
+      return deliveries.filter(Boolean).map((delivery) => JSON.parse(delivery))
+    },
+
+    // Only the instance whose HDEL removed the delivery gets it, so a retry is never sent twice
+    async take(id) {
+      const delivery = await redis.hget(deliveriesKey, id)
+      const [[, removed]] = await redis.multi().hdel(deliveriesKey, id).zrem(indexKey, id).exec()
+      return delivery && removed === 1 ? JSON.parse(delivery) : null
+    },
+  }
+}
+
+/**
+ * Create the delivery queue
+ * endpoints is a list of { url, events } where events is null for every event
+ */
+export const createWebhookDispatcher = ({
+  endpoints,
+  secret,
+  maxAttempts = 5,
+  retryBaseDelay = 1000,
+  timeout = 10000,
+  deadLetterSize = 1000,
+  deadLetterStore = createMemoryDeadLetterStore({ size: deadLetterSize }),
+  onDelivery = () => {},
+  logger,
+}) => {
+  const timers = new Set()
+
+  const schedule = (callback, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer)
+      callback()
+    }, delay)
+    timer.unref()
+    timers.add(timer)
+  }
+
+  const moveToDeadLetter = async (delivery, lastError) => {
+    try {
+      await deadLetterStore.add({ ...delivery, lastError, failedAt: new Date().toISOString() })
+    } catch (error) {
+      logger.error('Failed to store webhook dead letter', error, { deliveryId: delivery.id })
+    }
+
+    onDelivery('dead_letter', delivery)
+    logger.error('Webhook delivery moved to dead-letter list', null, {
+      deliveryId: delivery.id,
+      url: delivery.url,
+      eventType: delivery.event.type,
+      attempts: delivery.attempts,
+      lastError,
+    })
+  }
+
+  const attempt = async (delivery) => {
+    delivery.attempts++
+
+    const body = JSON.stringify(delivery.event)
+    const timestamp = Math.floor(Date.now() / 1000).toString()
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'nocodb-crm-hocuspocus-webhooks',
+      'X-Webhook-Id': delivery.event.id,
+      'X-Webhook-Event': delivery.event.type,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Attempt': String(delivery.attempts),
+    }
+    if (secret) {
+      headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body)
+    }
+
+    let lastError
+    let retryable = true
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeout),
+      })
+
+      if (response.ok) {
+        onDelivery('success', delivery)
+        logger.debug('Webhook delivered', {
+          deliveryId: delivery.id,
+          url: delivery.url,
+          eventType: delivery.event.type,
+          attempts: delivery.attempts,
+        })
+        return
+      }
+
+      lastError = `HTTP ${response.status}`
+      retryable = isRetryableStatus(response.status)
+    } catch (error) {
+      lastError = error.message
+    }
+
+    if (!retryable || delivery.attempts >= maxAttempts) {
+      await moveToDeadLetter(delivery, lastError)
+      return
+    }
+
+    // 1s, 2s, 4s, ... with up to 20% jitter
+    const delay = retryBaseDelay * 2 ** (delivery.attempts - 1)
+    const jitter = Math.round(delay * 0.2 * Math.random())
+
+    onDelivery('retry', delivery)
+    logger.warn('Webhook delivery failed, retrying', {
+      deliveryId: delivery.id,
+      url: delivery.url,
+      eventType: delivery.event.type,
+      attempts: delivery.attempts,
+      retryIn: delay + jitter,
+      lastError,
+    })
+    schedule(() => attempt(delivery), delay + jitter)
+  }
+
+  return {
+    enabled: endpoints.length > 0,
+
+    // Queue an event for every endpoint subscribed to its type
+    dispatch(event) {
+      endpoints
+        .filter(({ events }) => !events || events.includes(event.type))
+        .forEach(({ url }) => {
+          attempt({ id: crypto.randomUUID(), url, event, attempts: 0 })
+        })
+    },
+
+    listDeadLetters() {
+      return deadLetterStore.list()
+    },
+
+    // Send a dead-lettered delivery again with a fresh attempt budget
+    async retryDeadLetter(id) {
+      const deadLetter = await deadLetterStore.take(id)
+      if (!deadLetter) {
+        return false
+      }
+
+      const { lastError, failedAt, ...delivery } = deadLetter
+      attempt({ ...delivery, attempts: 0 })
+      return true
+    },
+
+    destroy() {
+      timers.forEach((timer) => clearTimeout(timer))
+      timers.clear()
+    },
+  }
+}
+
+/**
+ * Hocuspocus extension turning document changes into webhook events
+ * parseDocumentName maps a document name to { tenant, entityType, entityId }
+ */
+export class Webhooks {
+  constructor({ dispatcher, parseDocumentName, logger }) {
+    this.dispatcher = dispatcher
+    this.parseDocumentName = parseDocumentName
+    this.logger = logger
+
+    // documentName -> last seen { fields, notes }
+    this.snapshots = new Map()
+
+    // documentName -> changes not sent yet
+    this.pending = new Map()
+  }
+
+  takeSnapshot(document, entityType) {
+    return {
+      fields: document.getMap(entityType).toJSON(),
+      notes: document.getText('notes').toString(),
+    }
+  }
+
+  async afterLoadDocument({ documentName, document }) {
+    const { entityType } = this.parseDocumentName(documentName)
+    this.snapshots.set(documentName, this.takeSnapshot(document, entityType))
+  }
+
+  async onChange({ documentName, document, update, context, transactionOrigin }) {
+    const { entityType } = this.parseDocumentName(documentName)
+    const touchedKeys = getTouchedKeys(document, update)
+
+    if (!touchedKeys.includes(entityType) && !touchedKeys.includes('notes')) {
+      return
+    }
+
+    const previous = this.snapshots.get(documentName) || { fields: {}, notes: '' }
+    const current = this.takeSnapshot(document, entityType)
+    this.snapshots.set(documentName, current)
+
+    // Remote changes only move the snapshot, the instance that received them sends the events
+    if (transactionOrigin === REDIS_ORIGIN) {
+      return
+    }
+
+    const pending = this.pending.get(documentName) || { fields: {}, notes: null, users: new Set() }
+
+    new Set([...Object.keys(previous.fields), ...Object.keys(current.fields)]).forEach((field) => {
+      if (isEqual(previous.fields[field], current.fields[field])) return
+
+      // Keep the value from before the first change of the debounce window
+      const from = field in pending.fields ? pending.fields[field].from : previous.fields[field]
+      pending.fields[field] = { from: from ?? null, to: current.fields[field] ?? null }
+    })
+
+    if (previous.notes !== current.notes) {
+      pending.notes = {
+        previousLength: pending.notes ? pending.notes.previousLength : previous.notes.length,
+        notes: current.notes,
+      }
+    }
+
+    if (context?.user?.id) {
+      pending.users.add(context.user.id)
+    }
+
+    this.pending.set(documentName, pending)
+  }
+
+  // Runs once the debounced store fires, and right away when the last client leaves
+  async onStoreDocument({ documentName }) {
+    const pending = this.pending.get(documentName)
+    if (!pending) return
+    this.pending.delete(documentName)
+
+    const { tenant, entityType, entityId } = this.parseDocumentName(documentName)
+
+    const createEvent = (type, data) => ({
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      documentName,
+      tenant,
+      entityType,
+      entityId,
+      changedBy: [...pending.users],
+      data,
+    })
+
+    // A field changed back and forth within the window is not a change
+    const changes = Object.fromEntries(
+      Object.entries(pending.fields).filter(([, { from, to }]) => !isEqual(from, to)),
+    )
+
+    const events = []
+    if (Object.keys(changes).length > 0) {
+      events.push(createEvent(`${entityType}.updated`, { changes }))
+
+      TRANSITION_FIELDS.filter((field) => changes[field]).forEach((field) => {
+        events.push(createEvent(`${entityType}.${field}_changed`, changes[field]))
+      })
+    }
+
+    if (pending.notes) {
+      events.push(createEvent(`${entityType}.notes_updated`, {
+        previousLength: pending.notes.previousLength,
+        length: pending.notes.notes.length,
+        notes: pending.notes.notes,
+      }))
+    }
+
+    events.forEach((event) => this.dispatcher.dispatch(event))
+  }
+
+  async afterUnloadDocument({ documentName }) {
+    this.snapshots.delete(documentName)
+    this.pending.delete(documentName)
+  }
+
+  async onDestroy() {
+    this.dispatcher.destroy()
+  }
+}
@@ -235,6 +235,91 @@ CREATE INDEX IF NOT EXISTS idx_activities_created_at ON activities(created_at);
 -- Activities updated_at trigger
 CREATE OR REPLACE TRIGGER update_activities_updated_at BEFORE UPDATE ON activities FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- =========================================
+-- YJS DOCUMENTS TABLE (collaborative document state)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS yjs_documents (
+    document_name VARCHAR(255) PRIMARY KEY,
+    tenant VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(100) NOT NULL,
+    entity_id VARCHAR(100) NOT NULL,
+    
+    -- Binary Y.js state (full document update)
+    state BYTEA NOT NULL,
+    
+    -- Plain text of the collaborative notes for search and reporting
+    notes TEXT,
+    
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Yjs documents indexes
+CREATE INDEX IF NOT EXISTS idx_yjs_documents_entity ON yjs_documents(tenant, entity_type, entity_id);
+
+-- Yjs documents updated_at trigger
+CREATE OR REPLACE TRIGGER update_yjs_documents_updated_at BEFORE UPDATE ON yjs_documents FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =========================================
+-- AUDIT EVENTS TABLE (collaborative sessions)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    
+    -- Event details
+    event_type VARCHAR(50) NOT NULL CHECK (event_type IN ('connect', 'disconnect', 'change')),
+    document_name VARCHAR(255) NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(100) NOT NULL,
+    entity_id VARCHAR(100) NOT NULL,
+    
+    -- Who and from where
+    user_id VARCHAR(100),
+    user_name VARCHAR(255),
+    origin VARCHAR(255),
+    socket_id VARCHAR(100),
+    
+    -- Change details (top-level Y.js keys touched by the update)
+    changed_keys TEXT[],
+    update_size INTEGER,
+    
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit events indexes
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(tenant, entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_user_id ON audit_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+
+-- =========================================
+-- DOCUMENT SNAPSHOTS TABLE (version history)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS document_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_name VARCHAR(255) NOT NULL,
+    tenant VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(100) NOT NULL,
+    entity_id VARCHAR(100) NOT NULL,
+    
+    -- Binary Y.js state at the time of the snapshot
+    state BYTEA NOT NULL,
+    size INTEGER NOT NULL,
+    
+    -- Why and by whom it was taken
+    reason VARCHAR(50) NOT NULL CHECK (reason IN ('periodic', 'manual', 'pre-restore')),
+    created_by VARCHAR(100),
+    
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_snapshots_document ON document_snapshots(document_name, created_at);
+
 -- =========================================
 -- SAMPLE DATA
 -- =========================================
@@ -436,6 +521,6 @@ $$;
 -- =========================================
 
 SELECT 'CRM Database schema initialized successfully!' as message,
-       'Tables created: companies, contacts, deals, activities' as tables,
+       'Tables created: companies, contacts, deals, activities, yjs_documents, audit_events, document_snapshots' as tables,
        'Sample data loaded for testing' as sample_data,
        'Views created: sales_pipeline, company_contacts' as views;
\ No newline at end of file
@@ -8,7 +8,8 @@
  * @features
  * - xc-token and xc-auth headers with priority
  * - Base URL configurable with environment fallbacks
- * - REST API endpoints for deals, contacts, companies
+ * - REST API endpoints for deals, contacts, companies, activities
+ * - Generic entity repositories, custom tables by configuration
  * - Advanced error handling with retry logic
  * - CRUD operations with validation
  * - Relations with contacts and companies
@@ -66,72 +67,164 @@ class APIManager {
         this.autoSyncInterval = null;
         
         // Table configurations following NocoDB schema patterns
-        this.tables = {
+        // columns maps application fields to the Postgres columns of docker/init.sql,
+        // fields (application field → NocoDB field title) is generated from the table metadata
+        // at startup (loadFieldMappings), until then the column names are used.
+        // validate, toAPI, fromAPI and onChange customize the entity repository (see registerEntity)
+        const tables = {
             deals: {
                 tableName: 'deals',
                 endpoint: 'deals',
-                fields: {
-                    id: 'Id',
-                    title: 'Title',
-                    amount: 'Amount',
-                    status: 'Status',
-                    company: 'Company',
-                    contact: 'Contact',
-                    notes: 'Notes',
-                    priority: 'Priority',
-                    stage: 'Stage',
-                    probability: 'Probability',
-                    expected_close_date: 'ExpectedCloseDate',
-                    created_at: 'CreatedAt',
-                    updated_at: 'UpdatedAt'
+                singular: 'deal',
+                versioned: true,
+                include: ['company', 'contact'],
+                validate: (data) => this.validateDealData(data),
+                columns: {
+                    id: 'id',
+                    title: 'title',
+                    amount: 'value',
+                    currency: 'currency',
+                    company: 'company_id',
+                    contact: 'primary_contact_id',
+                    notes: 'description',
+                    stage: 'stage',
+                    pipeline: 'pipeline',
+                    probability: 'probability',
+                    expected_close_date: 'expected_close_date',
+                    actual_close_date: 'actual_close_date',
+                    deal_type: 'deal_type',
+                    priority: 'priority',
+                    source: 'source',
+                    owner_id: 'owner_id',
+                    team: 'team',
+                    status: 'status',
+                    loss_reason: 'loss_reason',
+                    tags: 'tags',
+                    created_at: 'created_at',
+                    updated_at: 'updated_at'
                 },
                 relations: {
-                    company: { table: 'companies', field: 'Company' },
-                    contact: { table: 'contacts', field: 'Contact' }
+                    company: { table: 'companies', field: 'company' },
+                    contact: { table: 'contacts', field: 'contact' }
                 }
             },
             contacts: {
                 tableName: 'contacts',
                 endpoint: 'contacts',
-                fields: {
-                    id: 'Id',
-                    name: 'Name',
-                    email: 'Email',
-                    phone: 'Phone',
-                    company: 'Company',
-                    position: 'Position',
-                    department: 'Department',
-                    linkedin: 'LinkedIn',
-                    twitter: 'Twitter',
-                    notes: 'Notes',
-                    created_at: 'CreatedAt',
-                    updated_at: 'UpdatedAt'
+                singular: 'contact',
+                validate: (data) => this.validateContactData(data),
+                toAPI: (data) => this.transformContactToAPI(data),
+                fromAPI: (apiData) => this.transformContactFromAPI(apiData),
+                columns: {
+                    id: 'id',
+                    first_name: 'first_name',
+                    last_name: 'last_name',
+                    email: 'email',
+                    phone: 'phone',
+                    mobile: 'mobile',
+                    company: 'company_id',
+                    position: 'title',
+                    department: 'department',
+                    linkedin: 'linkedin_url',
+                    twitter: 'twitter_handle',
+                    preferred_contact_method: 'preferred_contact_method',
+                    timezone: 'timezone',
+                    status: 'status',
+                    lead_score: 'lead_score',
+                    source: 'source',
+                    birthday: 'birthday',
+                    last_contacted_at: 'last_contacted_at',
+                    tags: 'tags',
+                    notes: 'notes',
+                    created_at: 'created_at',
+                    updated_at: 'updated_at'
                 },
                 relations: {
-                    company: { table: 'companies', field: 'Company' }
+                    company: { table: 'companies', field: 'company' }
                 }
             },
             companies: {
                 tableName: 'companies',
                 endpoint: 'companies',
-                fields: {
-                    id: 'Id',
-                    name: 'Name',
-                    industry: 'Industry',
-                    size: 'Size',
-                    website: 'Website',
-                    address: 'Address',
-                    city: 'City',
-                    country: 'Country',
-                    revenue: 'Revenue',
-                    employees: 'Employees',
-                    description: 'Description',
-                    created_at: 'CreatedAt',
-                    updated_at: 'UpdatedAt'
+                singular: 'company',
+                validate: (data) => this.validateCompanyData(data),
+                columns: {
+                    id: 'id',
+                    name: 'name',
+                    industry: 'industry',
+                    size: 'size',
+                    website: 'website',
+                    address: 'address_line1',
+                    address_line2: 'address_line2',
+                    city: 'city',
+                    state: 'state',
+                    postal_code: 'postal_code',
+                    country: 'country',
+                    revenue: 'annual_revenue',
+                    description: 'description',
+                    logo_url: 'logo_url',
+                    status: 'status',
+                    source: 'source',
+                    tags: 'tags',
+                    created_at: 'created_at',
+                    updated_at: 'updated_at'
+                }
+            },
+            activities: {
+                tableName: 'activities',
+                endpoint: 'activities',
+                singular: 'activity',
+                validate: (data, options) => this.validateActivityData(data, options),
+                onChange: (action, activity) => this.recordDealActivity(action, activity),
+                columns: {
+                    id: 'id',
+                    deal: 'deal_id',
+                    contact: 'contact_id',
+                    company: 'company_id',
+                    type: 'type',
+                    subject: 'subject',
+                    description: 'description',
+                    status: 'status',
+                    outcome: 'outcome',
+                    scheduled_at: 'scheduled_at',
+                    completed_at: 'completed_at',
+                    duration_minutes: 'duration_minutes',
+                    created_by: 'created_by',
+                    assigned_to: 'assigned_to',
+                    created_at: 'created_at',
+                    updated_at: 'updated_at'
+                },
+                relations: {
+                    deal: { table: 'deals', field: 'deal' },
+                    contact: { table: 'contacts', field: 'contact' },
+                    company: { table: 'companies', field: 'company' }
                 }
             }
         };
         
+        // Allowed values of the activities CHECK constraints (docker/init.sql)
+        this.activityTypes = ['call', 'email', 'meeting', 'task', 'note', 'demo', 'proposal_sent', 'contract_sent'];
+        this.activityStatuses = ['planned', 'in_progress', 'completed', 'cancelled'];
+        
+        // Realtime manager whose deal documents receive the activity log entries,
+        // defaults to the global one (getRealtimeManager)
+        this.realtimeManager = config.realtimeManager || null;
+        
+        // Fields set by the database, never sent on create or update
+        this.readOnlyFields = ['id', 'created_at'];
+        
+        // Field mapping per table: where it came from and the drift found against the metadata
+        this.fieldMappingReports = {};
+        
+        // Entity repositories by table type (see entity)
+        this.tables = {};
+        this.repositories = new Map();
+        
+        // Custom NocoDB tables are declared like the built-in ones (config.tables)
+        for (const [tableType, tableConfig] of Object.entries({ ...tables, ...config.tables })) {
+            this.registerEntity(tableType, tableConfig);
+        }
+        
         // Pagination defaults
         this.pagination = {
             defaultLimit: 25,
@@ -167,6 +260,11 @@ class APIManager {
             // Check initial connection
             await this.checkConnection();
             
+            // Generate field mappings from the NocoDB table metadata
+            if (this.isConnected) {
+                await this.loadFieldMappings();
+            }
+            
             // Setup auto-sync if online
             if (this.isConnected) {
                 this.setupAutoSync();
@@ -314,7 +412,9 @@ class APIManager {
      * Enhanced HTTP request method with Context7 patterns
      * Supports both xc-token and xc-auth authentication
      */
-    async makeRequest(method, endpoint, data = null, retryCount = 0, useCache = true) {
+    async makeRequest(method, endpoint, data = null, retryCount = 0, useCache = true, { signal } = {}) {
+        signal?.throwIfAborted();
+        
         const cacheKey = `${method}:${endpoint}:${JSON.stringify(data || {})}`;
         
         // Check cache for GET requests
@@ -335,7 +435,9 @@ class APIManager {
         const options = {
             method,
             headers: interceptedData.headers,
-            signal: AbortSignal.timeout(30000) // 30s timeout
+            signal: signal
+                ? AbortSignal.any([signal, AbortSignal.timeout(30000)])
+                : AbortSignal.timeout(30000) // 30s timeout
         };
 
         if (interceptedData.data && ['POST', 'PUT', 'PATCH'].includes(method)) {
@@ -372,6 +474,11 @@ class APIManager {
             return { ok: true, data: interceptedResponse.data, status: response.status };
             
         } catch (error) {
+            // Cancelled by the caller: no retry, no offline queue
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            
             this.logError(`❌ API request failed (${method} ${endpoint}):`, error);
             
             // Handle network errors
@@ -385,7 +492,7 @@ class APIManager {
                 this.log(`⏳ Retrying request in ${delay}ms (attempt ${retryCount + 1}/${this.retryConfig.attempts})`);
                 
                 await this.delay(delay);
-                return this.makeRequest(method, endpoint, data, retryCount + 1, useCache);
+                return this.makeRequest(method, endpoint, data, retryCount + 1, useCache, { signal });
             }
             
             return { 
@@ -502,8 +609,9 @@ class APIManager {
     
     /**
      * Build advanced query parameters for NocoDB API
+     * With a table type, filter, sort and field names are application fields mapped to NocoDB titles
      */
-    buildAdvancedQueryParams(options = {}) {
+    buildAdvancedQueryParams(options = {}, tableType = null) {
         const {
             filters = {},
             pagination = {},
@@ -513,6 +621,7 @@ class APIManager {
         } = options;
         
         const params = new URLSearchParams();
+        const resolveField = field => this.resolveFieldName(tableType, field);
         
         // Apply pagination
         const limit = Math.min(pagination.limit || this.pagination.defaultLimit, this.pagination.maxLimit);
@@ -522,20 +631,20 @@ class APIManager {
         params.append('offset', offset.toString());
         
         // Apply filters using NocoDB syntax
-        const whereClause = this.buildWhereClause(filters);
+        const whereClause = this.buildWhereClause(filters, tableType);
         if (whereClause) {
             params.append('where', whereClause);
         }
         
         // Apply sorting
         if (sort.length > 0) {
-            const sortClause = sort.map(s => `${s.direction === 'desc' ? '-' : ''}${s.field}`).join(',');
+            const sortClause = sort.map(s => `${s.direction === 'desc' ? '-' : ''}${resolveField(s.field)}`).join(',');
             params.append('sort', sortClause);
         }
         
         // Apply field selection
         if (fields.length > 0) {
-            params.append('fields', fields.join(','));
+            params.append('fields', fields.map(resolveField).join(','));
         }
         
         // Apply includes for relations
@@ -548,41 +657,25 @@ class APIManager {
     
     /**
      * Build WHERE clause using NocoDB filter syntax
+     * filters is a QueryFilter (and/or/not groups) or the { field: value | { op: value } } map
      */
-    buildWhereClause(filters) {
-        const conditions = [];
-        
-        for (const [field, condition] of Object.entries(filters)) {
-            if (typeof condition === 'object' && condition !== null) {
-                // Complex conditions
-                for (const [operator, value] of Object.entries(condition)) {
-                    conditions.push(this.formatCondition(field, operator, value));
-                }
-            } else {
-                // Simple equality
-                conditions.push(this.formatCondition(field, 'eq', condition));
-            }
-        }
-        
-        return conditions.length > 0 ? conditions.join('~and') : '';
+    buildWhereClause(filters, tableType = null) {
+        return QueryFilter.toWhere(filters, field => this.resolveFieldName(tableType, field));
     }
     
     /**
-     * Format individual condition for NocoDB
+     * NocoDB title of an application field, other names (titles already) are kept
      */
-    formatCondition(field, operator, value) {
-        // Handle array values for 'in' operator
-        if (operator === 'in' && Array.isArray(value)) {
-            return `(${field},${operator},${value.join(',')})`;
-        }
-        
-        // Handle between operator
-        if (operator === 'btw' && Array.isArray(value) && value.length === 2) {
-            return `(${field},${operator},${value[0]},${value[1]})`;
-        }
-        
-        // Standard condition
-        return `(${field},${operator},${value})`;
+    resolveFieldName(tableType, field) {
+        const fields = tableType && this.tables[tableType] ? this.tables[tableType].fields : {};
+        return Object.prototype.hasOwnProperty.call(fields, field) ? fields[field] : field;
+    }
+    
+    /**
+     * Keep the records (application format) matching a filter, e.g. on cached or offline data
+     */
+    filterRecords(records, filters) {
+        return records.filter(record => QueryFilter.matches(filters, record));
     }
     
     /**
@@ -605,414 +698,281 @@ class APIManager {
     }
     
     /**
-     * Transform deal data to API format
+     * Generate the field mappings of every table from the NocoDB metadata
+     * A table whose metadata cannot be read keeps its current mapping
      */
-    transformDealToAPI(dealData) {
-        const fields = this.tables.deals.fields;
+    async loadFieldMappings() {
+        for (const [tableType, config] of Object.entries(this.tables)) {
+            try {
+                const schema = await this.getTableSchema(config.tableName);
+                const { fields, report } = this.buildFieldMapping(config.columns, schema.columns || []);
+                
+                config.fields = fields;
+                this.fieldMappingReports[tableType] = report;
+                
+                if (report.missing.length > 0) {
+                    this.logWarn(`⚠️ ${config.tableName}: columns missing from NocoDB, these fields will not be sent:`,
+                        report.missing.map(({ field, column }) => `${field} (${column})`).join(', '));
+                    this.emit('schemaDrift', { tableType, ...report });
+                }
+            } catch (error) {
+                this.fieldMappingReports[tableType] = {
+                    ...this.fieldMappingReports[tableType],
+                    error: error.message
+                };
+                this.logError(`Failed to load field mapping for ${config.tableName}:`, error);
+            }
+        }
+        
+        this.log('🗺️ Field mappings loaded:', this.fieldMappingReports);
+        return this.fieldMappingReports;
+    }
+    
+    /**
+     * Map application fields to NocoDB field titles through the column names of the metadata
+     */
+    buildFieldMapping(columns, metadataColumns) {
+        const titlesByColumn = new Map(
+            metadataColumns
+                .filter(column => column.column_name)
+                .map(column => [column.column_name, column.title || column.column_name])
+        );
+        const mappedColumns = new Set(Object.values(columns));
+        
+        const fields = {};
+        const missing = [];
+        
+        for (const [field, column] of Object.entries(columns)) {
+            if (titlesByColumn.has(column)) {
+                fields[field] = titlesByColumn.get(column);
+            } else {
+                missing.push({ field, column });
+            }
+        }
+        
+        return {
+            fields,
+            report: {
+                source: 'metadata',
+                loadedAt: new Date().toISOString(),
+                missing,
+                // Columns of the table no application field maps to (links and other virtual columns have no column_name)
+                unmapped: [...titlesByColumn.keys()].filter(column => !mappedColumns.has(column))
+            }
+        };
+    }
+    
+    /**
+     * Transform application data to API format using the field mapping of the table
+     * Fields without a column in the table are left out and reported, unknown keys are ignored
+     */
+    transformToAPI(tableType, data) {
+        const { columns, fields } = this.tables[tableType];
         const apiData = {};
+        const unmatched = [];
         
-        // Map known fields
-        if (dealData.title !== undefined) apiData[fields.title] = dealData.title;
-        if (dealData.amount !== undefined) apiData[fields.amount] = dealData.amount;
-        if (dealData.status !== undefined) apiData[fields.status] = dealData.status;
-        if (dealData.company !== undefined) apiData[fields.company] = dealData.company;
-        if (dealData.contact !== undefined) apiData[fields.contact] = dealData.contact;
-        if (dealData.notes !== undefined) apiData[fields.notes] = dealData.notes;
-        if (dealData.priority !== undefined) apiData[fields.priority] = dealData.priority;
-        if (dealData.stage !== undefined) apiData[fields.stage] = dealData.stage;
-        if (dealData.probability !== undefined) apiData[fields.probability] = dealData.probability;
-        if (dealData.expected_close_date !== undefined) apiData[fields.expected_close_date] = dealData.expected_close_date;
+        for (const [field, value] of Object.entries(data)) {
+            if (value === undefined || !(field in columns) || this.readOnlyFields.includes(field)) {
+                continue;
+            }
+            
+            if (fields[field]) {
+                apiData[fields[field]] = value;
+            } else {
+                unmatched.push(field);
+            }
+        }
+        
+        if (unmatched.length > 0) {
+            this.logWarn(`⚠️ ${tableType}: fields not sent, their columns are missing from NocoDB:`, unmatched.join(', '));
+        }
         
         // Always set updated timestamp
-        apiData[fields.updated_at] = new Date().toISOString();
+        if (fields.updated_at) {
+            apiData[fields.updated_at] = new Date().toISOString();
+        }
         
         return apiData;
     }
+    
+    /**
+     * Transform API data to application format using the field mapping of the table
+     */
+    transformFromAPI(tableType, apiData) {
+        const { columns, fields } = this.tables[tableType];
+        const data = {};
+        
+        for (const field of Object.keys(columns)) {
+            data[field] = fields[field] ? apiData[fields[field]] : undefined;
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Transform deal data to API format
+     */
+    transformDealToAPI(dealData) {
+        return this.transformToAPI('deals', dealData);
+    }
 
     /**
      * Transform contact data to API format
+     * A single name is split into first and last name
      */
     transformContactToAPI(contactData) {
-        const fields = this.tables.contacts.fields;
-        const apiData = {};
+        const data = { ...contactData };
         
-        if (contactData.name !== undefined) apiData[fields.name] = contactData.name;
-        if (contactData.email !== undefined) apiData[fields.email] = contactData.email;
-        if (contactData.phone !== undefined) apiData[fields.phone] = contactData.phone;
-        if (contactData.company !== undefined) apiData[fields.company] = contactData.company;
-        if (contactData.position !== undefined) apiData[fields.position] = contactData.position;
-        if (contactData.department !== undefined) apiData[fields.department] = contactData.department;
-        if (contactData.linkedin !== undefined) apiData[fields.linkedin] = contactData.linkedin;
-        if (contactData.twitter !== undefined) apiData[fields.twitter] = contactData.twitter;
-        if (contactData.notes !== undefined) apiData[fields.notes] = contactData.notes;
-        
-        apiData[fields.updated_at] = new Date().toISOString();
-        return apiData;
+        if (data.name !== undefined && data.first_name === undefined && data.last_name === undefined) {
+            const [firstName, ...lastName] = data.name.trim().split(/\s+/);
+            data.first_name = firstName;
+            data.last_name = lastName.join(' ');
+        }
+        
+        return this.transformToAPI('contacts', data);
     }
 
     /**
      * Transform company data to API format
      */
     transformCompanyToAPI(companyData) {
-        const fields = this.tables.companies.fields;
-        const apiData = {};
-        
-        if (companyData.name !== undefined) apiData[fields.name] = companyData.name;
-        if (companyData.industry !== undefined) apiData[fields.industry] = companyData.industry;
-        if (companyData.size !== undefined) apiData[fields.size] = companyData.size;
-        if (companyData.website !== undefined) apiData[fields.website] = companyData.website;
-        if (companyData.address !== undefined) apiData[fields.address] = companyData.address;
-        if (companyData.city !== undefined) apiData[fields.city] = companyData.city;
-        if (companyData.country !== undefined) apiData[fields.country] = companyData.country;
-        if (companyData.revenue !== undefined) apiData[fields.revenue] = companyData.revenue;
-        if (companyData.employees !== undefined) apiData[fields.employees] = companyData.employees;
-        if (companyData.description !== undefined) apiData[fields.description] = companyData.description;
-        
-        apiData[fields.updated_at] = new Date().toISOString();
-        return apiData;
+        return this.transformToAPI('companies', companyData);
     }
 
     /**
      * Transform deal data from API format
      */
     transformDealFromAPI(apiData) {
-        const fields = this.tables.deals.fields;
-        return {
-            id: apiData[fields.id],
-            title: apiData[fields.title],
-            amount: apiData[fields.amount],
-            status: apiData[fields.status],
-            company: apiData[fields.company],
-            contact: apiData[fields.contact],
-            notes: apiData[fields.notes],
-            priority: apiData[fields.priority],
-            stage: apiData[fields.stage],
-            probability: apiData[fields.probability],
-            expected_close_date: apiData[fields.expected_close_date],
-            created_at: apiData[fields.created_at],
-            updated_at: apiData[fields.updated_at]
-        };
+        return this.transformFromAPI('deals', apiData);
     }
     
     /**
      * Transform contact data from API format
      */
     transformContactFromAPI(apiData) {
-        const fields = this.tables.contacts.fields;
-        return {
-            id: apiData[fields.id],
-            name: apiData[fields.name],
-            email: apiData[fields.email],
-            phone: apiData[fields.phone],
-            company: apiData[fields.company],
-            position: apiData[fields.position],
-            department: apiData[fields.department],
-            linkedin: apiData[fields.linkedin],
-            twitter: apiData[fields.twitter],
-            notes: apiData[fields.notes],
-            created_at: apiData[fields.created_at],
-            updated_at: apiData[fields.updated_at]
-        };
+        const contact = this.transformFromAPI('contacts', apiData);
+        contact.name = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+        return contact;
     }
     
     /**
      * Transform company data from API format
      */
     transformCompanyFromAPI(apiData) {
-        const fields = this.tables.companies.fields;
-        return {
-            id: apiData[fields.id],
-            name: apiData[fields.name],
-            industry: apiData[fields.industry],
-            size: apiData[fields.size],
-            website: apiData[fields.website],
-            address: apiData[fields.address],
-            city: apiData[fields.city],
-            country: apiData[fields.country],
-            revenue: apiData[fields.revenue],
-            employees: apiData[fields.employees],
-            description: apiData[fields.description],
-            created_at: apiData[fields.created_at],
-            updated_at: apiData[fields.updated_at]
-        };
+        return this.transformFromAPI('companies', apiData);
+    }
+    
+    /**
+     * Transform activity data to API format
+     */
+    transformActivityToAPI(activityData) {
+        return this.transformToAPI('activities', activityData);
+    }
+    
+    /**
+     * Transform activity data from API format
+     */
+    transformActivityFromAPI(apiData) {
+        return this.transformFromAPI('activities', apiData);
     }
 
     // ============================================================================
     // CRUD OPERATIONS - Context7 Enhanced Patterns
     // ============================================================================
     
+    /**
+     * Get the repository (list/get/create/update/delete) of a table type
+     */
+    entity(tableType) {
+        if (!this.tables[tableType]) {
+            throw new Error(`Unknown table type: ${tableType}`);
+        }
+        
+        if (!this.repositories.has(tableType)) {
+            this.repositories.set(tableType, new EntityRepository(this, tableType));
+        }
+        return this.repositories.get(tableType);
+    }
+    
+    /**
+     * Declare a NocoDB table, built-in or custom, and return its repository
+     * - columns: application field → Postgres column, must map id
+     * - tableName, endpoint, singular: default to the table type and its singular
+     * - validate(data, { partial }), toAPI(data), fromAPI(apiData): default to no validation
+     *   and the generated field mapping
+     * - onChange(action, entity): called after a create, update or delete succeeded
+     * - versioned: updates send the current version and resolve 409 conflicts
+     * - include: relations loaded by get() unless the call lists its own
+     * Field titles come from the column names until loadFieldMappings() runs
+     */
+    registerEntity(tableType, config) {
+        if (!config.columns || !config.columns.id) {
+            throw new Error(`Table type ${tableType} must map an id column`);
+        }
+        
+        this.tables[tableType] = {
+            tableName: tableType,
+            endpoint: config.tableName || tableType,
+            singular: tableType.replace(/ies$/, 'y').replace(/s$/, ''),
+            relations: {},
+            ...config,
+            fields: { ...config.columns }
+        };
+        this.fieldMappingReports[tableType] = { source: 'defaults', missing: [], unmapped: [] };
+        this.repositories.delete(tableType);
+        
+        return this.entity(tableType);
+    }
+    
+    /**
+     * Iterate over every record of a table, following the NocoDB pageInfo
+     * for await (const deal of apiManager.iterate('deals', { filters, sort, signal })) { ... }
+     * See EntityRepository.iterate for the options
+     */
+    iterate(tableType, options = {}) {
+        return this.entity(tableType).iterate(options);
+    }
+    
+    /**
+     * Load every record of a table into an array
+     */
+    async listAll(tableType, options = {}) {
+        return this.entity(tableType).listAll(options);
+    }
+    
     /**
      * Get deals with advanced filtering and pagination
      */
     async getDeals(options = {}) {
-        try {
-            const {
-                filters = {},
-                pagination = {},
-                sort = [],
-                fields = [],
-                include = []
-            } = options;
-            
-            const endpoint = this.buildDataEndpoint('deals');
-            const queryParams = this.buildAdvancedQueryParams({
-                filters,
-                pagination,
-                sort,
-                fields,
-                include
-            });
-            
-            const fullEndpoint = queryParams ? `${endpoint}?${queryParams}` : endpoint;
-            const response = await this.makeRequest('GET', fullEndpoint);
-            
-            if (response.ok) {
-                const data = response.data;
-                const deals = data.list || data.rows || data;
-                
-                // Apply client-side transformations
-                const transformedDeals = deals.map(deal => this.transformDealFromAPI(deal));
-                
-                // Emit event for real-time updates
-                this.emit('dealsLoaded', { 
-                    deals: transformedDeals, 
-                    count: transformedDeals.length,
-                    pagination: data.pageInfo
-                });
-                
-                return {
-                    deals: transformedDeals,
-                    pagination: data.pageInfo || { hasMore: false },
-                    total: data.count || transformedDeals.length
-                };
-            } else {
-                throw new APIError(`Failed to fetch deals: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError('getDeals failed:', error);
-            
-            // Return cached data if available
-            const cached = this.getOfflineData('deals');
-            if (cached) {
-                this.log('📋 Returning cached deals data');
-                return cached;
-            }
-            
-            throw error;
-        }
+        return this.entity('deals').list(options);
     }
 
     /**
      * Get single deal with relations
      */
     async getDeal(id, options = {}) {
-        try {
-            const { include = ['company', 'contact'] } = options;
-            
-            const endpoint = `${this.buildDataEndpoint('deals')}/${id}`;
-            const queryParams = include.length > 0 ? 
-                this.buildQueryParams({ include: include.join(',') }) : '';
-            
-            const fullEndpoint = queryParams ? `${endpoint}?${queryParams}` : endpoint;
-            const response = await this.makeRequest('GET', fullEndpoint);
-            
-            if (response.ok) {
-                const deal = this.transformDealFromAPI(response.data);
-                
-                this.emit('dealLoaded', { deal });
-                return deal;
-            } else {
-                throw new APIError(`Failed to fetch deal: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`getDeal(${id}) failed:`, error);
-            
-            // Try offline storage
-            const cached = this.getOfflineData(`deal_${id}`);
-            if (cached) {
-                this.log(`📋 Returning cached deal ${id}`);
-                return cached;
-            }
-            
-            throw error;
-        }
+        return this.entity('deals').get(id, options);
     }
 
     /**
      * Create deal with validation and optimistic updates
      */
     async createDeal(dealData, options = {}) {
-        try {
-            const { optimistic = true, validate = true } = options;
-            
-            // Validate data
-            if (validate) {
-                this.validateDealData(dealData);
-            }
-            
-            const endpoint = this.buildDataEndpoint('deals');
-            const apiData = this.transformDealToAPI(dealData);
-            
-            // Optimistic update
-            if (optimistic) {
-                const tempId = `temp_${Date.now()}`;
-                const optimisticDeal = { ...dealData, id: tempId };
-                this.emit('dealCreatedOptimistic', { deal: optimisticDeal });
-            }
-            
-            const response = await this.makeRequest('POST', endpoint, apiData);
-            
-            if (response.ok) {
-                const createdDeal = this.transformDealFromAPI(response.data);
-                
-                // Update Yjs document
-                await this.updateYjsDocument('deals', 'create', createdDeal);
-                
-                this.emit('dealCreated', { deal: createdDeal });
-                this.log(`✅ Deal created: ${createdDeal.title}`);
-                
-                return createdDeal;
-            } else {
-                // Revert optimistic update
-                if (optimistic) {
-                    this.emit('dealCreateFailed', { error: response.error });
-                }
-                throw new APIError(`Failed to create deal: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError('createDeal failed:', error);
-            
-            // Queue for offline sync
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('create', 'deals', dealData);
-                this.log('📋 Deal queued for offline sync');
-                return { ...dealData, id: `offline_${Date.now()}`, _offline: true };
-            }
-            
-            throw error;
-        }
+        return this.entity('deals').create(dealData, options);
     }
 
     /**
      * Update deal with conflict resolution
      */
     async updateDeal(id, dealData, options = {}) {
-        try {
-            const { 
-                optimistic = true, 
-                conflictResolution = 'merge',
-                validate = true 
-            } = options;
-            
-            // Validate data
-            if (validate) {
-                this.validateDealData(dealData);
-            }
-            
-            // Get current version for conflict detection
-            const currentDeal = await this.getDeal(id);
-            
-            const endpoint = `${this.buildDataEndpoint('deals')}/${id}`;
-            const apiData = this.transformDealToAPI(dealData);
-            
-            // Add version for optimistic concurrency control
-            if (currentDeal.updated_at) {
-                apiData._version = currentDeal.updated_at;
-            }
-            
-            // Optimistic update
-            if (optimistic) {
-                const optimisticDeal = { ...currentDeal, ...dealData };
-                this.emit('dealUpdatedOptimistic', { deal: optimisticDeal });
-            }
-            
-            const response = await this.makeRequest('PATCH', endpoint, apiData);
-            
-            if (response.ok) {
-                const updatedDeal = this.transformDealFromAPI(response.data);
-                
-                // Update Yjs document
-                await this.updateYjsDocument('deals', 'update', updatedDeal);
-                
-                this.emit('dealUpdated', { deal: updatedDeal, previous: currentDeal });
-                this.log(`✅ Deal updated: ${updatedDeal.title}`);
-                
-                return updatedDeal;
-            } else if (response.status === 409) {
-                // Handle conflict
-                return await this.handleUpdateConflict(id, dealData, conflictResolution);
-            } else {
-                // Revert optimistic update
-                if (optimistic) {
-                    this.emit('dealUpdateFailed', { id, error: response.error });
-                }
-                throw new APIError(`Failed to update deal: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`updateDeal(${id}) failed:`, error);
-            
-            // Queue for offline sync
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('update', 'deals', { id, ...dealData });
-                this.log(`📋 Deal update queued for offline sync`);
-                return { ...dealData, id, _offline: true };
-            }
-            
-            throw error;
-        }
+        return this.entity('deals').update(id, dealData, options);
     }
 
     /**
      * Delete deal with confirmation and cleanup
      */
     async deleteDeal(id, options = {}) {
-        try {
-            const { optimistic = true, cascade = false } = options;
-            
-            // Get deal before deletion for cleanup
-            const deal = await this.getDeal(id);
-            
-            const endpoint = `${this.buildDataEndpoint('deals')}/${id}`;
-            
-            // Optimistic delete
-            if (optimistic) {
-                this.emit('dealDeletedOptimistic', { id, deal });
-            }
-            
-            const response = await this.makeRequest('DELETE', endpoint);
-            
-            if (response.ok) {
-                // Cascade delete relations if requested
-                if (cascade) {
-                    await this.cascadeDeleteRelations('deals', id);
-                }
-                
-                // Update Yjs document
-                await this.updateYjsDocument('deals', 'delete', { id });
-                
-                this.emit('dealDeleted', { id, deal });
-                this.log(`✅ Deal deleted: ${deal.title}`);
-                
-                return true;
-            } else {
-                // Revert optimistic delete
-                if (optimistic) {
-                    this.emit('dealDeleteFailed', { id, error: response.error });
-                }
-                throw new APIError(`Failed to delete deal: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`deleteDeal(${id}) failed:`, error);
-            
-            // Queue for offline sync
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('delete', 'deals', { id });
-                this.log(`📋 Deal deletion queued for offline sync`);
-                return true; // Assume success for UX
-            }
-            
-            throw error;
-        }
+        return this.entity('deals').delete(id, options);
     }
 
     // ============================================================================
@@ -1023,174 +983,35 @@ class APIManager {
      * Get contacts with advanced filtering
      */
     async getContacts(options = {}) {
-        try {
-            const endpoint = this.buildDataEndpoint('contacts');
-            const queryParams = this.buildAdvancedQueryParams(options);
-            const fullEndpoint = queryParams ? `${endpoint}?${queryParams}` : endpoint;
-            
-            const response = await this.makeRequest('GET', fullEndpoint);
-            
-            if (response.ok) {
-                const data = response.data;
-                const contacts = (data.list || data.rows || data).map(contact => 
-                    this.transformContactFromAPI(contact)
-                );
-                
-                this.emit('contactsLoaded', { contacts, count: contacts.length });
-                return { contacts, pagination: data.pageInfo };
-            } else {
-                throw new APIError(`Failed to fetch contacts: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError('getContacts failed:', error);
-            const cached = this.getOfflineData('contacts');
-            if (cached) return cached;
-            throw error;
-        }
+        return this.entity('contacts').list(options);
     }
     
     /**
      * Get single contact
      */
     async getContact(id, options = {}) {
-        try {
-            const endpoint = `${this.buildDataEndpoint('contacts')}/${id}`;
-            const response = await this.makeRequest('GET', endpoint);
-            
-            if (response.ok) {
-                const contact = this.transformContactFromAPI(response.data);
-                this.emit('contactLoaded', { contact });
-                return contact;
-            } else {
-                throw new APIError(`Failed to fetch contact: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`getContact(${id}) failed:`, error);
-            const cached = this.getOfflineData(`contact_${id}`);
-            if (cached) return cached;
-            throw error;
-        }
+        return this.entity('contacts').get(id, options);
     }
-
+    
     /**
      * Create contact with validation
      */
     async createContact(contactData, options = {}) {
-        try {
-            const { optimistic = true, validate = true } = options;
-            
-            if (validate) {
-                this.validateContactData(contactData);
-            }
-            
-            const endpoint = this.buildDataEndpoint('contacts');
-            const apiData = this.transformContactToAPI(contactData);
-            
-            if (optimistic) {
-                const tempContact = { ...contactData, id: `temp_${Date.now()}` };
-                this.emit('contactCreatedOptimistic', { contact: tempContact });
-            }
-            
-            const response = await this.makeRequest('POST', endpoint, apiData);
-            
-            if (response.ok) {
-                const createdContact = this.transformContactFromAPI(response.data);
-                await this.updateYjsDocument('contacts', 'create', createdContact);
-                this.emit('contactCreated', { contact: createdContact });
-                return createdContact;
-            } else {
-                if (optimistic) {
-                    this.emit('contactCreateFailed', { error: response.error });
-                }
-                throw new APIError(`Failed to create contact: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError('createContact failed:', error);
-            
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('create', 'contacts', contactData);
-                return { ...contactData, id: `offline_${Date.now()}`, _offline: true };
-            }
-            
-            throw error;
-        }
+        return this.entity('contacts').create(contactData, options);
     }
     
     /**
      * Update contact
      */
     async updateContact(id, contactData, options = {}) {
-        try {
-            const { optimistic = true, validate = true } = options;
-            
-            if (validate) {
-                this.validateContactData(contactData);
-            }
-            
-            const endpoint = `${this.buildDataEndpoint('contacts')}/${id}`;
-            const apiData = this.transformContactToAPI(contactData);
-            
-            if (optimistic) {
-                const current = await this.getContact(id);
-                const optimisticContact = { ...current, ...contactData };
-                this.emit('contactUpdatedOptimistic', { contact: optimisticContact });
-            }
-            
-            const response = await this.makeRequest('PATCH', endpoint, apiData);
-            
-            if (response.ok) {
-                const updatedContact = this.transformContactFromAPI(response.data);
-                await this.updateYjsDocument('contacts', 'update', updatedContact);
-                this.emit('contactUpdated', { contact: updatedContact });
-                return updatedContact;
-            } else {
-                throw new APIError(`Failed to update contact: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`updateContact(${id}) failed:`, error);
-            
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('update', 'contacts', { id, ...contactData });
-                return { ...contactData, id, _offline: true };
-            }
-            
-            throw error;
-        }
+        return this.entity('contacts').update(id, contactData, options);
     }
     
     /**
      * Delete contact
      */
     async deleteContact(id, options = {}) {
-        try {
-            const { optimistic = true } = options;
-            
-            const contact = await this.getContact(id);
-            const endpoint = `${this.buildDataEndpoint('contacts')}/${id}`;
-            
-            if (optimistic) {
-                this.emit('contactDeletedOptimistic', { id, contact });
-            }
-            
-            const response = await this.makeRequest('DELETE', endpoint);
-            
-            if (response.ok) {
-                await this.updateYjsDocument('contacts', 'delete', { id });
-                this.emit('contactDeleted', { id, contact });
-                return true;
-            } else {
-                throw new APIError(`Failed to delete contact: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`deleteContact(${id}) failed:`, error);
-            
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('delete', 'contacts', { id });
-                return true;
-            }
-            
-            throw error;
-        }
+        return this.entity('contacts').delete(id, options);
     }
 
     // ============================================================================
@@ -1201,177 +1022,159 @@ class APIManager {
      * Get companies with advanced filtering
      */
     async getCompanies(options = {}) {
-        try {
-            const endpoint = this.buildDataEndpoint('companies');
-            const queryParams = this.buildAdvancedQueryParams(options);
-            const fullEndpoint = queryParams ? `${endpoint}?${queryParams}` : endpoint;
-            
-            const response = await this.makeRequest('GET', fullEndpoint);
-            
-            if (response.ok) {
-                const data = response.data;
-                const companies = (data.list || data.rows || data).map(company => 
-                    this.transformCompanyFromAPI(company)
-                );
-                
-                this.emit('companiesLoaded', { companies, count: companies.length });
-                return { companies, pagination: data.pageInfo };
-            } else {
-                throw new APIError(`Failed to fetch companies: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError('getCompanies failed:', error);
-            const cached = this.getOfflineData('companies');
-            if (cached) return cached;
-            throw error;
-        }
+        return this.entity('companies').list(options);
     }
     
     /**
      * Get single company
      */
     async getCompany(id, options = {}) {
-        try {
-            const endpoint = `${this.buildDataEndpoint('companies')}/${id}`;
-            const response = await this.makeRequest('GET', endpoint);
-            
-            if (response.ok) {
-                const company = this.transformCompanyFromAPI(response.data);
-                this.emit('companyLoaded', { company });
-                return company;
-            } else {
-                throw new APIError(`Failed to fetch company: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`getCompany(${id}) failed:`, error);
-            const cached = this.getOfflineData(`company_${id}`);
-            if (cached) return cached;
-            throw error;
-        }
+        return this.entity('companies').get(id, options);
     }
 
     /**
      * Create company with validation
      */
     async createCompany(companyData, options = {}) {
-        try {
-            const { optimistic = true, validate = true } = options;
-            
-            if (validate) {
-                this.validateCompanyData(companyData);
-            }
-            
-            const endpoint = this.buildDataEndpoint('companies');
-            const apiData = this.transformCompanyToAPI(companyData);
-            
-            if (optimistic) {
-                const tempCompany = { ...companyData, id: `temp_${Date.now()}` };
-                this.emit('companyCreatedOptimistic', { company: tempCompany });
-            }
-            
-            const response = await this.makeRequest('POST', endpoint, apiData);
-            
-            if (response.ok) {
-                const createdCompany = this.transformCompanyFromAPI(response.data);
-                await this.updateYjsDocument('companies', 'create', createdCompany);
-                this.emit('companyCreated', { company: createdCompany });
-                return createdCompany;
-            } else {
-                if (optimistic) {
-                    this.emit('companyCreateFailed', { error: response.error });
-                }
-                throw new APIError(`Failed to create company: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError('createCompany failed:', error);
-            
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('create', 'companies', companyData);
-                return { ...companyData, id: `offline_${Date.now()}`, _offline: true };
-            }
-            
-            throw error;
-        }
+        return this.entity('companies').create(companyData, options);
     }
     
     /**
      * Update company
      */
     async updateCompany(id, companyData, options = {}) {
-        try {
-            const { optimistic = true, validate = true } = options;
-            
-            if (validate) {
-                this.validateCompanyData(companyData);
-            }
-            
-            const endpoint = `${this.buildDataEndpoint('companies')}/${id}`;
-            const apiData = this.transformCompanyToAPI(companyData);
-            
-            if (optimistic) {
-                const current = await this.getCompany(id);
-                const optimisticCompany = { ...current, ...companyData };
-                this.emit('companyUpdatedOptimistic', { company: optimisticCompany });
-            }
-            
-            const response = await this.makeRequest('PATCH', endpoint, apiData);
-            
-            if (response.ok) {
-                const updatedCompany = this.transformCompanyFromAPI(response.data);
-                await this.updateYjsDocument('companies', 'update', updatedCompany);
-                this.emit('companyUpdated', { company: updatedCompany });
-                return updatedCompany;
-            } else {
-                throw new APIError(`Failed to update company: ${response.error}`, response.status);
-            }
-        } catch (error) {
-            this.logError(`updateCompany(${id}) failed:`, error);
-            
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('update', 'companies', { id, ...companyData });
-                return { ...companyData, id, _offline: true };
-            }
-            
-            throw error;
-        }
+        return this.entity('companies').update(id, companyData, options);
     }
     
     /**
      * Delete company
      */
     async deleteCompany(id, options = {}) {
+        return this.entity('companies').delete(id, options);
+    }
+
+    // ============================================================================
+    // ACTIVITY OPERATIONS
+    // ============================================================================
+    
+    /**
+     * Get activities with advanced filtering
+     */
+    async getActivities(options = {}) {
+        return this.entity('activities').list(options);
+    }
+    
+    /**
+     * Get single activity
+     */
+    async getActivity(id, options = {}) {
+        return this.entity('activities').get(id, options);
+    }
+    
+    /**
+     * Get the activities of a deal, most recent first
+     */
+    async getActivitiesForDeal(dealId, options = {}) {
+        const { filters = null, sort = [{ field: 'scheduled_at', direction: 'desc' }] } = options;
+        
+        return this.getActivities({
+            ...options,
+            filters: QueryFilter.and(filters, QueryFilter.eq('deal', dealId)),
+            sort
+        });
+    }
+    
+    /**
+     * Get planned activities, soonest first
+     * Optionally restricted to a deal or to the user they are assigned to
+     */
+    async getUpcomingActivities(options = {}) {
+        const { dealId, assignedTo, filters = null } = options;
+        
+        return this.getActivities({
+            ...options,
+            filters: QueryFilter.and(
+                filters,
+                QueryFilter.eq('status', 'planned'),
+                dealId ? QueryFilter.eq('deal', dealId) : null,
+                assignedTo ? QueryFilter.eq('assigned_to', assignedTo) : null
+            ),
+            sort: [{ field: 'scheduled_at', direction: 'asc' }]
+        });
+    }
+    
+    /**
+     * Create activity with validation
+     */
+    async createActivity(activityData, options = {}) {
+        return this.entity('activities').create(activityData, options);
+    }
+    
+    /**
+     * Update activity
+     */
+    async updateActivity(id, activityData, options = {}) {
+        return this.entity('activities').update(id, activityData, options);
+    }
+    
+    /**
+     * Delete activity
+     */
+    async deleteActivity(id, options = {}) {
+        return this.entity('activities').delete(id, options);
+    }
+    
+    /**
+     * Append an activity change to the activity Y.Array of its deal document
+     * Only deals open in the realtime manager with write access are updated,
+     * the others get the activity from NocoDB when opened
+     */
+    recordDealActivity(action, activity) {
+        const realtimeManager = this.getRealtimeManager();
+        if (!activity?.deal || !realtimeManager || realtimeManager.isReadOnly(activity.deal)) {
+            return;
+        }
+        
+        const activityArray = realtimeManager.getDealActivity(activity.deal);
+        if (!activityArray) {
+            return;
+        }
+        
         try {
-            const { optimistic = true, cascade = false } = options;
-            
-            const company = await this.getCompany(id);
-            const endpoint = `${this.buildDataEndpoint('companies')}/${id}`;
-            
-            if (optimistic) {
-                this.emit('companyDeletedOptimistic', { id, company });
-            }
-            
-            const response = await this.makeRequest('DELETE', endpoint);
-            
-            if (response.ok) {
-                if (cascade) {
-                    await this.cascadeDeleteRelations('companies', id);
-                }
-                
-                await this.updateYjsDocument('companies', 'delete', { id });
-                this.emit('companyDeleted', { id, company });
-                return true;
-            } else {
-                throw new APIError(`Failed to delete company: ${response.error}`, response.status);
-            }
+            activityArray.doc.transact(() => {
+                activityArray.push([{
+                    type: `activity_${action}`,
+                    userId: realtimeManager.currentUser?.id,
+                    timestamp: Date.now(),
+                    data: {
+                        id: activity.id,
+                        type: activity.type,
+                        subject: activity.subject,
+                        status: activity.status,
+                        outcome: activity.outcome,
+                        scheduled_at: activity.scheduled_at,
+                        completed_at: activity.completed_at,
+                        duration_minutes: activity.duration_minutes
+                    }
+                }]);
+            }, 'activity-sync');
         } catch (error) {
-            this.logError(`deleteCompany(${id}) failed:`, error);
-            
-            if (this.isNetworkError(error)) {
-                await this.queueOfflineOperation('delete', 'companies', { id });
-                return true;
-            }
-            
-            throw error;
+            this.logError(`Failed to record activity ${activity.id} on deal ${activity.deal}:`, error);
+        }
+    }
+    
+    /**
+     * Get the realtime manager, null when realtime collaboration is not loaded
+     */
+    getRealtimeManager() {
+        if (this.realtimeManager) {
+            return this.realtimeManager;
+        }
+        
+        try {
+            return typeof window.getRealtimeManager === 'function' ? window.getRealtimeManager() : null;
+        } catch {
+            return null;
         }
     }
 
@@ -1404,7 +1207,8 @@ class APIManager {
      * Validate contact data
      */
     validateContactData(contactData) {
-        if (!contactData.name || contactData.name.trim() === '') {
+        const name = contactData.name || [contactData.first_name, contactData.last_name].filter(Boolean).join(' ');
+        if (!name || name.trim() === '') {
             throw new Error('Contact name is required');
         }
         
@@ -1434,6 +1238,39 @@ class APIManager {
         }
     }
     
+    /**
+     * Validate activity data
+     * partial skips the required fields, for updates
+     */
+    validateActivityData(activityData, { partial = false } = {}) {
+        if (!partial || activityData.type !== undefined) {
+            if (!this.activityTypes.includes(activityData.type)) {
+                throw new Error(`Activity type must be one of: ${this.activityTypes.join(', ')}`);
+            }
+        }
+        
+        if (!partial || activityData.subject !== undefined) {
+            if (!activityData.subject || activityData.subject.trim() === '') {
+                throw new Error('Activity subject is required');
+            }
+        }
+        
+        if (activityData.status !== undefined && !this.activityStatuses.includes(activityData.status)) {
+            throw new Error(`Activity status must be one of: ${this.activityStatuses.join(', ')}`);
+        }
+        
+        for (const field of ['scheduled_at', 'completed_at']) {
+            if (activityData[field] && Number.isNaN(new Date(activityData[field]).getTime())) {
+                throw new Error(`Activity ${field} must be a valid date`);
+            }
+        }
+        
+        if (activityData.duration_minutes !== undefined && activityData.duration_minutes !== null
+            && (!Number.isInteger(activityData.duration_minutes) || activityData.duration_minutes < 0)) {
+            throw new Error('Activity duration must be a positive number of minutes');
+        }
+    }
+    
     /**
      * Email validation
      */
@@ -1602,14 +1439,15 @@ class APIManager {
      */
     async processOfflineItem(item) {
         const { operation, entityType, data } = item;
+        const repository = this.entity(entityType);
         
         switch (operation) {
             case 'create':
-                return await this[`create${this.capitalize(entityType.slice(0, -1))}`](data, { optimistic: false });
+                return await repository.create(data, { optimistic: false });
             case 'update':
-                return await this[`update${this.capitalize(entityType.slice(0, -1))}`](data.id, data, { optimistic: false });
+                return await repository.update(data.id, data, { optimistic: false });
             case 'delete':
-                return await this[`delete${this.capitalize(entityType.slice(0, -1))}`](data.id, { optimistic: false });
+                return await repository.delete(data.id, { optimistic: false });
             default:
                 throw new Error(`Unknown operation: ${operation}`);
         }
@@ -1717,30 +1555,33 @@ class APIManager {
         const {
             timeframe = '30d',
             includeForecasts = true,
-            includeTrends = true
+            includeTrends = true,
+            concurrency = 2,
+            signal
         } = options;
         
         try {
-            const deals = await this.getDeals();
-            const companies = await this.getCompanies();
-            const contacts = await this.getContacts();
+            // Every page, the metrics are wrong on a partial pipeline
+            const deals = await this.listAll('deals', { concurrency, signal });
+            const companies = await this.listAll('companies', { concurrency, signal });
+            const contacts = await this.listAll('contacts', { concurrency, signal });
             
             const analytics = {
-                summary: this.calculateSummaryMetrics(deals.deals),
-                pipeline: this.calculatePipelineMetrics(deals.deals),
-                conversion: this.calculateConversionMetrics(deals.deals),
-                companies: this.calculateCompanyMetrics(companies.companies),
-                contacts: this.calculateContactMetrics(contacts.contacts),
+                summary: this.calculateSummaryMetrics(deals),
+                pipeline: this.calculatePipelineMetrics(deals),
+                conversion: this.calculateConversionMetrics(deals),
+                companies: this.calculateCompanyMetrics(companies),
+                contacts: this.calculateContactMetrics(contacts),
                 timeframe,
                 generatedAt: new Date().toISOString()
             };
             
             if (includeForecasts) {
-                analytics.forecasts = this.generateForecasts(deals.deals);
+                analytics.forecasts = this.generateForecasts(deals);
             }
             
             if (includeTrends) {
-                analytics.trends = this.calculateTrends(deals.deals, timeframe);
+                analytics.trends = this.calculateTrends(deals, timeframe);
             }
             
             this.emit('analyticsGenerated', analytics);
@@ -1956,10 +1797,17 @@ class APIManager {
     }
     
     /**
-     * Apply request interceptors
+     * Warning logging
      */
-    applyRequestInterceptors(requestData) {
-        let result = { ...requestData };
+    logWarn(...args) {
+        console.warn('[NocoDB API WARNING]', ...args);
+    }
+    
+    /**
+     * Apply request interceptors
+     */
+    applyRequestInterceptors(requestData) {
+        let result = { ...requestData };
         
         for (const interceptor of this.requestInterceptors) {
             try {
@@ -2150,6 +1998,15 @@ class APIManager {
                     throw new Error(`Table '${tableName}' not found in project`);
                 }
                 
+                // The table list does not always include the columns
+                if (!table.columns) {
+                    const tableResponse = await this.makeRequest('GET', `/api/v1/db/meta/tables/${table.id}`, null, 0, false);
+                    if (!tableResponse.ok) {
+                        throw new APIError(`Failed to get columns of table '${tableName}': ${tableResponse.error}`, tableResponse.status);
+                    }
+                    return { ...table, columns: tableResponse.data.columns || [] };
+                }
+                
                 return table;
             } else {
                 throw new APIError(`Failed to get table schema: ${response.error}`, response.status);
@@ -2162,6 +2019,7 @@ class APIManager {
     
     /**
      * Validate all table schemas
+     * Reports, per table, the mapped fields whose column is missing and the columns no field maps to
      */
     async validateSchemas() {
         const results = {};
@@ -2169,16 +2027,22 @@ class APIManager {
         for (const [entityType, config] of Object.entries(this.tables)) {
             try {
                 const schema = await this.getTableSchema(config.tableName);
-                const fieldValidation = this.validateTableFields(schema, config.fields);
+                const fieldValidation = this.validateTableFields(schema, config);
                 
                 results[entityType] = {
                     valid: fieldValidation.valid,
-                    schema,
+                    table: config.tableName,
+                    mappingSource: this.fieldMappingReports[entityType].source,
                     fieldValidation
                 };
+                
+                if (!fieldValidation.valid) {
+                    this.logWarn(`⚠️ Schema drift on ${config.tableName}:`, fieldValidation.messages.join('; '));
+                }
             } catch (error) {
                 results[entityType] = {
                     valid: false,
+                    table: config.tableName,
                     error: error.message
                 };
             }
@@ -2189,28 +2053,31 @@ class APIManager {
     }
     
     /**
-     * Validate table fields against expected schema
+     * Validate the field mapping of a table against its metadata
+     * - missing: fields whose column is not in the table, they are not sent
+     * - stale: fields whose NocoDB title changed since the mapping was loaded, loadFieldMappings() picks it up
+     * - unmapped: columns of the table no field maps to
      */
-    validateTableFields(schema, expectedFields) {
-        const actualFields = schema.columns || [];
-        const actualFieldNames = actualFields.map(col => col.column_name || col.title);
+    validateTableFields(schema, config) {
+        const { fields, report } = this.buildFieldMapping(config.columns, schema.columns || []);
         
-        const missing = [];
-        const extra = actualFieldNames.filter(name => 
-            !Object.values(expectedFields).includes(name)
-        );
+        const stale = Object.entries(fields)
+            .filter(([field, title]) => config.fields[field] !== title)
+            .map(([field, title]) => ({ field, column: config.columns[field], expected: config.fields[field], actual: title }));
         
-        for (const [key, expectedName] of Object.entries(expectedFields)) {
-            if (!actualFieldNames.includes(expectedName)) {
-                missing.push(expectedName);
-            }
-        }
+        const messages = [
+            ...report.missing.map(({ field, column }) => `field '${field}' maps to column '${column}', which is missing`),
+            ...stale.map(({ field, column, expected, actual }) => (expected
+                ? `field '${field}' is sent as '${expected}' but NocoDB expects '${actual}'`
+                : `field '${field}' is not sent but column '${column}' now exists`))
+        ];
         
         return {
-            valid: missing.length === 0,
-            missing,
-            extra,
-            actualFields: actualFieldNames
+            valid: messages.length === 0,
+            missing: report.missing,
+            stale,
+            unmapped: report.unmapped,
+            messages
         };
     }
     
@@ -2322,6 +2189,833 @@ class APIError extends Error {
     }
 }
 
+/**
+ * Composable filters, sent to NocoDB as a where clause or evaluated on cached records
+ *
+ * Filters are plain objects, so they can be stored with offline data or built from JSON:
+ * - { field, op, value } and { field, op, subOp, value } for date sub-operations
+ * - { and: [...] }, { or: [...] }, { not: filter }
+ * - { field: value, field: { op: value } }, the legacy form, is an and group
+ *
+ *   QueryFilter.and(
+ *       QueryFilter.eq('stage', 'proposal'),
+ *       QueryFilter.or(QueryFilter.gt('amount', 10000), QueryFilter.like('title', 'renewal')),
+ *       QueryFilter.not(QueryFilter.blank('owner_id')),
+ *       QueryFilter.isWithin('expected_close_date', 'nextNumberOfDays', 30)
+ *   )
+ */
+class QueryFilter {
+    // Operators without a value
+    static UNARY_OPERATORS = ['blank', 'notblank', 'checked', 'notchecked'];
+    
+    // Operators taking a list of values
+    static LIST_OPERATORS = ['in', 'btw', 'nbtw', 'allof', 'anyof', 'nallof', 'nanyof'];
+    
+    static OPERATORS = [
+        'eq', 'neq', 'gt', 'ge', 'lt', 'le', 'like', 'nlike', 'isWithin',
+        ...QueryFilter.UNARY_OPERATORS,
+        ...QueryFilter.LIST_OPERATORS
+    ];
+    
+    static ALIASES = { ne: 'neq', not: 'neq', gte: 'ge', lte: 'le' };
+    
+    // Operator matching the opposite records, used to push not down to the conditions
+    static NEGATIONS = {
+        eq: 'neq', neq: 'eq', gt: 'le', le: 'gt', lt: 'ge', ge: 'lt',
+        like: 'nlike', nlike: 'like', btw: 'nbtw', nbtw: 'btw',
+        blank: 'notblank', notblank: 'blank', checked: 'notchecked', notchecked: 'checked',
+        allof: 'nallof', nallof: 'allof', anyof: 'nanyof', nanyof: 'anyof'
+    };
+    
+    // Date sub-operations of eq/neq/gt/ge/lt/le, the ones marked true take a number or a date
+    static DATE_SUB_OPERATIONS = {
+        today: false, tomorrow: false, yesterday: false,
+        oneWeekAgo: false, oneWeekFromNow: false, oneMonthAgo: false, oneMonthFromNow: false,
+        daysAgo: true, daysFromNow: true, exactDate: true
+    };
+    
+    // Sub-operations of isWithin, the ones marked true take a number of days
+    static WITHIN_SUB_OPERATIONS = {
+        pastWeek: false, pastMonth: false, pastYear: false,
+        nextWeek: false, nextMonth: false, nextYear: false,
+        pastNumberOfDays: true, nextNumberOfDays: true
+    };
+    
+    // ------------------------------------------------------------------------
+    // Builders
+    // ------------------------------------------------------------------------
+    
+    static and(...filters) {
+        return { and: filters };
+    }
+    
+    static or(...filters) {
+        return { or: filters };
+    }
+    
+    static not(filter) {
+        // Fail here rather than when the where clause is built
+        QueryFilter.normalize({ not: filter });
+        return { not: filter };
+    }
+    
+    static condition(field, op, value, subOp) {
+        return subOp === undefined ? { field, op, value } : { field, op, subOp, value };
+    }
+    
+    static eq(field, value) { return QueryFilter.condition(field, 'eq', value); }
+    static neq(field, value) { return QueryFilter.condition(field, 'neq', value); }
+    static gt(field, value) { return QueryFilter.condition(field, 'gt', value); }
+    static ge(field, value) { return QueryFilter.condition(field, 'ge', value); }
+    static lt(field, value) { return QueryFilter.condition(field, 'lt', value); }
+    static le(field, value) { return QueryFilter.condition(field, 'le', value); }
+    static like(field, value) { return QueryFilter.condition(field, 'like', value); }
+    static nlike(field, value) { return QueryFilter.condition(field, 'nlike', value); }
+    static in(field, values) { return QueryFilter.condition(field, 'in', values); }
+    static btw(field, min, max) { return QueryFilter.condition(field, 'btw', [min, max]); }
+    static nbtw(field, min, max) { return QueryFilter.condition(field, 'nbtw', [min, max]); }
+    static blank(field) { return QueryFilter.condition(field, 'blank'); }
+    static notblank(field) { return QueryFilter.condition(field, 'notblank'); }
+    
+    /**
+     * Compare a date field with a date sub-operation, e.g. date('created_at', 'ge', 'daysAgo', 7)
+     */
+    static date(field, op, subOp, value) {
+        return QueryFilter.condition(field, op, value, subOp);
+    }
+    
+    /**
+     * Date field within a period, e.g. isWithin('scheduled_at', 'nextNumberOfDays', 14)
+     */
+    static isWithin(field, subOp, value) {
+        return QueryFilter.condition(field, 'isWithin', value, subOp);
+    }
+    
+    // ------------------------------------------------------------------------
+    // Normalization
+    // ------------------------------------------------------------------------
+    
+    /**
+     * Turn a filter (DSL or legacy map) into a tree of and/or/not groups and checked conditions,
+     * null when it has no condition
+     */
+    static normalize(filter) {
+        if (filter === null || filter === undefined) {
+            return null;
+        }
+        if (typeof filter !== 'object' || Array.isArray(filter)) {
+            throw new Error(`Invalid filter: ${JSON.stringify(filter)}`);
+        }
+        
+        if (Array.isArray(filter.and) || Array.isArray(filter.or)) {
+            const type = Array.isArray(filter.and) ? 'and' : 'or';
+            const children = filter[type].map(child => QueryFilter.normalize(child)).filter(Boolean);
+            if (children.length === 0) return null;
+            if (children.length === 1) return children[0];
+            return { [type]: children };
+        }
+        
+        if ('not' in filter) {
+            const child = QueryFilter.normalize(filter.not);
+            if (child) {
+                QueryFilter.negate(child);
+            }
+            return child ? { not: child } : null;
+        }
+        
+        if ('field' in filter && 'op' in filter) {
+            return QueryFilter.normalizeCondition(filter);
+        }
+        
+        // Legacy map: { field: value }, { field: [values] } or { field: { op: value } }
+        const conditions = [];
+        for (const [field, condition] of Object.entries(filter)) {
+            if (typeof condition === 'object' && condition !== null && !Array.isArray(condition) && !(condition instanceof Date)) {
+                for (const [op, value] of Object.entries(condition)) {
+                    conditions.push(QueryFilter.normalizeCondition({ field, op, value }));
+                }
+            } else {
+                const op = Array.isArray(condition) ? 'in' : 'eq';
+                conditions.push(QueryFilter.normalizeCondition({ field, op, value: condition }));
+            }
+        }
+        return QueryFilter.normalize({ and: conditions });
+    }
+    
+    static normalizeCondition({ field, op, subOp, value }) {
+        const operator = QueryFilter.ALIASES[op] || op;
+        
+        if (typeof field !== 'string' || field === '' || /[,()~]/.test(field)) {
+            throw new Error(`Invalid filter field: ${field}`);
+        }
+        if (!QueryFilter.OPERATORS.includes(operator)) {
+            throw new Error(`Unknown filter operator: ${op}`);
+        }
+        
+        if (operator === 'isWithin') {
+            if (!(subOp in QueryFilter.WITHIN_SUB_OPERATIONS)) {
+                throw new Error(`Unknown isWithin period: ${subOp}`);
+            }
+        } else if (subOp !== undefined) {
+            if (!['eq', 'neq', 'gt', 'ge', 'lt', 'le'].includes(operator) || !(subOp in QueryFilter.DATE_SUB_OPERATIONS)) {
+                throw new Error(`Unknown date sub-operation: ${op} ${subOp}`);
+            }
+        } else if (QueryFilter.LIST_OPERATORS.includes(operator)) {
+            if (!Array.isArray(value) || value.length === 0 || value.some(item => item === undefined)
+                || (['btw', 'nbtw'].includes(operator) && value.length !== 2)) {
+                throw new Error(`Filter operator ${operator} on ${field} needs ${['btw', 'nbtw'].includes(operator) ? 'two values' : 'a list of values'}`);
+            }
+        }
+        
+        const condition = { field, op: operator };
+        if (subOp !== undefined) condition.subOp = subOp;
+        if (!QueryFilter.UNARY_OPERATORS.includes(operator) && value !== undefined) condition.value = value;
+        return condition;
+    }
+    
+    /**
+     * Push not down to the conditions (De Morgan), NocoDB has no standalone negation
+     * Blank values fail most comparisons on both sides (not(gt) is not le for a blank amount):
+     * the negation adds blank or notblank so that it matches what !matches() returns.
+     * isWithin has no opposite operator and cannot be negated
+     */
+    static negate(node) {
+        if (node.and) return { or: node.and.map(child => QueryFilter.negate(child)) };
+        if (node.or) return { and: node.or.map(child => QueryFilter.negate(child)) };
+        if (node.not) return node.not;
+        
+        if (node.op === 'in') {
+            return { and: node.value.map(value => ({ field: node.field, op: 'neq', value })) };
+        }
+        if (!QueryFilter.NEGATIONS[node.op]) {
+            throw new Error(`Filter operator ${node.op} on ${node.field} cannot be negated`);
+        }
+        
+        const negated = { ...node, op: QueryFilter.NEGATIONS[node.op] };
+        const blankMatches = QueryFilter.matchNode(node, {}, new Date());
+        if (QueryFilter.matchNode(negated, {}, new Date()) !== blankMatches) {
+            return negated;
+        }
+        return blankMatches
+            ? { and: [negated, { field: node.field, op: 'notblank' }] }
+            : { or: [negated, { field: node.field, op: 'blank' }] };
+    }
+    
+    // ------------------------------------------------------------------------
+    // NocoDB where clause
+    // ------------------------------------------------------------------------
+    
+    /**
+     * Quote values holding characters of the where syntax, NocoDB's filter parser reads
+     * double-quoted values with backslash escapes
+     */
+    static escapeValue(value) {
+        let text;
+        if (value instanceof Date) {
+            text = value.toISOString();
+        } else if (value === null || value === undefined) {
+            text = '';
+        } else {
+            text = String(value);
+        }
+        
+        return /[,()~"\\]|^\s|\s$/.test(text) ? `"${text.replace(/["\\]/g, '\\$&')}"` : text;
+    }
+    
+    /**
+     * Build the where clause of a filter, resolveField maps field names to NocoDB field titles
+     */
+    static toWhere(filter, resolveField = field => field) {
+        const tree = QueryFilter.normalize(filter);
+        return tree ? QueryFilter.renderNode(tree, resolveField) : '';
+    }
+    
+    static renderNode(node, resolveField) {
+        if (node.not) {
+            return QueryFilter.renderNode(QueryFilter.negate(node.not), resolveField);
+        }
+        
+        if (node.and || node.or) {
+            return (node.and || node.or)
+                .map(child => {
+                    let resolved = child;
+                    while (resolved.not) {
+                        resolved = QueryFilter.negate(resolved.not);
+                    }
+                    const clause = QueryFilter.renderNode(resolved, resolveField);
+                    return resolved.and || resolved.or ? `(${clause})` : clause;
+                })
+                .join(node.and ? '~and' : '~or');
+        }
+        
+        const parts = [resolveField(node.field), node.op];
+        if (node.subOp !== undefined) parts.push(node.subOp);
+        if (Array.isArray(node.value)) {
+            parts.push(...node.value.map(value => QueryFilter.escapeValue(value)));
+        } else if (node.value !== undefined) {
+            parts.push(QueryFilter.escapeValue(node.value));
+        }
+        
+        return `(${parts.join(',')})`;
+    }
+    
+    // ------------------------------------------------------------------------
+    // Client-side evaluation
+    // ------------------------------------------------------------------------
+    
+    /**
+     * Whether a record (application format) matches a filter, as NocoDB would answer
+     */
+    static matches(filter, record, now = new Date()) {
+        const tree = QueryFilter.normalize(filter);
+        return tree ? QueryFilter.matchNode(tree, record, now) : true;
+    }
+    
+    static matchNode(node, record, now) {
+        if (node.and) return node.and.every(child => QueryFilter.matchNode(child, record, now));
+        if (node.or) return node.or.some(child => QueryFilter.matchNode(child, record, now));
+        if (node.not) return !QueryFilter.matchNode(node.not, record, now);
+        
+        const actual = record[node.field];
+        const isBlank = actual === null || actual === undefined || actual === '' || (Array.isArray(actual) && actual.length === 0);
+        
+        switch (node.op) {
+            case 'blank': return isBlank;
+            case 'notblank': return !isBlank;
+            case 'checked': return actual === true || actual === 1 || actual === 'true';
+            case 'notchecked': return !(actual === true || actual === 1 || actual === 'true');
+            case 'isWithin': return !isBlank && QueryFilter.isWithinPeriod(actual, node.subOp, node.value, now);
+        }
+        
+        if (node.subOp !== undefined) {
+            return !isBlank && QueryFilter.compareDates(actual, node.op, QueryFilter.resolveDate(node.subOp, node.value, now));
+        }
+        
+        switch (node.op) {
+            case 'eq': return !isBlank && QueryFilter.compare(actual, node.value) === 0;
+            case 'neq': return isBlank || QueryFilter.compare(actual, node.value) !== 0;
+            case 'gt': return !isBlank && QueryFilter.compare(actual, node.value) > 0;
+            case 'ge': return !isBlank && QueryFilter.compare(actual, node.value) >= 0;
+            case 'lt': return !isBlank && QueryFilter.compare(actual, node.value) < 0;
+            case 'le': return !isBlank && QueryFilter.compare(actual, node.value) <= 0;
+            case 'like': return !isBlank && QueryFilter.likePattern(node.value).test(String(actual));
+            case 'nlike': return isBlank || !QueryFilter.likePattern(node.value).test(String(actual));
+            case 'in': return !isBlank && node.value.some(value => QueryFilter.compare(actual, value) === 0);
+            case 'btw': return !isBlank && QueryFilter.compare(actual, node.value[0]) >= 0 && QueryFilter.compare(actual, node.value[1]) <= 0;
+            case 'nbtw': return isBlank || QueryFilter.compare(actual, node.value[0]) < 0 || QueryFilter.compare(actual, node.value[1]) > 0;
+        }
+        
+        // Multi-select fields: arrays or comma-separated strings
+        const options = Array.isArray(actual) ? actual.map(String) : isBlank ? [] : String(actual).split(',');
+        const wanted = node.value.map(String);
+        switch (node.op) {
+            case 'allof': return wanted.every(value => options.includes(value));
+            case 'anyof': return wanted.some(value => options.includes(value));
+            case 'nallof': return !wanted.every(value => options.includes(value));
+            case 'nanyof': return !wanted.some(value => options.includes(value));
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Compare numbers as numbers, dates as dates and the rest as case-insensitive text
+     */
+    static compare(actual, expected) {
+        if (typeof actual === 'boolean' || typeof expected === 'boolean') {
+            return String(actual) === String(expected) ? 0 : 1;
+        }
+        
+        const actualNumber = Number(actual);
+        const expectedNumber = Number(expected);
+        if (actual !== '' && expected !== '' && !Number.isNaN(actualNumber) && !Number.isNaN(expectedNumber)) {
+            return actualNumber - expectedNumber;
+        }
+        
+        if (expected instanceof Date || actual instanceof Date) {
+            return new Date(actual).getTime() - new Date(expected).getTime();
+        }
+        
+        return String(actual).localeCompare(String(expected), undefined, { sensitivity: 'accent' });
+    }
+    
+    // like matches anywhere in the text unless the value has % wildcards, ignoring case
+    static likePattern(value) {
+        const text = String(value ?? '');
+        const source = text
+            .split('%')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(text.includes('%') ? `^${source}$` : source, 'i');
+    }
+    
+    static startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+    
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    }
+    
+    static addMonths(date, months) {
+        const result = new Date(date);
+        result.setMonth(result.getMonth() + months);
+        return result;
+    }
+    
+    /**
+     * Day a date sub-operation refers to
+     */
+    static resolveDate(subOp, value, now) {
+        const today = QueryFilter.startOfDay(now);
+        
+        switch (subOp) {
+            case 'today': return today;
+            case 'tomorrow': return QueryFilter.addDays(today, 1);
+            case 'yesterday': return QueryFilter.addDays(today, -1);
+            case 'oneWeekAgo': return QueryFilter.addDays(today, -7);
+            case 'oneWeekFromNow': return QueryFilter.addDays(today, 7);
+            case 'oneMonthAgo': return QueryFilter.addMonths(today, -1);
+            case 'oneMonthFromNow': return QueryFilter.addMonths(today, 1);
+            case 'daysAgo': return QueryFilter.addDays(today, -Number(value));
+            case 'daysFromNow': return QueryFilter.addDays(today, Number(value));
+            case 'exactDate': return QueryFilter.startOfDay(new Date(value));
+        }
+        throw new Error(`Unknown date sub-operation: ${subOp}`);
+    }
+    
+    // Date comparisons are by day, as in NocoDB
+    static compareDates(actual, op, day) {
+        const difference = QueryFilter.startOfDay(new Date(actual)).getTime() - day.getTime();
+        
+        switch (op) {
+            case 'eq': return difference === 0;
+            case 'neq': return difference !== 0;
+            case 'gt': return difference > 0;
+            case 'ge': return difference >= 0;
+            case 'lt': return difference < 0;
+            case 'le': return difference <= 0;
+        }
+        return false;
+    }
+    
+    static isWithinPeriod(actual, subOp, value, now) {
+        const today = QueryFilter.startOfDay(now);
+        const periods = {
+            pastWeek: [QueryFilter.addDays(today, -7), today],
+            pastMonth: [QueryFilter.addMonths(today, -1), today],
+            pastYear: [QueryFilter.addMonths(today, -12), today],
+            nextWeek: [today, QueryFilter.addDays(today, 7)],
+            nextMonth: [today, QueryFilter.addMonths(today, 1)],
+            nextYear: [today, QueryFilter.addMonths(today, 12)],
+            pastNumberOfDays: [QueryFilter.addDays(today, -Number(value)), today],
+            nextNumberOfDays: [today, QueryFilter.addDays(today, Number(value))]
+        };
+        
+        const [from, to] = periods[subOp];
+        const day = QueryFilter.startOfDay(new Date(actual));
+        return day >= from && day <= to;
+    }
+}
+
+/**
+ * CRUD operations of one NocoDB table, driven by its APIManager.tables configuration
+ * Emits the same events for every entity: dealsLoaded, dealCreated, contactUpdated...
+ */
+class EntityRepository {
+    constructor(manager, tableType) {
+        this.manager = manager;
+        this.tableType = tableType;
+        this.config = manager.tables[tableType];
+        this.name = this.config.singular;
+    }
+    
+    validate(data, options) {
+        if (this.config.validate) {
+            this.config.validate(data, options);
+        }
+    }
+    
+    toAPI(data) {
+        return this.config.toAPI ? this.config.toAPI(data) : this.manager.transformToAPI(this.tableType, data);
+    }
+    
+    fromAPI(apiData) {
+        return this.config.fromAPI ? this.config.fromAPI(apiData) : this.manager.transformFromAPI(this.tableType, apiData);
+    }
+    
+    changed(action, entity) {
+        if (this.config.onChange) {
+            this.config.onChange(action, entity);
+        }
+    }
+    
+    /**
+     * Fetch one page, without events or offline fallback
+     */
+    async fetchPage(options = {}, { signal } = {}) {
+        const manager = this.manager;
+        
+        const endpoint = manager.buildDataEndpoint(this.tableType);
+        const queryParams = manager.buildAdvancedQueryParams(options, this.tableType);
+        const fullEndpoint = queryParams ? `${endpoint}?${queryParams}` : endpoint;
+        
+        const response = await manager.makeRequest('GET', fullEndpoint, null, 0, true, { signal });
+        
+        if (!response.ok) {
+            throw new APIError(`Failed to fetch ${this.tableType}: ${response.error}`, response.status);
+        }
+        
+        const data = response.data;
+        return {
+            items: (data.list || data.rows || data).map(item => this.fromAPI(item)),
+            pageInfo: data.pageInfo,
+            count: data.count
+        };
+    }
+    
+    /**
+     * List with advanced filtering and pagination
+     */
+    async list(options = {}) {
+        const manager = this.manager;
+        
+        try {
+            const { items, pageInfo, count } = await this.fetchPage(options);
+            
+            manager.emit(`${this.tableType}Loaded`, {
+                [this.tableType]: items,
+                count: items.length,
+                pagination: pageInfo
+            });
+            
+            return {
+                [this.tableType]: items,
+                pagination: pageInfo || { hasMore: false },
+                total: count || items.length
+            };
+        } catch (error) {
+            manager.logError(`list ${this.tableType} failed:`, error);
+            
+            // Return cached data if available, with the same filters
+            const cached = manager.getOfflineData(this.tableType);
+            if (cached) {
+                manager.log(`📋 Returning cached ${this.tableType} data`);
+                return options.filters && Array.isArray(cached[this.tableType])
+                    ? { ...cached, [this.tableType]: manager.filterRecords(cached[this.tableType], options.filters) }
+                    : cached;
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Iterate over every record, page after page until NocoDB reports the last one
+     * - filters, sort, fields: as for list()
+     * - pageSize: records per request, at most pagination.maxLimit (the default)
+     * - offset: record to start from
+     * - maxItems: stop after this many records
+     * - concurrency: pages requested at once, once the first page gave the total row count
+     * - signal: AbortSignal, aborting rejects the pending request with its reason
+     * Pages are offsets, the NocoDB v1 data API has no cursor: a record deleted during the iteration
+     * shifts the next ones back and one of them can be skipped, a record created shifts them forward
+     * and the record repeated on the next page is yielded only once (by id)
+     */
+    async *iterate(options = {}) {
+        const manager = this.manager;
+        const {
+            pageSize = manager.pagination.maxLimit,
+            offset = 0,
+            maxItems = Infinity,
+            concurrency = 1,
+            signal,
+            ...query
+        } = options;
+        
+        const limit = Math.max(1, Math.min(pageSize, manager.pagination.maxLimit));
+        const fetchAt = (pageOffset) => this.fetchPage({ ...query, pagination: { limit, offset: pageOffset } }, { signal });
+        // Responses without pageInfo are not paginated
+        const isLastPage = (page) => !page.pageInfo || page.pageInfo.isLastPage === true || page.items.length < limit;
+        
+        let remaining = maxItems;
+        const seen = new Set();
+        // Records of a page not yielded yet, up to maxItems
+        const take = (items) => {
+            const fresh = items.filter(item => item.id == null || !seen.has(item.id)).slice(0, remaining);
+            fresh.forEach(item => seen.add(item.id));
+            remaining -= fresh.length;
+            return fresh;
+        };
+        
+        const first = await fetchAt(offset);
+        for (const item of take(first.items)) {
+            signal?.throwIfAborted();
+            yield item;
+        }
+        if (remaining <= 0 || isLastPage(first)) {
+            return;
+        }
+        
+        const totalRows = first.pageInfo?.totalRows;
+        let nextOffset = offset + limit;
+        
+        // Without the total, a page is only requested once the previous one was not the last
+        const canPrefetch = concurrency > 1 && Number.isFinite(totalRows);
+        const end = canPrefetch ? Math.min(totalRows, offset + maxItems) : Infinity;
+        const pending = [];
+        
+        const fill = () => {
+            while (pending.length < (canPrefetch ? concurrency : 1) && nextOffset < end) {
+                const page = fetchAt(nextOffset);
+                // Prefetched pages left unread when the loop stops must not reject unhandled
+                page.catch(() => {});
+                pending.push(page);
+                nextOffset += limit;
+            }
+        };
+        
+        fill();
+        while (pending.length > 0) {
+            const page = await pending.shift();
+            for (const item of take(page.items)) {
+                signal?.throwIfAborted();
+                yield item;
+            }
+            if (remaining <= 0 || isLastPage(page)) {
+                return;
+            }
+            fill();
+        }
+    }
+    
+    /**
+     * Load every record into an array, same options as iterate()
+     */
+    async listAll(options = {}) {
+        const items = [];
+        for await (const item of this.iterate(options)) {
+            items.push(item);
+        }
+        return items;
+    }
+    
+    /**
+     * Get a single record with its relations
+     */
+    async get(id, options = {}) {
+        const manager = this.manager;
+        
+        try {
+            const { include = this.config.include || [] } = options;
+            
+            const endpoint = `${manager.buildDataEndpoint(this.tableType)}/${id}`;
+            const queryParams = include.length > 0 ?
+                manager.buildQueryParams({ include: include.join(',') }) : '';
+            
+            const fullEndpoint = queryParams ? `${endpoint}?${queryParams}` : endpoint;
+            const response = await manager.makeRequest('GET', fullEndpoint);
+            
+            if (response.ok) {
+                const entity = this.fromAPI(response.data);
+                manager.emit(`${this.name}Loaded`, { [this.name]: entity });
+                return entity;
+            } else {
+                throw new APIError(`Failed to fetch ${this.name}: ${response.error}`, response.status);
+            }
+        } catch (error) {
+            manager.logError(`get ${this.name}(${id}) failed:`, error);
+            
+            // Try offline storage
+            const cached = manager.getOfflineData(`${this.name}_${id}`);
+            if (cached) {
+                manager.log(`📋 Returning cached ${this.name} ${id}`);
+                return cached;
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Create with validation and optimistic updates
+     */
+    async create(data, options = {}) {
+        const manager = this.manager;
+        
+        try {
+            const { optimistic = true, validate = true } = options;
+            
+            if (validate) {
+                this.validate(data, { partial: false });
+            }
+            
+            const endpoint = manager.buildDataEndpoint(this.tableType);
+            const apiData = this.toAPI(data);
+            
+            // Optimistic update
+            if (optimistic) {
+                const optimisticEntity = { ...data, id: `temp_${Date.now()}` };
+                manager.emit(`${this.name}CreatedOptimistic`, { [this.name]: optimisticEntity });
+            }
+            
+            const response = await manager.makeRequest('POST', endpoint, apiData);
+            
+            if (response.ok) {
+                const created = this.fromAPI(response.data);
+                
+                await manager.updateYjsDocument(this.tableType, 'create', created);
+                this.changed('created', created);
+                
+                manager.emit(`${this.name}Created`, { [this.name]: created });
+                manager.log(`✅ ${manager.capitalize(this.name)} created: ${created.id}`);
+                
+                return created;
+            } else {
+                // Revert optimistic update
+                if (optimistic) {
+                    manager.emit(`${this.name}CreateFailed`, { error: response.error });
+                }
+                throw new APIError(`Failed to create ${this.name}: ${response.error}`, response.status);
+            }
+        } catch (error) {
+            manager.logError(`create ${this.name} failed:`, error);
+            
+            // Queue for offline sync
+            if (manager.isNetworkError(error)) {
+                await manager.queueOfflineOperation('create', this.tableType, data);
+                return { ...data, id: `offline_${Date.now()}`, _offline: true };
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Update, with conflict resolution for versioned tables
+     */
+    async update(id, data, options = {}) {
+        const manager = this.manager;
+        
+        try {
+            const {
+                optimistic = true,
+                conflictResolution = 'merge',
+                validate = true
+            } = options;
+            
+            if (validate) {
+                this.validate(data, { partial: true });
+            }
+            
+            // Current version, for conflict detection and the optimistic state
+            const current = (optimistic || this.config.versioned) ? await this.get(id) : null;
+            
+            const endpoint = `${manager.buildDataEndpoint(this.tableType)}/${id}`;
+            const apiData = this.toAPI(data);
+            
+            // Add version for optimistic concurrency control
+            if (this.config.versioned && current?.updated_at) {
+                apiData._version = current.updated_at;
+            }
+            
+            // Optimistic update
+            if (optimistic) {
+                manager.emit(`${this.name}UpdatedOptimistic`, { [this.name]: { ...current, ...data } });
+            }
+            
+            const response = await manager.makeRequest('PATCH', endpoint, apiData);
+            
+            if (response.ok) {
+                const updated = this.fromAPI(response.data);
+                
+                await manager.updateYjsDocument(this.tableType, 'update', updated);
+                this.changed('updated', updated);
+                
+                manager.emit(`${this.name}Updated`, { [this.name]: updated, previous: current });
+                manager.log(`✅ ${manager.capitalize(this.name)} updated: ${id}`);
+                
+                return updated;
+            } else if (response.status === 409 && this.config.versioned) {
+                return await manager.handleUpdateConflict(this.tableType, id, data, conflictResolution);
+            } else {
+                // Revert optimistic update
+                if (optimistic) {
+                    manager.emit(`${this.name}UpdateFailed`, { id, error: response.error });
+                }
+                throw new APIError(`Failed to update ${this.name}: ${response.error}`, response.status);
+            }
+        } catch (error) {
+            manager.logError(`update ${this.name}(${id}) failed:`, error);
+            
+            // Queue for offline sync
+            if (manager.isNetworkError(error)) {
+                await manager.queueOfflineOperation('update', this.tableType, { id, ...data });
+                return { ...data, id, _offline: true };
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Delete, cascade also deletes the related records
+     */
+    async delete(id, options = {}) {
+        const manager = this.manager;
+        
+        try {
+            const { optimistic = true, cascade = false } = options;
+            
+            // Get the record before deletion for cleanup and the events
+            const entity = await this.get(id);
+            
+            const endpoint = `${manager.buildDataEndpoint(this.tableType)}/${id}`;
+            
+            // Optimistic delete
+            if (optimistic) {
+                manager.emit(`${this.name}DeletedOptimistic`, { id, [this.name]: entity });
+            }
+            
+            const response = await manager.makeRequest('DELETE', endpoint);
+            
+            if (response.ok) {
+                if (cascade) {
+                    await manager.cascadeDeleteRelations(this.tableType, id);
+                }
+                
+                await manager.updateYjsDocument(this.tableType, 'delete', { id });
+                this.changed('deleted', entity);
+                
+                manager.emit(`${this.name}Deleted`, { id, [this.name]: entity });
+                manager.log(`✅ ${manager.capitalize(this.name)} deleted: ${id}`);
+                
+                return true;
+            } else {
+                // Revert optimistic delete
+                if (optimistic) {
+                    manager.emit(`${this.name}DeleteFailed`, { id, error: response.error });
+                }
+                throw new APIError(`Failed to delete ${this.name}: ${response.error}`, response.status);
+            }
+        } catch (error) {
+            manager.logError(`delete ${this.name}(${id}) failed:`, error);
+            
+            // Queue for offline sync
+            if (manager.isNetworkError(error)) {
+                await manager.queueOfflineOperation('delete', this.tableType, { id });
+                return true; // Assume success for UX
+            }
+            
+            throw error;
+        }
+    }
+}
+
 /**
  * Conflict Resolution Handler
  */
@@ -2410,11 +3104,9 @@ Object.assign(APIManager.prototype, {
             this.yjsDoc = new Y.Doc();
             
             // Setup shared maps for each entity type
-            this.yjsMaps = {
-                deals: this.yjsDoc.getMap('deals'),
-                contacts: this.yjsDoc.getMap('contacts'),
-                companies: this.yjsDoc.getMap('companies')
-            };
+            this.yjsMaps = Object.fromEntries(
+                Object.keys(this.tables).map(tableType => [tableType, this.yjsDoc.getMap(tableType)])
+            );
             
             // Setup observers for real-time updates
             Object.entries(this.yjsMaps).forEach(([type, map]) => {
@@ -2491,15 +3183,18 @@ Object.assign(APIManager.prototype, {
     /**
      * Handle update conflicts
      */
-    async handleUpdateConflict(id, localData, strategy) {
+    async handleUpdateConflict(tableType, id, localData, strategy) {
+        const repository = this.entity(tableType);
+        
         try {
             // Get current server data
-            const serverData = await this.getDeal(id);
+            const serverData = await repository.get(id);
             
             // Resolve conflict using strategy
             const resolution = this.conflictResolver.resolve(localData, serverData, strategy);
             
             this.emit('conflictResolved', {
+                tableType,
                 id,
                 strategy,
                 local: localData,
@@ -2508,9 +3203,9 @@ Object.assign(APIManager.prototype, {
             });
             
             // Apply resolved data
-            return await this.updateDeal(id, resolution.resolved, { optimistic: false });
+            return await repository.update(id, resolution.resolved, { optimistic: false });
         } catch (error) {
-            this.logError(`Conflict resolution failed for deal ${id}:`, error);
+            this.logError(`Conflict resolution failed for ${this.tables[tableType].singular} ${id}:`, error);
             throw error;
         }
     },
@@ -2535,7 +3230,7 @@ Object.assign(APIManager.prototype, {
         try {
             // Download from server
             if (direction === 'bidirectional' || direction === 'download') {
-                const remoteData = await this[`get${this.capitalize(entityType)}`]();
+                const remoteData = { [entityType]: await this.listAll(entityType) };
                 const localData = this.getOfflineData(entityType) || { [entityType]: [] };
                 
                 const mergeResult = await this.mergeData(
@@ -2661,6 +3356,7 @@ document.addEventListener('DOMContentLoaded', () => {
         authToken: window.NOCODB_AUTH_TOKEN,
         projectId: window.NOCODB_PROJECT_ID,
         orgId: window.NOCODB_ORG_ID,
+        tables: window.NOCODB_TABLES,
         debug: localStorage.getItem('DEBUG') === 'true'
     };
     
@@ -2681,6 +3377,7 @@ document.addEventListener('DOMContentLoaded', () => {
             testConnection: () => window.apiManager.testConnection(),
             getStatus: () => window.apiManager.getStatus(),
             validateSchemas: () => window.apiManager.validateSchemas(),
+            loadFieldMappings: () => window.apiManager.loadFieldMappings(),
             generateReport: () => window.apiManager.generateUsageReport(),
             clearCache: () => window.apiManager.cache.storage.clear(),
             processOfflineQueue: () => window.apiManager.processOfflineQueue(),
@@ -2693,6 +3390,7 @@ document.addEventListener('DOMContentLoaded', () => {
         console.log('  - testConnection(): Test connection and schema');
         console.log('  - getStatus(): Get current connection status');
         console.log('  - validateSchemas(): Validate table schemas');
+        console.log('  - loadFieldMappings(): Reload field mappings from NocoDB metadata');
         console.log('  - generateReport(): Generate usage report');
         console.log('  - clearCache(): Clear response cache');
         console.log('  - processOfflineQueue(): Process pending offline operations');
@@ -2703,10 +3401,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { APIManager, HTTPError, APIError, ConflictResolver };
+    module.exports = { APIManager, EntityRepository, QueryFilter, HTTPError, APIError, ConflictResolver };
 } else if (typeof window !== 'undefined') {
     // Browser global export
-    window.NocoDB = { APIManager, HTTPError, APIError, ConflictResolver };
+    window.NocoDB = { APIManager, EntityRepository, QueryFilter, HTTPError, APIError, ConflictResolver };
 }
 
 // TypeScript declarations for better IDE support
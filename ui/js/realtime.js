@@ -3,29 +3,64 @@
  * Yjs + Hocuspocus Integration following Context7 patterns
  * 
  * Features:
- * - Y.Doc per deal with namespace (deal:123)
+ * - Y.Doc per deal named tenant:entity:id (crm:deal:123)
  * - Y.Map for kanban position sync
  * - Y.Text for collaborative notes
  * - Awareness for user presence
  * - Robust connection management
  * - Conflict resolution CRDT
  * - Performance monitoring
+ * - Version history and restore
+ * - Stateless broadcast messages
+ * - Correlation IDs shared with the server logs
  */
 
 import * as Y from 'yjs';
 import { HocuspocusProvider } from '@hocuspocus/provider';
 import { IndexeddbPersistence } from 'y-indexeddb';
 
+// Close reasons sent by the server when a connection breaks an update limit
+const LIMIT_CLOSE_REASONS = ['update-too-large', 'document-too-large', 'rate-limited'];
+
+// Close reason sent by the server when an update breaks the deal schema
+const SCHEMA_VIOLATION_REASON = 'schema-violation';
+
+// Kanban columns -> deal stage and status accepted by the server schema (deals CHECK constraints)
+const KANBAN_COLUMN_FIELDS = {
+    lead: { stage: 'prospecting', status: 'open' },
+    qualified: { stage: 'qualification', status: 'open' },
+    proposal: { stage: 'proposal', status: 'open' },
+    negotiation: { stage: 'negotiation', status: 'open' },
+    won: { stage: 'closed_won', status: 'won' },
+    lost: { stage: 'closed_lost', status: 'lost' },
+    on_hold: { stage: 'on_hold', status: 'on_hold' }
+};
+
+// Deal statuses accepted as they are
+const DEAL_STATUSES = ['open', 'won', 'lost', 'on_hold', 'archived'];
+
+// Close reasons sent by the server admin routes
+const DOCUMENT_RESET_REASON = 'document-reset';
+const DISCONNECTED_BY_ADMIN_REASON = 'disconnected-by-admin';
+
+// Close reason sent by a server shutting down, another instance takes over
+const SERVER_DRAINING_REASON = 'server-draining';
+
 class CRMRealtimeManager {
     constructor(options = {}) {
         // Configuration
         this.config = {
             websocketUrl: options.websocketUrl || 'ws://localhost:3001',
-            namespace: options.namespace || 'crm',
+            httpUrl: options.httpUrl || null, // Server HTTP API, derived from websocketUrl by default
+            namespace: options.namespace || 'crm', // Tenant (CRM workspace) of every document
             reconnectDelay: options.reconnectDelay || 1000,
             maxReconnectAttempts: options.maxReconnectAttempts || 10,
             awarenessUpdateInterval: options.awarenessUpdateInterval || 5000,
             performanceMonitoring: options.performanceMonitoring !== false,
+            authTokenUrl: options.authTokenUrl || window.CRM_REALTIME_TOKEN_URL || null,
+            tokenProvider: options.tokenProvider || null,
+            tokenRefreshMargin: options.tokenRefreshMargin || 30000,
+            resyncOnSchemaViolation: options.resyncOnSchemaViolation !== false, // Drop the rejected local state and load the server copy
             ...options
         };
 
@@ -34,13 +69,16 @@ class CRMRealtimeManager {
         this.providers = new Map(); // dealId -> HocuspocusProvider
         this.persistence = new Map(); // dealId -> IndexeddbPersistence
         this.awareness = new Map(); // dealId -> Awareness data
+        this.correlationIds = new Map(); // dealId -> correlation ID of the session, logged by the server
         this.eventListeners = new Map(); // event -> callbacks[]
         
         // Connection state
         this.isOnline = navigator.onLine;
         this.reconnectAttempts = 0;
         this.reconnectTimeouts = new Map();
+        this.suspendedDeals = new Set(); // Deals over a size limit, with a rejected update or disconnected by an admin, not reconnected until resyncDeal
         this.currentUser = this.getCurrentUser();
+        this.authToken = null; // { token, expiresAt }
         
         // Performance monitoring
         this.performanceMetrics = {
@@ -74,9 +112,12 @@ class CRMRealtimeManager {
                 return this.documents.get(dealId);
             }
 
+            const correlationId = this.createCorrelationId();
+            this.correlationIds.set(dealId, correlationId);
+
             // Create Y.Doc with namespace
             const doc = new Y.Doc();
-            const docName = `${this.config.namespace}:deal:${dealId}`;
+            const docName = this.getDocumentName('deal', dealId);
             
             // Setup document structure
             const dealMap = doc.getMap('deal');
@@ -106,16 +147,21 @@ class CRMRealtimeManager {
                 url: this.config.websocketUrl,
                 name: docName,
                 document: doc,
-                token: this.getAuthToken(),
+                token: () => this.getAuthToken(),
                 parameters: {
                     dealId: dealId,
-                    userId: this.currentUser.id
+                    userId: this.currentUser.id,
+                    correlationId
                 },
                 onConnect: () => this.handleProviderConnect(dealId),
                 onDisconnect: () => this.handleProviderDisconnect(dealId),
+                onClose: ({ event }) => this.handleProviderClose(dealId, event),
                 onMessage: (data) => this.handleProviderMessage(dealId, data),
+                onStateless: ({ payload }) => this.handleProviderMessage(dealId, payload),
                 onStatus: (status) => this.handleProviderStatus(dealId, status),
-                onSynced: () => this.handleProviderSynced(dealId)
+                onSynced: () => this.handleProviderSynced(dealId),
+                onAuthenticated: () => this.handleProviderAuthenticated(dealId),
+                onAuthenticationFailed: (data) => this.handleAuthenticationFailed(dealId, data)
             });
 
             // Setup IndexedDB persistence
@@ -158,7 +204,31 @@ class CRMRealtimeManager {
         } catch (error) {
             this.performanceMetrics.errorCount++;
             console.error(`Failed to join deal: ${dealId}`, error);
-            this.emit('error', { type: 'join', dealId, error });
+            this.emit('error', { type: 'join', dealId, error, correlationId: this.getCorrelationId(dealId) });
+            throw error;
+        }
+    }
+
+    /**
+     * Drop the local state of a deal, IndexedDB included, and join it again from the server copy
+     * Recovery path for suspended deals: unsynced local edits are lost
+     */
+    async resyncDeal(dealId) {
+        const persistence = this.persistence.get(dealId);
+        this.persistence.delete(dealId);
+
+        try {
+            if (persistence) {
+                await persistence.clearData();
+            }
+            await this.leaveDeal(dealId);
+
+            const doc = await this.joinDeal(dealId);
+            this.emit('dealResynced', { dealId, correlationId: this.getCorrelationId(dealId) });
+            return doc;
+        } catch (error) {
+            console.error(`Failed to resync deal: ${dealId}`, error);
+            this.emit('error', { type: 'resync', dealId, error, correlationId: this.getCorrelationId(dealId) });
             throw error;
         }
     }
@@ -194,12 +264,14 @@ class CRMRealtimeManager {
 
             // Cancel reconnection attempts
             this.cancelReconnection(dealId);
+            this.suspendedDeals.delete(dealId);
+            this.correlationIds.delete(dealId);
 
             this.emit('dealLeft', { dealId });
             console.log(`Successfully left deal: ${dealId}`);
         } catch (error) {
             console.error(`Failed to leave deal: ${dealId}`, error);
-            this.emit('error', { type: 'leave', dealId, error });
+            this.emit('error', { type: 'leave', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
@@ -227,6 +299,7 @@ class CRMRealtimeManager {
                 // Update activity log
                 const activityArray = dealMap.doc.getArray('activity');
                 activityArray.push([{
+                    id: this.createId(),
                     type: 'position_update',
                     userId: this.currentUser.id,
                     timestamp: Date.now(),
@@ -246,42 +319,51 @@ class CRMRealtimeManager {
         } catch (error) {
             this.performanceMetrics.errorCount++;
             console.error(`Failed to sync position for deal: ${dealId}`, error);
-            this.emit('error', { type: 'position-sync', dealId, error });
+            this.emit('error', { type: 'position-sync', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
     /**
      * Sync deal status change
+     * status is a kanban column (lead, qualified, proposal, ...) or a deal status (open, won, ...),
+     * written as the stage and status the server schema accepts. metadata only goes to the activity log,
+     * other keys on the deal map would be rejected by the schema
      */
     syncDealStatus(dealId, status, metadata = {}) {
         const dealMap = this.getDealMap(dealId);
         if (!dealMap) return;
 
+        const fields = this.resolveDealStatus(status);
+        if (!fields) {
+            const error = new Error(`Unknown deal status: ${status}`);
+            console.error(`Failed to sync status for deal: ${dealId}`, error);
+            this.emit('error', { type: 'status-sync', dealId, error, correlationId: this.getCorrelationId(dealId) });
+            return;
+        }
+
         try {
             dealMap.doc.transact(() => {
-                dealMap.set('status', status);
-                dealMap.set('statusUpdatedAt', Date.now());
-                dealMap.set('statusUpdatedBy', this.currentUser.id);
-                
-                // Add metadata
-                Object.entries(metadata).forEach(([key, value]) => {
+                Object.entries(fields).forEach(([key, value]) => {
                     dealMap.set(key, value);
                 });
+                dealMap.set('statusUpdatedAt', Date.now());
+                dealMap.set('statusUpdatedBy', this.currentUser.id);
                 
                 // Update activity log
                 const activityArray = dealMap.doc.getArray('activity');
                 activityArray.push([{
+                    id: this.createId(),
                     type: 'status_update',
                     userId: this.currentUser.id,
                     timestamp: Date.now(),
-                    data: { status, metadata }
+                    data: { status, ...fields, metadata }
                 }]);
             }, 'status-update');
 
             this.emit('statusSynced', { dealId, status, metadata });
         } catch (error) {
             console.error(`Failed to sync status for deal: ${dealId}`, error);
-            this.emit('error', { type: 'status-sync', dealId, error });
+            this.emit('error', { type: 'status-sync', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
@@ -319,7 +401,7 @@ class CRMRealtimeManager {
             this.emit('notesSynced', { dealId, content, metadata });
         } catch (error) {
             console.error(`Failed to sync notes for deal: ${dealId}`, error);
-            this.emit('error', { type: 'notes-sync', dealId, error });
+            this.emit('error', { type: 'notes-sync', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
@@ -338,7 +420,7 @@ class CRMRealtimeManager {
             this.emit('notesInserted', { dealId, index, text });
         } catch (error) {
             console.error(`Failed to insert notes text for deal: ${dealId}`, error);
-            this.emit('error', { type: 'notes-insert', dealId, error });
+            this.emit('error', { type: 'notes-insert', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
@@ -357,7 +439,7 @@ class CRMRealtimeManager {
             this.emit('notesDeleted', { dealId, index, length });
         } catch (error) {
             console.error(`Failed to delete notes text for deal: ${dealId}`, error);
-            this.emit('error', { type: 'notes-delete', dealId, error });
+            this.emit('error', { type: 'notes-delete', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
@@ -381,7 +463,7 @@ class CRMRealtimeManager {
             this.emit('presenceUpdated', { dealId, state });
         } catch (error) {
             console.error(`Failed to update presence for deal: ${dealId}`, error);
-            this.emit('error', { type: 'presence-update', dealId, error });
+            this.emit('error', { type: 'presence-update', dealId, error, correlationId: this.getCorrelationId(dealId) });
         }
     }
 
@@ -407,6 +489,29 @@ class CRMRealtimeManager {
         return users;
     }
 
+    // ===========================================
+    // BROADCAST MESSAGES
+    // ===========================================
+
+    /**
+     * Send a transient message to the other viewers of a deal (the server only relays allowed types, e.g. typing)
+     */
+    sendBroadcast(dealId, type, data = null) {
+        const provider = this.providers.get(dealId);
+        if (!provider || this.isReadOnly(dealId)) return false;
+
+        provider.sendStateless(JSON.stringify({ type, data }));
+        return true;
+    }
+
+    /**
+     * Subscribe to one message type, returns the unsubscribe function
+     */
+    onBroadcast(type, callback) {
+        this.on(`broadcast:${type}`, callback);
+        return () => this.off(`broadcast:${type}`, callback);
+    }
+
     // ===========================================
     // UI INTEGRATION HELPERS
     // ===========================================
@@ -526,11 +631,78 @@ class CRMRealtimeManager {
         console.log(`Provider disconnected for deal: ${dealId}`);
         this.emit('disconnected', { dealId });
         
-        if (this.isOnline) {
+        if (this.isOnline && !this.suspendedDeals.has(dealId)) {
             this.scheduleReconnection(dealId);
         }
     }
 
+    /**
+     * Handle connections closed by the server: update limits, administrators and drain mode
+     */
+    handleProviderClose(dealId, event) {
+        // Not a failure: reconnect at once instead of backing off, the load balancer routes elsewhere
+        if (event?.reason === SERVER_DRAINING_REASON) {
+            console.log(`Server draining, reconnecting deal ${dealId}`);
+            this.cancelReconnection(dealId);
+            this.reconnectAttempts = 0;
+            this.emit('serverDraining', { dealId });
+            this.providers.get(dealId)?.connect();
+            return;
+        }
+
+        // The document was force-closed on the server, the provider reconnects and syncs again
+        if (event?.reason === DOCUMENT_RESET_REASON) {
+            console.warn(`Deal ${dealId} was reset by an administrator`);
+            this.emit('documentReset', { dealId });
+            return;
+        }
+
+        if (event?.reason === DISCONNECTED_BY_ADMIN_REASON) {
+            console.warn(`Disconnected from deal ${dealId} by an administrator`);
+            this.emit('disconnectedByAdmin', { dealId, correlationId: this.getCorrelationId(dealId) });
+            this.suspendedDeals.add(dealId);
+            this.providers.get(dealId)?.disconnect();
+            return;
+        }
+
+        // The rejected update stays in the local state and would be sent again on every reconnect
+        if (event?.reason === SCHEMA_VIOLATION_REASON) {
+            console.warn(`Update rejected by the server schema for deal ${dealId}`);
+            this.emit('schemaViolation', {
+                dealId,
+                code: event.code,
+                reason: event.reason,
+                resyncing: this.config.resyncOnSchemaViolation,
+                correlationId: this.getCorrelationId(dealId)
+            });
+            this.suspendedDeals.add(dealId);
+            this.providers.get(dealId)?.disconnect();
+
+            if (this.config.resyncOnSchemaViolation) {
+                this.resyncDeal(dealId).catch(() => {});
+            }
+            return;
+        }
+
+        if (!event || !LIMIT_CLOSE_REASONS.includes(event.reason)) {
+            return;
+        }
+
+        console.warn(`Connection closed for deal ${dealId}: ${event.reason}`);
+        this.emit('limitExceeded', {
+            dealId,
+            code: event.code,
+            reason: event.reason,
+            correlationId: this.getCorrelationId(dealId)
+        });
+
+        // The same update would be sent again on reconnect, so size violations stay offline
+        if (event.reason !== 'rate-limited') {
+            this.suspendedDeals.add(dealId);
+            this.providers.get(dealId)?.disconnect();
+        }
+    }
+
     /**
      * Handle provider status changes
      */
@@ -548,10 +720,47 @@ class CRMRealtimeManager {
     }
 
     /**
-     * Handle provider messages
+     * Handle successful authentication, the server may grant read-only access
+     */
+    handleProviderAuthenticated(dealId) {
+        const readOnly = this.isReadOnly(dealId);
+        if (readOnly) {
+            console.log(`Joined deal ${dealId} in read-only mode`);
+        }
+        this.emit('authenticated', { dealId, readOnly });
+    }
+
+    /**
+     * Handle rejected authentication (expired, forged or missing token)
+     */
+    handleAuthenticationFailed(dealId, { reason }) {
+        console.error(`Authentication failed for deal ${dealId}: ${reason}`);
+        this.clearAuthToken();
+        this.emit('authenticationFailed', { dealId, reason, correlationId: this.getCorrelationId(dealId) });
+    }
+
+    /**
+     * Handle provider messages, stateless payloads are routed to `broadcast` and `broadcast:<type>` events
      */
     handleProviderMessage(dealId, message) {
-        this.emit('message', { dealId, message });
+        if (typeof message !== 'string') {
+            this.emit('message', { dealId, message });
+            return;
+        }
+
+        let envelope;
+        try {
+            envelope = JSON.parse(message);
+        } catch (error) {
+            console.warn(`Ignoring malformed broadcast for deal ${dealId}`);
+            return;
+        }
+
+        if (!envelope || typeof envelope.type !== 'string') return;
+
+        const event = { dealId, ...envelope };
+        this.emit('broadcast', event);
+        this.emit(`broadcast:${envelope.type}`, event);
     }
 
     /**
@@ -743,10 +952,141 @@ class CRMRealtimeManager {
         }
     }
 
+    // ===========================================
+    // VERSION HISTORY
+    // ===========================================
+
+    /**
+     * List the snapshots of a deal, newest first
+     */
+    async getVersionHistory(dealId, { limit = 50 } = {}) {
+        const { versions } = await this.requestDocumentApi('deal', dealId, `/versions?limit=${limit}`);
+        return versions;
+    }
+
+    /**
+     * Take a manual snapshot of a deal
+     */
+    async createVersion(dealId) {
+        return this.requestDocumentApi('deal', dealId, '/versions', { method: 'POST' });
+    }
+
+    /**
+     * Diff a snapshot against another one or the current state
+     */
+    async getVersionDiff(dealId, versionId, toVersionId = 'current') {
+        const { diff } = await this.requestDocumentApi(
+            'deal',
+            dealId,
+            `/versions/${encodeURIComponent(versionId)}/diff?to=${encodeURIComponent(toVersionId)}`
+        );
+        return diff;
+    }
+
+    /**
+     * Restore a snapshot, connected clients receive it as a new update
+     */
+    async restoreVersion(dealId, versionId) {
+        try {
+            const result = await this.requestDocumentApi(
+                'deal',
+                dealId,
+                `/versions/${encodeURIComponent(versionId)}/restore`,
+                { method: 'POST' }
+            );
+
+            this.emit('versionRestored', {
+                dealId,
+                versionId,
+                previousVersionId: result.previousVersionId
+            });
+            return result;
+        } catch (error) {
+            console.error(`Failed to restore version ${versionId} of deal: ${dealId}`, error);
+            this.emit('error', {
+                type: 'version-restore',
+                dealId,
+                error,
+                correlationId: error.correlationId || this.getCorrelationId(dealId)
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Call the server document API with the realtime token
+     */
+    async requestDocumentApi(entityType, entityId, path, options = {}) {
+        const token = await this.getAuthToken();
+        const documentName = encodeURIComponent(this.getDocumentName(entityType, entityId));
+
+        // Requests on a joined deal are logged under the correlation ID of its connection
+        const correlationId = entityType === 'deal' ? this.getCorrelationId(entityId) : null;
+
+        const response = await fetch(`${this.getServerUrl()}/api/documents/${documentName}${path}`, {
+            ...options,
+            headers: {
+                'Accept': 'application/json',
+                ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                ...(correlationId ? { 'X-Request-Id': correlationId } : {}),
+                ...options.headers
+            }
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(body.message || body.error || `HTTP ${response.status}`);
+            error.status = response.status;
+            error.reason = body.reason;
+            error.correlationId = response.headers.get('X-Request-Id');
+            throw error;
+        }
+        return body;
+    }
+
     // ===========================================
     // UTILITY METHODS
     // ===========================================
 
+    /**
+     * HTTP base URL of the realtime server
+     */
+    getServerUrl() {
+        return (this.config.httpUrl || this.config.websocketUrl.replace(/^ws(s?):/, 'http$1:')).replace(/\/$/, '');
+    }
+
+    /**
+     * Create a correlation ID, the server keeps IDs of 8-64 letters, digits, dashes or underscores
+     */
+    createCorrelationId() {
+        return this.createId();
+    }
+
+    /**
+     * Unique ID, a UUID when the browser supports it
+     * Activity entries carry one so the server stores each of them once
+     */
+    createId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Correlation ID of a deal session, to look up its entries in the server logs
+     */
+    getCorrelationId(dealId) {
+        return this.correlationIds.get(dealId) || null;
+    }
+
+    /**
+     * Build a document name following the server scheme tenant:entity_type:entity_id
+     */
+    getDocumentName(entityType, entityId) {
+        return `${this.config.namespace}:${entityType}:${entityId}`;
+    }
+
     /**
      * Get deal Y.Map
      */
@@ -771,6 +1111,24 @@ class CRMRealtimeManager {
         return doc ? doc.getArray('activity') : null;
     }
 
+    /**
+     * Stage and status fields of a kanban column or deal status, null when the server schema would reject it
+     */
+    resolveDealStatus(status) {
+        if (KANBAN_COLUMN_FIELDS[status]) {
+            return { ...KANBAN_COLUMN_FIELDS[status] };
+        }
+        return DEAL_STATUSES.includes(status) ? { status } : null;
+    }
+
+    /**
+     * Whether the server granted read-only access to a deal
+     */
+    isReadOnly(dealId) {
+        const provider = this.providers.get(dealId);
+        return provider?.authorizedScope === 'readonly';
+    }
+
     /**
      * Get current user info
      */
@@ -805,10 +1163,55 @@ class CRMRealtimeManager {
     }
 
     /**
-     * Get auth token
+     * Get a signed realtime token, reusing the cached one until it nears expiry
+     */
+    async getAuthToken() {
+        const margin = this.config.tokenRefreshMargin;
+        if (this.authToken && (!this.authToken.expiresAt || this.authToken.expiresAt - margin > Date.now())) {
+            return this.authToken.token;
+        }
+
+        let token = '';
+        if (this.config.tokenProvider) {
+            token = await this.config.tokenProvider();
+        } else if (this.config.authTokenUrl) {
+            const response = await fetch(this.config.authTokenUrl, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Accept': 'application/json' }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch realtime token: HTTP ${response.status}`);
+            }
+
+            ({ token } = await response.json());
+        } else {
+            console.warn('No authTokenUrl or tokenProvider configured, connecting without a token');
+        }
+
+        this.authToken = token ? { token, expiresAt: this.getTokenExpiry(token) } : null;
+        return token || '';
+    }
+
+    /**
+     * Read the exp claim of a JWT (signature is checked by the server)
+     */
+    getTokenExpiry(token) {
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            const claims = JSON.parse(atob(payload));
+            return claims.exp ? claims.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Drop the cached token so the next connection fetches a fresh one
      */
-    getAuthToken() {
-        return localStorage.getItem('crm-auth-token') || '';
+    clearAuthToken() {
+        this.authToken = null;
     }
 
     /**
@@ -848,6 +1251,16 @@ class CRMRealtimeManager {
         this.eventListeners.set('notesSynced', []);
         this.eventListeners.set('presenceUpdated', []);
         this.eventListeners.set('error', []);
+        this.eventListeners.set('authenticated', []);
+        this.eventListeners.set('authenticationFailed', []);
+        this.eventListeners.set('versionRestored', []);
+        this.eventListeners.set('limitExceeded', []);
+        this.eventListeners.set('schemaViolation', []);
+        this.eventListeners.set('dealResynced', []);
+        this.eventListeners.set('documentReset', []);
+        this.eventListeners.set('disconnectedByAdmin', []);
+        this.eventListeners.set('serverDraining', []);
+        this.eventListeners.set('broadcast', []);
         this.eventListeners.set('networkOnline', []);
         this.eventListeners.set('networkOffline', []);
         this.eventListeners.set('performanceUpdate', []);
@@ -0,0 +1,176 @@
+/**
+ * Activities: CRUD through the repository, filters and the deal activity log
+ */
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { createManager } = require('./helpers/api');
+
+const ACTIVITY = {
+    id: 'a1',
+    deal_id: 'd1',
+    type: 'call',
+    subject: 'Discovery call',
+    status: 'planned',
+    scheduled_at: '2024-03-01T10:00:00Z',
+    duration_minutes: 30
+};
+
+// Realtime manager stub with one activity Y.Array per open deal
+const createRealtimeManager = ({ readOnly = [] } = {}) => {
+    const arrays = new Map();
+    
+    return {
+        currentUser: { id: 'u1' },
+        entries: dealId => arrays.get(dealId)?.items || [],
+        isReadOnly: dealId => readOnly.includes(dealId),
+        getDealActivity(dealId) {
+            if (!arrays.has(dealId)) {
+                const array = { items: [], push: entries => array.items.push(...entries) };
+                array.doc = { transact: callback => callback() };
+                arrays.set(dealId, array);
+            }
+            return arrays.get(dealId);
+        }
+    };
+};
+
+// Handler answering every request with the stored activity, merged with the body sent
+const activityHandler = (record = ACTIVITY) => async (method, endpoint, data) => {
+    if (method === 'GET' && endpoint.includes('?')) {
+        return { ok: true, data: { list: [record], pageInfo: { isLastPage: true } } };
+    }
+    return { ok: true, data: { ...record, ...(data || {}) } };
+};
+
+describe('activity validation', () => {
+    const manager = createManager();
+    
+    test('requires a known type and a subject on create', () => {
+        assert.throws(() => manager.validateActivityData({ subject: 'Call' }), /Activity type must be one of/);
+        assert.throws(() => manager.validateActivityData({ type: 'visit', subject: 'Call' }), /Activity type must be one of/);
+        assert.throws(() => manager.validateActivityData({ type: 'call', subject: '  ' }), /subject is required/);
+        assert.doesNotThrow(() => manager.validateActivityData({ type: 'call', subject: 'Call' }));
+    });
+    
+    test('checks only the given fields of a partial update', () => {
+        assert.doesNotThrow(() => manager.validateActivityData({ status: 'completed' }, { partial: true }));
+        assert.throws(() => manager.validateActivityData({ type: 'visit' }, { partial: true }), /Activity type/);
+        assert.throws(() => manager.validateActivityData({ status: 'done' }, { partial: true }), /Activity status/);
+    });
+    
+    test('checks dates and durations', () => {
+        const base = { type: 'meeting', subject: 'Demo' };
+        
+        assert.throws(() => manager.validateActivityData({ ...base, scheduled_at: 'tomorrow' }), /scheduled_at must be a valid date/);
+        assert.throws(() => manager.validateActivityData({ ...base, duration_minutes: -5 }), /positive number of minutes/);
+        assert.throws(() => manager.validateActivityData({ ...base, duration_minutes: 1.5 }), /positive number of minutes/);
+        assert.doesNotThrow(() => manager.validateActivityData({ ...base, duration_minutes: null, completed_at: '2024-03-01' }));
+    });
+});
+
+describe('activity CRUD', () => {
+    test('creates an activity and records it on its open deal', async () => {
+        const realtimeManager = createRealtimeManager();
+        const manager = createManager({ realtimeManager }, activityHandler());
+        
+        const created = await manager.createActivity({ deal: 'd1', type: 'call', subject: 'Discovery call', status: 'planned' });
+        
+        const [request] = manager.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.endpoint, '/api/v1/db/data/noco/noco/activities');
+        assert.equal(request.data.deal_id, 'd1');
+        assert.equal(request.data.subject, 'Discovery call');
+        
+        assert.equal(created.id, 'a1');
+        assert.equal(created.deal, 'd1');
+        
+        const [entry] = realtimeManager.entries('d1');
+        assert.equal(entry.type, 'activity_created');
+        assert.equal(entry.userId, 'u1');
+        assert.deepEqual(
+            { id: entry.data.id, type: entry.data.type, status: entry.data.status },
+            { id: 'a1', type: 'call', status: 'planned' }
+        );
+        assert.ok(manager.events.some(({ eventName }) => eventName === 'activityCreated'));
+    });
+    
+    test('rejects an invalid activity before any request', async () => {
+        const manager = createManager({ realtimeManager: createRealtimeManager() }, activityHandler());
+        
+        await assert.rejects(manager.createActivity({ deal: 'd1', type: 'lunch', subject: 'Lunch' }), /Activity type/);
+        assert.equal(manager.requests.length, 0);
+    });
+    
+    test('updates and deletes an activity, logging both on the deal', async () => {
+        const realtimeManager = createRealtimeManager();
+        const manager = createManager({ realtimeManager }, activityHandler());
+        
+        const updated = await manager.updateActivity('a1', { status: 'completed', outcome: 'Interested' });
+        assert.equal(updated.status, 'completed');
+        
+        const patch = manager.requests.find(({ method }) => method === 'PATCH');
+        assert.equal(patch.endpoint, '/api/v1/db/data/noco/noco/activities/a1');
+        assert.deepEqual({ status: patch.data.status, outcome: patch.data.outcome }, { status: 'completed', outcome: 'Interested' });
+        assert.equal(patch.data._version, undefined);
+        
+        assert.equal(await manager.deleteActivity('a1'), true);
+        assert.ok(manager.requests.some(({ method, endpoint }) => method === 'DELETE' && endpoint.endsWith('/activities/a1')));
+        
+        assert.deepEqual(realtimeManager.entries('d1').map(({ type }) => type), ['activity_updated', 'activity_deleted']);
+    });
+    
+    test('does not write to deals opened read-only or activities without a deal', async () => {
+        const realtimeManager = createRealtimeManager({ readOnly: ['d1'] });
+        const manager = createManager({ realtimeManager }, activityHandler());
+        
+        await manager.createActivity({ deal: 'd1', type: 'note', subject: 'Read-only deal' });
+        assert.deepEqual(realtimeManager.entries('d1'), []);
+        
+        const standalone = createManager({ realtimeManager }, activityHandler({ ...ACTIVITY, deal_id: null }));
+        await standalone.createActivity({ type: 'task', subject: 'No deal' });
+        assert.deepEqual(realtimeManager.entries('d1'), []);
+    });
+    
+    test('works without a realtime manager', async () => {
+        const manager = createManager({}, activityHandler());
+        
+        const created = await manager.createActivity({ deal: 'd1', type: 'email', subject: 'Follow-up' });
+        assert.equal(created.id, 'a1');
+    });
+});
+
+describe('activity filters', () => {
+    const query = endpoint => new URLSearchParams(endpoint.split('?')[1]);
+    
+    test('lists the activities of a deal, most recent first', async () => {
+        const manager = createManager({}, activityHandler());
+        
+        const { activities } = await manager.getActivitiesForDeal('d1');
+        
+        assert.equal(activities[0].subject, 'Discovery call');
+        const params = query(manager.requests[0].endpoint);
+        assert.equal(params.get('where'), '(deal_id,eq,d1)');
+        assert.equal(params.get('sort'), '-scheduled_at');
+    });
+    
+    test('combines the deal with the filters of the call', async () => {
+        const manager = createManager({}, activityHandler());
+        
+        await manager.getActivitiesForDeal('d1', { filters: { type: ['call', 'meeting'] } });
+        
+        assert.equal(query(manager.requests[0].endpoint).get('where'), '(type,in,call,meeting)~and(deal_id,eq,d1)');
+    });
+    
+    test('lists the planned activities of a deal or user, soonest first', async () => {
+        const manager = createManager({}, activityHandler());
+        
+        await manager.getUpcomingActivities({ dealId: 'd1', assignedTo: 'u1' });
+        await manager.getUpcomingActivities();
+        
+        const [both, all] = manager.requests.map(({ endpoint }) => query(endpoint));
+        assert.equal(both.get('where'), '(status,eq,planned)~and(deal_id,eq,d1)~and(assigned_to,eq,u1)');
+        assert.equal(both.get('sort'), 'scheduled_at');
+        assert.equal(all.get('where'), '(status,eq,planned)');
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Entity repositories: custom tables and the replay of the offline queue
+ */
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { createManager } = require('./helpers/api');
+
+const TICKETS = {
+    tableName: 'support_tickets',
+    columns: { id: 'id', title: 'ticket_title', priority: 'priority' },
+    validate(data, { partial }) {
+        if (!partial && !data.title) {
+            throw new Error('Ticket title is required');
+        }
+    }
+};
+
+// Handler echoing the body sent, as NocoDB returns the written record
+const echoHandler = async (method, endpoint, data) => {
+    const id = endpoint.split('?')[0].split('/').pop();
+    return { ok: true, data: { id: data?.id || (method === 'POST' ? 't1' : id), ...(data || {}) } };
+};
+
+describe('registerEntity', () => {
+    test('declares a custom table with its endpoint, mapping and validation', async () => {
+        const changes = [];
+        const manager = createManager({}, echoHandler);
+        const tickets = manager.registerEntity('tickets', {
+            ...TICKETS,
+            onChange: (action, ticket) => changes.push([action, ticket.id])
+        });
+        
+        assert.equal(manager.entity('tickets'), tickets);
+        
+        const created = await tickets.create({ title: 'Printer on fire', priority: 'high' }, { optimistic: false });
+        
+        const [request] = manager.requests;
+        assert.equal(request.endpoint, '/api/v1/db/data/noco/noco/support_tickets');
+        assert.deepEqual(request.data, { ticket_title: 'Printer on fire', priority: 'high' });
+        assert.deepEqual(created, { id: 't1', title: 'Printer on fire', priority: 'high' });
+        assert.deepEqual(changes, [['created', 't1']]);
+        
+        await assert.rejects(tickets.create({ priority: 'low' }), /Ticket title is required/);
+        assert.equal(manager.requests.length, 1);
+    });
+    
+    test('requires an id column', () => {
+        const manager = createManager();
+        
+        assert.throws(() => manager.registerEntity('tickets', { columns: { title: 'title' } }), /must map an id column/);
+    });
+    
+    test('rejects unknown table types', () => {
+        const manager = createManager();
+        
+        assert.throws(() => manager.entity('tickets'), /Unknown table type: tickets/);
+    });
+});
+
+describe('processOfflineItem', () => {
+    const replay = async item => {
+        const manager = createManager({}, echoHandler);
+        manager.registerEntity('tickets', TICKETS);
+        
+        const result = await manager.processOfflineItem({ entityType: 'tickets', ...item });
+        return { manager, result, calls: manager.requests.map(({ method, endpoint }) => `${method} ${endpoint}`) };
+    };
+    
+    test('replays a create without an optimistic event', async () => {
+        const { manager, result, calls } = await replay({ operation: 'create', data: { title: 'Offline ticket' } });
+        
+        assert.deepEqual(calls, ['POST /api/v1/db/data/noco/noco/support_tickets']);
+        assert.equal(result.title, 'Offline ticket');
+        assert.ok(!manager.events.some(({ eventName }) => eventName.endsWith('Optimistic')));
+    });
+    
+    test('replays an update on the record id', async () => {
+        const { manager, result, calls } = await replay({ operation: 'update', data: { id: 't7', priority: 'low' } });
+        
+        assert.deepEqual(calls, ['PATCH /api/v1/db/data/noco/noco/support_tickets/t7']);
+        assert.deepEqual(manager.requests[0].data, { priority: 'low' });
+        assert.equal(result.priority, 'low');
+    });
+    
+    test('replays a delete on the record id', async () => {
+        const { result, calls } = await replay({ operation: 'delete', data: { id: 't7' } });
+        
+        assert.deepEqual(calls, [
+            'GET /api/v1/db/data/noco/noco/support_tickets/t7',
+            'DELETE /api/v1/db/data/noco/noco/support_tickets/t7'
+        ]);
+        assert.equal(result, true);
+    });
+    
+    test('rejects unknown operations and table types', async () => {
+        await assert.rejects(replay({ operation: 'upsert', data: { id: 't7' } }), /Unknown operation: upsert/);
+        await assert.rejects(replay({ operation: 'create', entityType: 'invoices', data: {} }), /Unknown table type: invoices/);
+    });
+});
+
+describe('processOfflineQueue', () => {
+    test('removes replayed items and keeps failed ones until their last attempt', async () => {
+        const manager = createManager({}, echoHandler);
+        manager.registerEntity('tickets', TICKETS);
+        
+        await manager.queueOfflineOperation('create', 'tickets', { title: 'Offline ticket' });
+        await manager.queueOfflineOperation('archive', 'tickets', { id: 't7' });
+        
+        await manager.processOfflineQueue();
+        
+        assert.deepEqual(manager.offlineQueue.map(({ operation, retries }) => [operation, retries]), [['archive', 1]]);
+        assert.deepEqual(manager.events.at(-1), { eventName: 'offlineQueueProcessed', data: { processed: 1, remaining: 1 } });
+        
+        manager.offlineQueue[0].retries = manager.retryConfig.attempts - 1;
+        await manager.processOfflineQueue();
+        
+        assert.deepEqual(manager.offlineQueue, []);
+    });
+});
+
+describe('iterate', () => {
+    const ROWS = Array.from({ length: 10 }, (_, index) => ({ id: `t${index}`, ticket_title: `Ticket ${index}` }));
+    
+    // Paginated NocoDB list over rows(), recording the offsets requested and the requests in flight
+    const createPagedManager = ({ rows = () => ROWS, totalRows = true, pageInfo = true } = {}) => {
+        const stats = { offsets: [], inFlight: 0, maxInFlight: 0, signals: [] };
+        const manager = createManager({}, async (method, endpoint, data, { signal }) => {
+            const params = new URLSearchParams(endpoint.split('?')[1]);
+            const limit = Number(params.get('limit'));
+            const offset = Number(params.get('offset'));
+            stats.offsets.push(offset);
+            stats.signals.push(signal);
+            stats.maxInFlight = Math.max(stats.maxInFlight, ++stats.inFlight);
+            await new Promise(resolve => setImmediate(resolve));
+            stats.inFlight--;
+            
+            const all = rows();
+            const list = all.slice(offset, offset + limit);
+            return {
+                ok: true,
+                data: pageInfo ? {
+                    list,
+                    pageInfo: { isLastPage: offset + limit >= all.length, ...(totalRows && { totalRows: all.length }) }
+                } : list
+            };
+        });
+        manager.registerEntity('tickets', TICKETS);
+        return { manager, stats };
+    };
+    
+    const ids = async (iterator) => {
+        const result = [];
+        for await (const item of iterator) {
+            result.push(item.id);
+        }
+        return result;
+    };
+    
+    test('follows the pages until the last one', async () => {
+        const { manager, stats } = createPagedManager();
+        
+        const items = await manager.listAll('tickets', { pageSize: 4 });
+        
+        assert.deepEqual(items.map(({ id }) => id), ROWS.map(({ id }) => id));
+        assert.equal(items[0].title, 'Ticket 0');
+        assert.deepEqual(stats.offsets, [0, 4, 8]);
+    });
+    
+    test('stops on a short page or a response without pageInfo', async () => {
+        const short = createPagedManager({ rows: () => ROWS.slice(0, 3) });
+        assert.equal((await ids(short.manager.iterate('tickets', { pageSize: 4 }))).length, 3);
+        assert.deepEqual(short.stats.offsets, [0]);
+        
+        const unpaginated = createPagedManager({ pageInfo: false });
+        assert.equal((await ids(unpaginated.manager.iterate('tickets', { pageSize: 4 }))).length, 4);
+        assert.deepEqual(unpaginated.stats.offsets, [0]);
+    });
+    
+    test('stops after maxItems records', async () => {
+        const { manager, stats } = createPagedManager();
+        
+        assert.deepEqual(await ids(manager.iterate('tickets', { pageSize: 4, maxItems: 5 })), ['t0', 't1', 't2', 't3', 't4']);
+        assert.deepEqual(stats.offsets, [0, 4]);
+    });
+    
+    test('prefetches pages in order once the total is known', async () => {
+        const { manager, stats } = createPagedManager();
+        
+        assert.deepEqual(await ids(manager.iterate('tickets', { pageSize: 2, concurrency: 3 })), ROWS.map(({ id }) => id));
+        assert.equal(stats.maxInFlight, 3);
+        assert.deepEqual([...stats.offsets].sort((a, b) => a - b), [0, 2, 4, 6, 8]);
+    });
+    
+    test('requests one page at a time without the total', async () => {
+        const { manager, stats } = createPagedManager({ totalRows: false });
+        
+        assert.equal((await ids(manager.iterate('tickets', { pageSize: 2, concurrency: 3 }))).length, 10);
+        assert.equal(stats.maxInFlight, 1);
+    });
+    
+    test('stops with the abort reason and passes the signal to the requests', async () => {
+        const { manager, stats } = createPagedManager();
+        const controller = new AbortController();
+        const seen = [];
+        
+        await assert.rejects(async () => {
+            for await (const ticket of manager.iterate('tickets', { pageSize: 4, signal: controller.signal })) {
+                seen.push(ticket.id);
+                controller.abort(new Error('Enough tickets'));
+            }
+        }, /Enough tickets/);
+        
+        assert.deepEqual(seen, ['t0']);
+        assert.deepEqual(stats.offsets, [0]);
+        assert.equal(stats.signals[0], controller.signal);
+    });
+    
+    test('yields a record shifted onto the next page by an insert only once', async () => {
+        let rows = ROWS.slice(0, 6);
+        const { manager, stats } = createPagedManager({ rows: () => rows });
+        
+        const result = [];
+        for await (const ticket of manager.iterate('tickets', { pageSize: 3 })) {
+            result.push(ticket.id);
+            if (ticket.id === 't0') {
+                rows = [{ id: 'new', ticket_title: 'Inserted' }, ...rows];
+            }
+        }
+        
+        assert.deepEqual(result, ['t0', 't1', 't2', 't3', 't4', 't5']);
+        assert.deepEqual(stats.offsets, [0, 3, 6]);
+    });
+});
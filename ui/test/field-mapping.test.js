@@ -0,0 +1,212 @@
+/**
+ * Field mappings generated from the NocoDB table metadata
+ */
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { createManager } = require('./helpers/api');
+
+// NocoDB titles are the column names in Title Case
+const toTitle = column => column.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+// Metadata columns of every table, as NocoDB returns them, minus the dropped ones
+const metadataFor = (manager, dropped = []) => Object.fromEntries(
+    Object.values(manager.tables).map(({ tableName, columns }) => [
+        tableName,
+        [
+            ...Object.values(columns)
+                .filter(column => !dropped.includes(column))
+                .map(column => ({ column_name: column, title: toTitle(column) })),
+            { column_name: 'legacy_ref', title: 'Legacy Ref' },
+            // Links and other virtual columns have no column_name
+            { title: 'Activities', uidt: 'Links' }
+        ]
+    ])
+);
+
+// Handler serving the table list without columns, then each table with its columns
+const metadataHandler = (getMetadata, { failing = [] } = {}) => async (method, endpoint) => {
+    const tables = getMetadata();
+    
+    if (endpoint === '/api/v1/db/meta/projects/p1/tables') {
+        return { ok: true, data: { list: Object.keys(tables).map(name => ({ id: `md_${name}`, table_name: name, title: toTitle(name) })) } };
+    }
+    
+    const [, name] = endpoint.match(/^\/api\/v1\/db\/meta\/tables\/md_(\w+)$/) || [];
+    if (failing.includes(name)) {
+        return { ok: false, status: 500, error: 'Internal Server Error' };
+    }
+    if (name) {
+        return { ok: true, data: { columns: tables[name] } };
+    }
+    
+    return { ok: false, status: 404, error: `Unexpected request ${method} ${endpoint}` };
+};
+
+describe('buildFieldMapping', () => {
+    test('maps fields to titles through the column names and reports the drift', () => {
+        const manager = createManager();
+        
+        const { fields, report } = manager.buildFieldMapping(
+            { id: 'id', amount: 'value', company: 'company_id', notes: 'description' },
+            [
+                { column_name: 'id', title: 'Id' },
+                { column_name: 'value', title: 'Deal Value' },
+                { column_name: 'company_id', title: 'Company' },
+                { column_name: 'stage', title: 'Stage' },
+                { title: 'Contacts', uidt: 'Links' }
+            ]
+        );
+        
+        assert.deepEqual(fields, { id: 'Id', amount: 'Deal Value', company: 'Company' });
+        assert.deepEqual(report.missing, [{ field: 'notes', column: 'description' }]);
+        assert.deepEqual(report.unmapped, ['stage']);
+        assert.equal(report.source, 'metadata');
+    });
+    
+    test('falls back to the column name when a column has no title', () => {
+        const { fields } = createManager().buildFieldMapping({ title: 'title' }, [{ column_name: 'title' }]);
+        assert.deepEqual(fields, { title: 'title' });
+    });
+});
+
+describe('loadFieldMappings', () => {
+    test('uses the column names until the metadata is loaded', () => {
+        const manager = createManager();
+        
+        assert.equal(manager.tables.deals.fields.amount, 'value');
+        assert.equal(manager.fieldMappingReports.deals.source, 'defaults');
+    });
+    
+    test('generates the mapping of every table from its metadata', async () => {
+        let metadata;
+        const manager = createManager({ projectId: 'p1' }, metadataHandler(() => metadata));
+        metadata = metadataFor(manager, ['loss_reason']);
+        
+        const reports = await manager.loadFieldMappings();
+        
+        assert.deepEqual(Object.keys(reports), ['deals', 'contacts', 'companies', 'activities']);
+        assert.equal(manager.tables.deals.fields.amount, 'Value');
+        assert.equal(manager.tables.deals.fields.company, 'Company Id');
+        assert.equal(manager.tables.contacts.fields.linkedin, 'Linkedin Url');
+        assert.equal(manager.tables.deals.fields.loss_reason, undefined);
+        
+        assert.deepEqual(reports.deals.missing, [{ field: 'loss_reason', column: 'loss_reason' }]);
+        assert.deepEqual(reports.deals.unmapped, ['legacy_ref']);
+        assert.deepEqual(reports.contacts.missing, []);
+        
+        const drift = manager.events.filter(({ eventName }) => eventName === 'schemaDrift');
+        assert.deepEqual(drift.map(({ data }) => data.tableType), ['deals']);
+    });
+    
+    test('keeps the current mapping of a table whose metadata cannot be read', async () => {
+        let metadata;
+        const manager = createManager({ projectId: 'p1' }, metadataHandler(() => metadata, { failing: ['companies'] }));
+        metadata = metadataFor(manager);
+        
+        const reports = await manager.loadFieldMappings();
+        
+        assert.equal(manager.tables.companies.fields.revenue, 'annual_revenue');
+        assert.match(reports.companies.error, /Failed to get columns of table 'companies'/);
+        assert.equal(reports.companies.source, 'defaults');
+        assert.equal(manager.tables.deals.fields.revenue, undefined);
+        assert.equal(reports.deals.source, 'metadata');
+    });
+});
+
+describe('transformToAPI and transformFromAPI', () => {
+    const createMappedManager = async (dropped = []) => {
+        let metadata;
+        const manager = createManager({ projectId: 'p1' }, metadataHandler(() => metadata));
+        metadata = metadataFor(manager, dropped);
+        await manager.loadFieldMappings();
+        manager.warnings.length = 0;
+        return manager;
+    };
+    
+    test('sends the NocoDB titles and leaves out read-only and unknown fields', async () => {
+        const manager = await createMappedManager();
+        
+        const apiData = manager.transformToAPI('deals', {
+            id: 'd1',
+            created_at: '2024-01-01',
+            title: 'Renewal',
+            amount: 1200,
+            company: 'c1',
+            probability: undefined,
+            unknown: 'ignored'
+        });
+        
+        assert.deepEqual(Object.keys(apiData).sort(), ['Company Id', 'Title', 'Updated At', 'Value']);
+        assert.equal(apiData.Value, 1200);
+        assert.ok(!Number.isNaN(new Date(apiData['Updated At']).getTime()));
+        assert.deepEqual(manager.warnings, []);
+    });
+    
+    test('reports the fields whose column is missing from NocoDB', async () => {
+        const manager = await createMappedManager(['loss_reason']);
+        
+        const apiData = manager.transformToAPI('deals', { title: 'Lost deal', loss_reason: 'Budget' });
+        
+        assert.equal(apiData['Loss Reason'], undefined);
+        assert.equal(manager.warnings.length, 1);
+        assert.match(manager.warnings[0], /deals: fields not sent.*loss_reason/);
+    });
+    
+    test('reads records back into application fields', async () => {
+        const manager = await createMappedManager();
+        
+        const deal = manager.transformFromAPI('deals', { Id: 'd1', Title: 'Renewal', Value: 1200, Description: 'Notes' });
+        
+        assert.equal(deal.id, 'd1');
+        assert.equal(deal.amount, 1200);
+        assert.equal(deal.notes, 'Notes');
+        assert.ok('stage' in deal);
+    });
+    
+    test('splits and joins contact names', async () => {
+        const manager = await createMappedManager();
+        
+        const apiData = manager.transformContactToAPI({ name: 'Ada King Lovelace', email: 'ada@example.com' });
+        assert.equal(apiData['First Name'], 'Ada');
+        assert.equal(apiData['Last Name'], 'King Lovelace');
+        
+        const explicit = manager.transformContactToAPI({ name: 'Ignored', first_name: 'Grace' });
+        assert.equal(explicit['First Name'], 'Grace');
+        assert.equal(explicit['Last Name'], undefined);
+        
+        const contact = manager.transformContactFromAPI({ Id: 'c1', 'First Name': 'Ada', 'Last Name': 'Lovelace' });
+        assert.equal(contact.name, 'Ada Lovelace');
+    });
+});
+
+describe('validateTableFields', () => {
+    test('reports missing columns and titles renamed since the mapping was loaded', () => {
+        const manager = createManager();
+        const config = {
+            columns: { id: 'id', title: 'title', stage: 'stage' },
+            fields: { id: 'Id', title: 'Title' }
+        };
+        
+        const result = manager.validateTableFields({
+            columns: [
+                { column_name: 'id', title: 'Id' },
+                { column_name: 'title', title: 'Deal Name' },
+                { column_name: 'stage', title: 'Stage' },
+                { column_name: 'extra', title: 'Extra' }
+            ]
+        }, config);
+        
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.missing, []);
+        assert.deepEqual(result.stale, [
+            { field: 'title', column: 'title', expected: 'Title', actual: 'Deal Name' },
+            { field: 'stage', column: 'stage', expected: undefined, actual: 'Stage' }
+        ]);
+        assert.deepEqual(result.unmapped, ['extra']);
+        assert.deepEqual(result.messages, [
+            "field 'title' is sent as 'Title' but NocoDB expects 'Deal Name'",
+            "field 'stage' is not sent but column 'stage' now exists"
+        ]);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Load js/api.js in Node, with the browser globals it reads at load time
+ */
+
+const installBrowserGlobals = () => {
+    const storage = new Map();
+    
+    globalThis.localStorage = {
+        getItem: key => (storage.has(key) ? storage.get(key) : null),
+        setItem: (key, value) => storage.set(key, String(value)),
+        removeItem: key => storage.delete(key),
+        clear: () => storage.clear()
+    };
+    globalThis.window = globalThis.window || { addEventListener() {}, location: { hostname: 'localhost', origin: 'http://localhost' } };
+    globalThis.document = globalThis.document || { addEventListener() {}, dispatchEvent() {} };
+    globalThis.CustomEvent = globalThis.CustomEvent || class CustomEvent {};
+    if (!globalThis.navigator) {
+        globalThis.navigator = { onLine: true };
+    }
+};
+
+const loadAPI = () => {
+    installBrowserGlobals();
+    return require('../../js/api.js');
+};
+
+/**
+ * APIManager without the connection check of init()
+ * Requests go to handler(method, endpoint, data, { signal }) and are recorded in manager.requests
+ * with their endpoint decoded, warnings, errors and events are recorded too
+ */
+const createManager = (config = {}, handler = async () => ({ ok: true, data: {} })) => {
+    const { APIManager } = loadAPI();
+    
+    class TestAPIManager extends APIManager {
+        async init() {}
+    }
+    
+    const manager = new TestAPIManager(config);
+    manager.isConnected = true;
+    manager.requests = [];
+    manager.warnings = [];
+    manager.errors = [];
+    manager.events = [];
+    
+    manager.makeRequest = async (method, endpoint, data = null, retryCount = 0, useCache = true, options = {}) => {
+        manager.requests.push({ method, endpoint: decodeURIComponent(endpoint), data });
+        return handler(method, endpoint, data, options);
+    };
+    manager.logWarn = (...args) => manager.warnings.push(args.join(' '));
+    manager.logError = (...args) => manager.errors.push(args);
+    manager.emit = (eventName, data) => manager.events.push({ eventName, data });
+    
+    return manager;
+};
+
+module.exports = { createManager, loadAPI };
@@ -0,0 +1,135 @@
+/**
+ * QueryFilter: value escaping, where clauses and client-side matching
+ */
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { loadAPI } = require('./helpers/api');
+
+const { QueryFilter: F } = loadAPI();
+
+const NOW = new Date(2024, 2, 15, 12);
+
+describe('escapeValue', () => {
+    test('leaves plain values as they are', () => {
+        assert.equal(F.escapeValue('proposal'), 'proposal');
+        assert.equal(F.escapeValue(10000), '10000');
+        assert.equal(F.escapeValue('two words'), 'two words');
+        assert.equal(F.escapeValue(null), '');
+    });
+    
+    test('quotes values holding where syntax, escaping quotes and backslashes', () => {
+        assert.equal(F.escapeValue('Smith, John'), '"Smith, John"');
+        assert.equal(F.escapeValue('a~or(b)'), '"a~or(b)"');
+        assert.equal(F.escapeValue('say "hi"'), '"say \\"hi\\""');
+        assert.equal(F.escapeValue('C:\\deals'), '"C:\\\\deals"');
+        assert.equal(F.escapeValue(' padded'), '" padded"');
+    });
+    
+    test('writes dates in ISO format', () => {
+        assert.equal(F.escapeValue(new Date(Date.UTC(2024, 0, 2))), '2024-01-02T00:00:00.000Z');
+    });
+});
+
+describe('toWhere', () => {
+    test('renders nested groups with the resolved field titles', () => {
+        const filter = F.and(
+            F.eq('stage', 'proposal'),
+            F.or(F.gt('amount', 10000), F.like('title', 'renewal')),
+            F.not(F.blank('owner_id')),
+            F.isWithin('expected_close_date', 'nextNumberOfDays', 30)
+        );
+        
+        assert.equal(
+            F.toWhere(filter, field => (field === 'amount' ? 'value' : field)),
+            '(stage,eq,proposal)~and((value,gt,10000)~or(title,like,renewal))~and(owner_id,notblank)~and(expected_close_date,isWithin,nextNumberOfDays,30)'
+        );
+    });
+    
+    test('renders lists, date sub-operations, aliases and legacy maps', () => {
+        assert.equal(F.toWhere(F.in('stage', ['won', 'lost'])), '(stage,in,won,lost)');
+        assert.equal(F.toWhere(F.btw('amount', 10, 20)), '(amount,btw,10,20)');
+        assert.equal(F.toWhere(F.date('created_at', 'ge', 'daysAgo', 7)), '(created_at,ge,daysAgo,7)');
+        assert.equal(F.toWhere({ stage: 'won', amount: { gte: 5 }, owner_id: ['u1', 'u2'] }), '(stage,eq,won)~and(amount,ge,5)~and(owner_id,in,u1,u2)');
+        assert.equal(F.toWhere({ and: [] }), '');
+        assert.equal(F.toWhere(null), '');
+    });
+    
+    test('escapes values', () => {
+        assert.equal(F.toWhere(F.eq('company', 'Acme (EU), Inc')), '(company,eq,"Acme (EU), Inc")');
+    });
+    
+    test('pushes not down, keeping blank values in the negation', () => {
+        assert.equal(F.toWhere(F.not(F.gt('amount', 5))), '(amount,le,5)~or(amount,blank)');
+        assert.equal(F.toWhere(F.not(F.eq('stage', 'won'))), '(stage,neq,won)');
+        assert.equal(F.toWhere(F.not(F.in('stage', ['won', 'lost']))), '(stage,neq,won)~and(stage,neq,lost)');
+        assert.equal(
+            F.toWhere(F.and(F.eq('stage', 'won'), F.not(F.or(F.lt('amount', 5), F.like('title', 'test'))))),
+            '(stage,eq,won)~and(((amount,ge,5)~or(amount,blank))~and(title,nlike,test))'
+        );
+        assert.equal(F.toWhere(F.not(F.not(F.gt('amount', 5)))), '(amount,gt,5)');
+    });
+    
+    test('rejects invalid filters when they are built', () => {
+        assert.throws(() => F.not(F.isWithin('scheduled_at', 'nextWeek')), /isWithin on scheduled_at cannot be negated/);
+        assert.throws(() => F.toWhere({ not: { and: [F.eq('stage', 'won'), F.isWithin('scheduled_at', 'pastMonth')] } }), /cannot be negated/);
+        assert.throws(() => F.toWhere(F.eq('a,b', 1)), /Invalid filter field/);
+        assert.throws(() => F.toWhere({ field: 'stage', op: 'matches', value: 'x' }), /Unknown filter operator/);
+        assert.throws(() => F.toWhere(F.btw('amount', 1)), /needs two values/);
+        assert.throws(() => F.toWhere(F.isWithin('scheduled_at', 'nextDecade')), /Unknown isWithin period/);
+    });
+});
+
+describe('matches', () => {
+    const deal = { stage: 'proposal', amount: 12000, title: 'Renewal 2024', tags: ['vip', 'eu'], owner_id: null, closes_at: '2024-03-20' };
+    
+    test('evaluates conditions and groups like NocoDB', () => {
+        assert.equal(F.matches(F.eq('stage', 'Proposal'), deal), true);
+        assert.equal(F.matches(F.gt('amount', '10000'), deal), true);
+        assert.equal(F.matches(F.like('title', 'renewal'), deal), true);
+        assert.equal(F.matches(F.like('title', 'renewal%'), deal), true);
+        assert.equal(F.matches(F.like('title', '%2023'), deal), false);
+        assert.equal(F.matches(F.in('stage', ['won', 'proposal']), deal), true);
+        assert.equal(F.matches({ field: 'tags', op: 'allof', value: ['vip', 'eu'] }, deal), true);
+        assert.equal(F.matches({ field: 'tags', op: 'nanyof', value: ['us'] }, deal), true);
+        assert.equal(F.matches(F.blank('owner_id'), deal), true);
+        assert.equal(F.matches(F.and(F.eq('stage', 'proposal'), F.or(F.lt('amount', 100), F.notblank('title'))), deal), true);
+        assert.equal(F.matches(null, deal), true);
+    });
+    
+    test('leaves blank values out of comparisons', () => {
+        assert.equal(F.matches(F.gt('owner_id', 0), deal), false);
+        assert.equal(F.matches(F.le('owner_id', 0), deal), false);
+        assert.equal(F.matches(F.neq('owner_id', 'u1'), deal), true);
+    });
+    
+    test('evaluates dates relative to now', () => {
+        assert.equal(F.matches(F.isWithin('closes_at', 'nextWeek'), deal, NOW), true);
+        assert.equal(F.matches(F.isWithin('closes_at', 'pastMonth'), deal, NOW), false);
+        assert.equal(F.matches(F.date('closes_at', 'ge', 'daysFromNow', 5), deal, NOW), true);
+        assert.equal(F.matches(F.date('closes_at', 'eq', 'today'), deal, NOW), false);
+    });
+    
+    test('gives the negation the same answer as the where clause it renders', () => {
+        const records = [deal, { ...deal, amount: null, stage: '', title: undefined, tags: [], closes_at: null }, { ...deal, amount: 3, closes_at: '2024-03-15' }];
+        const conditions = [
+            F.eq('stage', 'proposal'), F.neq('stage', 'won'), F.gt('amount', 5), F.ge('amount', 5), F.lt('amount', 5), F.le('amount', 5),
+            F.like('title', 'renewal'), F.nlike('title', 'renewal'), F.in('stage', ['proposal', 'won']),
+            F.btw('amount', 1, 5), F.nbtw('amount', 1, 5), F.blank('owner_id'), F.notblank('amount'),
+            { field: 'tags', op: 'allof', value: ['vip'] }, { field: 'tags', op: 'anyof', value: ['vip'] },
+            F.date('closes_at', 'eq', 'today'), F.date('closes_at', 'neq', 'today'), F.date('closes_at', 'lt', 'daysFromNow', 2)
+        ];
+        
+        for (const condition of conditions) {
+            const rendered = F.negate(F.normalize(condition));
+            for (const record of records) {
+                assert.equal(
+                    F.matchNode(rendered, record, NOW),
+                    !F.matches(condition, record, NOW),
+                    `not ${JSON.stringify(condition)} on ${JSON.stringify(record)}`
+                );
+                assert.equal(F.matches(F.not(condition), record, NOW), !F.matches(condition, record, NOW));
+            }
+        }
+    });
+});